@@ -0,0 +1,281 @@
+// Admin and moderator panels: /adminhelp, /modhelp, moderators, dispute assignment, messages
+// to the parties and the admin log. Botmasters run everything; moderators see the disputes
+// assigned to them.
+
+const { InlineKeyboard } = require('grammy');
+const { buyerLabel } = require('../deals');
+
+function adminPanel() {
+  return new InlineKeyboard()
+    .text('Disputes', 'admin_disputes')
+    .text('Mods', 'admin_mods')
+    .row()
+    .text('Add Mod', 'admin_addmod')
+    .text('Logs', 'admin_logs');
+}
+
+function modPanel() {
+  return new InlineKeyboard()
+    .text('My Disputes', 'mod_mydisputes')
+    .text('Help', 'guide_help');
+}
+
+function register(bot, { deals, botmasterIds, isAnyAdmin, notifyParties }) {
+  const isBotmaster = (ctx) => botmasterIds.includes(ctx.from.id);
+  const adminOf = (ctx) => ({ id: ctx.from.id, username: ctx.from.username });
+
+  bot.command('adminhelp', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+    await ctx.reply(`*Admin Panel* 👑\n\nSelect an action or use commands:\n\n/addmod @user • /removemod @user\n/assign DP-XXXX @mod • /unassign DP-XXXX\n/resolve DP-XXXX release|refund (stage: /resolve DP-XXXX 2 refund)\n/msg DP-XXXX seller|buyer [msg]\n/reconcile DP-XXXX|all`, { reply_markup: adminPanel(), parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('admin_disputes', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+
+    const { disputes } = await deals.listDisputes();
+    if (!disputes?.length) return ctx.reply('No open disputes.');
+
+    let msg = `*Open Disputes (${disputes.length}):*\n\n`;
+    for (const d of disputes) {
+      const assigned = d.assigned_to_username ? `@${d.assigned_to_username}` : 'Unassigned';
+      msg += `\`${d.deal_id}\` | ${deals.formatAmount(d.amount, d)} | ${assigned}\n`;
+    }
+    const kb = new InlineKeyboard().text('Back', 'admin_back');
+    await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('admin_mods', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+
+    const { moderators } = await deals.listModerators();
+    if (!moderators?.length) return ctx.reply('No moderators. Use /addmod @username');
+
+    let msg = '*Moderators:*\n\n';
+    for (const m of moderators) msg += `@${m.username}\n`;
+    const kb = new InlineKeyboard().text('Add Mod', 'admin_addmod').text('Back', 'admin_back');
+    await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('admin_addmod', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+    const kb = new InlineKeyboard().text('Back', 'admin_back');
+    await ctx.reply(`*Add Moderator*\n\nType: \`/addmod @username\``, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('admin_logs', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+
+    const { logs } = await deals.getAdminLogs({ limit: 10 });
+    if (!logs?.length) return ctx.reply('No logs found.');
+
+    let msg = '*Recent Logs:*\n\n';
+    for (const l of logs) {
+      msg += `@${l.admin_username}: ${l.action}${l.deal_id ? ` (${l.deal_id})` : ''}\n`;
+    }
+    const kb = new InlineKeyboard().text('Back', 'admin_back');
+    await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('admin_back', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+    await ctx.reply(`*Admin Panel* 👑`, { reply_markup: adminPanel(), parse_mode: 'Markdown' });
+  });
+
+  bot.command('modhelp', async (ctx) => {
+    const { isAdmin } = await isAnyAdmin(ctx);
+    if (!isAdmin) return ctx.reply('Admin only.');
+    await ctx.reply(`*Mod Panel* 🛡️\n\nCommands:\n/mydisputes • /viewevidence DP-XXXX\n/msg DP-XXXX seller|buyer [msg]\n/resolve DP-XXXX release|refund (stage: /resolve DP-XXXX 2 refund)`, { reply_markup: modPanel(), parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('mod_mydisputes', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const { isAdmin } = await isAnyAdmin(ctx);
+    if (!isAdmin) return;
+
+    const { disputes } = await deals.listDisputes({ assignedTo: ctx.from.id });
+    if (!disputes?.length) return ctx.reply('No disputes assigned to you.');
+
+    let msg = `*Your Disputes (${disputes.length}):*\n\n`;
+    for (const d of disputes) {
+      msg += `\`${d.deal_id}\` | ${deals.formatAmount(d.amount, d)}\n@${d.seller_username} vs ${buyerLabel(d)}\n\n`;
+    }
+    const kb = new InlineKeyboard().text('Back', 'mod_back');
+    await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('mod_back', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await ctx.reply(`*Mod Panel* 🛡️`, { reply_markup: modPanel(), parse_mode: 'Markdown' });
+  });
+
+  bot.command('addmod', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const match = ctx.message.text.match(/^\/addmod\s+@(\w+)$/i);
+    if (!match) return ctx.reply('Usage: /addmod @username');
+
+    const result = await deals.addModerator(match[1], adminOf(ctx));
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ @${match[1]} is now a moderator.`);
+
+    try {
+      await ctx.api.sendMessage(result.telegramId, `🛡️ You are now a DealPact Moderator!\n\n/modhelp for commands.`);
+    } catch (e) {}
+  });
+
+  bot.command('removemod', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const match = ctx.message.text.match(/^\/removemod\s+@(\w+)$/i);
+    if (!match) return ctx.reply('Usage: /removemod @username');
+
+    const result = await deals.removeModerator(match[1], adminOf(ctx));
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ @${match[1]} removed from moderators.`);
+  });
+
+  bot.command('mods', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const { moderators, error } = await deals.listModerators();
+    if (error) return ctx.reply(error);
+    if (!moderators.length) return ctx.reply('No moderators. /addmod @username');
+
+    let msg = '🛡️ Moderators:\n\n';
+    for (const m of moderators) msg += `@${m.username}\n`;
+    await ctx.reply(msg);
+  });
+
+  bot.command('disputes', async (ctx) => {
+    const { isAdmin, role } = await isAnyAdmin(ctx);
+    if (!isAdmin) return ctx.reply('Admin only.');
+
+    const { disputes, error } = await deals.listDisputes({ assignedTo: role === 'moderator' ? ctx.from.id : null });
+    if (error) return ctx.reply(error);
+    if (!disputes.length) return ctx.reply('No open disputes.');
+
+    let msg = `⚠️ Open Disputes (${disputes.length}):\n\n`;
+    for (const d of disputes) {
+      const assigned = d.assigned_to_username ? `@${d.assigned_to_username}` : '❌ Unassigned';
+      msg += `${d.deal_id} | ${deals.formatAmount(d.amount, d)}\n`;
+      msg += `  @${d.seller_username} vs ${buyerLabel(d)}\n`;
+      msg += `  Assigned: ${assigned}\n`;
+      msg += `  Reason: ${(d.dispute_reason || 'N/A').substring(0, 30)}\n\n`;
+    }
+    await ctx.reply(msg);
+  });
+
+  bot.command('mydisputes', async (ctx) => {
+    const { isAdmin } = await isAnyAdmin(ctx);
+    if (!isAdmin) return ctx.reply('Admin only.');
+
+    const { disputes, error } = await deals.listDisputes({ assignedTo: ctx.from.id });
+    if (error) return ctx.reply(error);
+    if (!disputes.length) return ctx.reply('No disputes assigned to you.');
+
+    let msg = `🛡️ Your Disputes (${disputes.length}):\n\n`;
+    for (const d of disputes) {
+      msg += `${d.deal_id} | ${deals.formatAmount(d.amount, d)}\n  @${d.seller_username} vs ${buyerLabel(d)}\n\n`;
+    }
+    await ctx.reply(msg);
+  });
+
+  bot.command('assign', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const match = ctx.message.text.match(/^\/assign\s+(DP-\w+)\s+@(\w+)$/i);
+    if (!match) return ctx.reply('Usage: /assign DP-XXXX @moderator');
+
+    const modUsername = match[2];
+    const result = await deals.assignDispute(match[1], modUsername, adminOf(ctx));
+    if (result.error) return ctx.reply(result.error);
+
+    const { deal } = result;
+    await ctx.reply(`✅ ${deal.deal_id} assigned to @${modUsername}`);
+    try {
+      await ctx.api.sendMessage(result.modTelegramId, `🛡️ Dispute assigned: ${deal.deal_id}\n\n${deals.formatAmount(deal.amount, deal)}\n@${deal.seller_username} vs ${buyerLabel(deal)}\n\n/viewevidence ${deal.deal_id}`);
+    } catch (e) {}
+
+    await notifyParties(deal, `📋 ${deal.deal_id}: Now being reviewed by Admin Team.`);
+  });
+
+  bot.command('unassign', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const match = ctx.message.text.match(/^\/unassign\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('Usage: /unassign DP-XXXX');
+
+    const result = await deals.unassignDispute(match[1], adminOf(ctx));
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ ${result.deal.deal_id} unassigned.`);
+  });
+
+  bot.command('msg', async (ctx) => {
+    const { isAdmin, role } = await isAnyAdmin(ctx);
+    if (!isAdmin) return ctx.reply('Admin only.');
+
+    const match = ctx.message.text.match(/^\/msg\s+(DP-\w+)\s+(seller|buyer)\s+(.+)$/i);
+    if (!match) return ctx.reply('Usage: /msg DP-XXXX seller|buyer message');
+
+    const { deal } = await deals.getDeal(match[1]);
+    if (!deal) return ctx.reply('Deal not found.');
+    if (role === 'moderator' && deal.assigned_to_telegram_id !== ctx.from.id) {
+      return ctx.reply('Only assigned disputes.');
+    }
+
+    const target = match[2].toLowerCase();
+    const targetId = target === 'seller' ? deal.seller_telegram_id : await deals.getBuyerTelegramId(deal);
+    if (!targetId) return ctx.reply(`Cannot find ${target}.`);
+
+    try {
+      await ctx.api.sendMessage(targetId, `📨 Admin Team (${deal.deal_id}):\n\n${match[3]}`);
+      await deals.logAdminAction('msg', deal.deal_id, ctx.from.id, ctx.from.username, target, match[3]);
+      await ctx.reply(`✅ Sent to ${target}.`);
+    } catch (e) {
+      await ctx.reply('Something went wrong. Please try again shortly.');
+    }
+  });
+
+  bot.command('broadcast', async (ctx) => {
+    const { isAdmin } = await isAnyAdmin(ctx);
+    if (!isAdmin) return ctx.reply('Admin only.');
+
+    const match = ctx.message.text.match(/^\/broadcast\s+(DP-\w+)\s+(.+)$/i);
+    if (!match) return ctx.reply('Usage: /broadcast DP-XXXX message');
+
+    const { deal } = await deals.getDeal(match[1]);
+    if (!deal) return ctx.reply('Deal not found.');
+
+    await notifyParties(deal, `📢 Admin (${deal.deal_id}):\n\n${match[2]}`);
+    await deals.logAdminAction('broadcast', deal.deal_id, ctx.from.id, ctx.from.username, 'both', match[2]);
+    await ctx.reply('✅ Sent to both parties.');
+  });
+
+  bot.command('logs', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const match = ctx.message.text.match(/^\/logs(?:@\w+)?(?:\s+(DP-\w+))?$/i);
+    const dealId = match?.[1];
+
+    const { logs, error } = await deals.getAdminLogs({ dealId });
+    if (error) return ctx.reply(error);
+    if (!logs.length) return ctx.reply('No logs found.');
+
+    let msg = `📋 Logs${dealId ? ` for ${dealId.toUpperCase()}` : ''}:\n\n`;
+    for (const l of logs) {
+      const date = new Date(l.created_at).toLocaleString();
+      msg += `${date} @${l.admin_username}: ${l.action}`;
+      if (l.deal_id) msg += ` (${l.deal_id})`;
+      if (l.target_user) msg += ` → ${l.target_user}`;
+      msg += '\n';
+    }
+    await ctx.reply(msg);
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,115 @@
+// /amend DP-XXXX [amount] [description] [--delivery 5d --review 48h]: propose new terms before
+// funding; the other party gets Accept / Counter / Reject. /terms DP-XXXX lists every version.
+// A counter-offer is typed as plain text after tapping Counter (the 'counter' flow) and changes
+// the proposal it answers.
+
+const { InlineKeyboard } = require('grammy');
+const { formatHours, parseAmendment, termsOf } = require('../deals');
+const { startFlow, getFlow, endFlow } = require('../sessions');
+
+const COUNTER_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+
+const VERSION_EMOJI = { accepted: '✅', proposed: '⏳', rejected: '❌', superseded: '↪️' };
+
+function register(bot, { deals }) {
+  function termsLine(terms, deal) {
+    return `${deals.formatAmount(terms.amount, deal)} · ${terms.description} · delivery ${formatHours(terms.delivery_hours)}, review ${formatHours(terms.review_hours)}`;
+  }
+
+  // What the proposal changes, one line per field
+  function termsDiff(before, after, deal) {
+    const lines = [];
+    if (after.amount !== before.amount) lines.push(`💵 ${deals.formatAmount(before.amount, deal)} → *${deals.formatAmount(after.amount, deal)}*`);
+    if (after.description !== before.description) lines.push(`📝 ${before.description} → *${after.description}*`);
+    if (after.delivery_hours !== before.delivery_hours) lines.push(`⏱️ Delivery ${formatHours(before.delivery_hours)} → *${formatHours(after.delivery_hours)}*`);
+    if (after.review_hours !== before.review_hours) lines.push(`⏱️ Review ${formatHours(before.review_hours)} → *${formatHours(after.review_hours)}*`);
+    return lines.join('\n');
+  }
+
+  function answerKeyboard(dealId, version) {
+    return new InlineKeyboard()
+      .text('✅ Accept', `am_ok_${dealId}_${version}`)
+      .text('✏️ Counter', `am_ct_${dealId}_${version}`)
+      .text('❌ Reject', `am_no_${dealId}_${version}`);
+  }
+
+  // /amend and counter-offers
+  async function propose(ctx, dealId, text, counters = null) {
+    const parsed = parseAmendment(text);
+    if (parsed.error) return ctx.reply(parsed.error);
+
+    const result = await deals.proposeTerms(dealId, ctx.from, parsed.changes, { counters });
+    if (result.error) return ctx.reply(`⚠️ ${result.error}`);
+
+    const { deal, proposal, previous, counterpartyId, applied } = result;
+    const after = termsOf(proposal);
+    const diff = termsDiff(previous, after, deal);
+    if (applied) return ctx.reply(`✅ *${deal.deal_id}* updated to v${proposal.version}\n\n${diff}`, { parse_mode: 'Markdown' });
+
+    const who = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
+    let delivered = false;
+    if (counterpartyId) {
+      try {
+        await ctx.api.sendMessage(counterpartyId, `📝 *${who} proposes new terms for ${deal.deal_id}* (v${proposal.version})\n\n${diff}`, { reply_markup: answerKeyboard(deal.deal_id, proposal.version), parse_mode: 'Markdown' });
+        delivered = true;
+      } catch (e) {}
+    }
+    await ctx.reply(`📝 Proposed v${proposal.version} for *${deal.deal_id}*\n\n${diff}\n\n${delivered ? 'Waiting for the other party to answer.' : `The other party sees it with /terms ${deal.deal_id}.`}`, { parse_mode: 'Markdown' });
+  }
+
+  bot.command('amend', async (ctx) => {
+    const match = ctx.message.text.match(/^\/amend\s+(DP-\w+)\s+(.+)$/i);
+    if (!match) return ctx.reply('Usage: /amend DP-XXXX [amount] [description] [--delivery 5d --review 48h]\nExample: /amend DP-XXXX 45 Logo and favicon --delivery 10d');
+    await propose(ctx, match[1], match[2]);
+  });
+
+  bot.command('terms', async (ctx) => {
+    const match = ctx.message.text.match(/^\/terms\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('Usage: /terms DP-XXXX');
+
+    const { deal } = await deals.getDeal(match[1]);
+    if (!deal) return ctx.reply('Deal not found.');
+    const history = await deals.getTerms(deal.deal_id);
+    const versions = history.length ? history : [{ version: 1, status: 'accepted', ...termsOf(deal) }];
+    const lines = versions.map(t => `${VERSION_EMOJI[t.status] || '❓'} v${t.version}${t.version === (Number(deal.terms_version) || 1) ? ' (current)' : ''}: ${termsLine(termsOf(t), deal)}`);
+
+    const open = versions.find(t => t.status === 'proposed');
+    const kb = open && Number(open.proposed_by) !== ctx.from.id ? answerKeyboard(deal.deal_id, open.version) : undefined;
+    await ctx.reply(`📜 *Terms of ${deal.deal_id}*\n\n${lines.join('\n')}`, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery(/^am_(ok|no)_(.+)_(\d+)$/, async (ctx) => {
+    const accept = ctx.match[1] === 'ok';
+    const result = await deals.answerTerms(ctx.match[2], Number(ctx.match[3]), ctx.from, accept);
+    if (result.error) return ctx.answerCallbackQuery({ text: result.error, show_alert: true });
+    await ctx.answerCallbackQuery();
+    try { await ctx.editMessageReplyMarkup({ reply_markup: undefined }); } catch (e) {}
+
+    const { deal, proposal, proposerId } = result;
+    const text = accept
+      ? `✅ v${proposal.version} of ${deal.deal_id} accepted. The deal is now: ${termsLine(termsOf(deal), deal)}`
+      : `❌ v${proposal.version} of ${deal.deal_id} rejected. The terms stay: ${termsLine(termsOf(deal), deal)}`;
+    await ctx.reply(text);
+    try { await ctx.api.sendMessage(proposerId, text); } catch (e) {}
+  });
+
+  bot.callbackQuery(/^am_ct_(.+)_(\d+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const { deal } = await deals.getDeal(ctx.match[1]);
+    if (!deal) return ctx.reply('Deal not found.');
+    await startFlow(ctx, 'counter', { dealId: deal.deal_id, version: Number(ctx.match[2]) }, COUNTER_TIMEOUT);
+    await ctx.reply(`✏️ Send your counter-offer for ${deal.deal_id}, e.g.\n\`45 Logo and favicon --delivery 10d\`\n\n(amount, description and deadlines are each optional)`, { parse_mode: 'Markdown' });
+  });
+
+  // The counter-offer text; anything else goes on to the other text flows in index.js
+  bot.on('message:text', async (ctx, next) => {
+    if (ctx.message.text.startsWith('/')) return next();
+    const flow = await getFlow(ctx, 'counter');
+    if (!flow) return next();
+    const text = ctx.message.text;
+    if (!parseAmendment(text).error) await endFlow(ctx, 'counter'); // a typo leaves it open for another try
+    await propose(ctx, flow.dealId, text, flow.version);
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,83 @@
+// /cancel DP-XXXX, the Cancel button, and mutual cancellation of funded deals (PRD Story 7:
+// both parties confirm, the buyer is refunded in full, no fee)
+
+const { InlineKeyboard } = require('grammy');
+const { activeCancelRequest, buyerLabel } = require('../deals');
+
+// Status line for an open request, shown by /status
+function cancelRequestNote(deal) {
+  const request = activeCancelRequest(deal);
+  if (!request) return '';
+  const by = request.by === Number(deal.seller_telegram_id) ? 'seller' : 'buyer';
+  const h = Math.max(0, Math.floor((request.expiresAt - Date.now()) / 3600000));
+  return `\n🤝 Cancel requested by ${by} (expires in ${h}h)`;
+}
+
+// Scheduled: close requests nobody answered and tell both parties
+async function expireCancelRequests({ deals, notifyParties, logger = console }) {
+  try {
+    for (const deal of await deals.expireCancelRequests()) {
+      await notifyParties(deal, `⏱️ Cancel request for ${deal.deal_id} expired. The deal stays funded.`);
+    }
+  } catch (e) {
+    logger.error('Cancel expiry:', e.message);
+  }
+}
+
+function register(bot, { deals, notifyMutualCancel }) {
+  // Replies for every outcome of deals.cancel and deals.acceptCancel
+  async function replyCancel(ctx, result, doneKb = undefined) {
+    if (result.error) return ctx.reply(result.error);
+    const { deal } = result;
+
+    if (result.cancelled) return ctx.reply(`❌ ${deal.deal_id} cancelled.`, { reply_markup: doneKb });
+    if (result.executed) {
+      if (result.notify) await notifyMutualCancel(deal);
+      return;
+    }
+    if (result.waiting) {
+      const h = Math.max(0, Math.floor((result.waiting.expiresAt - Date.now()) / 3600000));
+      return ctx.reply(`⏳ You already asked to cancel ${deal.deal_id}. Waiting for the other party (expires in ${h}h).`);
+    }
+
+    const requester = result.isSeller ? `Seller @${deal.seller_username}` : `Buyer ${buyerLabel(deal)}`;
+    const kb = new InlineKeyboard().text('✅ Accept', `cxl_accept_${deal.deal_id}`).text('❌ Decline', `cxl_decline_${deal.deal_id}`);
+    let notified = false;
+    if (result.counterpartyId) {
+      try {
+        await ctx.api.sendMessage(result.counterpartyId, `🤝 *Cancel Request*\n\n${requester} wants to cancel *${deal.deal_id}*.\n\nIf you accept, ${deals.formatAmount(await deals.cancelRefund(deal), deal)} is refunded to the buyer with no fee.\n\nExpires in 24h.`, { reply_markup: kb, parse_mode: 'Markdown' });
+        notified = true;
+      } catch (e) {}
+    }
+    await ctx.reply(`🤝 Cancel requested for ${deal.deal_id}.\n\nWaiting for the other party to confirm (expires in 24h).${notified ? '' : `\n\nThey couldn't be notified — ask them to type /cancel ${deal.deal_id}`}`);
+  }
+
+  bot.command('cancel', async (ctx) => {
+    const match = ctx.message.text.match(/^\/cancel\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('Usage: /cancel DP-XXXX');
+    await replyCancel(ctx, await deals.cancel(match[1], ctx.from, { progress: (text) => ctx.reply(text) }));
+  });
+
+  bot.callbackQuery(/^cancel_(DP-\w+)$/i, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const result = await deals.cancel(ctx.match[1], ctx.from, { progress: (text) => ctx.reply(text) });
+    await replyCancel(ctx, result, new InlineKeyboard().text('Main Menu', 'main_menu'));
+  });
+
+  bot.callbackQuery(/^cxl_accept_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await replyCancel(ctx, await deals.acceptCancel(ctx.match[1], ctx.from, { progress: (text) => ctx.reply(text) }));
+  });
+
+  bot.callbackQuery(/^cxl_decline_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const result = await deals.declineCancel(ctx.match[1], ctx.from);
+    if (result.error) return ctx.reply(result.error);
+
+    const { deal, requesterId } = result;
+    await ctx.reply(`Cancel request declined. ${deal.deal_id} stays funded.`);
+    try { await ctx.api.sendMessage(requesterId, `❌ Your cancel request for ${deal.deal_id} was declined. The deal stays funded.`); } catch (e) {}
+  });
+}
+
+module.exports = { register, cancelRequestNote, expireCancelRequests };
@@ -0,0 +1,125 @@
+// Delivery deadlines and timeout claims: /delivered, /claim, their buttons, the countdowns on
+// /status and the scheduled reminders. The windows themselves are unitDeadline in deals.js.
+// Claims are blocked while the deal is disputed.
+
+const { InlineKeyboard } = require('grammy');
+const { unitDeadline, formatHours, DEFAULT_REVIEW_HOURS } = require('../deals');
+
+function formatTimeLeft(ms) {
+  const h = Math.floor(ms / 3600000);
+  if (h >= 48) return `${Math.floor(h / 24)}d ${h % 24}h`;
+  return `${h}h ${Math.floor((ms % 3600000) / 60000)}m`;
+}
+
+function stageSuffix(unit) {
+  return unit.stage ? `_${unit.stage}` : '';
+}
+
+// Countdown lines for /status, plus deliver/claim buttons for the party who can act
+async function deadlineView(deals, deal, kb, isSeller, isBuyer) {
+  if (deal.status !== 'funded') return '';
+  let text = '';
+  for (const unit of await deals.fundedUnits(deal)) {
+    const dl = unitDeadline(deal, unit);
+    if (!dl) continue;
+    const prefix = unit.stage ? `Stage ${unit.stage}: ` : '';
+    const ref = `${deal.deal_id}${stageSuffix(unit)}`;
+
+    if (dl.kind === 'delivery' && !dl.expired) {
+      text += `\n📦 ${prefix}Delivery due in *${formatTimeLeft(dl.at - Date.now())}*`;
+      if (isSeller) kb.row().text(`📦 Mark ${unit.stage ? `stage ${unit.stage} ` : ''}delivered`, `delivered_${ref}`);
+    } else if (dl.kind === 'delivery') {
+      text += `\n📦 ${prefix}Delivery deadline passed — buyer can claim a refund`;
+      if (isBuyer) kb.row().text(`↩️ Claim refund${unit.stage ? ` (stage ${unit.stage})` : ''}`, `claimref_${ref}`);
+    } else if (!dl.expired) {
+      text += `\n🔍 ${prefix}Delivered — buyer review ends in *${formatTimeLeft(dl.at - Date.now())}*`;
+    } else {
+      text += `\n🔍 ${prefix}Review window over — seller can claim payment`;
+      if (isSeller) kb.row().text(`💰 Claim payment${unit.stage ? ` (stage ${unit.stage})` : ''}`, `claimrel_${ref}`);
+    }
+  }
+  return text ? `\n${text}` : '';
+}
+
+// Tells the buyer a delivery was recorded (by /delivered or the MilestoneDelivered event)
+async function notifyDelivery(api, deals, deal, stage) {
+  const buyerId = await deals.getBuyerTelegramId(deal);
+  if (!buyerId) return;
+  const what = stage ? `stage ${stage} of ${deal.deal_id}` : deal.deal_id;
+  const review = formatHours(deal.review_hours || DEFAULT_REVIEW_HOURS);
+  const kb = new InlineKeyboard().text('✅ Release', `release_${deal.deal_id}${stage ? `_${stage}` : ''}`).text('⚠️ Dispute', `dispute_${deal.deal_id}`);
+  try { await api.sendMessage(buyerId, `📦 *Delivered*\n\n@${deal.seller_username} marked ${what} as delivered.\n\nYou have *${review}* to release or dispute. After that the seller can claim the payment.`, { reply_markup: kb, parse_mode: 'Markdown' }); } catch (e) {}
+}
+
+// Scheduled: claim buttons once per expired window
+async function checkDeadlines(api, { deals, logger = console }) {
+  try {
+    for (const { deal, unit, kind } of await deals.expiredWindows()) {
+      const what = unit.stage ? `${deal.deal_id} stage ${unit.stage}` : deal.deal_id;
+      const ref = `${deal.deal_id}${stageSuffix(unit)}`;
+      const amount = deals.formatAmount(unit.amount, deal);
+      const buyerId = await deals.getBuyerTelegramId(deal);
+
+      if (kind === 'delivery') {
+        const kb = new InlineKeyboard().text('↩️ Claim Refund', `claimref_${ref}`).text('⚠️ Dispute', `dispute_${deal.deal_id}`);
+        if (buyerId) try { await api.sendMessage(buyerId, `⏰ ${what} — delivery deadline passed.\n\nNothing was marked delivered. You can claim a refund of ${amount}.`, { reply_markup: kb }); } catch (e) {}
+        if (deal.seller_telegram_id) try { await api.sendMessage(deal.seller_telegram_id, `⏰ ${what} — delivery deadline passed.\n\nThe buyer can now claim a refund; delivery can no longer be marked. If you did deliver, settle it with the buyer or /dispute ${deal.deal_id}`); } catch (e) {}
+      } else {
+        const kb = new InlineKeyboard().text('💰 Claim Payment', `claimrel_${ref}`);
+        if (deal.seller_telegram_id) try { await api.sendMessage(deal.seller_telegram_id, `⏰ ${what} — buyer review window ended.\n\nYou can claim the payment of ${amount}.`, { reply_markup: kb }); } catch (e) {}
+        if (buyerId) try { await api.sendMessage(buyerId, `⏰ ${what} — review window ended.\n\nThe seller can now claim the payment. Release or /dispute ${deal.deal_id} now if needed.`); } catch (e) {}
+      }
+    }
+  } catch (e) {
+    logger.error('Deadlines:', e.message);
+  }
+}
+
+function register(bot, { deals }) {
+  async function markDelivered(ctx, dealId, stage) {
+    const result = await deals.markDelivered(dealId, ctx.from, stage, { progress: (text) => ctx.reply(text) });
+    if (result.error) return ctx.reply(result.error);
+
+    const { deal } = result;
+    if (result.recorded) await notifyDelivery(ctx.api, deals, deal, result.stage);
+    await ctx.reply(`📦 ${deal.deal_id}${result.stage ? ` stage ${result.stage}` : ''} marked delivered.\n\nThe buyer has ${formatHours(deal.review_hours || DEFAULT_REVIEW_HOURS)} to release or dispute. If they don't, you can claim the payment.`);
+  }
+
+  // kind: null lets the caller's side of the deal decide (seller: payment, buyer: refund)
+  async function claim(ctx, dealId, stage, kind) {
+    const result = await deals.claim(dealId, ctx.from, { stage, kind }, { progress: (text) => ctx.reply(text) });
+    if (result.error) return ctx.reply(result.error);
+
+    const { deal, unit } = result;
+    await ctx.reply(`✅ Claim confirmed. ${deals.formatAmount(unit.amount, deal)} ${result.kind === 'refund' ? 'is on its way back to you' : 'is on its way to you (minus fee)'}. The deal updates in a moment.`);
+  }
+
+  bot.command('delivered', async (ctx) => {
+    const match = ctx.message.text.match(/^\/delivered\s+(DP-\w+)(?:\s+(\d+))?$/i);
+    if (!match) return ctx.reply('Usage: /delivered DP-XXXX [stage]');
+    await markDelivered(ctx, match[1], match[2]);
+  });
+
+  bot.command('claim', async (ctx) => {
+    const match = ctx.message.text.match(/^\/claim\s+(DP-\w+)(?:\s+(\d+))?$/i);
+    if (!match) return ctx.reply('Usage: /claim DP-XXXX [stage]');
+    await claim(ctx, match[1], match[2], null);
+  });
+
+  bot.callbackQuery(/^delivered_([A-Za-z0-9-]+)(?:_(\d+))?$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await markDelivered(ctx, ctx.match[1], ctx.match[2]);
+  });
+
+  bot.callbackQuery(/^claimrel_([A-Za-z0-9-]+)(?:_(\d+))?$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await claim(ctx, ctx.match[1], ctx.match[2], 'release');
+  });
+
+  bot.callbackQuery(/^claimref_([A-Za-z0-9-]+)(?:_(\d+))?$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await claim(ctx, ctx.match[1], ctx.match[2], 'refund');
+  });
+}
+
+module.exports = { register, deadlineView, notifyDelivery, checkDeadlines };
@@ -0,0 +1,56 @@
+// /deals and the My Deals button: the caller's latest deals, with buttons for the open ones
+
+const { InlineKeyboard } = require('grammy');
+const { milestoneProgress, STATUS_EMOJI } = require('../deals');
+
+// Status buttons for at most this many open deals
+const MAX_DEAL_BUTTONS = 5;
+
+function dealListView(deals, list, userId) {
+  let text = '📋 *Your Deals:*\n\n';
+  const kb = new InlineKeyboard();
+  let buttons = 0;
+
+  for (const d of list) {
+    const emoji = STATUS_EMOJI[d.status] || '❓';
+    const role = d.seller_telegram_id === userId ? '💰 Seller' : '🛒 Buyer';
+    const stages = d.milestones ? ` • ${milestoneProgress(d.milestones)}` : '';
+    text += `${emoji} \`${d.deal_id}\` • *${deals.formatAmount(d.amount, d)}* • ${role}${stages}\n`;
+
+    if (buttons < MAX_DEAL_BUTTONS && ['pending_deposit', 'funded', 'disputed'].includes(d.status)) {
+      kb.text(`${emoji} ${d.deal_id}`, `status_${d.deal_id}`).row();
+      buttons++;
+    }
+  }
+  return { text, kb };
+}
+
+function register(bot, { deals }) {
+  bot.command('deals', async (ctx) => {
+    const { deals: list, error } = await deals.getUserDealsWithStages(ctx.from);
+    if (error) return ctx.reply('❌ Something went wrong. Please try again shortly.');
+    if (!list.length) {
+      const kb = new InlineKeyboard().text('💰 Create a Deal', 'guide_sell');
+      return ctx.reply('📭 You have no deals yet.\n\nTap below to get started!', { reply_markup: kb });
+    }
+
+    const { text, kb } = dealListView(deals, list, ctx.from.id);
+    await ctx.reply(text, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery('guide_deals', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const { deals: list, error } = await deals.getUserDealsWithStages(ctx.from);
+    if (error) return ctx.reply('❌ Something went wrong. Please try again shortly.');
+    if (!list.length) {
+      const kb = new InlineKeyboard().text('Sell', 'guide_sell').text('Buy', 'guide_buy').row().text('Main Menu', 'main_menu');
+      return ctx.reply('No deals yet.\n\nTap below to get started.', { reply_markup: kb });
+    }
+
+    const { text, kb } = dealListView(deals, list, ctx.from.id);
+    kb.text('Main Menu', 'main_menu');
+    await ctx.reply(text, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+}
+
+module.exports = { register };
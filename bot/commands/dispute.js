@@ -0,0 +1,38 @@
+// /dispute DP-XXXX [stage] reason and the Open Dispute button
+
+const { buyerLabel } = require('../deals');
+
+function register(bot, { deals, botmasterIds }) {
+  // Opens the dispute (on-chain first) and tells the other party and the botmasters
+  bot.command('dispute', async (ctx) => {
+    const match = ctx.message.text.match(/^\/dispute\s+(DP-\w+)(?:\s+(.+))?$/i);
+    if (!match) return ctx.reply('Usage: /dispute DP-XXXX [stage] reason');
+
+    const result = await deals.dispute(match[1], ctx.from, match[2], { progress: (text) => ctx.reply(text) });
+    if (result.error) return ctx.reply(result.error);
+
+    const { deal, reason, disputedBy, otherPartyId } = result;
+    await ctx.reply(`⚠️ DISPUTE OPENED\n\nDeal: ${deal.deal_id}\nReason: ${reason}\n\nAdmin Team will review.\n\nSubmit evidence: /evidence ${deal.deal_id} [msg]`);
+
+    if (otherPartyId) {
+      try {
+        await ctx.api.sendMessage(otherPartyId, `⚠️ DISPUTE on ${deal.deal_id}\n\nReason: ${reason}\n\nSubmit evidence: /evidence ${deal.deal_id} [msg]`);
+      } catch (e) {}
+    }
+
+    // Notify botmasters by ID (no DB lookup needed)
+    for (const adminId of botmasterIds) {
+      try {
+        await ctx.api.sendMessage(adminId, `🔔 DISPUTE: ${deal.deal_id}\n\n${deals.formatAmount(deal.amount, deal)}\n@${deal.seller_username} vs ${buyerLabel(deal)}\nBy: @${disputedBy}\nReason: ${reason}\n\n/disputes to view all`);
+      } catch (e) {}
+    }
+  });
+
+  bot.callbackQuery(/^dispute_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const dealId = ctx.match[1];
+    await ctx.reply(`⚠️ *Open Dispute for ${dealId}*\n\nTo open a dispute, type:\n\`/dispute ${dealId} your reason here\`\n\nExample:\n\`/dispute ${dealId} Seller not responding\``, { parse_mode: 'Markdown' });
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,58 @@
+// Disputed deals: /evidence, photo evidence (caption DP-XXXX description), /viewevidence and
+// /canceldispute
+
+function register(bot, { deals, isAnyAdmin }) {
+  bot.command('evidence', async (ctx) => {
+    const match = ctx.message.text.match(/^\/evidence\s+(DP-\w+)(?:\s+(.+))?$/i);
+    if (!match) return ctx.reply('Usage: /evidence DP-XXXX your message');
+
+    const { isAdmin } = await isAnyAdmin(ctx);
+    const result = await deals.addEvidence(match[1], ctx.from, { content: match[2] }, isAdmin);
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ Evidence submitted for ${result.deal.deal_id}`);
+  });
+
+  bot.on('message:photo', async (ctx) => {
+    const match = (ctx.message.caption || '').match(/^(DP-\w+)(?:\s+(.*))?$/i);
+    if (!match) return ctx.reply(`📸 Photo evidence: Send with caption DP-XXXX description`);
+
+    const photo = ctx.message.photo[ctx.message.photo.length - 1];
+    const { isAdmin } = await isAnyAdmin(ctx);
+    const result = await deals.addEvidence(match[1], ctx.from, { content: match[2]?.trim() || 'Photo', fileId: photo.file_id }, isAdmin);
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ Photo evidence submitted for ${result.deal.deal_id}`);
+  });
+
+  bot.command('viewevidence', async (ctx) => {
+    const match = ctx.message.text.match(/^\/viewevidence\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('Usage: /viewevidence DP-XXXX');
+
+    const result = await deals.getEvidence(match[1], ctx.from, await isAnyAdmin(ctx));
+    if (result.error) return ctx.reply(result.error);
+    const { deal, evidence } = result;
+    if (!evidence.length) return ctx.reply(`No evidence for ${deal.deal_id}`);
+
+    let msg = `📋 Evidence: ${deal.deal_id}\nReason: ${deal.dispute_reason || 'N/A'}\n\n`;
+    for (const e of evidence) {
+      msg += `${e.file_type === 'photo' ? '📸' : '📝'} [${e.role}] @${e.submitted_by}: "${e.content}"\n\n`;
+    }
+    await ctx.reply(msg);
+
+    for (const e of evidence) {
+      if (e.file_id) {
+        try { await ctx.api.sendPhoto(ctx.chat.id, e.file_id, { caption: `[${e.role}] @${e.submitted_by}` }); } catch (err) {}
+      }
+    }
+  });
+
+  bot.command('canceldispute', async (ctx) => {
+    const match = ctx.message.text.match(/^\/canceldispute\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('Usage: /canceldispute DP-XXXX');
+
+    const { isAdmin } = await isAnyAdmin(ctx);
+    const result = await deals.cancelDispute(match[1], ctx.from, isAdmin);
+    await ctx.reply(result.error);
+  });
+}
+
+module.exports = { register };
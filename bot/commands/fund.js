@@ -0,0 +1,27 @@
+// /fund DP-XXXX and the Fund button
+
+const { InlineKeyboard } = require('grammy');
+
+function register(bot, { deals }) {
+  async function fund(ctx, dealId) {
+    const result = await deals.fund(dealId, ctx.from, { progress: (text) => ctx.reply(text) });
+    if (result.error) return ctx.reply(`⚠️ ${result.error}`);
+
+    const { deposit, url, created } = result;
+    const kb = new InlineKeyboard().url('💳 Deposit Now', url);
+    await ctx.reply(`${created ? '✅' : '💰'} *Ready to deposit!*\n\nAmount: *${deposit.text}*\n\n👇 Tap below to pay securely:`, { reply_markup: kb, parse_mode: 'Markdown' });
+  }
+
+  bot.command('fund', async (ctx) => {
+    const match = ctx.message.text.match(/^\/fund\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('Usage: /fund DP-XXXX');
+    await fund(ctx, match[1]);
+  });
+
+  bot.callbackQuery(/^fund_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await fund(ctx, ctx.match[1]);
+  });
+}
+
+module.exports = { register };
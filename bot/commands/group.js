@@ -0,0 +1,96 @@
+// Group chats: /groupsettings, and the gate that keeps everything but /new and /status in
+// private chat. Registered first so the gate sees group updates before any other handler.
+
+const { InlineKeyboard } = require('grammy');
+const { isGroupChat } = require('../groups');
+
+// Commands that work in a group; the rest answer with a link to private chat
+const GROUP_COMMANDS = ['new', 'status', 'rep', 'groupsettings'];
+
+const SETTING_LABELS = {
+  enabled: 'Deals in this group',
+  pin_cards: 'Pin status cards'
+};
+
+// "/new@DealPactBot 50 logo" → { name: 'new', target: 'dealpactbot' }
+function commandOf(message) {
+  const entity = message?.entities?.[0];
+  if (!entity || entity.type !== 'bot_command' || entity.offset !== 0) return null;
+  const [name, target] = message.text.slice(1, entity.length).toLowerCase().split('@');
+  return { name, target: target || null };
+}
+
+function settingsView(settings) {
+  const kb = InlineKeyboard.from(Object.entries(SETTING_LABELS).map(([key, label]) => [
+    InlineKeyboard.text(`${settings[key] ? '✅' : '❌'} ${label}`, `gs_${key}`)
+  ]));
+  return { text: '⚙️ *DealPact in this group*\n\nGroup admins can change these.', kb };
+}
+
+function register(bot, { groups }) {
+  // Group admins, including anonymous ones posting as the group
+  async function isGroupAdmin(ctx) {
+    if (ctx.message?.sender_chat?.id === ctx.chat.id) return true;
+    try {
+      const member = await ctx.getChatMember(ctx.from.id);
+      return member.status === 'creator' || member.status === 'administrator';
+    } catch (e) {
+      return false;
+    }
+  }
+
+  bot.on('my_chat_member', async (ctx) => {
+    if (!isGroupChat(ctx.chat)) return;
+    const { old_chat_member: before, new_chat_member: after } = ctx.myChatMember;
+    const joined = ['left', 'kicked'].includes(before.status) && ['member', 'administrator'].includes(after.status);
+    if (!joined) return;
+    try {
+      await ctx.reply(`👋 *DealPact escrow is here*\n\nReply to someone's message with \`/new 50 logo design\` to offer them a deal. I'll post a status card and keep it updated; funding, releasing and disputes happen in private chat.\n\nGroup admins: /groupsettings (make me an admin with "Pin messages" to pin cards)`, { parse_mode: 'Markdown' });
+    } catch (e) {}
+  });
+
+  bot.command('groupsettings', async (ctx) => {
+    if (!isGroupChat(ctx.chat)) return ctx.reply('Use /groupsettings in the group you want to set up.');
+    if (!(await isGroupAdmin(ctx))) return ctx.reply('Only group admins can change DealPact settings.');
+    const { text, kb } = settingsView(await groups.getSettings(ctx.chat.id));
+    await ctx.reply(text, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery(/^gs_(enabled|pin_cards)$/, async (ctx) => {
+    if (!isGroupChat(ctx.chat)) return ctx.answerCallbackQuery();
+    if (!(await isGroupAdmin(ctx))) return ctx.answerCallbackQuery({ text: 'Only group admins can change this.', show_alert: true });
+
+    const key = ctx.match[1];
+    const current = await groups.getSettings(ctx.chat.id);
+    const updated = await groups.updateSettings(ctx.chat.id, { [key]: !current[key] }, ctx.from.id);
+    if (updated.error) return ctx.answerCallbackQuery({ text: 'Something went wrong. Please try again shortly.', show_alert: true });
+
+    await ctx.answerCallbackQuery({ text: `${SETTING_LABELS[key]}: ${updated[key] ? 'on' : 'off'}` });
+    const { text, kb } = settingsView(updated);
+    try { await ctx.editMessageText(text, { reply_markup: kb, parse_mode: 'Markdown' }); } catch (e) {}
+  });
+
+  // The gate. Group chatter never reaches the handlers after this one: the private flows
+  // (wallet entry, review comments) are keyed by user and would swallow it.
+  bot.use(async (ctx, next) => {
+    if (!isGroupChat(ctx.chat)) return next();
+    if (ctx.callbackQuery) return ctx.answerCallbackQuery({ text: 'Continue in a private chat with me.', show_alert: true });
+
+    const command = commandOf(ctx.message);
+    if (!command) return;
+    if (command.target && command.target !== ctx.me.username.toLowerCase()) return; // for another bot
+
+    const settings = await groups.getSettings(ctx.chat.id);
+    if (!settings.enabled) {
+      if (GROUP_COMMANDS.includes(command.name)) return ctx.reply('DealPact is turned off in this group. Group admins: /groupsettings');
+      return;
+    }
+    if (GROUP_COMMANDS.includes(command.name)) return next();
+
+    const dealId = ctx.message.text.match(/DP-\w+/i)?.[0].toUpperCase();
+    const kb = new InlineKeyboard().url('🔒 Continue privately', groups.privateLink(dealId));
+    await ctx.reply(`/${command.name} works in a private chat with me, so wallets, links and evidence stay between us.`, { reply_markup: kb });
+  });
+}
+
+module.exports = { register };
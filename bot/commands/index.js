@@ -0,0 +1,41 @@
+// DealPact deal commands
+// Thin grammY adapters over the deal service (bot/deals.js): parse the message, call the
+// service, reply and notify. Each module exports register(bot, deps).
+//
+// deps:
+//   deals          service from createDealService
+//   groups         group status cards and settings, from createGroupService
+//   tokens         token registry (for /new usage text)
+//   botmasterIds   Telegram IDs told about new disputes; they also run the admin commands
+//   isAnyAdmin     (ctx) => { isAdmin, role }
+//   reviewTimeout  how long a review comment flow stays open (ms)
+//   notifyParties(deal, text), notifyMutualCancel(deal)
+//                  messages to both parties, shared with the chain event handler
+
+// group first: its gate keeps group chats to the commands that work there
+const modules = [
+  require('./group'),
+  require('./new'),
+  require('./offer'),
+  require('./request'),
+  require('./amend'),
+  require('./status'),
+  require('./deals'),
+  require('./fund'),
+  require('./release'),
+  require('./dispute'),
+  require('./resolve'),
+  require('./cancel'),
+  require('./evidence'),
+  require('./deadlines'),
+  require('./review'),
+  require('./rep'),
+  require('./admin'),
+  require('./reconcile')
+];
+
+function registerDealCommands(bot, deps) {
+  for (const m of modules) m.register(bot, deps);
+}
+
+module.exports = { registerDealCommands };
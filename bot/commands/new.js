@@ -0,0 +1,80 @@
+// /new @buyer amount [token] description [--delivery 5d --review 48h --milestones ...]
+// In a group the buyer can also be the author of the message /new replies to: /new 50 logo.
+// With no buyer at all, /new 50 logo is an open offer: the first account to accept it is the buyer.
+
+const { InlineKeyboard } = require('grammy');
+const { formatHours, parseDealTerms, offerText } = require('../deals');
+const { isGroupChat } = require('../groups');
+
+const userName = (user) => [user.first_name, user.last_name].filter(Boolean).join(' ');
+
+function register(bot, { deals, tokens, groups }) {
+  function usage(inGroup) {
+    return `Format: /new @buyer amount [token] description${inGroup ? '\nor reply to the buyer\'s message: /new amount [token] description' : ''}\nOpen offer, anyone can accept: /new amount [token] description\nTokens: ${tokens.list().map(t => t.symbol).join(', ')} (default ${tokens.defaultSymbol})\nOptions: --delivery 5d --review 48h --milestones 100:design,100:build,100:launch`;
+  }
+
+  bot.command('new', async (ctx) => {
+    const text = ctx.message.text;
+
+    const inGroup = isGroupChat(ctx.chat);
+
+    // Buyers without a username are picked as a mention (text_mention carries their user ID)
+    const mention = (ctx.message.entities || []).find(e => e.type === 'text_mention' && /^\/new(?:@\w+)?\s+$/i.test(text.slice(0, e.offset)));
+    // Replies in a group; a forum topic's opening message is not a real reply
+    const replied = ctx.message.reply_to_message;
+    const replyTo = inGroup && replied && !replied.forum_topic_created && replied.from?.id !== ctx.from.id ? replied.from : null;
+    const match = mention
+      ? text.slice(mention.offset + mention.length).match(/^\s+(\d+(?:\.\d+)?\s+.+)$/i)
+      : text.match(/^\/new(?:@\w+)?\s+@(\w+)\s+(\d+(?:\.\d+)?\s+.+)$/i)
+        || text.match(/^\/new(?:@\w+)?\s+(\d+(?:\.\d+)?\s+.+)$/i);
+
+    if (!match) return ctx.reply(usage(inGroup));
+
+    const terms = parseDealTerms(match.at(-1), tokens);
+    if (terms.error) return ctx.reply(terms.error);
+    const { amount, description, milestones, deliveryHours, reviewHours } = terms;
+
+    const noBuyerNamed = !mention && match.length === 2;
+    const picked = mention ? mention.user : (noBuyerNamed ? replyTo : null);
+    const open = noBuyerNamed && !replyTo;
+    const buyer = picked
+      ? { id: picked.id, username: picked.username || null, name: userName(picked), isBot: picked.is_bot }
+      : { id: null, username: open ? null : match[1], name: null };
+    const buyerText = buyer.username ? `@${buyer.username}` : buyer.name;
+
+    const seller = { id: ctx.from.id, username: ctx.from.username };
+    const created = await deals.createDeal({ seller, buyer, ...terms });
+    if (created.error) return ctx.reply(created.error);
+
+    const { dealId, token, buyerTelegramId } = created;
+    const sellerName = seller.username || 'Anonymous';
+    const stagesText = (milestones
+      ? `\n\n*Milestones:*\n${milestones.map((m, i) => `${i + 1}. ${m.label} — ${m.amount} ${token.symbol}`).join('\n')}`
+      : '') + `\n\n⏱️ Delivery within ${formatHours(deliveryHours)} of funding${milestones ? ' (each stage)' : ''}, then ${formatHours(reviewHours)} for the buyer to review`;
+
+    // In a group the status card is the confirmation; the buyer still gets the offer privately
+    if (inGroup) {
+      await groups.postCard(dealId, ctx.chat.id);
+    } else if (open) {
+      const offerKb = new InlineKeyboard().url('✅ Accept & Fund', groups.privateLink(dealId, 'deal'));
+      await ctx.reply(offerText({ ...terms, dealId, seller: seller.username, symbol: token.symbol }), { reply_markup: offerKb, parse_mode: 'Markdown' });
+      await ctx.reply('☝️ Forward this offer to your buyer or post it anywhere. The first person to accept it becomes the buyer.');
+    } else {
+      const sellerKb = new InlineKeyboard().text('Check Status', `status_${dealId}`).text('Main Menu', 'main_menu');
+      await ctx.reply(
+        `✅ *Deal Created!*\n\nDeal ID: \`${dealId}\`\nSeller: @${sellerName}\nBuyer: ${buyerText}\nAmount: ${amount} ${token.symbol}\nFor: ${description}${stagesText}\n\nShare this Deal ID with ${buyerText} to fund.`,
+        { reply_markup: sellerKb, parse_mode: 'Markdown' }
+      );
+    }
+
+    // Notify buyer if we know their telegram_id
+    if (buyerTelegramId) {
+      const buyerKb = new InlineKeyboard().text('Fund Deal', `fund_${dealId}`).text('Check Status', `status_${dealId}`);
+      try {
+        await ctx.api.sendMessage(buyerTelegramId, `*New Deal for You*\n\nDeal ID: \`${dealId}\`\nSeller: @${sellerName}\nAmount: ${amount} ${token.symbol}\nFor: ${description}${stagesText}\n\nTap below to fund:`, { reply_markup: buyerKb, parse_mode: 'Markdown' });
+      } catch (e) {}
+    }
+  });
+}
+
+module.exports = { register };
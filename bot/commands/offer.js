@@ -0,0 +1,69 @@
+// Open offers: "@DealPactBot 50 logo design" in any chat builds a deal-offer card with an
+// "Accept & Fund" link (t.me/<bot>?start=deal_DP-XXXX). The deal is saved when the seller sends
+// the card (chosen_inline_result, so inline feedback must be on in BotFather) with no buyer;
+// whoever accepts it first becomes the buyer. /new without a buyer makes the same kind of offer.
+
+const { InlineKeyboard } = require('grammy');
+const { generateDealId, parseDealTerms, offerText, buyerLabel } = require('../deals');
+
+const HELP_BUTTON = { text: 'How to make an offer', start_parameter: 'newdeal' };
+
+function register(bot, { deals, tokens, groups }) {
+  bot.on('inline_query', async (ctx) => {
+    const query = ctx.inlineQuery.query.trim();
+    const answer = (results, button) => ctx.answerInlineQuery(results, { cache_time: 0, is_personal: true, button });
+    if (!query) return answer([], HELP_BUTTON);
+
+    const terms = parseDealTerms(query, tokens);
+    if (terms.error) return answer([], { ...HELP_BUTTON, text: terms.error.split('. ')[0].slice(0, 64) });
+    if (!(await deals.getWallet(ctx.from.id))) return answer([], { text: 'Register your wallet first', start_parameter: 'newdeal' });
+
+    // The ID is drawn now so the card can link to it; the deal is saved under it once sent
+    const dealId = generateDealId();
+    const symbol = tokens.get(terms.token)?.symbol || terms.token;
+    await answer([{
+      type: 'article',
+      id: dealId,
+      title: `Offer ${terms.amount} ${symbol}`,
+      description: terms.description,
+      input_message_content: { message_text: offerText({ ...terms, dealId, seller: ctx.from.username, symbol }), parse_mode: 'Markdown' },
+      reply_markup: new InlineKeyboard().url('✅ Accept & Fund', groups.privateLink(dealId, 'deal'))
+    }]);
+  });
+
+  bot.on('chosen_inline_result', async (ctx) => {
+    const { result_id: dealId, query, from, inline_message_id: inlineMessageId } = ctx.chosenInlineResult;
+    const terms = parseDealTerms(query, tokens);
+    if (terms.error) return;
+
+    const created = await deals.createDeal({ seller: { id: from.id, username: from.username }, ...terms, dealId, inlineMessageId });
+    const text = created.error
+      ? `⚠️ Your offer ${dealId} was not saved: ${created.error}\n\nSend it again: @${bot.botInfo.username} ${query}`
+      : `📤 Offer ${dealId} shared. I'll tell you when someone accepts it.`;
+    try { await ctx.api.sendMessage(from.id, text); } catch (e) {}
+  });
+
+  // t.me/<bot>?start=deal_DP-XXXX: the card's Accept & Fund button
+  bot.command('start', async (ctx, next) => {
+    const link = ctx.match.match(/^deal_(DP-\w+)$/i);
+    if (!link) return next();
+
+    const result = await deals.acceptOffer(link[1], ctx.from);
+    if (result.error) return ctx.reply(`⚠️ ${result.error}`);
+    const { deal, accepted } = result;
+
+    if (accepted) {
+      if (deal.seller_telegram_id) try { await ctx.api.sendMessage(deal.seller_telegram_id, `🤝 ${buyerLabel(deal)} accepted your offer ${deal.deal_id}. You'll hear from me once it's funded.`); } catch (e) {}
+      // Close the shared card so nobody else tries
+      if (deal.inline_message_id) {
+        try { await ctx.api.editMessageTextInline(deal.inline_message_id, `🤝 *${deal.deal_id}* — accepted by ${buyerLabel(deal)}\n\n💵 ${deals.formatAmount(deal.amount, deal)}\n📝 ${deal.description}`, { parse_mode: 'Markdown' }); } catch (e) {}
+      }
+      await groups.refreshCard(deal.deal_id);
+    }
+
+    const kb = new InlineKeyboard().text('💳 Fund This Deal', `fund_${deal.deal_id}`).text('Check Status', `status_${deal.deal_id}`);
+    await ctx.reply(`✅ *You're the buyer on ${deal.deal_id}*\n\nSeller: @${deal.seller_username}\nAmount: ${deals.formatAmount(deal.amount, deal)}\nFor: ${deal.description}\n\nNo wallet yet? \`/wallet 0xYourAddress\`, then fund:`, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,114 @@
+// /reconcile DP-XXXX|all (botmasters): compare deals with the contract and repair either side,
+// plus the scheduled report of new mismatches
+
+const { InlineKeyboard } = require('grammy');
+const { CHAIN_STATUS_NAMES } = require('../deals');
+
+function describeStages(stages) {
+  return stages.map(s => `, stage ${s.milestone.stage} ${s.milestone.status} → ${s.expected}`).join('');
+}
+
+function describeMismatch(r) {
+  const chain = r.onChain.exists ? CHAIN_STATUS_NAMES[r.onChain.status] : 'not on-chain';
+  const stages = r.stages.map(s => `, stage ${s.milestone.stage} DB ${s.milestone.status} vs chain ${s.expected}`).join('');
+  return `${r.deal.deal_id} | DB ${r.deal.status} vs chain ${chain}${stages}`;
+}
+
+function repairKeyboard(r) {
+  const kb = new InlineKeyboard();
+  if (r.repairs.includes('sync')) kb.text(`DB → ${r.expected}`, `rc_sync_${r.deal.deal_id}`);
+  if (r.repairs.includes('chain')) kb.text(`Chain → ${r.repair.label}`, `rc_chain_${r.deal.deal_id}`);
+  return kb;
+}
+
+// Scheduled: report mismatches to botmasters once each (a mismatch is new until it goes away).
+// Only open and recently settled deals; /reconcile all covers the rest.
+const reportedMismatches = new Set();
+async function scheduledReconcile(api, { deals, botmasterIds, logger = console }) {
+  try {
+    const results = await deals.reconcileAll({ recent: true });
+    const current = new Set();
+    const fresh = [];
+    for (const r of results.filter(x => x.mismatch)) {
+      const key = `${r.deal.deal_id}:${r.deal.status}:${r.onChain.exists ? r.onChain.status : '-'}${r.stages.map(s => `:${s.milestone.stage}${s.milestone.status}`).join('')}`;
+      current.add(key);
+      if (!reportedMismatches.has(key)) fresh.push(r);
+    }
+    reportedMismatches.clear();
+    for (const k of current) reportedMismatches.add(k);
+    if (!fresh.length) return;
+
+    for (const adminId of botmasterIds) {
+      try {
+        await api.sendMessage(adminId, `🔎 Reconcile: ${fresh.length} new mismatch(es)\n\n${fresh.slice(0, 20).map(describeMismatch).join('\n')}\n\n/reconcile DP-XXXX to repair`);
+      } catch (e) {}
+    }
+  } catch (e) {
+    logger.error('Reconcile:', e.message);
+  }
+}
+
+function register(bot, { deals, botmasterIds }) {
+  const isBotmaster = (ctx) => botmasterIds.includes(ctx.from.id);
+  const adminOf = (ctx) => ({ id: ctx.from.id, username: ctx.from.username });
+
+  bot.command('reconcile', async (ctx) => {
+    if (!isBotmaster(ctx)) return ctx.reply('Botmaster only.');
+
+    const match = ctx.message.text.match(/^\/reconcile(?:@\w+)?(?:\s+(DP-\w+|all))?$/i);
+    if (!match) return ctx.reply('Usage: /reconcile DP-XXXX|all');
+    const target = match[1] || 'all';
+
+    if (target.toLowerCase() !== 'all') {
+      const { deal } = await deals.getDeal(target);
+      if (!deal) return ctx.reply('Deal not found.');
+
+      const r = await deals.reconcileDeal(deal);
+      if (r.error) return ctx.reply(`Could not read on-chain state: ${r.error}`);
+      if (!r.mismatch) return ctx.reply(`✅ ${deal.deal_id} in sync (${deal.status}).`);
+      return ctx.reply(`⚠️ Mismatch\n\n${describeMismatch(r)}`, { reply_markup: repairKeyboard(r) });
+    }
+
+    await ctx.reply('Reconciling all deals...');
+    let results;
+    try {
+      results = await deals.reconcileAll();
+    } catch (e) {
+      return ctx.reply('Something went wrong. Please try again shortly.');
+    }
+
+    const mismatches = results.filter(r => r.mismatch);
+    const errors = results.filter(r => r.error);
+    let msg = `🔎 Checked ${results.length} deals\n✅ In sync: ${results.length - mismatches.length - errors.length}\n⚠️ Mismatches: ${mismatches.length}`;
+    if (errors.length) msg += `\n❓ RPC errors: ${errors.length}`;
+    await ctx.reply(msg);
+
+    // One message per mismatch so each gets its own repair buttons (capped to avoid flooding)
+    for (const r of mismatches.slice(0, 10)) {
+      await ctx.reply(describeMismatch(r), { reply_markup: repairKeyboard(r) });
+    }
+    if (mismatches.length > 10) await ctx.reply(`...and ${mismatches.length - 10} more. Use /reconcile DP-XXXX.`);
+  });
+
+  // Repair: make the database match the chain
+  bot.callbackQuery(/^rc_sync_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+
+    const result = await deals.syncFromChain(ctx.match[1], adminOf(ctx));
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ ${result.deal.deal_id}: DB ${result.deal.status} → ${result.expected}${describeStages(result.stages)}`);
+  });
+
+  // Repair: make the chain match the database (owner calls only)
+  bot.callbackQuery(/^rc_chain_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    if (!isBotmaster(ctx)) return;
+
+    const result = await deals.repairChain(ctx.match[1], adminOf(ctx), { progress: (text) => ctx.reply(text) });
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ ${result.deal.deal_id}: on-chain ${result.repair.label} done.`);
+  });
+}
+
+module.exports = { register, scheduledReconcile };
@@ -0,0 +1,31 @@
+// /release DP-XXXX [stage] [confirm] and the Release buttons
+
+const { InlineKeyboard } = require('grammy');
+
+function register(bot, { deals }) {
+  bot.command('release', async (ctx) => {
+    const match = ctx.message.text.match(/^\/release\s+(DP-\w+)(?:\s+(\d+))?(?:\s+(confirm))?$/i);
+    if (!match) return ctx.reply('Usage: /release DP-XXXX [stage]');
+
+    const result = await deals.release(match[1], ctx.from, { stage: match[2], confirm: !!match[3] });
+    if (result.error) return ctx.reply(result.error);
+    if (result.needsConfirm) {
+      return ctx.reply(`⚠️ Deal is disputed!\n\nTo release anyway: /release ${result.deal.deal_id}${match[2] ? ' ' + match[2] : ''} confirm`);
+    }
+
+    await ctx.reply(`📤 Release: ${result.deal.deal_id}\nAmount: ${result.target.text}\n\n👇 TAP TO RELEASE:\n${result.url}`);
+  });
+
+  // Buttons only show for deals the buyer can act on, so no extra confirm step
+  bot.callbackQuery(/^release_([A-Za-z0-9-]+)(?:_(\d+))?$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const result = await deals.release(ctx.match[1], ctx.from, { stage: ctx.match[2], confirm: true });
+    if (result.error) return ctx.reply(`⚠️ ${result.error}`);
+
+    const { deal, target, url } = result;
+    const kb = new InlineKeyboard().url('✅ Confirm Release', url);
+    await ctx.reply(`📤 *Release Funds*\n\nDeal: *${deal.deal_id}*\nAmount: *${target.text}*\nTo: @${deal.seller_username}\n\n👇 Tap to confirm in your wallet:`, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+}
+
+module.exports = { register };
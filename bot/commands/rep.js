@@ -0,0 +1,116 @@
+// /rep [@username | 0xWallet] and the My Rep button: the bot's record of an account next to
+// the escrow's counters for its wallet
+
+const { InlineKeyboard } = require('grammy');
+const { buyerLabel, dealRole } = require('../deals');
+
+// Badge follows clean completions only
+function reputationBadge(rep) {
+  const n = rep.completed;
+  if (n >= 50) return '💎 Elite';
+  if (n >= 25) return '🏆 Pro Trader';
+  if (n >= 10) return '⭐ Proven Trader';
+  if (n >= 4) return '📈 Established';
+  if (n >= 2) return '👤 Active';
+  return '🆕 New';
+}
+
+function formatRate(rate) {
+  return rate === null ? '—' : `${Math.round(rate * 100)}%`;
+}
+
+// Stablecoin volume is nominal across tokens; ETH is shown on its own
+function formatVolume(volume, ethVolume) {
+  return `${volume.toFixed(0)}${ethVolume ? ` + ${parseFloat(ethVolume.toFixed(4))} ETH` : ''}`;
+}
+
+function reputationSummary(rep) {
+  return [
+    `Deals: ${rep.settled} settled${rep.active ? `, ${rep.active} active` : ''}`,
+    `✅ Success rate: ${formatRate(rep.successRate)} (${rep.completed} clean)`,
+    `⚖️ Dispute rate: ${formatRate(rep.disputeRate)} (won ${rep.disputesWon}, lost ${rep.disputesLost})`,
+    `↩️ Refunded: ${rep.refunded} • 🤝 Cancelled: ${rep.cancelled}`,
+    `Volume: ${formatVolume(rep.volume, rep.ethVolume)}`
+  ].join('\n');
+}
+
+// The chain counts per wallet and the bot per Telegram account, so a changed wallet
+// or a deal settled outside the bot shows up here
+function reputationMismatches(rep, chain) {
+  const fields = [
+    ['completed', 'clean completions'],
+    ['disputesWon', 'disputes won'],
+    ['disputesLost', 'disputes lost'],
+    ['refunded', 'refunds'],
+    ['cancelled', 'cancellations']
+  ];
+  const diffs = fields.filter(([key]) => rep[key] !== chain[key]).map(([key, label]) => `${label}: bot ${rep[key]}, chain ${chain[key]}`);
+  if (Math.abs(rep.volume - chain.volume) >= 1 || Math.abs(rep.ethVolume - chain.ethVolume) >= 0.0001) {
+    diffs.push(`volume: bot ${formatVolume(rep.volume, rep.ethVolume)}, chain ${formatVolume(chain.volume, chain.ethVolume)}`);
+  }
+  return diffs;
+}
+
+function shortWallet(wallet) {
+  return `${wallet.slice(0, 6)}...${wallet.slice(-4)}`;
+}
+
+function onChainSummary(wallet, chain, rep) {
+  if (!chain) return `\n\n⛓️ On-chain (${shortWallet(wallet)}): unavailable right now`;
+  let text = `\n\n⛓️ On-chain (${shortWallet(wallet)}):\nCompleted: ${chain.completed} • Volume: ${formatVolume(chain.volume, chain.ethVolume)}\nDisputes: won ${chain.disputesWon}, lost ${chain.disputesLost} • Refunded: ${chain.refunded} • Cancelled: ${chain.cancelled}`;
+  const diffs = rep ? reputationMismatches(rep, chain) : [];
+  if (diffs.length) text += `\n\n⚠️ Bot and chain records differ:\n${diffs.map(d => `• ${d}`).join('\n')}`;
+  return text;
+}
+
+// Ratings the account received, one line each; quote wraps the comment
+function reviewLines(userDeals, user, quote = (c) => c) {
+  let reviews = '';
+  for (const d of userDeals) {
+    const isSeller = dealRole(d, user) === 'seller';
+    const rating = isSeller ? d.buyer_rating : d.seller_rating;
+    const comment = isSeller ? d.buyer_review : d.seller_review;
+    const reviewer = isSeller ? buyerLabel(d) : `@${d.seller_username}`;
+    if (rating) reviews += `${'⭐'.repeat(rating)} by ${reviewer}${comment ? ` - ${quote(comment)}` : ''}\n`;
+  }
+  return reviews.trim();
+}
+
+function register(bot, { deals }) {
+  bot.command('rep', async (ctx) => {
+    const match = ctx.message.text.match(/^\/rep(?:@\w+)?(?:\s+(?:@(\w+)|(0x[a-fA-F0-9]{40})))?$/i);
+    if (!match) return ctx.reply('Usage: /rep @username or /rep 0xWalletAddress');
+
+    const { user, wallet } = await deals.findRepTarget({ username: match[1], wallet: match[2] }, ctx.from);
+    const chain = wallet ? await deals.getOnChainReputation(wallet) : null;
+
+    if (!user) {
+      return ctx.reply(`📊 ${shortWallet(wallet)}\n\nNo Telegram account is registered with this wallet.${onChainSummary(wallet, chain, null)}`);
+    }
+
+    const { rep, deals: userDeals } = await deals.getReputation(user);
+    const reviews = reviewLines(userDeals, user);
+
+    const name = user.username ? `@${user.username}` : shortWallet(wallet);
+    let msg = `📊 ${name}\n\n${reputationBadge(rep)}\n${reputationSummary(rep)}`;
+    msg += wallet ? onChainSummary(wallet, chain, rep) : '\n\n⛓️ No wallet registered';
+    if (reviews) msg += `\n\nReviews:\n${reviews}`;
+    await ctx.reply(msg);
+  });
+
+  bot.callbackQuery('my_rep', async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const { rep, deals: userDeals } = await deals.getReputation(ctx.from);
+    const wallet = await deals.getWallet(ctx.from.id);
+    const onChain = wallet ? onChainSummary(wallet, await deals.getOnChainReputation(wallet), rep) : '';
+    const reviews = reviewLines(userDeals.filter(d => d.seller_rating || d.buyer_rating).slice(0, 5), ctx.from, (c) => `"${c}"`);
+
+    const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
+    const name = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name;
+    let msg = `*${name}*\n\n${reputationBadge(rep)}\n${reputationSummary(rep)}${onChain}`;
+    if (reviews) msg += `\n\n*Reviews:*\n${reviews}`;
+    await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,59 @@
+// /request @seller amount [token] description [options]: the buyer starts the deal. The seller
+// confirms (or declines) before it can be funded, so no on-chain deal exists until they agree.
+
+const { InlineKeyboard } = require('grammy');
+const { formatHours, parseDealTerms } = require('../deals');
+
+function register(bot, { deals, tokens }) {
+  bot.command('request', async (ctx) => {
+    const match = ctx.message.text.match(/^\/request(?:@\w+)?\s+@(\w+)\s+(\d+(?:\.\d+)?\s+.+)$/i);
+    if (!match) return ctx.reply(`Format: /request @seller amount [token] description\nTokens: ${tokens.list().map(t => t.symbol).join(', ')} (default ${tokens.defaultSymbol})\nOptions: --delivery 5d --review 48h --milestones 100:design,100:build`);
+
+    const terms = parseDealTerms(match[2], tokens);
+    if (terms.error) return ctx.reply(terms.error);
+
+    // The seller must have started the bot: the deal is bound to their account from the start
+    const seller = await deals.findUser(match[1]);
+    if (!seller) return ctx.reply(`@${match[1]} hasn't used DealPact yet. Ask them to start the bot and register a wallet.`);
+
+    const buyer = { id: ctx.from.id, username: ctx.from.username || null, name: [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ') };
+    const created = await deals.createDeal({ seller, buyer, ...terms, initiatedBy: 'buyer' });
+    if (created.error) return ctx.reply(created.error);
+
+    const { dealId, token } = created;
+    const { amount, description, milestones, deliveryHours, reviewHours } = terms;
+    const termsText = `Amount: ${amount} ${token.symbol}\nFor: ${description}` +
+      (milestones ? `\n\n*Milestones:*\n${milestones.map((m, i) => `${i + 1}. ${m.label} — ${m.amount} ${token.symbol}`).join('\n')}` : '') +
+      `\n\n⏱️ Delivery within ${formatHours(deliveryHours)} of funding, then ${formatHours(reviewHours)} for the buyer to review`;
+
+    await ctx.reply(`📨 *Request sent!*\n\nDeal ID: \`${dealId}\`\nSeller: @${seller.username}\n${termsText}\n\nYou can fund it once @${seller.username} confirms.`, { parse_mode: 'Markdown' });
+
+    const kb = new InlineKeyboard().text('✅ Confirm', `rq_ok_${dealId}`).text('❌ Decline', `rq_no_${dealId}`);
+    try {
+      await ctx.api.sendMessage(seller.id, `🛒 *Deal Request*\n\n${buyer.username ? `@${buyer.username}` : buyer.name} wants to buy from you.\n\nDeal ID: \`${dealId}\`\n${termsText}\n\nConfirm to let them fund it:`, { reply_markup: kb, parse_mode: 'Markdown' });
+    } catch (e) {}
+  });
+
+  bot.callbackQuery(/^rq_(ok|no)_(.+)$/, async (ctx) => {
+    const confirm = ctx.match[1] === 'ok';
+    const result = await deals.answerRequest(ctx.match[2], ctx.from, confirm);
+    if (result.error) return ctx.answerCallbackQuery({ text: result.error, show_alert: true });
+    await ctx.answerCallbackQuery();
+
+    const { deal, buyerId } = result;
+    try { await ctx.editMessageReplyMarkup({ reply_markup: undefined }); } catch (e) {}
+    if (!confirm) {
+      await ctx.reply(`❌ Request ${deal.deal_id} declined.`);
+      if (buyerId) try { await ctx.api.sendMessage(buyerId, `❌ @${deal.seller_username} declined your request ${deal.deal_id}.`); } catch (e) {}
+      return;
+    }
+
+    await ctx.reply(`✅ ${deal.deal_id} confirmed. I'll tell you when the buyer funds it.`);
+    if (buyerId) {
+      const kb = new InlineKeyboard().text('💳 Fund Deal', `fund_${deal.deal_id}`).text('Check Status', `status_${deal.deal_id}`);
+      try { await ctx.api.sendMessage(buyerId, `✅ @${deal.seller_username} confirmed ${deal.deal_id}\n\n${deals.formatAmount(deal.amount, deal)} for: ${deal.description}\n\nTap below to fund:`, { reply_markup: kb }); } catch (e) {}
+    }
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,35 @@
+// /resolve DP-XXXX [stage] release|refund (botmasters, and moderators on assigned disputes)
+
+const { InlineKeyboard } = require('grammy');
+
+function register(bot, { deals, isAnyAdmin }) {
+  bot.command('resolve', async (ctx) => {
+    const { isAdmin, role } = await isAnyAdmin(ctx);
+    if (!isAdmin) return ctx.reply('Admin only.');
+
+    const match = ctx.message.text.match(/^\/resolve\s+(DP-\w+)(?:\s+(\d+))?\s+(release|refund)$/i);
+    if (!match) return ctx.reply('Usage: /resolve DP-XXXX [stage] release|refund');
+
+    const decision = match[3].toLowerCase();
+    const admin = { id: ctx.from.id, username: ctx.from.username, role };
+    const result = await deals.resolve(match[1], admin, { stage: match[2], decision }, { progress: (text) => ctx.reply(text) });
+    if (result.error) return ctx.reply(result.error);
+
+    const { deal, milestone, newStatus, buyerId } = result;
+    const stageNote = milestone ? ` (stage ${milestone.stage}: ${milestone.label})` : '';
+    await ctx.reply(`⚖️ ${deal.deal_id}${stageNote}: ${decision === 'release' ? 'Released to seller' : 'Refunded to buyer'}\n\nStatus updated to: ${newStatus}`);
+
+    const kb = newStatus === 'funded'
+      ? new InlineKeyboard().text('Check Status', `status_${deal.deal_id}`)
+      : new InlineKeyboard().text('Review this deal', `review_${deal.deal_id}`);
+    const sellerMsg = (decision === 'release' ? '✅ Funds released to you!' : '❌ Refunded to buyer.') + stageNote;
+    const buyerMsg = (decision === 'refund' ? '✅ Funds refunded to you!' : '❌ Released to seller.') + stageNote;
+
+    try { await ctx.api.sendMessage(deal.seller_telegram_id, `⚖️ ${deal.deal_id}\n\n${sellerMsg}`, { reply_markup: kb }); } catch (e) {}
+    if (buyerId) {
+      try { await ctx.api.sendMessage(buyerId, `⚖️ ${deal.deal_id}\n\n${buyerMsg}`, { reply_markup: kb }); } catch (e) {}
+    }
+  });
+}
+
+module.exports = { register };
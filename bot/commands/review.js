@@ -0,0 +1,63 @@
+// /review DP-XXXX 1-5 comment, and the Leave Review → stars → comment buttons.
+// The typed comment arrives as plain text; index.js hands it to deals.addReviewComment.
+
+const { InlineKeyboard } = require('grammy');
+const { startFlow, endFlow } = require('../sessions');
+
+function register(bot, { deals, reviewTimeout }) {
+  bot.command('review', async (ctx) => {
+    const match = ctx.message.text.match(/^\/review\s+(DP-\w+)\s+([1-5])(?:\s+(.+))?$/i);
+    if (!match) return ctx.reply('Usage: /review DP-XXXX 5 comment');
+
+    const result = await deals.review(match[1], ctx.from, parseInt(match[2]), match[3]);
+    if (result.error) return ctx.reply(result.error);
+    await ctx.reply(`✅ Review: ${'⭐'.repeat(result.rating)}`);
+  });
+
+  bot.callbackQuery(/^review_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const dealId = ctx.match[1];
+    const result = await deals.reviewTarget(dealId, ctx.from);
+    if (result.error) return ctx.reply(result.error);
+
+    const kb = new InlineKeyboard()
+      .text('1 ⭐', `rate_${dealId}_1`)
+      .text('2 ⭐', `rate_${dealId}_2`)
+      .text('3 ⭐', `rate_${dealId}_3`)
+      .text('4 ⭐', `rate_${dealId}_4`)
+      .text('5 ⭐', `rate_${dealId}_5`)
+      .row()
+      .text('Main Menu', 'main_menu');
+
+    await ctx.reply(`*Rate the ${result.targetRole} ${result.targetUser}*\n\nDeal: ${dealId}`, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery(/^rate_(.+)_(\d)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    const dealId = ctx.match[1];
+    const rating = parseInt(ctx.match[2]);
+
+    const result = await deals.rate(dealId, ctx.from, rating);
+    if (result.error) return ctx.reply(result.error);
+
+    // Track that this user is awaiting a comment
+    await startFlow(ctx, 'review', { dealId: result.deal.deal_id, isSeller: result.isSeller, rating }, reviewTimeout);
+
+    const kb = new InlineKeyboard()
+      .text('Skip Comment', `skip_review_${dealId}`)
+      .row()
+      .text('Main Menu', 'main_menu');
+
+    await ctx.reply(`Rating: ${'⭐'.repeat(rating)}\n\nAdd a comment (just type it) or tap Skip:`, { reply_markup: kb, parse_mode: 'Markdown' });
+  });
+
+  bot.callbackQuery(/^skip_review_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await endFlow(ctx, 'review');
+
+    const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
+    await ctx.reply(`✅ Review submitted!`, { reply_markup: kb });
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,98 @@
+// /status DP-XXXX and the status buttons: one view with the actions open to the caller
+
+const { InlineKeyboard } = require('grammy');
+const { isMilestoneDeal, awaitingSeller, milestoneProgress, buyerLabel, STATUS_EMOJI, STATUS_TEXT } = require('../deals');
+const { isGroupChat } = require('../groups');
+const { deadlineView } = require('./deadlines');
+const { cancelRequestNote } = require('./cancel');
+
+function register(bot, { deals, groups }) {
+  // Stage list; adds per-stage buttons for the buyer
+  async function milestoneView(deal, kb, isBuyer) {
+    const milestones = await deals.getMilestones(deal.deal_id);
+    if (isBuyer && (deal.status === 'funded' || deal.status === 'disputed')) {
+      for (const m of milestones.filter(x => x.status === 'funded')) {
+        kb.row().text(`✅ Release stage ${m.stage}`, `release_${deal.deal_id}_${m.stage}`);
+      }
+      const next = milestones.find(x => x.status === 'pending');
+      if (next && deal.status === 'funded') kb.row().text(`💳 Fund stage ${next.stage}`, `fund_${deal.deal_id}`);
+    }
+    return `\n\n📦 *Milestones* (${milestoneProgress(milestones)})\n${deals.formatMilestones(milestones, deal)}`;
+  }
+
+  // Once on-chain, the stored terms are re-hashed and compared with the hash committed at creation
+  async function termsCheck(deal) {
+    if (!deal.contract_deal_id) return '';
+    const result = await deals.verifyTerms(deal.deal_id);
+    if (result.error || !result.onChain) return '';
+    return result.matches
+      ? `\n\n🔏 Terms match the on-chain hash \`${result.onChainHash.slice(0, 10)}…\``
+      : '\n\n🚨 *The stored terms do not match the on-chain hash.* Do not rely on the details above; contact an admin.';
+  }
+
+  async function showStatus(ctx, dealId) {
+    const parties = await deals.getParties(dealId, ctx.from);
+    if (!parties) return ctx.reply('❌ Deal not found.');
+    const { deal, isSeller, isBuyer } = parties;
+
+    const kb = new InlineKeyboard();
+    let extra = '';
+    if (awaitingSeller(deal)) {
+      if (isSeller) kb.text('✅ Confirm', `rq_ok_${deal.deal_id}`).text('❌ Decline', `rq_no_${deal.deal_id}`);
+      if (isBuyer) kb.text('❌ Withdraw Request', `cancel_${deal.deal_id}`);
+      extra = `\n\n📨 Requested by the buyer, waiting for @${deal.seller_username} to confirm`;
+    } else if (deal.status === 'pending_deposit') {
+      if (isBuyer) kb.text('💳 Fund This Deal', `fund_${deal.deal_id}`);
+      if (isSeller) kb.text('❌ Cancel Deal', `cancel_${deal.deal_id}`);
+      const proposal = await deals.openProposal(deal.deal_id);
+      if (proposal) extra = `\n\n📝 New terms proposed (v${proposal.version}): /terms ${deal.deal_id}`;
+    } else if (deal.status === 'funded') {
+      if (isBuyer && !isMilestoneDeal(deal)) kb.text('✅ Release Funds', `release_${deal.deal_id}`);
+      if (isSeller || isBuyer) kb.row().text('⚠️ Open Dispute', `dispute_${deal.deal_id}`).text('❌ Cancel Deal', `cancel_${deal.deal_id}`);
+    } else if ((deal.status === 'completed' || deal.status === 'refunded') && (isSeller || isBuyer)) {
+      kb.text('⭐ Leave Review', `review_${deal.deal_id}`);
+    }
+
+    if (deal.status === 'disputed') {
+      extra = `\n\n⚠️ *DISPUTED*\nReason: ${deal.dispute_reason || 'N/A'}`;
+      extra += deal.assigned_to_username ? '\n🔍 Status: Being reviewed' : '\n⏳ Status: Awaiting review';
+    } else if (deal.status === 'funded') {
+      extra = await deadlineView(deals, deal, kb, isSeller, isBuyer);
+      extra += cancelRequestNote(deal);
+    }
+
+    const stagesText = isMilestoneDeal(deal) ? await milestoneView(deal, kb, isBuyer) : '';
+    const emoji = STATUS_EMOJI[deal.status] || '❓';
+    const statusText = STATUS_TEXT[deal.status] || deal.status;
+
+    await ctx.reply(`${emoji} *${deal.deal_id}* — ${statusText}\n\n👤 Seller: @${deal.seller_username}\n👤 Buyer: ${buyerLabel(deal)}\n💵 Amount: *${deals.formatAmount(deal.amount, deal)}*\n📝 ${deal.description}${stagesText}${extra}${await termsCheck(deal)}`, { reply_markup: kb, parse_mode: 'Markdown' });
+  }
+
+  bot.command('status', async (ctx) => {
+    const match = ctx.message.text.match(/^\/status(?:@\w+)?\s+(DP-\w+)$/i);
+    if (!match) return ctx.reply('❌ Usage: `/status DP-XXXX`', { parse_mode: 'Markdown' });
+
+    // A group sees the same card as a deal made there, without anyone's actions
+    if (isGroupChat(ctx.chat)) {
+      const { deal } = await deals.getDeal(match[1]);
+      if (!deal) return ctx.reply('❌ Deal not found.');
+      const { text, kb } = await groups.cardView(deal);
+      return ctx.reply(text, { reply_markup: kb, parse_mode: 'Markdown' });
+    }
+    await showStatus(ctx, match[1]);
+  });
+
+  // t.me/<bot>?start=status_DP-XXXX, the button on group status cards
+  bot.command('start', async (ctx, next) => {
+    const link = ctx.match.match(/^status_(DP-\w+)$/i);
+    if (!link) return next();
+    await showStatus(ctx, link[1]);
+  });
+
+  bot.callbackQuery(/^status_(.+)$/, async (ctx) => {
+    await ctx.answerCallbackQuery();
+    await showStatus(ctx, ctx.match[1]);
+  });
+}
+
+module.exports = { register };
@@ -0,0 +1,1883 @@
+// DealPact deal service
+// The deal lifecycle (create, fund, release, dispute, resolve, cancel, deadlines, review) and
+// the admin side (evidence, reconciliation, moderators), with no grammY in it.
+// The Supabase client and escrow contract are passed in, so the command modules in commands/
+// stay thin adapters and test/ can run whole deals against fakes.
+//
+// Operations return { error } with a message for the user, or what the caller needs to reply
+// and notify the parties. Slow on-chain steps report through an optional progress(text).
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+
+// ============ DEAL TERMS ============
+
+// Deal IDs are DP- plus 8 characters (32^8, about 1.1 trillion). Deals made before that have 4
+// and keep working: commands parse DP-\w+ and the deposit page accepts 4-12 characters.
+const DEAL_ID_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DEAL_ID_LENGTH = 8;
+
+// Agreed at /new. Each funded deal (or stage) must be marked delivered within delivery_hours,
+// then the buyer has review_hours to release or dispute (see unitDeadline and commands/deadlines.js).
+const DEFAULT_DELIVERY_HOURS = 7 * 24;
+const DEFAULT_REVIEW_HOURS = 3 * 24;
+const MAX_PERIOD_HOURS = 90 * 24; // DealPactEscrow.MAX_PERIOD
+
+// Stages are 1-based in the bot and database, 0-based on-chain
+const MAX_MILESTONES = 10;
+
+function generateDealId() {
+  let code = '';
+  for (let i = 0; i < DEAL_ID_LENGTH; i++) code += DEAL_ID_CHARS.charAt(crypto.randomInt(DEAL_ID_CHARS.length));
+  return `DP-${code}`;
+}
+
+// "5d" / "48h" → hours
+function parseDuration(str) {
+  const m = str.trim().match(/^(\d+)\s*(h|d)$/i);
+  if (!m) return null;
+  const hours = parseInt(m[1]) * (m[2].toLowerCase() === 'd' ? 24 : 1);
+  return hours >= 1 && hours <= MAX_PERIOD_HOURS ? hours : null;
+}
+
+function formatHours(hours) {
+  return hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+}
+
+// "100:design,100:build,100:launch" → [{ amount, label }]
+function parseMilestones(spec) {
+  const parts = spec.split(',').map(p => p.trim()).filter(Boolean);
+  if (parts.length < 2 || parts.length > MAX_MILESTONES) return { error: `Milestones: 2-${MAX_MILESTONES} stages` };
+
+  const milestones = [];
+  for (const part of parts) {
+    const m = part.match(/^(\d+(?:\.\d+)?)(?::(.+))?$/);
+    if (!m) return { error: `Bad milestone "${part}". Format: amount:label` };
+    const amount = parseFloat(m[1]);
+    if (!(amount > 0)) return { error: 'Milestone amounts must be above 0' };
+    milestones.push({ amount, label: (m[2] || `Stage ${milestones.length + 1}`).trim() });
+  }
+  return { milestones };
+}
+
+// "50 [TOKEN] description [--delivery 5d --review 48h --milestones 100:design,...]": the terms
+// part of /new and of an inline offer. Returns createDeal's terms, or { error }.
+function parseDealTerms(text, tokens) {
+  const match = text.trim().match(/^(\d+(?:\.\d+)?)\s+(.+)$/i);
+  if (!match) return { error: 'Format: amount [token] description' };
+
+  const [, amountStr, afterAmount] = match;
+  if ((amountStr.split('.')[1] || '').length > 6) return { error: 'Amounts take at most 6 decimals' };
+
+  // Optional token symbol right after the amount: 50 DAI description
+  const tokenWord = afterAmount.match(/^([A-Za-z]{2,10})\s+(.+)$/);
+  const named = tokenWord && tokens.isKnown(tokenWord[1]);
+  const rest = named ? tokenWord[2] : afterAmount;
+
+  // Trailing "--name value" options: --milestones, --delivery, --review
+  const [descPart, ...optionParts] = rest.split(/\s+--(?=[a-z])/i);
+  const options = {};
+  for (const part of optionParts) {
+    const [, name, value] = part.match(/^(\w+)\s*(.*)$/);
+    options[name.toLowerCase()] = value.trim();
+  }
+  const unknown = Object.keys(options).filter(o => !['milestones', 'delivery', 'review'].includes(o));
+  if (unknown.length) return { error: `Unknown option --${unknown[0]}. Options: --delivery 5d --review 48h --milestones 100:design,200:build` };
+
+  const description = descPart.replace(/^--\w.*$/, '').trim().replace(/^"(.*)"$/, '$1');
+  if (!description) return { error: 'Add a description before the options' };
+
+  const deliveryHours = options.delivery ? parseDuration(options.delivery) : DEFAULT_DELIVERY_HOURS;
+  const reviewHours = options.review ? parseDuration(options.review) : DEFAULT_REVIEW_HOURS;
+  if (!deliveryHours || !reviewHours) return { error: 'Delivery and review windows: 1h to 90d, e.g. --delivery 5d --review 48h' };
+
+  let milestones = null;
+  if (options.milestones) {
+    const parsed = parseMilestones(options.milestones);
+    if (parsed.error) return parsed;
+    milestones = parsed.milestones;
+  }
+
+  return { amount: parseFloat(amountStr), token: named ? tokenWord[1] : tokens.defaultSymbol, description, milestones, deliveryHours, reviewHours };
+}
+
+function isMilestoneDeal(deal) {
+  return (deal.milestone_count || 1) > 1;
+}
+
+function milestoneProgress(milestones) {
+  return `${milestones.filter(m => m.status === 'released').length}/${milestones.length} released`;
+}
+
+// Mirrors DealPactEscrow._updateStatus for the database view of a milestone deal
+function dealStatusFromMilestones(milestones) {
+  const statuses = milestones.map(m => m.status);
+  if (statuses.includes('disputed')) return 'disputed';
+  if (statuses.includes('funded')) return 'funded';
+  if (statuses.includes('pending')) return statuses.every(st => st === 'pending') ? 'pending_deposit' : 'funded';
+  if (statuses.includes('released')) return 'completed';
+  if (statuses.includes('refunded')) return 'refunded';
+  return 'cancelled';
+}
+
+// Pick the stage a command refers to: the one given, or the only stage in the wanted state
+function pickStage(milestones, stageArg, status) {
+  if (stageArg) {
+    const m = milestones.find(x => x.stage === parseInt(stageArg));
+    if (!m) return { error: `No stage ${stageArg}. This deal has ${milestones.length} stages.` };
+    if (m.status !== status) return { error: `Stage ${m.stage} is ${m.status}.` };
+    return { milestone: m };
+  }
+  const candidates = milestones.filter(x => x.status === status);
+  if (candidates.length === 1) return { milestone: candidates[0] };
+  if (!candidates.length) return { error: `No ${status} stage.` };
+  return { error: `Several stages are ${status} (${candidates.map(c => c.stage).join(', ')}). Add the stage number.` };
+}
+
+// Milestone deals stay fundable stage by stage while active
+function canFund(deal) {
+  return deal.status === 'pending_deposit' || (isMilestoneDeal(deal) && deal.status === 'funded');
+}
+
+// "45 Logo and favicon --delivery 10d": what /amend changes. Every part is optional but one
+// must be there; a leading number is the new amount. Returns { changes } keyed like the deals
+// columns, or { error }.
+function parseAmendment(text) {
+  const [head, ...optionParts] = ` ${text.trim()}`.split(/\s+--(?=[a-z])/i);
+  const options = {};
+  for (const part of optionParts) {
+    const [, name, value] = part.match(/^(\w+)\s*(.*)$/);
+    options[name.toLowerCase()] = value.trim();
+  }
+  const unknown = Object.keys(options).filter(o => !['delivery', 'review'].includes(o));
+  if (unknown.length) return { error: `Unknown option --${unknown[0]}. Options: --delivery 5d --review 48h` };
+
+  const changes = {};
+  const m = head.trim().match(/^(\d+(?:\.\d+)?)(?:\s+(.+))?$/);
+  if (m && (m[1].split('.')[1] || '').length > 6) return { error: 'Amounts take at most 6 decimals' };
+  if (m) changes.amount = parseFloat(m[1]);
+  const description = (m ? m[2] || '' : head).trim().replace(/^"(.*)"$/, '$1');
+  if (description) changes.description = description;
+
+  for (const [option, field] of [['delivery', 'delivery_hours'], ['review', 'review_hours']]) {
+    if (!(option in options)) continue;
+    const hours = parseDuration(options[option]);
+    if (!hours) return { error: 'Delivery and review windows: 1h to 90d, e.g. --delivery 5d --review 48h' };
+    changes[field] = hours;
+  }
+
+  if (!Object.keys(changes).length) return { error: 'Nothing to change. Usage: /amend DP-XXXX [amount] [description] [--delivery 5d --review 48h]' };
+  return { changes };
+}
+
+// The fields a terms version holds (deal_terms rows, and the current ones on deals)
+const TERM_FIELDS = ['amount', 'description', 'delivery_hours', 'review_hours'];
+
+function termsOf(row) {
+  return {
+    amount: Number(row.amount),
+    description: row.description,
+    delivery_hours: Number(row.delivery_hours || DEFAULT_DELIVERY_HOURS),
+    review_hours: Number(row.review_hours || DEFAULT_REVIEW_HOURS)
+  };
+}
+
+// The terms committed on-chain when /fund creates the deal: a fixed-order JSON document of what
+// was agreed (see termsDocument in the service), hashed with keccak256. The deposit page gets the
+// document in its link and re-hashes it, so neither side has to trust the database.
+const TERMS_SCHEMA = 'dealpact-terms/1';
+
+function hashTerms(document) {
+  return ethers.id(document);
+}
+
+// Open offers (inline cards, /new without a buyer) have no buyer until someone accepts
+function isOpenOffer(deal) {
+  return deal.status === 'pending_deposit' && !Number(deal.buyer_telegram_id) && !deal.buyer_username;
+}
+
+// Deals a buyer asked for with /request wait for the seller before they can be funded
+function awaitingSeller(deal) {
+  return deal.initiated_by === 'buyer' && !deal.seller_confirmed_at && deal.status === 'pending_deposit';
+}
+
+// The shareable card of an open offer; symbol is the token's, milestones [{ amount, label }] or null
+function offerText({ dealId, seller, amount, symbol, description, milestones = null, deliveryHours, reviewHours }) {
+  const stages = milestones
+    ? `\n\n*Milestones:*\n${milestones.map((m, i) => `${i + 1}. ${m.label} — ${m.amount} ${symbol}`).join('\n')}`
+    : '';
+  return `🤝 *Deal offer from @${seller || 'Anonymous'}*\n\n💵 *${amount} ${symbol}*\n📝 ${description}${stages}\n\n⏱️ Delivery within ${formatHours(deliveryHours)} of funding, then ${formatHours(reviewHours)} to review\n\nDeal ID: \`${dealId}\`\n🔒 Paid into DealPact escrow, released only when you're happy.`;
+}
+
+// Deal status labels, shared by /status and the group status cards (groups.js)
+const STATUS_EMOJI = { pending_deposit: '⏳', funded: '💰', completed: '✅', disputed: '⚠️', cancelled: '❌', refunded: '↩️' };
+const STATUS_TEXT = { pending_deposit: 'Awaiting Deposit', funded: 'Funded & Active', completed: 'Completed', disputed: 'Disputed', cancelled: 'Cancelled', refunded: 'Refunded' };
+
+// Buyers picked by mention may have no username; open offers have no buyer yet
+function buyerLabel(deal) {
+  if (deal.buyer_username) return `@${deal.buyer_username}`;
+  if (deal.buyer_name) return deal.buyer_name;
+  return Number(deal.buyer_telegram_id) ? `user ${deal.buyer_telegram_id}` : 'open offer';
+}
+
+// Role of an account in a deal: 'seller', 'buyer' or null. user is { id, username };
+// id may be unknown (a /rep lookup of someone who never started the bot).
+// A username only identifies the buyer while the deal is not bound to an account.
+function dealRole(d, user) {
+  const name = user.username?.toLowerCase();
+  if (user.id) {
+    if (Number(d.seller_telegram_id) === user.id) return 'seller';
+    if (Number(d.buyer_telegram_id) === user.id) return 'buyer';
+  } else if (name && d.seller_username?.toLowerCase() === name) {
+    return 'seller';
+  }
+  if (name && d.buyer_username?.toLowerCase() === name && (!user.id || !Number(d.buyer_telegram_id))) return 'buyer';
+  return null;
+}
+
+// ============ CANCELLATION, DEADLINES, RECONCILIATION ============
+
+// A funded deal is cancelled only when both parties agree (PRD Story 7); a request lapses
+// after 24 hours
+const CANCEL_REQUEST_TIMEOUT = 24 * 60 * 60 * 1000;
+
+// The open cancel request on a deal: { by, expiresAt }, or null
+function activeCancelRequest(deal) {
+  if (!deal.cancel_requested_by || !deal.cancel_requested_at) return null;
+  const expiresAt = new Date(deal.cancel_requested_at).getTime() + CANCEL_REQUEST_TIMEOUT;
+  if (Date.now() > expiresAt) return null;
+  return { by: Number(deal.cancel_requested_by), expiresAt };
+}
+
+// Which window a funded unit (the deal, or one stage) is in: delivery (not yet delivered) or
+// review (delivered, buyer deciding). Past either, the waiting party can claim on-chain:
+// the buyer a refund if nothing was delivered, the seller the payment if the buyer stayed silent.
+function unitDeadline(deal, unit) {
+  if (!unit.funded_at) return null;
+  if (unit.delivered_at) {
+    const at = new Date(unit.delivered_at).getTime() + (deal.review_hours || DEFAULT_REVIEW_HOURS) * 3600000;
+    return { kind: 'review', at, expired: Date.now() > at };
+  }
+  const at = new Date(unit.funded_at).getTime() + (deal.delivery_hours || DEFAULT_DELIVERY_HOURS) * 3600000;
+  return { kind: 'delivery', at, expired: Date.now() > at };
+}
+
+// On-chain DealStatus index → deals.status
+const CHAIN_STATUS_NAMES = ['Pending', 'Funded', 'Completed', 'Refunded', 'Disputed', 'Cancelled'];
+const CHAIN_TO_DB_STATUS = ['pending_deposit', 'funded', 'completed', 'refunded', 'disputed', 'cancelled'];
+// Stages use the same enum on-chain → deal_milestones.status
+const CHAIN_TO_STAGE_STATUS = ['pending', 'funded', 'released', 'refunded', 'disputed', 'cancelled'];
+
+// Owner calls that move the chain to what the database already says
+// Key: `${db status}:${chain status}`. Only the wholeDeal ones work on milestone deals; the
+// rest revert there, so those deals get MILESTONE_REPAIRS instead.
+const CHAIN_REPAIRS = {
+  'completed:4': { fn: 'resolveRelease', label: 'resolveRelease' },
+  'refunded:1': { fn: 'refund', label: 'refund' },
+  'refunded:4': { fn: 'refund', label: 'refund' },
+  'disputed:1': { fn: 'dispute', label: 'dispute' },
+  'cancelled:0': { fn: 'cancel', label: 'cancel', wholeDeal: true },
+  'cancelled:1': { fn: 'cancelFunded', label: 'cancelFunded', wholeDeal: true }
+};
+
+// Per-stage owner calls for milestone deals
+// Key: `${deal_milestones status}:${chain stage status}`
+const MILESTONE_REPAIRS = {
+  'released:4': 'resolveReleaseMilestone',
+  'refunded:1': 'refundMilestone',
+  'refunded:4': 'refundMilestone',
+  'disputed:1': 'disputeMilestone'
+};
+
+// Scheduled scans read in pages: PostgREST returns at most 1000 rows per request
+const PAGE_SIZE = 500;
+// Deal IDs per .in() filter (they go in the request URL)
+const ID_CHUNK_SIZE = 100;
+
+// The scheduled reconcile only checks open deals and those settled within this
+const RECONCILE_RECENT_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ============ SERVICE ============
+
+// options:
+//   supabase      Supabase client (or a fake with the same query builder)
+//   escrow        DealPactEscrow contract connected to the bot wallet
+//   tokens        token registry from tokens.js
+//   frontendUrl   deposit page; fund and release links point there
+//   txUrl         (hash) => explorer link, from network.js
+//   txTimeoutMs   how long to wait for a bot transaction to be mined
+//   onDealChanged (dealId) => called after dispute, resolve and request answers update a deal (group cards)
+function createDealService({ supabase, escrow, tokens, frontendUrl, txUrl = (hash) => hash, txTimeoutMs = 60000, onDealChanged = async () => {}, logger = console }) {
+  // ============ LOOKUPS ============
+
+  // Every row of a select, PAGE_SIZE at a time. build() returns a fresh query, ordered so the
+  // pages are stable.
+  async function selectPages(build) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+      if (error) throw new Error(error.message);
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  async function getDeal(dealId) {
+    const normalized = dealId.toUpperCase().trim();
+    const { data, error } = await supabase
+      .from('deals')
+      .select('*')
+      .ilike('deal_id', normalized)
+      .single();
+    return { deal: data, error };
+  }
+
+  // Inserts a deal under a fresh ID, drawing again if the ID is taken in the database
+  // (unique index on deal_id) or on-chain (createDeal would revert "External ID exists").
+  // reserved: an ID users have already seen (inline offers); it is tried once, never replaced.
+  async function insertDealWithUniqueId(fields, attempts = 5, reserved = null) {
+    if (reserved) attempts = 1;
+    for (let i = 0; i < attempts; i++) {
+      const dealId = reserved || generateDealId();
+      try {
+        if ((await escrow.externalIdToDealId(dealId)) !== 0n) continue;
+      } catch (e) {} // RPC down: the database index still guards the insert
+      const { error } = await supabase.from('deals').insert({ deal_id: dealId, ...fields });
+      if (!error) return { dealId };
+      if (error.code !== '23505') return { error }; // 23505 = unique_violation
+    }
+    return { error: new Error('No free deal ID') };
+  }
+
+  // "12.5 DAI": an amount in the deal's token
+  function formatAmount(amount, deal) {
+    return `${amount} ${tokens.symbolOf(deal)}`;
+  }
+
+  // Deal parties are bound by Telegram ID. A buyer named by @username at /new is bound the
+  // first time they act on the deal; from then on the username is only used for display.
+  async function isDealBuyer(deal, from) {
+    if (Number(deal.buyer_telegram_id)) return Number(deal.buyer_telegram_id) === from.id;
+    if (!from.username || !deal.buyer_username) return false;
+    if (deal.buyer_username.toLowerCase() !== from.username.toLowerCase()) return false;
+    if (Number(deal.seller_telegram_id) === from.id) return false;
+
+    const { data } = await supabase
+      .from('deals')
+      .update({ buyer_telegram_id: from.id })
+      .ilike('deal_id', deal.deal_id)
+      .or('buyer_telegram_id.is.null,buyer_telegram_id.eq.0')
+      .select();
+    if (data?.length) {
+      deal.buyer_telegram_id = from.id;
+      return true;
+    }
+
+    // Lost a race with another account: trust whatever got bound
+    const { deal: fresh } = await getDeal(deal.deal_id);
+    return Number(fresh?.buyer_telegram_id) === from.id;
+  }
+
+  async function getBuyerTelegramId(deal) {
+    if (Number(deal.buyer_telegram_id)) return Number(deal.buyer_telegram_id);
+    if (!deal.buyer_username) return null;
+    const { data: buyer } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
+    return buyer?.telegram_id || null;
+  }
+
+  // A deal and the caller's place in it; null if the deal does not exist
+  async function getParties(dealId, from) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return null;
+    const isSeller = deal.seller_telegram_id === from.id;
+    const isBuyer = await isDealBuyer(deal, from);
+    return { deal, isSeller, isBuyer };
+  }
+
+  // Deals where this account is seller or (bound or still unbound) buyer
+  async function getUserDeals(user, limit = 10) {
+    const filters = [];
+    if (user.id) filters.push(`seller_telegram_id.eq.${user.id}`, `buyer_telegram_id.eq.${user.id}`);
+    if (user.username) {
+      if (!user.id) filters.push(`seller_username.ilike.${user.username}`);
+      filters.push(`buyer_username.ilike.${user.username}`);
+    }
+    if (!filters.length) return { deals: [] };
+
+    let query = supabase
+      .from('deals')
+      .select('*')
+      .or(filters.join(','))
+      .order('created_at', { ascending: false });
+    if (limit) query = query.limit(limit);
+
+    const { data, error } = await query;
+    if (error) return { error };
+    return { deals: (data || []).filter(d => dealRole(d, user)) };
+  }
+
+  // getUserDeals with each milestone deal's stage rows ({ stage, amount, status, resolved_by, disputed_at })
+  // as deal.milestones, fetched in one query
+  async function getUserDealsWithStages(user, limit = 10) {
+    const result = await getUserDeals(user, limit);
+    const milestoneIds = (result.deals || []).filter(isMilestoneDeal).map(d => d.deal_id);
+    if (!milestoneIds.length) return result;
+
+    const { data: rows, error } = await supabase.from('deal_milestones').select('deal_id, stage, amount, status, resolved_by, disputed_at').in('deal_id', milestoneIds);
+    if (error) return { error };
+    for (const deal of result.deals) {
+      if (isMilestoneDeal(deal)) deal.milestones = (rows || []).filter(r => r.deal_id === deal.deal_id).sort((a, b) => a.stage - b.stage);
+    }
+    return result;
+  }
+
+  // A registered account by @username; null if nobody (or more than one account) has it
+  async function findUser(username) {
+    const { data } = await supabase.from('users').select('telegram_id, username').ilike('username', username).maybeSingle();
+    return data ? { id: Number(data.telegram_id), username: data.username || username } : null;
+  }
+
+  async function getWallet(telegramId) {
+    const { data } = await supabase.from('users').select('wallet_address').eq('telegram_id', telegramId).single();
+    return data?.wallet_address || null;
+  }
+
+  // Links a wallet to the caller's account; a wallet belongs to one account only
+  async function registerWallet(from, address) {
+    const wallet = address.toLowerCase();
+    const { data: existing } = await supabase.from('users').select('telegram_id').eq('wallet_address', wallet).single();
+    if (existing && existing.telegram_id !== from.id) return { error: 'This wallet is already registered to another user.' };
+
+    const { error } = await supabase.from('users').upsert({
+      telegram_id: from.id,
+      username: from.username || 'Anonymous',
+      wallet_address: wallet
+    }, { onConflict: 'telegram_id' });
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    return { wallet };
+  }
+
+  async function logAdminAction(action, dealId, adminTelegramId, adminUsername, targetUser, details) {
+    try {
+      const { error } = await supabase.from('admin_logs').insert({
+        action,
+        deal_id: dealId,
+        admin_telegram_id: adminTelegramId,
+        admin_username: adminUsername,
+        target_user: targetUser,
+        details
+      });
+      if (error) logger.error('Log insert error:', error.message);
+    } catch (e) {
+      logger.error('Log error:', e.message);
+    }
+  }
+
+  // Move a deal to a new status only if it is still in one of the expected states.
+  // Returns the updated row, or null if nothing changed (already applied, or out of order).
+  async function transitionDeal(dealId, fromStatuses, fields) {
+    const { data, error } = await supabase
+      .from('deals')
+      .update(fields)
+      .ilike('deal_id', dealId)
+      .in('status', fromStatuses)
+      .select();
+    if (error) throw new Error(`Deal update failed: ${error.message}`);
+    return data?.[0] || null;
+  }
+
+  // ============ CHAIN ============
+
+  // Timeout wrapper for tx.wait() — prevents bot from hanging if RPC stalls
+  async function waitWithTimeout(tx, ms = txTimeoutMs) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('Transaction timed out')), ms);
+    });
+    try {
+      return await Promise.race([tx.wait(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Get on-chain deal status
+  async function getOnChainStatus(dealId) {
+    try {
+      const chainId = await escrow.externalIdToDealId(dealId);
+      if (chainId.toString() === '0') return { exists: false };
+      const deal = await escrow.deals(chainId);
+      // Status: 0=Pending, 1=Funded, 2=Completed, 3=Refunded, 4=Disputed, 5=Cancelled
+      return { exists: true, chainId, status: Number(deal[4]) };
+    } catch (e) {
+      return { exists: false, error: e.message };
+    }
+  }
+
+  // ============ MILESTONES ============
+
+  const MILESTONE_EMOJI = { pending: '⏳', funded: '💰', released: '✅', disputed: '⚠️', refunded: '↩️', cancelled: '❌' };
+
+  async function getMilestones(dealId) {
+    const { data } = await supabase.from('deal_milestones').select('*').ilike('deal_id', dealId).order('stage', { ascending: true });
+    return data || [];
+  }
+
+  function formatMilestones(milestones, deal) {
+    return milestones.map(m => `${MILESTONE_EMOJI[m.status] || '❓'} ${m.stage}. ${m.label} — ${formatAmount(m.amount, deal)}`).join('\n');
+  }
+
+  // Stage the buyer releases: the whole deal, or the chosen (or only) funded stage
+  async function releaseTarget(deal, stageArg) {
+    if (!isMilestoneDeal(deal)) return { text: formatAmount(deal.amount, deal), query: '' };
+    const picked = pickStage(await getMilestones(deal.deal_id), stageArg, 'funded');
+    if (picked.error) return picked;
+    const m = picked.milestone;
+    return { milestone: m, text: `${formatAmount(m.amount, deal)} (stage ${m.stage}: ${m.label})`, query: `&stage=${m.stage}` };
+  }
+
+  // The canonical terms of a deal (TERMS_SCHEMA): amounts in token units and the parties'
+  // wallets, as on-chain, plus what only the database knows. Keys are in a fixed order and the
+  // accepted terms never change once the deal is on-chain, so the same deal gives the same text.
+  async function termsDocument(deal, sellerWallet, buyerWallet) {
+    const token = tokens.forDeal(deal);
+    if (!token) throw new Error(`Token ${tokens.symbolOf(deal)} not available on this network`);
+    const milestones = isMilestoneDeal(deal)
+      ? (await getMilestones(deal.deal_id)).map(m => ({ label: m.label, amount: tokens.toUnits(m.amount, token) }))
+      : [];
+    const amount = milestones.length ? milestones.reduce((sum, m) => sum + m.amount, 0n) : tokens.toUnits(deal.amount, token);
+    const terms = termsOf(deal);
+    return JSON.stringify({
+      schema: TERMS_SCHEMA,
+      deal: deal.deal_id,
+      version: Number(deal.terms_version) || 1,
+      seller: ethers.getAddress(sellerWallet),
+      buyer: ethers.getAddress(buyerWallet),
+      token: ethers.getAddress(token.address),
+      symbol: token.symbol,
+      amount: amount.toString(),
+      milestones: milestones.map(m => ({ label: m.label, amount: m.amount.toString() })),
+      description: terms.description,
+      deliveryHours: terms.delivery_hours,
+      reviewHours: terms.review_hours
+    });
+  }
+
+  // Create the on-chain deal with the right entry point for single vs milestone deals
+  async function createOnChainDeal(deal, sellerWallet, buyerWallet) {
+    const deliveryPeriod = BigInt(deal.delivery_hours || DEFAULT_DELIVERY_HOURS) * 3600n;
+    const reviewPeriod = BigInt(deal.review_hours || DEFAULT_REVIEW_HOURS) * 3600n;
+    const token = tokens.forDeal(deal);
+    if (!token) throw new Error(`Token ${tokens.symbolOf(deal)} not available on this network`);
+    const termsHash = hashTerms(await termsDocument(deal, sellerWallet, buyerWallet));
+    if (isMilestoneDeal(deal)) {
+      const milestones = await getMilestones(deal.deal_id);
+      const amounts = milestones.map(m => tokens.toUnits(m.amount, token));
+      return escrow.createMilestoneDeal(deal.deal_id, sellerWallet, buyerWallet, token.address, amounts, deliveryPeriod, reviewPeriod, termsHash);
+    }
+    return escrow.createDeal(deal.deal_id, sellerWallet, buyerWallet, token.address, tokens.toUnits(deal.amount, token), deliveryPeriod, reviewPeriod, termsHash);
+  }
+
+  // Rebuilds the stored terms with the on-chain parties and checks them against the hash
+  // committed at creation. { onChain: false } until /fund has created the deal.
+  async function verifyTerms(dealId) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    try {
+      const chainId = await escrow.externalIdToDealId(deal.deal_id);
+      if (chainId.toString() === '0') return { deal, onChain: false };
+      const onChain = await escrow.deals(chainId);
+      const document = await termsDocument(deal, onChain[1], onChain[2]);
+      const hash = hashTerms(document);
+      return { deal, onChain: true, document, hash, onChainHash: onChain[8], matches: hash === onChain[8] };
+    } catch (e) {
+      logger.error('Terms check error:', e.message);
+      return { error: 'Could not check the terms on-chain right now.' };
+    }
+  }
+
+  // What the buyer deposits next: the whole deal, or the first pending stage
+  async function depositSummary(deal) {
+    if (!isMilestoneDeal(deal)) return { amount: deal.amount, text: formatAmount(deal.amount, deal), query: '' };
+    const next = (await getMilestones(deal.deal_id)).find(m => m.status === 'pending');
+    if (!next) return { amount: 0, text: 'all stages funded', query: '' };
+    return { amount: next.amount, text: `${formatAmount(next.amount, deal)} (stage ${next.stage}/${deal.milestone_count}: ${next.label})`, query: `&stage=${next.stage}` };
+  }
+
+  // What a mutual cancel refunds (cancelFunded): the whole deal, or the stages funded and not
+  // released. Stage rows are already 'cancelled' when the indexer reports it.
+  async function cancelRefund(deal) {
+    if (!isMilestoneDeal(deal)) return Number(deal.amount);
+    const refunded = (await getMilestones(deal.deal_id)).filter(m => m.funded_at && (m.status === 'funded' || m.status === 'cancelled'));
+    return Number(refunded.reduce((sum, m) => sum + Number(m.amount), 0).toFixed(12));
+  }
+
+  // ============ LIFECYCLE ============
+
+  // seller and buyer: { id, username }; buyer may also carry name and isBot (picked by mention).
+  // An open offer has no buyer ({}): the first account to accept it becomes the buyer (acceptOffer).
+  // milestones: [{ amount, label }] from parseMilestones, or null for a single payment.
+  // dealId and inlineMessageId: the ID and message of an inline offer card already posted.
+  // initiatedBy 'buyer' (/request): the seller confirms before the deal can be funded.
+  async function createDeal({ seller, buyer = {}, amount, token: symbol, description, milestones = null, deliveryHours = DEFAULT_DELIVERY_HOURS, reviewHours = DEFAULT_REVIEW_HOURS, dealId: reserved = null, inlineMessageId = null, initiatedBy = 'seller' }) {
+    const token = tokens.get(symbol);
+    if (!token) return { error: `${String(symbol).toUpperCase()} is not available on this network. Tokens: ${tokens.list().map(t => t.symbol).join(', ')}` };
+
+    if (milestones) {
+      const total = milestones.reduce((sum, m) => sum + m.amount, 0);
+      if (Math.abs(total - amount) > 0.000001) return { error: `Milestones add up to ${total} ${token.symbol}, deal amount is ${amount} ${token.symbol}` };
+    }
+    if (amount < token.min || amount > token.max) return { error: `Amount: ${token.min}-${token.max} ${token.symbol}` };
+    if (buyer.id === seller.id || (buyer.username && buyer.username.toLowerCase() === seller.username?.toLowerCase())) {
+      return { error: "Can't deal with yourself" };
+    }
+    if (buyer.isBot) return { error: "Bots can't be buyers" };
+
+    if (initiatedBy === 'buyer') {
+      if (!(await getWallet(buyer.id))) return { error: 'Register your wallet first: /wallet 0xYourAddress' };
+      if (!(await getWallet(seller.id))) return { error: `@${seller.username} has no DealPact wallet yet. Ask them to register one with /wallet.` };
+    } else if (!(await getWallet(seller.id))) {
+      return { error: 'Register wallet first: /wallet 0xYourAddress' };
+    }
+
+    const { dealId, error } = await insertDealWithUniqueId({
+      seller_telegram_id: seller.id,
+      seller_username: seller.username || 'Anonymous',
+      buyer_telegram_id: buyer.id || null,
+      buyer_username: buyer.username || null,
+      buyer_name: buyer.name || null,
+      amount, description,
+      token: token.symbol,
+      milestone_count: milestones ? milestones.length : 1,
+      delivery_hours: deliveryHours,
+      review_hours: reviewHours,
+      inline_message_id: inlineMessageId,
+      initiated_by: initiatedBy,
+      status: 'pending_deposit'
+    }, 5, reserved);
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+
+    if (milestones) {
+      const { error: msError } = await supabase.from('deal_milestones').insert(
+        milestones.map((m, i) => ({ deal_id: dealId, stage: i + 1, amount: m.amount, label: m.label }))
+      );
+      if (msError) {
+        await supabase.from('deals').delete().eq('deal_id', dealId);
+        return { error: 'Something went wrong. Please try again shortly.' };
+      }
+    }
+
+    // Version 1 of the terms: agreed by whoever made the deal
+    const { error: termsError } = await supabase.from('deal_terms').insert({
+      deal_id: dealId,
+      version: 1,
+      amount, description,
+      delivery_hours: deliveryHours,
+      review_hours: reviewHours,
+      proposed_by: initiatedBy === 'buyer' ? buyer.id : seller.id,
+      status: 'accepted'
+    });
+    if (termsError) logger.error(`Terms v1 for ${dealId}:`, termsError.message);
+
+    const buyerTelegramId = await getBuyerTelegramId({ buyer_telegram_id: buyer.id, buyer_username: buyer.username });
+    return { dealId, token, buyerTelegramId };
+  }
+
+  // Binds the first account to accept an open offer as its buyer. A named buyer accepting their
+  // own deal is bound as usual (isDealBuyer); anyone else finds the offer taken.
+  async function acceptOffer(dealId, from) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Offer not found. Ask the seller to share it again.' };
+    if (Number(deal.seller_telegram_id) === from.id) return { error: "That's your own offer. Share it with the buyer." };
+    if (await isDealBuyer(deal, from)) return { deal, accepted: false };
+    if (deal.status !== 'pending_deposit') return { error: `This offer is closed. Status: ${deal.status}` };
+    if (!isOpenOffer(deal)) return { error: 'This offer was already taken.' };
+
+    const { data } = await supabase
+      .from('deals')
+      .update({ buyer_telegram_id: from.id, buyer_username: from.username || null, buyer_name: [from.first_name, from.last_name].filter(Boolean).join(' ') || null })
+      .ilike('deal_id', deal.deal_id)
+      .eq('status', 'pending_deposit')
+      .is('buyer_telegram_id', null)
+      .is('buyer_username', null)
+      .select();
+    if (!data?.length) return { error: 'This offer was already taken.' };
+    return { deal: data[0], accepted: true };
+  }
+
+  // The seller's answer to a /request. Confirming lets the buyer fund (and so create the
+  // on-chain deal); declining cancels it. Returns the deal and the buyer to tell.
+  async function answerRequest(dealId, from, confirm) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (Number(deal.seller_telegram_id) !== from.id) return { error: 'Only the seller can answer this request.' };
+    if (!awaitingSeller(deal)) return { error: deal.seller_confirmed_at ? 'Already confirmed.' : `Cannot answer. Status: ${deal.status}` };
+
+    const fields = confirm ? { seller_confirmed_at: new Date().toISOString() } : { status: 'cancelled' };
+    const { data } = await supabase
+      .from('deals')
+      .update(fields)
+      .ilike('deal_id', deal.deal_id)
+      .eq('status', 'pending_deposit')
+      .is('seller_confirmed_at', null)
+      .select();
+    if (!data?.length) return { error: 'This request was already answered.' };
+    await onDealChanged(deal.deal_id);
+    return { deal: data[0], buyerId: await getBuyerTelegramId(data[0]) };
+  }
+
+  // ============ TERMS ============
+
+  // Versions of a deal's terms, oldest first. Until the deal is on-chain either party can
+  // propose new terms (/amend); the other accepts, counters (a newer proposal) or rejects.
+  // The deals row always holds the accepted version, so that is what fund() puts on-chain.
+  async function getTerms(dealId) {
+    const { data } = await supabase.from('deal_terms').select('*').ilike('deal_id', dealId).order('version', { ascending: true });
+    return data || [];
+  }
+
+  async function openProposal(dealId) {
+    const { data } = await supabase.from('deal_terms').select('*').ilike('deal_id', dealId).eq('status', 'proposed').maybeSingle();
+    return data || null;
+  }
+
+  // Terms can change while nothing is on-chain: pending and /fund not yet started
+  async function termsLocked(deal) {
+    if (deal.status !== 'pending_deposit') return `Terms are final once funded. Status: ${deal.status}`;
+    if (deal.funding_started_at || deal.contract_deal_id || (await getOnChainStatus(deal.deal_id)).exists) {
+      return 'Terms are locked: the buyer has started funding this deal. Cancel it and make a new one to change them.';
+    }
+    return null;
+  }
+
+  // Makes a proposal the deal's terms, unless the deal moved on meanwhile
+  async function applyTerms(deal, proposal) {
+    const { data } = await supabase
+      .from('deals')
+      .update({ ...termsOf(proposal), terms_version: proposal.version })
+      .ilike('deal_id', deal.deal_id)
+      .eq('status', 'pending_deposit')
+      .is('funding_started_at', null)
+      .is('contract_deal_id', null)
+      .select();
+    if (!data?.length) return { error: 'The deal changed meanwhile. Check /status.' };
+    await supabase.from('deal_terms').update({ status: 'accepted', answered_at: new Date().toISOString() }).eq('id', proposal.id);
+    await onDealChanged(deal.deal_id);
+    return { deal: data[0] };
+  }
+
+  // changes: from parseAmendment, applied on top of the open proposal if there is one (that is
+  // how a counter-offer works; counters: the version the caller meant to answer). Returns the
+  // proposal, the current terms it replaces and who to ask; an open offer has nobody to ask, so
+  // the seller's change applies at once (applied: true).
+  async function proposeTerms(dealId, from, changes, { counters = null } = {}) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+    const locked = await termsLocked(deal);
+    if (locked) return { error: locked };
+
+    if (changes.amount !== undefined) {
+      if (isMilestoneDeal(deal)) return { error: 'Milestone amounts are fixed. Change the description or deadlines, or cancel and make a new deal.' };
+      const token = tokens.forDeal(deal);
+      if (token && (changes.amount < token.min || changes.amount > token.max)) return { error: `Amount: ${token.min}-${token.max} ${token.symbol}` };
+    }
+    const open = await openProposal(deal.deal_id);
+    if (counters && open?.version !== counters) return { error: `v${counters} was already answered. See /terms ${deal.deal_id}` };
+    const previous = termsOf(deal);
+    const base = open ? termsOf(open) : previous;
+    const terms = { ...base, ...changes };
+    const same = (other) => TERM_FIELDS.every(f => terms[f] === other[f]);
+    if (same(previous) || same(base)) return { error: 'Those are already the terms.' };
+
+    // The new proposal replaces the open one
+    const history = await getTerms(deal.deal_id);
+    const version = Math.max(Number(deal.terms_version) || 1, ...history.map(t => t.version)) + 1;
+    await supabase.from('deal_terms').update({ status: 'superseded', answered_at: new Date().toISOString() }).ilike('deal_id', deal.deal_id).eq('status', 'proposed');
+    const { data, error } = await supabase.from('deal_terms').insert({ deal_id: deal.deal_id, version, ...terms, proposed_by: from.id, status: 'proposed' }).select();
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    const proposal = data[0];
+
+    if (isOpenOffer(deal)) {
+      const applied = await applyTerms(deal, proposal);
+      if (applied.error) return applied;
+      return { deal: applied.deal, proposal, previous, applied: true };
+    }
+    const counterpartyId = isSeller ? await getBuyerTelegramId(deal) : Number(deal.seller_telegram_id);
+    return { deal, proposal, previous, counterpartyId, applied: false };
+  }
+
+  // The other party's answer to proposal `version`. Returns the deal (with the new terms if
+  // accepted) and the proposer to tell.
+  async function answerTerms(dealId, version, from, accept) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+
+    const { data: proposal } = await supabase.from('deal_terms').select('*').ilike('deal_id', deal.deal_id).eq('version', version).maybeSingle();
+    if (!proposal) return { error: 'Proposal not found.' };
+    if (proposal.status !== 'proposed') return { error: `Version ${version} was already ${proposal.status}.` };
+    if (Number(proposal.proposed_by) === from.id) return { error: 'Waiting for the other party to answer.' };
+
+    const result = { deal, proposal, previous: termsOf(deal), proposerId: Number(proposal.proposed_by) };
+    if (!accept) {
+      await supabase.from('deal_terms').update({ status: 'rejected', answered_at: new Date().toISOString() }).eq('id', proposal.id).eq('status', 'proposed');
+      return result;
+    }
+
+    const locked = await termsLocked(deal);
+    if (locked) return { error: locked };
+    const applied = await applyTerms(deal, proposal);
+    if (applied.error) return applied;
+    return { ...result, deal: applied.deal };
+  }
+
+  // Buyer asks to fund: creates the on-chain deal on first use, then hands out the deposit link
+  async function fund(dealId, from, { progress = async () => {} } = {}) {
+    let { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (!(await isDealBuyer(deal, from))) return { error: 'Only the buyer can fund this deal.' };
+    if (!canFund(deal)) return { error: `Cannot fund. Status: ${deal.status}` };
+    if (awaitingSeller(deal)) return { error: `Waiting for @${deal.seller_username} to confirm this request.` };
+    const proposal = deal.status === 'pending_deposit' ? await openProposal(deal.deal_id) : null;
+    if (proposal) return { error: `New terms (v${proposal.version}) are waiting for an answer. Accept or reject them first: /terms ${deal.deal_id}` };
+
+    let deposit = await depositSummary(deal);
+    if (!deposit.amount) return { error: 'All stages are already funded.' };
+
+    const sellerWallet = await getWallet(deal.seller_telegram_id);
+    const buyerWallet = await getWallet(from.id);
+    if (!sellerWallet) return { error: 'Seller needs to register a wallet first.' };
+    if (!buyerWallet) return { error: 'Register your wallet first: /wallet 0xYourAddress' };
+
+    // Lock the terms before they go on-chain (applyTerms checks the flag), then use them as
+    // they are now: a proposal accepted since the read above is what gets funded
+    if (deal.status === 'pending_deposit' && !deal.funding_started_at) {
+      await supabase.from('deals').update({ funding_started_at: new Date().toISOString() }).ilike('deal_id', deal.deal_id).is('funding_started_at', null);
+      ({ deal } = await getDeal(deal.deal_id));
+      if (!deal || !canFund(deal)) return { error: 'The deal changed meanwhile. Check /status.' };
+      deposit = await depositSummary(deal);
+    }
+
+    // The deposit page re-hashes the terms in its link against the on-chain termsHash
+    const depositUrl = async () => {
+      const terms = await verifyTerms(deal.deal_id);
+      const query = terms.document ? `&terms=${Buffer.from(terms.document).toString('base64url')}` : '';
+      return `${frontendUrl}?deal=${deal.deal_id}${deposit.query}${query}`;
+    };
+
+    try {
+      const existingId = await escrow.externalIdToDealId(deal.deal_id);
+      if (existingId.toString() !== '0') {
+        await supabase.from('deals').update({ contract_deal_id: deal.deal_id }).ilike('deal_id', deal.deal_id);
+        return { deal, deposit, url: await depositUrl(), created: false };
+      }
+    } catch (e) {}
+
+    await progress('⏳ Creating on-chain deal...');
+
+    try {
+      const tx = await createOnChainDeal(deal, sellerWallet, buyerWallet);
+      await progress(`🔗 Tx: ${txUrl(tx.hash)}`);
+      await waitWithTimeout(tx);
+      await supabase.from('deals').update({ contract_deal_id: deal.deal_id, tx_hash: tx.hash }).ilike('deal_id', deal.deal_id);
+      return { deal, deposit, url: await depositUrl(), created: true };
+    } catch (e) {
+      logger.error('Fund error:', e.message);
+      // Nothing reached the chain: the terms can change again. If the chain can't be read, the
+      // lock stays until the next /fund finds out.
+      const onChain = await getOnChainStatus(deal.deal_id);
+      if (!onChain.exists && !onChain.error) {
+        await supabase.from('deals').update({ funding_started_at: null }).ilike('deal_id', deal.deal_id).is('contract_deal_id', null);
+      }
+      return { error: 'Something went wrong. Please try again shortly.' };
+    }
+  }
+
+  // Release is signed by the buyer on the deposit page; this checks it and builds the link.
+  // A disputed deal needs confirm, so a buyer does not release by accident mid-dispute.
+  async function release(dealId, from, { stage = null, confirm = false } = {}) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (!(await isDealBuyer(deal, from))) return { error: 'Only the buyer can release.' };
+    if (deal.status === 'disputed' && !confirm) return { deal, needsConfirm: true };
+    if (deal.status !== 'funded' && deal.status !== 'disputed') return { error: `Cannot release. Status: ${deal.status}` };
+
+    const target = await releaseTarget(deal, stage);
+    if (target.error) return target;
+
+    return { deal, target, url: `${frontendUrl}?deal=${deal.deal_id}&action=release${target.query}` };
+  }
+
+  // details: the text after the deal ID, "[stage] reason". Milestone deals dispute one funded
+  // stage; other stages stay releasable.
+  async function dispute(dealId, from, details, { progress = async () => {} } = {}) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+
+    let reason = details || 'No reason provided';
+    let milestone = null;
+    if (isMilestoneDeal(deal)) {
+      if (deal.status !== 'funded' && deal.status !== 'disputed') return { error: `Cannot dispute. Status: ${deal.status}` };
+      const stageMatch = (details || '').match(/^(\d+)(?:\s+(.+))?$/);
+      const picked = pickStage(await getMilestones(deal.deal_id), stageMatch?.[1], 'funded');
+      if (picked.error) return picked;
+      milestone = picked.milestone;
+      if (stageMatch) reason = stageMatch[2] || 'No reason provided';
+    } else if (deal.status !== 'funded') {
+      return { error: `Cannot dispute. Status: ${deal.status}` };
+    }
+
+    // Mark as disputed on-chain FIRST
+    try {
+      const chainId = await escrow.externalIdToDealId(deal.deal_id);
+      if (chainId.toString() !== '0') {
+        if (milestone) {
+          const onChainStages = await escrow.getMilestones(chainId);
+          if (Number(onChainStages[milestone.stage - 1].status) === 1) { // Funded
+            await progress(`Marking stage ${milestone.stage} disputed on-chain...`);
+            const tx = await escrow.disputeMilestone(chainId, milestone.stage - 1);
+            await waitWithTimeout(tx);
+            await progress('✅ On-chain dispute recorded.');
+          }
+        } else {
+          const onChain = await escrow.deals(chainId);
+
+          // Only call dispute if not already disputed on-chain (status 4)
+          if (Number(onChain[4]) === 1) { // Funded
+            await progress('Marking dispute on-chain...');
+            const tx = await escrow.dispute(chainId);
+            await waitWithTimeout(tx);
+            await progress('✅ On-chain dispute recorded.');
+          }
+        }
+      }
+    } catch (e) {
+      // The database follows the chain: a dispute only recorded here would not freeze the funds
+      logger.error('On-chain dispute error:', e.message);
+      return { error: '❌ On-chain dispute failed. The deal is unchanged — please try again shortly.' };
+    }
+
+    if (milestone) {
+      await supabase.from('deal_milestones').update({ status: 'disputed', disputed_at: new Date().toISOString() }).eq('id', milestone.id);
+      reason = `[Stage ${milestone.stage}: ${milestone.label}] ${reason}`;
+    }
+
+    const disputedBy = from.username || `user_${from.id}`;
+    const { error } = await supabase.from('deals').update({
+      status: 'disputed',
+      disputed_by: disputedBy,
+      disputed_by_telegram_id: from.id,
+      dispute_reason: reason,
+      disputed_at: new Date().toISOString()
+    }).ilike('deal_id', deal.deal_id);
+
+    if (error) {
+      logger.error('Dispute update error:', error);
+      return { error: 'Something went wrong. Please try again shortly.' };
+    }
+
+    await onDealChanged(deal.deal_id);
+    const otherPartyId = isSeller ? await getBuyerTelegramId(deal) : deal.seller_telegram_id;
+    return { deal, reason, milestone, disputedBy, otherPartyId };
+  }
+
+  // admin: { id, username, role } with role 'botmaster' or 'moderator' (checked by the caller).
+  // Moderators only resolve disputes assigned to them. Milestone deals resolve one disputed stage.
+  async function resolve(dealId, admin, { stage = null, decision }, { progress = async () => {} } = {}) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (deal.status !== 'disputed') return { error: `Not disputed. Status: ${deal.status}` };
+    if (admin.role === 'moderator' && deal.assigned_to_telegram_id !== admin.id) return { error: 'Only assigned disputes.' };
+
+    let milestones = null;
+    let milestone = null;
+    if (isMilestoneDeal(deal)) {
+      milestones = await getMilestones(deal.deal_id);
+      const picked = pickStage(milestones, stage, 'disputed');
+      if (picked.error) return picked;
+      milestone = picked.milestone;
+    }
+
+    const onChain = await getOnChainStatus(deal.deal_id);
+    if (onChain.error) return { error: 'Could not read this deal on-chain. Please try again shortly.' };
+    if (onChain.exists) {
+      await progress(`On-chain status: ${onChain.status} (4=Disputed)\nResolving${milestone ? ` stage ${milestone.stage}` : ''}...`);
+
+      try {
+        let tx;
+        if (milestone) {
+          const index = milestone.stage - 1;
+          tx = decision === 'release'
+            ? await escrow.resolveReleaseMilestone(onChain.chainId, index)
+            : await escrow.refundMilestone(onChain.chainId, index);
+        } else if (decision === 'release') {
+          tx = await escrow.resolveRelease(onChain.chainId);
+        } else {
+          tx = await escrow.refund(onChain.chainId);
+        }
+        await progress(`Tx: ${txUrl(tx.hash)}`);
+        await waitWithTimeout(tx);
+        await progress('✅ On-chain resolved.');
+      } catch (e) {
+        logger.error('On-chain resolve error:', e.message);
+        return { error: `❌ On-chain resolve failed: ${e.shortMessage || e.message}\n\nThe deal is unchanged. Try again, or check it with /reconcile ${deal.deal_id}.` };
+      }
+    }
+
+    let newStatus = decision === 'release' ? 'completed' : 'refunded';
+    if (milestone) {
+      const stageStatus = decision === 'release' ? 'released' : 'refunded';
+      await supabase.from('deal_milestones').update({ status: stageStatus, released_at: new Date().toISOString(), resolved_by: admin.username }).eq('id', milestone.id);
+      milestone.status = stageStatus;
+      newStatus = dealStatusFromMilestones(milestones);
+    }
+
+    const { error: updateError } = await supabase.from('deals').update({
+      status: newStatus,
+      resolved_by: admin.username,
+      ...(newStatus === 'completed' || newStatus === 'refunded' ? { completed_at: new Date().toISOString() } : {})
+    }).ilike('deal_id', deal.deal_id);
+
+    if (updateError) {
+      logger.error('Resolve update error:', updateError);
+      return { error: `Failed to update database: ${updateError.message}` };
+    }
+
+    await onDealChanged(deal.deal_id);
+    await logAdminAction('resolve', deal.deal_id, admin.id, admin.username, null, milestone ? `stage ${milestone.stage}: ${decision}` : decision);
+    return { deal, milestone, newStatus, buyerId: await getBuyerTelegramId(deal) };
+  }
+
+  // Who the caller rates on a finished deal
+  async function reviewTarget(dealId, from) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+    return { deal, isSeller, targetRole: isSeller ? 'buyer' : 'seller', targetUser: isSeller ? buyerLabel(deal) : `@${deal.seller_username}` };
+  }
+
+  // Rating and comment in one go (/review)
+  async function review(dealId, from, rating, comment) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    // Allow reviews for completed OR refunded deals (both are finished states)
+    if (deal.status !== 'completed' && deal.status !== 'refunded') {
+      return { error: `Can only review finished deals. Current status: ${deal.status}` };
+    }
+
+    const target = await reviewTarget(deal.deal_id, from);
+    if (target.error) return target;
+    const role = target.isSeller ? 'seller' : 'buyer';
+    if (deal[`${role}_review`]) return { error: 'Already reviewed.' };
+
+    await supabase.from('deals').update({
+      [`${role}_review`]: comment || 'No comment',
+      [`${role}_rating`]: rating
+    }).ilike('deal_id', deal.deal_id);
+    return { deal, rating };
+  }
+
+  // Rating from the star buttons; the comment may follow (addReviewComment)
+  async function rate(dealId, from, rating) {
+    const target = await reviewTarget(dealId, from);
+    if (target.error) return target;
+    const { deal, isSeller } = target;
+    const field = isSeller ? 'seller_rating' : 'buyer_rating';
+    if (deal[field]) return { error: 'Already reviewed.' };
+
+    await supabase.from('deals').update({ [field]: rating }).ilike('deal_id', deal.deal_id);
+    return { deal, isSeller };
+  }
+
+  async function addReviewComment(dealId, isSeller, comment) {
+    const { error } = await supabase.from('deals').update({
+      [isSeller ? 'seller_review' : 'buyer_review']: comment
+    }).ilike('deal_id', dealId);
+    return error ? { error } : {};
+  }
+
+  // ============ CANCELLATION ============
+
+  // Before funding the seller cancels (or the buyer withdraws a /request the seller has not
+  // confirmed). Once funded it takes both parties: this asks, or confirms the other's request.
+  async function cancel(dealId, from, { progress = async () => {} } = {}) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+    if (deal.status === 'funded') return requestCancel(deal, from, isSeller, { progress });
+    if (deal.status !== 'pending_deposit') return { error: `Cannot cancel. Status: ${deal.status}` };
+    if (!isSeller && !awaitingSeller(deal)) return { error: 'Only the seller can cancel a pending deal.' };
+
+    // Once /fund has created the deal on-chain, cancel it there first so a late deposit can't land
+    const onChain = await getOnChainStatus(deal.deal_id);
+    if (onChain.error) return { error: 'Could not read this deal on-chain. Please try again shortly.' };
+    if (onChain.exists && onChain.status !== 0 && onChain.status !== 5) {
+      return { error: `Cannot cancel. On-chain status: ${CHAIN_STATUS_NAMES[onChain.status]}` };
+    }
+    if (onChain.exists && onChain.status === 0) {
+      await progress('⏳ Cancelling on-chain...');
+      try {
+        const tx = await escrow.cancel(onChain.chainId);
+        await progress(`🔗 Tx: ${txUrl(tx.hash)}`);
+        await waitWithTimeout(tx);
+      } catch (e) {
+        logger.error('Cancel error:', e.message);
+        return { error: '❌ On-chain cancel failed. The deal is unchanged — please try again shortly.' };
+      }
+    }
+
+    const updated = await transitionDeal(deal.deal_id, ['pending_deposit'], { status: 'cancelled' });
+    if (!updated) return { error: 'The deal changed meanwhile. Check /status.' };
+    await onDealChanged(deal.deal_id);
+    return { deal: updated, cancelled: true };
+  }
+
+  // Returns { waiting } if the caller already asked, { requested, counterpartyId } for a new
+  // request, or executeMutualCancel's result when this confirms the other party's request
+  async function requestCancel(deal, from, isSeller, { progress }) {
+    const request = activeCancelRequest(deal);
+    if (request && request.by === from.id) return { deal, waiting: request };
+    if (request) return executeMutualCancel(deal, { progress });
+
+    const { data } = await supabase.from('deals').update({
+      cancel_requested_by: from.id,
+      cancel_requested_at: new Date().toISOString()
+    }).ilike('deal_id', deal.deal_id).eq('status', 'funded').select();
+    if (!data?.length) return { error: 'Something went wrong. Please try again shortly.' };
+
+    const counterpartyId = isSeller ? await getBuyerTelegramId(deal) : deal.seller_telegram_id;
+    return { deal: data[0], requested: true, isSeller, counterpartyId };
+  }
+
+  async function acceptCancel(dealId, from, { progress = async () => {} } = {}) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+    if (deal.status !== 'funded') return { error: `Cannot cancel. Status: ${deal.status}` };
+
+    const request = activeCancelRequest(deal);
+    if (!request) return { error: `This cancel request has expired. Use /cancel ${deal.deal_id} to start a new one.` };
+    if (request.by === from.id) return { error: 'Waiting for the other party to confirm.' };
+    return executeMutualCancel(deal, { progress });
+  }
+
+  async function declineCancel(dealId, from) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer) return { error: 'Not your deal.' };
+
+    const request = activeCancelRequest(deal);
+    if (!request || deal.status !== 'funded') return { error: 'No open cancel request.' };
+    if (request.by === from.id) return { error: 'You can\'t decline your own request.' };
+
+    await supabase.from('deals').update({ cancel_requested_by: null, cancel_requested_at: null }).ilike('deal_id', deal.deal_id);
+    return { deal, requesterId: request.by };
+  }
+
+  // Both parties agreed: refund on-chain first, then record it. notify is false when the
+  // indexer recorded the cancel first (and told the parties).
+  async function executeMutualCancel(deal, { progress }) {
+    const onChain = await getOnChainStatus(deal.deal_id);
+    if (!onChain.exists) return { error: 'Could not read this deal on-chain. Please try again shortly.' };
+    if (onChain.status !== 1) return { error: `Cannot cancel. On-chain status: ${CHAIN_STATUS_NAMES[onChain.status]}` };
+
+    await progress('⏳ Both parties agreed. Refunding buyer on-chain...');
+    try {
+      const tx = await escrow.cancelFunded(onChain.chainId);
+      await progress(`🔗 Tx: ${txUrl(tx.hash)}`);
+      await waitWithTimeout(tx);
+    } catch (e) {
+      logger.error('Mutual cancel error:', e.message);
+      return { error: '❌ On-chain refund failed. The cancel request is still open — please try again shortly.' };
+    }
+
+    const updated = await transitionDeal(deal.deal_id, ['funded'], {
+      status: 'cancelled',
+      completed_at: new Date().toISOString(),
+      cancel_requested_by: null,
+      cancel_requested_at: null
+    });
+    if (updated) await onDealChanged(deal.deal_id);
+    return { deal: updated || deal, executed: true, notify: !!updated };
+  }
+
+  // Closes requests nobody answered; returns the deals to tell
+  async function expireCancelRequests() {
+    const cutoff = new Date(Date.now() - CANCEL_REQUEST_TIMEOUT).toISOString();
+    const { data: expired, error } = await supabase
+      .from('deals')
+      .select('*')
+      .eq('status', 'funded')
+      .not('cancel_requested_at', 'is', null)
+      .lte('cancel_requested_at', cutoff);
+    if (error) throw new Error(error.message);
+
+    for (const deal of expired || []) {
+      await supabase.from('deals').update({ cancel_requested_by: null, cancel_requested_at: null }).ilike('deal_id', deal.deal_id);
+    }
+    return expired || [];
+  }
+
+  // ============ EVIDENCE ============
+
+  // Parties (and admins) add evidence while a deal is disputed. evidence: { content, fileId }
+  // with fileId for a photo; isAdmin from the caller's admin check.
+  async function addEvidence(dealId, from, { content, fileId = null }, isAdmin = false) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (deal.status !== 'disputed') return { error: `Deal not disputed. Status: ${deal.status}` };
+    if (!content) return { error: `Usage: /evidence ${deal.deal_id} your message` };
+    if (!isSeller && !isBuyer && !isAdmin) return { error: 'Not your deal.' };
+
+    const { error } = await supabase.from('evidence').insert({
+      deal_id: deal.deal_id,
+      submitted_by: from.username,
+      role: isSeller ? 'Seller' : (isBuyer ? 'Buyer' : 'Admin'),
+      content,
+      ...(fileId && { file_id: fileId, file_type: 'photo' }),
+      telegram_id: from.id
+    });
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    return { deal };
+  }
+
+  // admin: { isAdmin, role }. Moderators only see disputes assigned to them.
+  async function getEvidence(dealId, from, admin) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    if (!isSeller && !isBuyer && !admin.isAdmin) return { error: 'Not your deal.' };
+    if (admin.role === 'moderator' && deal.assigned_to_telegram_id !== from.id) return { error: 'Only assigned disputes.' };
+
+    const { data, error } = await supabase.from('evidence').select('*').ilike('deal_id', deal.deal_id).order('created_at', { ascending: true });
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    return { deal, evidence: data || [] };
+  }
+
+  // The party who opened the dispute, or an admin, asks to withdraw it: always refused, with
+  // the way to settle it instead
+  async function cancelDispute(dealId, from, isAdmin = false) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (deal.status !== 'disputed') return { error: `Not disputed. Status: ${deal.status}` };
+
+    const isDisputer = deal.disputed_by_telegram_id === from.id || deal.disputed_by?.toLowerCase() === from.username?.toLowerCase();
+    if (!isDisputer && !isAdmin) return { error: 'Only disputer or admin can cancel.' };
+
+    // The contract can't undo a dispute: a funded row would disagree with the chain, where
+    // release and claims revert. The parties agree an outcome and an admin settles it.
+    const stage = isMilestoneDeal(deal) ? ' [stage]' : '';
+    return { error: `A dispute stays open on-chain until an admin settles it. Agree on the outcome and ask for /resolve ${deal.deal_id}${stage} release|refund` };
+  }
+
+  // ============ REPUTATION ============
+
+  // Off-chain mirror of the escrow's reputation counters (getReputation in DealPactEscrow).
+  // A deal never disputed counts once settled: completion or refund. Mutual cancellation of a
+  // funded deal counts either way; unfunded cancellations don't count. Like the contract,
+  // disputes count per disputed stage once it is settled (released: the seller won, refunded:
+  // the buyer won), and volume only counts what the buyer (or a timeout claim) released, not
+  // what an admin resolved. Milestone deals (userDeals from getUserDealsWithStages) go by stage.
+  function computeReputation(userDeals, user) {
+    const rep = { completed: 0, disputesWon: 0, disputesLost: 0, refunded: 0, cancelled: 0, active: 0, volume: 0, ethVolume: 0 };
+    const addVolume = (d, amount) => {
+      if (tokens.symbolOf(d) === 'ETH') rep.ethVolume += parseFloat(amount);
+      else rep.volume += parseFloat(amount);
+    };
+
+    for (const d of userDeals) {
+      const isSeller = dealRole(d, user) === 'seller';
+      if (d.status === 'funded' || d.status === 'disputed') rep.active++;
+      if (isMilestoneDeal(d)) {
+        for (const m of d.milestones || []) if (m.status === 'released' && !m.resolved_by) addVolume(d, m.amount);
+      } else if (d.status === 'completed' && !d.resolved_by) {
+        addVolume(d, d.amount);
+      }
+
+      // A single-payment deal is its own one stage
+      const disputed = isMilestoneDeal(d) ? (d.milestones || []).filter(m => m.disputed_at) : (d.disputed_at ? [d] : []);
+      for (const unit of disputed) {
+        const sellerWon = unit.status === 'released' || unit.status === 'completed';
+        if (!sellerWon && unit.status !== 'refunded') continue; // still open
+        if (sellerWon === isSeller) rep.disputesWon++;
+        else rep.disputesLost++;
+      }
+
+      if (d.status === 'cancelled' && d.funded_at) rep.cancelled++;
+      else if (d.status === 'completed' && !d.disputed_at) rep.completed++;
+      else if (d.status === 'refunded' && !d.disputed_at) rep.refunded++;
+    }
+
+    rep.settled = rep.completed + rep.disputesWon + rep.disputesLost + rep.refunded + rep.cancelled;
+    rep.successRate = rep.settled ? rep.completed / rep.settled : null;
+    rep.disputeRate = rep.settled ? (rep.disputesWon + rep.disputesLost) / rep.settled : null;
+    return rep;
+  }
+
+  async function getReputation(user) {
+    const { deals } = await getUserDealsWithStages(user, null);
+    return { rep: computeReputation(deals || [], user), deals: deals || [] };
+  }
+
+  // Escrow counters for a wallet, or null if the RPC call fails
+  async function getOnChainReputation(wallet) {
+    try {
+      const r = await escrow.getReputation(wallet);
+      return {
+        completed: Number(r[0]),
+        volume: Number(r[1]) / 1e6, // 6-decimal units across all ERC-20s
+        disputesWon: Number(r[2]),
+        disputesLost: Number(r[3]),
+        refunded: Number(r[4]),
+        cancelled: Number(r[5]),
+        ethVolume: Number(ethers.formatEther(r[6]))
+      };
+    } catch (e) {
+      logger.error('On-chain rep error:', e.message);
+      return null;
+    }
+  }
+
+  // Whose reputation /rep shows: by wallet, by @username, or the caller. Resolves the account
+  // (Telegram ID + username) and wallet through the users table; user is null for a wallet
+  // nobody registered.
+  async function findRepTarget({ username = null, wallet = null }, from) {
+    if (wallet) {
+      wallet = wallet.toLowerCase();
+      const { data } = await supabase.from('users').select('telegram_id, username').eq('wallet_address', wallet).single();
+      return { user: data ? { id: Number(data.telegram_id), username: data.username } : null, wallet };
+    }
+    if (username) {
+      const { data } = await supabase.from('users').select('telegram_id, wallet_address').ilike('username', username).single();
+      return { user: { id: Number(data?.telegram_id) || null, username }, wallet: data?.wallet_address || null };
+    }
+    return { user: { id: from.id, username: from.username }, wallet: await getWallet(from.id) };
+  }
+
+  // ============ DELIVERY DEADLINES & TIMEOUT CLAIMS ============
+
+  // Funded units that run on a clock: the deal itself, or each funded stage
+  async function fundedUnits(deal) {
+    if (!isMilestoneDeal(deal)) return deal.status === 'funded' ? [singleUnit(deal)] : [];
+    return (await getMilestones(deal.deal_id)).filter(m => m.status === 'funded');
+  }
+
+  // A single-payment deal's clock, shaped like a stage row
+  function singleUnit(deal) {
+    return { stage: null, amount: deal.amount, funded_at: deal.funded_at, delivered_at: deal.delivered_at, timeout_notified: deal.timeout_notified };
+  }
+
+  // Record a delivery once, from markDelivered or the MilestoneDelivered event.
+  // Returns false if it was already recorded.
+  async function recordDelivery(deal, stage, at) {
+    const query = stage
+      ? supabase.from('deal_milestones').update({ delivered_at: at }).ilike('deal_id', deal.deal_id).eq('stage', stage)
+      : supabase.from('deals').update({ delivered_at: at }).ilike('deal_id', deal.deal_id);
+    const { data, error } = await query.is('delivered_at', null).select();
+    if (error) throw new Error(`Delivery update failed: ${error.message}`);
+    return !!data?.length;
+  }
+
+  // Seller marks the deal (or a stage) delivered. The bot wallet records it on-chain on the
+  // seller's behalf, which starts the buyer's review window. Returns the stage (null for a
+  // single deal) and whether this call recorded it, so the buyer is told once.
+  async function markDelivered(dealId, from, stageArg, { progress = async () => {} } = {}) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (deal.seller_telegram_id !== from.id) return { error: 'Only the seller can mark delivery.' };
+    if (deal.status !== 'funded') return { error: `Cannot mark delivered. Status: ${deal.status}` };
+
+    let stage = null;
+    let unit = deal;
+    if (isMilestoneDeal(deal)) {
+      const milestones = await getMilestones(deal.deal_id);
+      const picked = pickStage(stageArg ? milestones : milestones.filter(m => !m.delivered_at), stageArg, 'funded');
+      if (picked.error) return picked;
+      if (picked.milestone.delivered_at) return { error: `Stage ${picked.milestone.stage} is already marked delivered.` };
+      stage = picked.milestone.stage;
+      unit = picked.milestone;
+    } else if (deal.delivered_at) {
+      return { error: 'Already marked delivered.' };
+    }
+    // The contract refuses a late mark: past the deadline the buyer may claim a refund
+    if (unitDeadline(deal, unit)?.expired) return { error: `The delivery deadline has passed, so delivery can no longer be marked. If you did deliver, settle it with the buyer or /dispute ${deal.deal_id}` };
+
+    const onChain = await getOnChainStatus(deal.deal_id);
+    if (!onChain.exists) return { error: 'Deal not found on-chain.' };
+
+    let recorded;
+    try {
+      await progress('⏳ Recording delivery on-chain...');
+      const tx = stage
+        ? await escrow.markMilestoneDelivered(onChain.chainId, stage - 1)
+        : await escrow.markDelivered(onChain.chainId);
+      const receipt = await waitWithTimeout(tx);
+      // The review window runs from the block time, as the contract's claims do
+      const block = await receipt.getBlock();
+      recorded = await recordDelivery(deal, stage, new Date(Number(block.timestamp) * 1000).toISOString());
+    } catch (e) {
+      logger.error('Mark delivered error:', e.message);
+      return { error: 'Could not record delivery on-chain. Please try again shortly.' };
+    }
+    return { deal, stage, recorded };
+  }
+
+  // Claim after a window expired: 'refund' (buyer, nothing delivered) or 'release' (seller,
+  // buyer silent). Without a kind it follows from the caller's side of the deal.
+  async function claim(dealId, from, { stage = null, kind = null } = {}, { progress = async () => {} } = {}) {
+    const parties = await getParties(dealId, from);
+    if (!parties) return { error: 'Deal not found.' };
+    const { deal, isSeller, isBuyer } = parties;
+    kind = kind || (isSeller ? 'release' : (isBuyer ? 'refund' : null));
+    if (!kind) return { error: 'Not your deal.' };
+    if (kind === 'release' && !isSeller) return { error: 'Only the seller can claim the payment.' };
+    if (kind === 'refund' && !isBuyer) return { error: 'Only the buyer can claim a refund.' };
+    if (deal.status === 'disputed') return { error: '⚠️ Claims are paused while the deal is disputed.' };
+    if (deal.status !== 'funded') return { error: `Cannot claim. Status: ${deal.status}` };
+
+    const wanted = kind === 'refund' ? 'delivery' : 'review';
+    const claimable = (await fundedUnits(deal)).filter(u => {
+      const dl = unitDeadline(deal, u);
+      return dl && dl.kind === wanted && dl.expired;
+    });
+    const unit = stage ? claimable.find(u => u.stage === parseInt(stage)) : claimable[0];
+    if (!unit) {
+      return {
+        error: kind === 'refund'
+          ? 'Nothing to refund yet: the delivery deadline has not passed, or the seller marked it delivered.'
+          : 'Nothing to claim yet: the buyer review window is still open.'
+      };
+    }
+
+    const onChain = await getOnChainStatus(deal.deal_id);
+    if (!onChain.exists) return { error: 'Deal not found on-chain.' };
+
+    try {
+      await progress(`⏳ Claiming ${kind === 'refund' ? 'refund' : 'payment'} on-chain...`);
+      let tx;
+      if (unit.stage) {
+        tx = kind === 'refund'
+          ? await escrow.claimRefundMilestone(onChain.chainId, unit.stage - 1)
+          : await escrow.claimReleaseMilestone(onChain.chainId, unit.stage - 1);
+      } else {
+        tx = kind === 'refund'
+          ? await escrow.claimRefund(onChain.chainId)
+          : await escrow.claimRelease(onChain.chainId);
+      }
+      await progress(`🔗 Tx: ${txUrl(tx.hash)}`);
+      await waitWithTimeout(tx);
+    } catch (e) {
+      logger.error('Timeout claim error:', e.message);
+      return { error: 'Claim failed on-chain. Please try again shortly.' };
+    }
+    return { deal, unit, kind };
+  }
+
+  // Windows that expired since the last check, each returned once: { deal, unit, kind }.
+  // Database only, no RPC calls. Only funded units whose current window (review once
+  // delivered, delivery before) has not been notified yet are read: timeout_notified is
+  // null, or 'delivery' on a unit delivered since.
+  async function expiredWindows() {
+    const unnotified = (query) => query
+      .not('funded_at', 'is', null)
+      .or('timeout_notified.is.null,delivered_at.not.is.null')
+      .or('timeout_notified.is.null,timeout_notified.neq.review');
+
+    const singles = await selectPages(() => unnotified(supabase.from('deals').select('*').eq('status', 'funded').lte('milestone_count', 1)).order('funded_at'));
+    const stages = await selectPages(() => unnotified(supabase.from('deal_milestones').select('*').eq('status', 'funded')).order('id'));
+
+    // Stages count while their deal is funded (not disputed)
+    const parents = new Map();
+    const parentIds = [...new Set(stages.map(m => m.deal_id))];
+    for (let i = 0; i < parentIds.length; i += ID_CHUNK_SIZE) {
+      const { data, error } = await supabase.from('deals').select('*').in('deal_id', parentIds.slice(i, i + ID_CHUNK_SIZE)).eq('status', 'funded');
+      if (error) throw new Error(error.message);
+      for (const deal of data || []) parents.set(deal.deal_id, deal);
+    }
+
+    const units = [
+      ...singles.map(deal => ({ deal, unit: singleUnit(deal) })),
+      ...stages.filter(m => parents.has(m.deal_id)).map(m => ({ deal: parents.get(m.deal_id), unit: m }))
+    ];
+
+    const expired = [];
+    for (const { deal, unit } of units) {
+      const dl = unitDeadline(deal, unit);
+      if (!dl?.expired || unit.timeout_notified === dl.kind) continue;
+
+      const { error } = unit.stage
+        ? await supabase.from('deal_milestones').update({ timeout_notified: dl.kind }).eq('id', unit.id)
+        : await supabase.from('deals').update({ timeout_notified: dl.kind }).ilike('deal_id', deal.deal_id);
+      if (error) {
+        // Not marked, so not returned: the next check tries again rather than notifying twice
+        logger.error('Deadline notice update error:', error);
+        continue;
+      }
+      expired.push({ deal, unit, kind: dl.kind });
+    }
+    return expired;
+  }
+
+  // ============ RECONCILIATION ============
+
+  // Compare one deal row, and a milestone deal's stage rows, against the contract. repairs:
+  // 'sync' (database → chain state) and, where an owner call exists, 'chain' (chain → database
+  // state; repair names the call). stages: the stage rows that disagree with the chain.
+  async function reconcileDeal(deal) {
+    const onChain = await getOnChainStatus(deal.deal_id);
+    if (onChain.error) return { deal, onChain, error: onChain.error };
+
+    if (!onChain.exists) {
+      const ok = deal.status === 'pending_deposit' || deal.status === 'cancelled';
+      return { deal, onChain, mismatch: !ok, expected: null, stages: [], repairs: [] };
+    }
+
+    const expected = CHAIN_TO_DB_STATUS[onChain.status];
+    let stages = [];
+    if (isMilestoneDeal(deal)) {
+      try {
+        stages = await stageMismatches(deal, onChain);
+      } catch (e) {
+        return { deal, onChain, error: e.message };
+      }
+    }
+    if (deal.status === expected && !stages.length) return { deal, onChain, mismatch: false, expected, stages, repairs: [] };
+
+    const repair = chainRepair(deal, onChain, stages);
+    return { deal, onChain, mismatch: true, expected, stages, repairs: repair ? ['sync', 'chain'] : ['sync'], repair };
+  }
+
+  // Stage rows whose status differs from the chain: [{ milestone, chainStage, expected }]
+  async function stageMismatches(deal, onChain) {
+    const onChainStages = await escrow.getMilestones(onChain.chainId);
+    const stages = [];
+    for (const m of await getMilestones(deal.deal_id)) {
+      const chainStage = onChainStages[m.stage - 1];
+      if (!chainStage) continue;
+      const expected = CHAIN_TO_STAGE_STATUS[Number(chainStage.status)];
+      if (m.status !== expected) stages.push({ milestone: m, chainStage, expected });
+    }
+    return stages;
+  }
+
+  // The owner calls for a mismatch: { label, calls: [{ fn, index }] }, index set for stage calls.
+  // Milestone deals get one call per stage whose row disagrees with the chain.
+  function chainRepair(deal, onChain, stages) {
+    const entry = CHAIN_REPAIRS[`${deal.status}:${onChain.status}`];
+    if (entry && (entry.wholeDeal || !isMilestoneDeal(deal))) return { label: entry.label, calls: [{ fn: entry.fn }] };
+    if (!isMilestoneDeal(deal) || deal.status === 'cancelled') return null;
+
+    const calls = [];
+    for (const { milestone: m, chainStage } of stages) {
+      const fn = MILESTONE_REPAIRS[`${m.status}:${Number(chainStage.status)}`];
+      if (fn) calls.push({ fn, index: m.stage - 1 });
+    }
+    if (!calls.length) return null;
+    return { label: calls.map(c => `${c.fn}(${c.index + 1})`).join(', '), calls };
+  }
+
+  // Deals worth checking: anything that reached the chain or claims to have. recent: only the
+  // ones still open or settled lately (the scheduled run); otherwise the whole history.
+  async function getReconcilableDeals({ recent = false } = {}) {
+    const since = new Date(Date.now() - RECONCILE_RECENT_MS).toISOString();
+    return selectPages(() => {
+      let query = supabase
+        .from('deals')
+        .select('*')
+        .or('contract_deal_id.not.is.null,status.in.(funded,disputed,completed,refunded)');
+      if (recent) query = query.or(`status.in.(pending_deposit,funded,disputed),completed_at.gte."${since}"`);
+      return query.order('created_at', { ascending: false });
+    });
+  }
+
+  // options: { recent } as for getReconcilableDeals
+  async function reconcileAll(options) {
+    const results = [];
+    for (const deal of await getReconcilableDeals(options)) {
+      results.push(await reconcileDeal(deal));
+    }
+    return results;
+  }
+
+  // Repairs re-check first: the indexer may have fixed the deal since the report
+  async function recheck(dealId) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    const r = await reconcileDeal(deal);
+    if (r.error) return { error: `Could not read on-chain state: ${r.error}` };
+    if (!r.mismatch) return { error: `✅ ${deal.deal_id} already in sync (${deal.status}).` };
+    return r;
+  }
+
+  // Make the database match the chain: the deal row and any stage rows that differ.
+  // admin: { id, username } for the log.
+  async function syncFromChain(dealId, admin) {
+    const r = await recheck(dealId);
+    if (r.error) return r;
+    const { deal } = r;
+    if (!r.repairs.includes('sync')) return { error: 'No database repair available for this deal.' };
+
+    const now = new Date().toISOString();
+    const chainTime = (seconds) => (Number(seconds) ? new Date(Number(seconds) * 1000).toISOString() : null);
+    for (const { milestone: m, chainStage, expected } of r.stages) {
+      const fields = { status: expected };
+      if (!m.funded_at && chainTime(chainStage.fundedAt)) fields.funded_at = chainTime(chainStage.fundedAt);
+      if (!m.delivered_at && chainTime(chainStage.deliveredAt)) fields.delivered_at = chainTime(chainStage.deliveredAt);
+      if ((expected === 'released' || expected === 'refunded') && !m.released_at) fields.released_at = now;
+      if (expected === 'disputed' && !m.disputed_at) fields.disputed_at = now;
+      const { error } = await supabase.from('deal_milestones').update(fields).eq('id', m.id);
+      if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    }
+
+    const fields = { status: r.expected };
+    if (r.expected === 'funded' && !deal.funded_at) fields.funded_at = now;
+    if ((r.expected === 'completed' || r.expected === 'refunded') && !deal.completed_at) fields.completed_at = now;
+
+    const { error } = await supabase.from('deals').update(fields).ilike('deal_id', deal.deal_id);
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    await onDealChanged(deal.deal_id);
+
+    const stageLog = r.stages.map(s => `, stage ${s.milestone.stage} ${s.milestone.status} → ${s.expected}`).join('');
+    await logAdminAction('reconcile_sync', deal.deal_id, admin.id, admin.username, null, `DB ${deal.status} → ${r.expected} (chain ${CHAIN_STATUS_NAMES[r.onChain.status]})${stageLog}`);
+    return { deal, expected: r.expected, stages: r.stages };
+  }
+
+  // Make the chain match the database (owner calls only)
+  async function repairChain(dealId, admin, { progress = async () => {} } = {}) {
+    const r = await recheck(dealId);
+    if (r.error) return r;
+    const { deal, repair } = r;
+    if (!repair) return { error: 'No on-chain repair available for this deal.' };
+
+    // Stage calls run in order; a failure stops there and a later /reconcile picks up the rest
+    for (const call of repair.calls) {
+      const label = call.index === undefined ? call.fn : `${call.fn}(${call.index + 1})`;
+      try {
+        const tx = call.index === undefined ? await escrow[call.fn](r.onChain.chainId) : await escrow[call.fn](r.onChain.chainId, call.index);
+        await progress(`Tx: ${txUrl(tx.hash)}`);
+        await waitWithTimeout(tx);
+      } catch (e) {
+        await logAdminAction('reconcile_chain_failed', deal.deal_id, admin.id, admin.username, null, `${label}: ${e.shortMessage || e.message}`);
+        return { error: `❌ ${label} failed: ${e.shortMessage || e.message}` };
+      }
+    }
+
+    await logAdminAction('reconcile_chain', deal.deal_id, admin.id, admin.username, null, `${repair.label} (chain ${CHAIN_STATUS_NAMES[r.onChain.status]} → DB ${deal.status})`);
+    return { deal, repair };
+  }
+
+  // ============ ADMINS ============
+
+  async function isModerator(telegramId) {
+    try {
+      const { data } = await supabase
+        .from('moderators')
+        .select('*')
+        .eq('telegram_id', telegramId)
+        .eq('is_active', true)
+        .single();
+      return !!data;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  async function listModerators() {
+    const { data, error } = await supabase.from('moderators').select('*').eq('is_active', true);
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    return { moderators: data || [] };
+  }
+
+  // admin: { id, username } of the botmaster. Returns the new moderator's Telegram ID.
+  async function addModerator(username, admin) {
+    const { data: user } = await supabase.from('users').select('telegram_id').ilike('username', username).single();
+    if (!user) return { error: `@${username} not found. They need to /wallet first.` };
+
+    // Insert, or reactivate on a duplicate (23505)
+    const { error } = await supabase.from('moderators').insert({
+      telegram_id: user.telegram_id,
+      username,
+      added_by: admin.username,
+      is_active: true
+    });
+    if (error?.code === '23505') {
+      const { error: updateError } = await supabase.from('moderators')
+        .update({ is_active: true, username, added_by: admin.username })
+        .eq('telegram_id', user.telegram_id);
+      if (updateError) return { error: 'Something went wrong. Please try again shortly.' };
+    } else if (error) {
+      return { error: 'Something went wrong. Please try again shortly.' };
+    }
+
+    await logAdminAction('add_mod', null, admin.id, admin.username, username, 'Added moderator');
+    return { telegramId: user.telegram_id };
+  }
+
+  async function removeModerator(username, admin) {
+    const { error } = await supabase.from('moderators').update({ is_active: false }).ilike('username', username);
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    await logAdminAction('remove_mod', null, admin.id, admin.username, username, 'Removed moderator');
+    return {};
+  }
+
+  // Open disputes, newest first; assignedTo limits them to one moderator's
+  async function listDisputes({ assignedTo = null } = {}) {
+    let query = supabase.from('deals').select('*').eq('status', 'disputed').order('created_at', { ascending: false });
+    if (assignedTo) query = query.eq('assigned_to_telegram_id', assignedTo);
+    const { data, error } = await query;
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    return { disputes: data || [] };
+  }
+
+  async function assignDispute(dealId, modUsername, admin) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+    if (deal.status !== 'disputed') return { error: `Not disputed. Status: ${deal.status}` };
+
+    const { data: modUser } = await supabase.from('users').select('telegram_id').ilike('username', modUsername).single();
+    if (!modUser) return { error: `@${modUsername} not found.` };
+
+    const { error } = await supabase.from('deals').update({
+      assigned_to_telegram_id: modUser.telegram_id,
+      assigned_to_username: modUsername,
+      assigned_at: new Date().toISOString(),
+      assigned_by: admin.username
+    }).ilike('deal_id', deal.deal_id);
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+
+    await logAdminAction('assign', deal.deal_id, admin.id, admin.username, modUsername, 'Assigned');
+    return { deal, modTelegramId: modUser.telegram_id };
+  }
+
+  async function unassignDispute(dealId, admin) {
+    const { deal } = await getDeal(dealId);
+    if (!deal) return { error: 'Deal not found.' };
+
+    await supabase.from('deals').update({
+      assigned_to_telegram_id: null,
+      assigned_to_username: null
+    }).ilike('deal_id', deal.deal_id);
+
+    await logAdminAction('unassign', deal.deal_id, admin.id, admin.username, deal.assigned_to_username, 'Unassigned');
+    return { deal };
+  }
+
+  // Latest admin actions, optionally for one deal
+  async function getAdminLogs({ dealId = null, limit = 15 } = {}) {
+    let query = supabase.from('admin_logs').select('*').order('created_at', { ascending: false }).limit(limit);
+    if (dealId) query = query.ilike('deal_id', dealId);
+    const { data, error } = await query;
+    if (error) return { error: 'Something went wrong. Please try again shortly.' };
+    return { logs: data || [] };
+  }
+
+  return {
+    getDeal,
+    getParties,
+    getUserDeals,
+    getUserDealsWithStages,
+    findUser,
+    getWallet,
+    registerWallet,
+    transitionDeal,
+    isDealBuyer,
+    getBuyerTelegramId,
+    insertDealWithUniqueId,
+    formatAmount,
+    logAdminAction,
+    waitWithTimeout,
+    getOnChainStatus,
+    getMilestones,
+    formatMilestones,
+    releaseTarget,
+    createOnChainDeal,
+    verifyTerms,
+    depositSummary,
+    cancelRefund,
+    createDeal,
+    acceptOffer,
+    answerRequest,
+    getTerms,
+    openProposal,
+    proposeTerms,
+    answerTerms,
+    fund,
+    release,
+    dispute,
+    resolve,
+    reviewTarget,
+    review,
+    rate,
+    addReviewComment,
+    cancel,
+    acceptCancel,
+    declineCancel,
+    expireCancelRequests,
+    addEvidence,
+    getEvidence,
+    cancelDispute,
+    getReputation,
+    getOnChainReputation,
+    findRepTarget,
+    fundedUnits,
+    recordDelivery,
+    markDelivered,
+    claim,
+    expiredWindows,
+    reconcileDeal,
+    reconcileAll,
+    syncFromChain,
+    repairChain,
+    isModerator,
+    listModerators,
+    addModerator,
+    removeModerator,
+    listDisputes,
+    assignDispute,
+    unassignDispute,
+    getAdminLogs
+  };
+}
+
+module.exports = {
+  DEFAULT_DELIVERY_HOURS,
+  DEFAULT_REVIEW_HOURS,
+  MAX_PERIOD_HOURS,
+  MAX_MILESTONES,
+  generateDealId,
+  parseDuration,
+  formatHours,
+  parseMilestones,
+  parseDealTerms,
+  parseAmendment,
+  termsOf,
+  hashTerms,
+  isMilestoneDeal,
+  milestoneProgress,
+  dealStatusFromMilestones,
+  pickStage,
+  canFund,
+  isOpenOffer,
+  awaitingSeller,
+  offerText,
+  STATUS_EMOJI,
+  STATUS_TEXT,
+  CANCEL_REQUEST_TIMEOUT,
+  activeCancelRequest,
+  unitDeadline,
+  CHAIN_STATUS_NAMES,
+  CHAIN_TO_DB_STATUS,
+  buyerLabel,
+  dealRole,
+  createDealService
+};
@@ -0,0 +1,174 @@
+// DealPact chain events
+// Applies escrow events from the indexer (bot/indexer.js) to the deals and deal_milestones
+// tables and tells the parties. Every update is a guarded transition, so replaying a batch
+// after a restart, or an event the bot already recorded itself (/dispute, /resolve), is a no-op.
+
+const { InlineKeyboard } = require('grammy');
+const { DEFAULT_DELIVERY_HOURS, formatHours, isMilestoneDeal, dealStatusFromMilestones, buyerLabel } = require('./deals');
+
+// options:
+//   supabase, deals      Supabase client and deal service (bot/deals.js)
+//   api                  Telegram API (bot.api), used for sendMessage only
+//   botmasterIds         told about disputes opened directly on the contract
+//   notifyParties(deal, text), notifyMutualCancel(deal), recordDelivery(deal, stage, at)
+//                        shared with the commands (commands/cancel.js, commands/deadlines.js)
+//   onDealChanged(id)    after each event that may have moved a deal (group status cards)
+function createChainEventHandler({ supabase, deals, api, botmasterIds = [], notifyParties, notifyMutualCancel, recordDelivery, onDealChanged = async () => {}, logger = console }) {
+  const { getDeal, getMilestones, getBuyerTelegramId, formatAmount, transitionDeal } = deals;
+
+  // Drives the deals table from escrow events (see indexer.js). Must be idempotent:
+  // a batch is replayed in full if the bot stops before its cursor is saved.
+  async function applyChainEvent(event) {
+    await applyEvent(event);
+    if (event.name !== 'DealCreated') await onDealChanged(event.externalId);
+  }
+
+  async function applyEvent(event) {
+    const { name, externalId, timestamp } = event;
+    const at = timestamp.toISOString();
+
+    if (name === 'DealCreated') {
+      await supabase.from('deals').update({ contract_deal_id: externalId }).ilike('deal_id', externalId).is('contract_deal_id', null);
+      return;
+    }
+
+    if (name === 'DealFunded') {
+      const deal = await transitionDeal(externalId, ['pending_deposit'], { status: 'funded', funded_at: at });
+      if (!deal) return;
+      logger.log(`Funded: ${deal.deal_id}`);
+      if (isMilestoneDeal(deal)) return; // stage notifications come from MilestoneFunded
+
+      const deliverBy = formatHours(deal.delivery_hours || DEFAULT_DELIVERY_HOURS);
+      if (deal.seller_telegram_id) try { await api.sendMessage(deal.seller_telegram_id, `💰 ${deal.deal_id} FUNDED!\n\n${formatAmount(deal.amount, deal)} locked.\n\nDeliver within ${deliverBy}, then mark it: /delivered ${deal.deal_id}`); } catch (e) {}
+
+      const buyerId = await getBuyerTelegramId(deal);
+      if (buyerId) {
+        const fundedKb = new InlineKeyboard().text('Release Funds', `release_${deal.deal_id}`).text('Dispute', `dispute_${deal.deal_id}`);
+        try { await api.sendMessage(buyerId, `✅ *${deal.deal_id} Funded!*\n\nAmount: ${formatAmount(deal.amount, deal)}\n\nOnce you receive the service/item, tap Release. If there's a problem, tap Dispute.`, { reply_markup: fundedKb, parse_mode: 'Markdown' }); } catch (e) {}
+      }
+      return;
+    }
+
+    if (name === 'DealCompleted') {
+      const deal = await transitionDeal(externalId, ['funded', 'disputed'], { status: 'completed', completed_at: at });
+      if (!deal) return;
+      logger.log(`Completed on-chain: ${deal.deal_id}`);
+
+      const reviewKb = new InlineKeyboard().text(`Review this deal`, `review_${deal.deal_id}`);
+      if (deal.seller_telegram_id) try { await api.sendMessage(deal.seller_telegram_id, `✅ ${deal.deal_id} — Deal Complete!\n\nFunds released to you.\n\nLeave a review for the buyer:`, { reply_markup: reviewKb }); } catch (e) {}
+
+      const buyerId = await getBuyerTelegramId(deal);
+      if (buyerId) try { await api.sendMessage(buyerId, `✅ ${deal.deal_id} — Deal Complete!\n\nFunds released to seller.\n\nLeave a review for the seller:`, { reply_markup: reviewKb }); } catch (e) {}
+      return;
+    }
+
+    if (name === 'DealRefunded') {
+      const deal = await transitionDeal(externalId, ['funded', 'disputed'], { status: 'refunded', completed_at: at });
+      if (!deal) return;
+      logger.log(`Refunded on-chain: ${deal.deal_id}`);
+
+      const reviewKb = new InlineKeyboard().text(`Review this deal`, `review_${deal.deal_id}`);
+      if (deal.seller_telegram_id) try { await api.sendMessage(deal.seller_telegram_id, `↩️ ${deal.deal_id} — Refunded\n\n${formatAmount(deal.amount, deal)} returned to the buyer.`, { reply_markup: reviewKb }); } catch (e) {}
+
+      const buyerId = await getBuyerTelegramId(deal);
+      if (buyerId) try { await api.sendMessage(buyerId, `↩️ ${deal.deal_id} — Refunded\n\n${formatAmount(deal.amount, deal)} returned to your wallet.`, { reply_markup: reviewKb }); } catch (e) {}
+      return;
+    }
+
+    if (name === 'DealDisputed') {
+      // /dispute records the reason itself; this catches disputes raised directly on the contract.
+      // A milestone deal reopens to funded once its disputed stage is resolved, so a late replay
+      // must not dispute it again: MilestoneDisputed (emitted first) leaves a disputed stage if it still is.
+      const { deal: current } = await getDeal(externalId);
+      if (current && isMilestoneDeal(current) && dealStatusFromMilestones(await getMilestones(externalId)) !== 'disputed') return;
+      const deal = await transitionDeal(externalId, ['funded'], { status: 'disputed', disputed_at: at });
+      if (!deal) return;
+      logger.log(`Disputed on-chain: ${deal.deal_id}`);
+
+      await notifyParties(deal, `⚠️ DISPUTE on ${deal.deal_id}\n\nOpened on-chain by ${event.args.disputedBy}\n\nSubmit evidence: /evidence ${deal.deal_id} [msg]`);
+      for (const adminId of botmasterIds) {
+        try { await api.sendMessage(adminId, `🔔 DISPUTE (on-chain): ${deal.deal_id}\n\n${formatAmount(deal.amount, deal)}\n@${deal.seller_username} vs ${buyerLabel(deal)}\n\n/disputes to view all`); } catch (e) {}
+      }
+      return;
+    }
+
+    if (name === 'MilestoneDelivered') {
+      const { deal } = await getDeal(externalId);
+      if (!deal) return;
+      await recordDelivery(deal, isMilestoneDeal(deal) ? Number(event.args.index) + 1 : null, at);
+      return;
+    }
+
+    if (name.startsWith('Milestone')) return applyMilestoneEvent(event);
+
+    if (name === 'DealCancelled') {
+      await supabase.from('deal_milestones').update({ status: 'cancelled' }).ilike('deal_id', externalId).in('status', ['pending', 'funded']);
+
+      // Funded deals are only cancelled on-chain by mutual agreement (cancelFunded)
+      const refunded = await transitionDeal(externalId, ['funded'], { status: 'cancelled', completed_at: at, cancel_requested_by: null, cancel_requested_at: null });
+      if (refunded) {
+        logger.log(`Mutually cancelled on-chain: ${refunded.deal_id}`);
+        await notifyMutualCancel(refunded);
+        return;
+      }
+
+      const deal = await transitionDeal(externalId, ['pending_deposit'], { status: 'cancelled' });
+      if (!deal) return;
+      logger.log(`Cancelled on-chain: ${deal.deal_id}`);
+      await notifyParties(deal, `❌ ${deal.deal_id} cancelled.`);
+    }
+  }
+
+  // Per-stage events. Single deals emit them too but have no deal_milestones rows, so they stop here.
+  async function applyMilestoneEvent(event) {
+    const { name, args, externalId, timestamp } = event;
+    const at = timestamp.toISOString();
+    const stage = Number(args.index) + 1;
+
+    const transitions = {
+      MilestoneFunded: [['pending'], { status: 'funded', funded_at: at }],
+      MilestoneReleased: [['funded', 'disputed'], { status: 'released', released_at: at }],
+      MilestoneRefunded: [['funded', 'disputed'], { status: 'refunded', released_at: at }],
+      MilestoneDisputed: [['funded'], { status: 'disputed', disputed_at: at }]
+    };
+    const [fromStatuses, fields] = transitions[name];
+
+    const { data: rows, error } = await supabase
+      .from('deal_milestones')
+      .update(fields)
+      .ilike('deal_id', externalId)
+      .eq('stage', stage)
+      .in('status', fromStatuses)
+      .select();
+    if (error) throw new Error(`Milestone update failed: ${error.message}`);
+    const milestone = rows?.[0];
+    if (!milestone) return;
+
+    const { deal } = await getDeal(externalId);
+    if (!deal || !isMilestoneDeal(deal)) return;
+    logger.log(`${name}: ${deal.deal_id} stage ${stage}`);
+
+    // Resolving the last disputed stage reopens the deal while other stages are still funded
+    if ((name === 'MilestoneReleased' || name === 'MilestoneRefunded') && deal.status === 'disputed') {
+      if (dealStatusFromMilestones(await getMilestones(deal.deal_id)) === 'funded') {
+        await transitionDeal(deal.deal_id, ['disputed'], { status: 'funded' });
+      }
+    }
+
+    const label = `stage ${stage}/${deal.milestone_count} (${milestone.label})`;
+    const messages = {
+      MilestoneFunded: `💰 ${deal.deal_id} — ${label} funded\n\n${formatAmount(milestone.amount, deal)} locked. Seller delivers within ${formatHours(deal.delivery_hours || DEFAULT_DELIVERY_HOURS)}, then /delivered ${deal.deal_id} ${stage}`,
+      MilestoneReleased: `✅ ${deal.deal_id} — ${label} released\n\n${formatAmount(milestone.amount, deal)} paid to the seller.`,
+      MilestoneRefunded: `↩️ ${deal.deal_id} — ${label} refunded\n\n${formatAmount(milestone.amount, deal)} returned to the buyer.`,
+      MilestoneDisputed: `⚠️ ${deal.deal_id} — ${label} disputed\n\nSubmit evidence: /evidence ${deal.deal_id} [msg]`
+    };
+    const kb = new InlineKeyboard().text('Check Status', `status_${deal.deal_id}`);
+    if (deal.seller_telegram_id) try { await api.sendMessage(deal.seller_telegram_id, messages[name], { reply_markup: kb }); } catch (e) {}
+    const buyerId = await getBuyerTelegramId(deal);
+    if (buyerId) try { await api.sendMessage(buyerId, messages[name], { reply_markup: kb }); } catch (e) {}
+  }
+
+  return { applyChainEvent };
+}
+
+module.exports = { createChainEventHandler };
@@ -0,0 +1,111 @@
+// DealPact group chats
+// A deal made in a group gets one status card there, pinned and edited in place as the deal
+// moves on. The card shows what the whole group may see; funding, releasing, disputes and
+// wallets stay in private chat, which the card's button opens.
+//
+// group_settings, one row per group, changed by group admins with /groupsettings:
+//   enabled     the bot takes deal commands in this group
+//   pin_cards   new status cards are pinned (needs the "Pin messages" admin right)
+
+const { InlineKeyboard } = require('grammy');
+const { isMilestoneDeal, isOpenOffer, milestoneProgress, buyerLabel, STATUS_EMOJI, STATUS_TEXT } = require('./deals');
+
+// Groups without a row: the bot works there and pins its cards
+const DEFAULT_SETTINGS = { enabled: true, pin_cards: true };
+
+// Cards of finished deals are unpinned
+const FINAL_STATUSES = ['completed', 'refunded', 'cancelled'];
+
+// What the card's button leads to in private chat
+const NEXT_STEP = {
+  pending_deposit: '💳 Fund privately',
+  funded: '📦 Release or dispute privately',
+  disputed: '⚠️ Add evidence privately',
+  completed: '⭐ Leave a review',
+  refunded: '⭐ Leave a review'
+};
+
+function isGroupChat(chat) {
+  return chat?.type === 'group' || chat?.type === 'supergroup';
+}
+
+// options:
+//   supabase, deals   Supabase client and deal service (bot/deals.js)
+//   api               Telegram API (bot.api)
+//   botUsername       () => the bot's username, for t.me links into private chat
+function createGroupService({ supabase, deals, api, botUsername, logger = console }) {
+  // ============ SETTINGS ============
+
+  async function getSettings(chatId) {
+    const { data } = await supabase.from('group_settings').select('*').eq('chat_id', chatId).maybeSingle();
+    return { ...DEFAULT_SETTINGS, ...data };
+  }
+
+  async function updateSettings(chatId, fields, updatedBy) {
+    const { error } = await supabase.from('group_settings').upsert({
+      chat_id: chatId,
+      ...fields,
+      updated_by: updatedBy,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'chat_id' });
+    return error ? { error } : getSettings(chatId);
+  }
+
+  // ============ STATUS CARDS ============
+
+  // Private chat with the bot; /start status_DP-XXXX opens the deal there, deal_DP-XXXX accepts an open offer
+  function privateLink(dealId = null, kind = 'status') {
+    return `https://t.me/${botUsername()}${dealId ? `?start=${kind}_${dealId}` : ''}`;
+  }
+
+  async function cardView(deal) {
+    const emoji = STATUS_EMOJI[deal.status] || '❓';
+    const statusText = STATUS_TEXT[deal.status] || deal.status;
+    const stages = isMilestoneDeal(deal) ? `\n📦 Stages: ${milestoneProgress(await deals.getMilestones(deal.deal_id))}` : '';
+    const text = `${emoji} *${deal.deal_id}* — ${statusText}\n\n👤 Seller: @${deal.seller_username}\n👤 Buyer: ${buyerLabel(deal)}\n💵 Amount: *${deals.formatAmount(deal.amount, deal)}*\n📝 ${deal.description}${stages}`;
+    const kb = isOpenOffer(deal)
+      ? new InlineKeyboard().url('✅ Accept & Fund', privateLink(deal.deal_id, 'deal'))
+      : new InlineKeyboard().url(NEXT_STEP[deal.status] || '🔒 Open DealPact', privateLink(deal.deal_id));
+    return { text, kb };
+  }
+
+  // Posts the card for a new deal and remembers where it is
+  async function postCard(dealId, chatId) {
+    const { deal } = await deals.getDeal(dealId);
+    if (!deal) return null;
+    const { text, kb } = await cardView(deal);
+    const message = await api.sendMessage(chatId, text, { reply_markup: kb, parse_mode: 'Markdown' });
+    await supabase.from('deals').update({ group_chat_id: chatId, group_message_id: message.message_id }).ilike('deal_id', deal.deal_id);
+
+    const { pin_cards: pin } = await getSettings(chatId);
+    if (pin) {
+      try { await api.pinChatMessage(chatId, message.message_id, { disable_notification: true }); } catch (e) {} // no pin right
+    }
+    return message;
+  }
+
+  // Re-renders a deal's card, if it has one. Safe to call after any change: an unchanged card
+  // is left alone, and a card that was deleted or is in a group the bot left is skipped.
+  async function refreshCard(dealId) {
+    try {
+      const { deal } = await deals.getDeal(dealId);
+      if (!deal?.group_chat_id || !deal.group_message_id) return;
+      const { text, kb } = await cardView(deal);
+      try {
+        await api.editMessageText(deal.group_chat_id, deal.group_message_id, text, { reply_markup: kb, parse_mode: 'Markdown' });
+      } catch (e) {
+        if (!/message is not modified/.test(e.message)) logger.error(`Group card ${deal.deal_id}:`, e.message);
+        return;
+      }
+      if (FINAL_STATUSES.includes(deal.status)) {
+        try { await api.unpinChatMessage(deal.group_chat_id, deal.group_message_id); } catch (e) {}
+      }
+    } catch (e) {
+      logger.error('Group card refresh:', e.message);
+    }
+  }
+
+  return { getSettings, updateSettings, privateLink, cardView, postCard, refreshCard };
+}
+
+module.exports = { isGroupChat, createGroupService, DEFAULT_SETTINGS };
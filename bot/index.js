@@ -1,37 +1,123 @@
 // DealPact Bot v3.2 - All Fixes
 require('dotenv').config();
 
-const { Bot, InlineKeyboard } = require('grammy');
+const { Bot, InlineKeyboard, webhookCallback } = require('grammy');
 const { createClient } = require('@supabase/supabase-js');
+const path = require('path');
 const { ethers } = require('ethers');
+const { createIndexer, createSupabaseCursorStore } = require('./indexer');
+const { createTokenRegistry } = require('./tokens');
+const { loadNetwork } = require('./network');
+const { checkSchema } = require('./schema');
+const { createSessionStore, sessionMiddleware, startFlow, getFlow, endFlow } = require('./sessions');
+const { createRelayer, createSupabaseUsageStore } = require('./relayer');
+const { createHttpServer } = require('./server');
+const { createDealService } = require('./deals');
+const { registerDealCommands } = require('./commands');
+const { checkDeadlines, notifyDelivery } = require('./commands/deadlines');
+const { expireCancelRequests } = require('./commands/cancel');
+const { scheduledReconcile } = require('./commands/reconcile');
+const { createGroupService } = require('./groups');
+const { createChainEventHandler } = require('./events');
 
 // Validate required env vars on startup
-const REQUIRED_ENV = ['BOT_TOKEN', 'SUPABASE_URL', 'SUPABASE_KEY', 'CONTRACT_ADDRESS', 'PRIVATE_KEY', 'ADMIN_TELEGRAM_IDS'];
+const REQUIRED_ENV = ['BOT_TOKEN', 'SUPABASE_URL', 'SUPABASE_KEY', 'PRIVATE_KEY', 'ADMIN_TELEGRAM_IDS'];
 const missingEnv = REQUIRED_ENV.filter(k => !process.env[k]);
 if (missingEnv.length) {
   console.error('FATAL: Missing required env vars:', missingEnv.join(', '));
   process.exit(1);
 }
 
+// BOT_MODE=polling (default, local development) or webhook (Railway). In webhook mode Telegram posts
+// updates to WEBHOOK_URL/telegram and must echo WEBHOOK_SECRET in X-Telegram-Bot-Api-Secret-Token.
+const BOT_MODE = process.env.BOT_MODE || 'polling';
+const WEBHOOK_PATH = '/telegram';
+if (!['polling', 'webhook'].includes(BOT_MODE)) {
+  console.error(`FATAL: BOT_MODE must be polling or webhook, got "${BOT_MODE}"`);
+  process.exit(1);
+}
+if (BOT_MODE === 'webhook') {
+  if (!process.env.WEBHOOK_URL || !process.env.WEBHOOK_SECRET) {
+    console.error('FATAL: Webhook mode needs WEBHOOK_URL and WEBHOOK_SECRET');
+    process.exit(1);
+  }
+  // Telegram's rule for secret_token
+  if (!/^[A-Za-z0-9_-]{16,256}$/.test(process.env.WEBHOOK_SECRET)) {
+    console.error('FATAL: WEBHOOK_SECRET must be 16-256 characters of A-Z, a-z, 0-9, _ and -');
+    process.exit(1);
+  }
+}
+
+// Network profile from config/networks.json (NETWORK=base | baseSepolia | localhost)
+let NETWORK;
+try {
+  NETWORK = loadNetwork(process.env.NETWORK, process.env);
+} catch (e) {
+  console.error('FATAL:', e.message);
+  process.exit(1);
+}
+if (!NETWORK.contract) {
+  console.error(`FATAL: No contract for ${NETWORK.name}. Set CONTRACT_ADDRESS or add it to config/networks.json.`);
+  process.exit(1);
+}
+
 // Initialize
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
-const provider = new ethers.JsonRpcProvider('https://mainnet.base.org');
+const provider = new ethers.JsonRpcProvider(NETWORK.rpcUrl, NETWORK.chainId);
 const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
+const CONTRACT_ADDRESS = NETWORK.contract;
+const TOKENS = createTokenRegistry(NETWORK.chainId);
 
 const ESCROW_ABI = [
-  "function createDeal(string calldata _externalId, address _seller, address _buyer, uint256 _amount) external returns (uint256)",
-  "function getDealByExternalId(string calldata _externalId) external view returns (tuple(string externalId, address seller, address buyer, uint256 amount, uint8 status, uint256 createdAt, uint256 completedAt))",
+  "function createDeal(string calldata _externalId, address _seller, address _buyer, address _token, uint256 _amount, uint256 _deliveryPeriod, uint256 _reviewPeriod, bytes32 _termsHash) external returns (uint256)",
+  "function getDealByExternalId(string calldata _externalId) external view returns (tuple(string externalId, address seller, address buyer, uint256 amount, uint8 status, uint256 createdAt, uint256 completedAt, address token, bytes32 termsHash))",
   "function externalIdToDealId(string calldata) external view returns (uint256)",
-  "function deals(uint256) external view returns (string, address, address, uint256, uint8, uint256, uint256)",
+  "function deals(uint256) external view returns (string, address, address, uint256, uint8, uint256, uint256, address, bytes32)",
   "function dispute(uint256 _dealId) external",
   "function resolveRelease(uint256 _dealId) external",
-  "function refund(uint256 _dealId) external"
+  "function refund(uint256 _dealId) external",
+  "function cancel(uint256 _dealId) external",
+  "function cancelFunded(uint256 _dealId) external",
+  "function createMilestoneDeal(string calldata _externalId, address _seller, address _buyer, address _token, uint256[] calldata _amounts, uint256 _deliveryPeriod, uint256 _reviewPeriod, bytes32 _termsHash) external returns (uint256)",
+  "function getReputation(address _user) external view returns (uint256 completed, uint256 volume, uint256 won, uint256 lost, uint256 refunded, uint256 cancelled, uint256 ethVol)",
+  "function getMilestones(uint256 _dealId) external view returns (tuple(uint256 amount, uint8 status, uint256 fundedAt, uint256 deliveredAt)[])",
+  "function markDelivered(uint256 _dealId) external",
+  "function markMilestoneDelivered(uint256 _dealId, uint256 _index) external",
+  "function claimRelease(uint256 _dealId) external",
+  "function claimReleaseMilestone(uint256 _dealId, uint256 _index) external",
+  "function claimRefund(uint256 _dealId) external",
+  "function claimRefundMilestone(uint256 _dealId, uint256 _index) external",
+  "function disputeMilestone(uint256 _dealId, uint256 _index) external",
+  "function refundMilestone(uint256 _dealId, uint256 _index) external",
+  "function resolveReleaseMilestone(uint256 _dealId, uint256 _index) external",
+  "function relayedDeposit(uint256 _dealId, uint256 _index, uint256 _deadline, bytes calldata _signature, tuple(uint256 deadline, uint8 v, bytes32 r, bytes32 s) _permitSig) external",
+  "function relayedRelease(uint256 _dealId, uint256 _index, uint256 _deadline, bytes calldata _signature) external",
+  "function nonces(address owner) external view returns (uint256)",
+  "function eip712Domain() external view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)",
+  "event DealCreated(uint256 indexed dealId, string externalId, address seller, address buyer, uint256 amount, address token, bytes32 termsHash)",
+  "event DealFunded(uint256 indexed dealId, address buyer, uint256 amount)",
+  "event DealCompleted(uint256 indexed dealId, address seller, uint256 amount, uint256 fee)",
+  "event DealRefunded(uint256 indexed dealId, address buyer, uint256 amount)",
+  "event DealDisputed(uint256 indexed dealId, address disputedBy)",
+  "event DealCancelled(uint256 indexed dealId)",
+  "event MilestoneFunded(uint256 indexed dealId, uint256 index, uint256 amount)",
+  "event MilestoneReleased(uint256 indexed dealId, uint256 index, uint256 amount, uint256 fee)",
+  "event MilestoneRefunded(uint256 indexed dealId, uint256 index, uint256 amount)",
+  "event MilestoneDisputed(uint256 indexed dealId, uint256 index, address disputedBy)",
+  "event MilestoneDelivered(uint256 indexed dealId, uint256 index, uint256 reviewDeadline)"
 ];
 
 const escrowContract = new ethers.Contract(CONTRACT_ADDRESS, ESCROW_ABI, wallet);
 const bot = new Bot(process.env.BOT_TOKEN);
 
+// Conversation state for multi-step flows (bot/sessions.js): SESSION_STORE=supabase | file | memory
+const sessionStore = createSessionStore(process.env.SESSION_STORE || 'supabase', {
+  supabase,
+  file: process.env.SESSION_FILE || path.join(__dirname, '.sessions.json')
+});
+bot.use(sessionMiddleware(sessionStore));
+setInterval(() => sessionStore.purgeExpired().catch(e => console.error('Session purge:', e.message)), 300000);
+
 // Botmaster Telegram IDs (not usernames — IDs are immutable and can't be spoofed)
 const BOTMASTER_IDS = (process.env.ADMIN_TELEGRAM_IDS || '').split(',').map(s => s.trim()).filter(Boolean).map(Number);
 
@@ -55,90 +141,39 @@ setInterval(() => {
   }
 }, 300000);
 
-// Pending reviews: track users awaiting comment input
-// Format: { dealId, isSeller, rating, timestamp }
-const pendingReviews = new Map();
+// Multi-step flows kept in the session store (bot/sessions.js)
+// review: user is awaiting a comment input. Data: { dealId, isSeller, rating }
 const REVIEW_TIMEOUT = 5 * 60 * 1000; // 5 minutes
-
-// Pending wallets: track users awaiting wallet input
-// Format: { timestamp }
-const pendingWallets = new Map();
+// wallet: user is awaiting a wallet address input. Data: {}
 const WALLET_TIMEOUT = 5 * 60 * 1000; // 5 minutes
-
-// Cleanup expired pending reviews and wallets every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [userId, data] of pendingReviews) {
-    if (now - data.timestamp > REVIEW_TIMEOUT) {
-      pendingReviews.delete(userId);
-    }
-  }
-  for (const [userId, data] of pendingWallets) {
-    if (now - data.timestamp > WALLET_TIMEOUT) {
-      pendingWallets.delete(userId);
-    }
-  }
-}, 300000);
+// counter: user is typing a counter-offer to new deal terms. Data: { dealId } (commands/amend.js)
 
 // ============ HELPER FUNCTIONS ============
 
-function generateDealId() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = '';
-  for (let i = 0; i < 4; i++) code += chars.charAt(Math.floor(Math.random() * chars.length));
-  return `DP-${code}`;
-}
+// Deal lifecycle and lookups (bot/deals.js); the deal commands in commands/ call it
+const deals = createDealService({
+  supabase,
+  escrow: escrowContract,
+  tokens: TOKENS,
+  frontendUrl: FRONTEND_URL,
+  txUrl: NETWORK.txUrl,
+  onDealChanged: (dealId) => groups.refreshCard(dealId)
+});
+const { getBuyerTelegramId, formatAmount } = deals;
 
-async function getDeal(dealId) {
-  const normalized = dealId.toUpperCase().trim();
-  const { data, error } = await supabase
-    .from('deals')
-    .select('*')
-    .ilike('deal_id', normalized)
-    .single();
-  return { deal: data, error };
-}
+// Status cards for deals made in group chats (bot/groups.js)
+const groups = createGroupService({ supabase, deals, api: bot.api, botUsername: () => bot.botInfo.username });
 
 function isBotmaster(telegramId) {
   return BOTMASTER_IDS.includes(telegramId);
 }
 
-async function isModerator(telegramId) {
-  try {
-    const { data } = await supabase
-      .from('moderators')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .eq('is_active', true)
-      .single();
-    return !!data;
-  } catch (e) {
-    return false;
-  }
-}
-
 async function isAnyAdmin(ctx) {
   if (isBotmaster(ctx.from.id)) return { isAdmin: true, role: 'botmaster' };
-  if (await isModerator(ctx.from.id)) return { isAdmin: true, role: 'moderator' };
+  if (await deals.isModerator(ctx.from.id)) return { isAdmin: true, role: 'moderator' };
   return { isAdmin: false, role: null };
 }
 
-async function logAdminAction(action, dealId, adminTelegramId, adminUsername, targetUser, details) {
-  try {
-    const { error } = await supabase.from('admin_logs').insert({
-      action,
-      deal_id: dealId,
-      admin_telegram_id: adminTelegramId,
-      admin_username: adminUsername,
-      target_user: targetUser,
-      details
-    });
-    if (error) console.error('Log insert error:', error.message);
-  } catch (e) {
-    console.error('Log error:', e.message);
-  }
-}
-
 async function notifyParties(deal, message) {
   try {
     if (deal.seller_telegram_id) {
@@ -146,33 +181,30 @@ async function notifyParties(deal, message) {
     }
   } catch (e) {}
   try {
-    const { data: buyerUser } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-    if (buyerUser?.telegram_id) {
-      await bot.api.sendMessage(buyerUser.telegram_id, message);
+    const buyerId = await getBuyerTelegramId(deal);
+    if (buyerId) {
+      await bot.api.sendMessage(buyerId, message);
     }
   } catch (e) {}
 }
 
-// Timeout wrapper for tx.wait() — prevents bot from hanging if RPC stalls
-async function waitWithTimeout(tx, ms = 60000) {
-  return Promise.race([
-    tx.wait(),
-    new Promise((_, reject) => setTimeout(() => reject(new Error('Transaction timed out')), ms))
-  ]);
+// A funded deal cancelled by both parties, from /cancel or the DealCancelled event
+async function notifyMutualCancel(deal) {
+  await notifyParties(deal, `❌ ${deal.deal_id} cancelled by both parties.\n\n${formatAmount(await deals.cancelRefund(deal), deal)} refunded to the buyer. No fee charged.`);
 }
 
-// Get on-chain deal status
-async function getOnChainStatus(dealId) {
-  try {
-    const chainId = await escrowContract.externalIdToDealId(dealId);
-    if (chainId.toString() === '0') return { exists: false };
-    const deal = await escrowContract.deals(chainId);
-    // Status: 0=Pending, 1=Funded, 2=Completed, 3=Refunded, 4=Disputed, 5=Cancelled
-    return { exists: true, chainId, status: Number(deal[4]) };
-  } catch (e) {
-    return { exists: false, error: e.message };
-  }
-}
+// ============ DEAL COMMANDS ============
+
+registerDealCommands(bot, {
+  deals,
+  groups,
+  tokens: TOKENS,
+  botmasterIds: BOTMASTER_IDS,
+  isAnyAdmin,
+  reviewTimeout: REVIEW_TIMEOUT,
+  notifyParties,
+  notifyMutualCancel
+});
 
 // ============ USER COMMANDS ============
 
@@ -181,7 +213,7 @@ bot.command('start', async (ctx) => {
 
   if (param === 'newdeal') {
     const kb = new InlineKeyboard().text('Help', 'guide_help');
-    return ctx.reply(`*Create a New Deal*\n\n1. Register wallet: \`/wallet 0xYourAddress\`\n2. Create deal: \`/new @buyer amount description\``, { reply_markup: kb, parse_mode: 'Markdown' });
+    return ctx.reply(`*Create a New Deal*\n\n1. Register wallet: \`/wallet 0xYourAddress\`\n2. Create deal: \`/new @buyer amount description\`\n\nNo buyer yet? Type \`@${ctx.me.username} amount description\` in any chat to share an offer anyone can accept.`, { reply_markup: kb, parse_mode: 'Markdown' });
   }
 
   if (param?.startsWith('dispute_')) {
@@ -192,8 +224,7 @@ bot.command('start', async (ctx) => {
   const userId = ctx.from.id;
 
   // Check if user has wallet registered
-  const { data: user } = await supabase.from('users').select('wallet_address').eq('telegram_id', userId).single();
-  const hasWallet = !!user?.wallet_address;
+  const hasWallet = !!(await deals.getWallet(userId));
 
   const kb = new InlineKeyboard()
     .text('Sell', 'guide_sell')
@@ -236,22 +267,35 @@ bot.command('help', async (ctx) => {
 
 *Selling:*
 1. Create deal → \`/new @buyer amount description\`
+   (buyer has no username? mention them instead)
+   (other token? \`/new @buyer 50 DAI description\`)
+   (in a group? reply to the buyer with \`/new 50 description\`)
 2. Wait for buyer to deposit
-3. Deliver your service/item
+3. Deliver, then → \`/delivered DP-XXXX\`
 4. Buyer releases funds to you ✅
 
+*Deadlines:* delivery 7d, review 3d by default
+Change with \`--delivery 5d --review 48h\` on /new
+Renegotiate before funding → \`/amend DP-XXXX 45\`
+Missed window? → \`/claim DP-XXXX\`
+
 *Buying:*
 1. Seller creates the deal for you
+   (or ask for one → \`/request @seller amount description\`)
 2. Fund it → \`/fund DP-XXXX\`
 3. Receive the service/item
 4. Release funds → \`/release DP-XXXX\`
 
+*Milestones:* pay in stages
+\`/new @buyer 300 Website --milestones 100:design,100:build,100:launch\`
+Fund and release each stage: \`/release DP-XXXX 2\`
+
 *Problem?*
 \`/dispute DP-XXXX reason\`
 
 *After deal is done:*
 \`/review DP-XXXX 5 Great seller!\`
-\`/rep @username\`
+\`/rep @username\` or \`/rep 0xWallet\`
 
 ⚠️ Admins will NEVER DM you first.${adminNote}`, { reply_markup: kb, parse_mode: 'Markdown' });
 });
@@ -261,9 +305,9 @@ bot.command('help', async (ctx) => {
 bot.callbackQuery('guide_sell', async (ctx) => {
   await ctx.answerCallbackQuery();
   const userId = ctx.from.id;
-  const { data: user } = await supabase.from('users').select('wallet_address').eq('telegram_id', userId).single();
+  const currentWallet = await deals.getWallet(userId);
 
-  if (!user?.wallet_address) {
+  if (!currentWallet) {
     const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
     return ctx.reply(
       `*Step 1: Register Your Wallet*\n\nType:\n\`/wallet 0xYourWalletAddress\`\n\nNo wallet? Download MetaMask or Rabby.`, { reply_markup: kb, parse_mode: 'Markdown' }
@@ -279,9 +323,9 @@ bot.callbackQuery('guide_sell', async (ctx) => {
 bot.callbackQuery('guide_buy', async (ctx) => {
   await ctx.answerCallbackQuery();
   const userId = ctx.from.id;
-  const { data: user } = await supabase.from('users').select('wallet_address').eq('telegram_id', userId).single();
+  const currentWallet = await deals.getWallet(userId);
 
-  if (!user?.wallet_address) {
+  if (!currentWallet) {
     const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
     return ctx.reply(
       `*Step 1: Register Your Wallet*\n\nType:\n\`/wallet 0xYourWalletAddress\`\n\nNo wallet? Download MetaMask or Rabby.`, { reply_markup: kb, parse_mode: 'Markdown' }
@@ -298,7 +342,7 @@ bot.callbackQuery('guide_status', async (ctx) => {
   await ctx.answerCallbackQuery();
   const kb = new InlineKeyboard().text('My Deals', 'guide_deals').text('Main Menu', 'main_menu');
   await ctx.reply(
-    `*Check a Deal*\n\nType: \`/status DP-XXXX\`\n\nReplace DP-XXXX with your deal ID (e.g. DP-A7X9).`, { reply_markup: kb, parse_mode: 'Markdown' }
+    `*Check a Deal*\n\nType: \`/status DP-XXXX\`\n\nReplace DP-XXXX with your deal ID (e.g. DP-A7X9K2MQ).`, { reply_markup: kb, parse_mode: 'Markdown' }
   );
 });
 
@@ -326,49 +370,12 @@ bot.callbackQuery('guide_rep', async (ctx) => {
   );
 });
 
-bot.callbackQuery('my_rep', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const username = ctx.from.username;
-  if (!username) return ctx.reply('You need a Telegram username to have a reputation.');
-
-  const { data: deals } = await supabase
-    .from('deals')
-    .select('*')
-    .or(`seller_username.ilike.${username},buyer_username.ilike.${username}`)
-    .eq('status', 'completed');
-
-  const total = deals?.length || 0;
-  const volume = deals?.reduce((s, d) => s + parseFloat(d.amount), 0) || 0;
-
-  let badge = 'New';
-  if (total >= 50) badge = '💎 Elite';
-  else if (total >= 25) badge = '🏆 Pro';
-  else if (total >= 10) badge = '⭐ Proven';
-  else if (total >= 4) badge = 'Established';
-  else if (total >= 2) badge = 'Active';
-
-  let reviews = '';
-  for (const d of (deals || []).slice(0, 5)) {
-    const isSeller = d.seller_username.toLowerCase() === username.toLowerCase();
-    const rating = isSeller ? d.buyer_rating : d.seller_rating;
-    const comment = isSeller ? d.buyer_review : d.seller_review;
-    const reviewer = isSeller ? d.buyer_username : d.seller_username;
-    if (rating) reviews += `${'⭐'.repeat(rating)} by @${reviewer}${comment ? ` - "${comment}"` : ''}\n`;
-  }
-
-  const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
-  let msg = `*@${username}*\n\n${badge}\nDeals: ${total}\nVolume: ${volume.toFixed(0)} USDC`;
-  if (reviews) msg += `\n\n*Reviews:*\n${reviews.trim()}`;
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
 bot.callbackQuery('main_menu', async (ctx) => {
   await ctx.answerCallbackQuery();
   const userId = ctx.from.id;
 
   // Check if user has wallet registered
-  const { data: user } = await supabase.from('users').select('wallet_address').eq('telegram_id', userId).single();
-  const hasWallet = !!user?.wallet_address;
+  const hasWallet = !!(await deals.getWallet(userId));
 
   const kb = new InlineKeyboard()
     .text('Sell', 'guide_sell')
@@ -393,10 +400,9 @@ bot.callbackQuery('main_menu', async (ctx) => {
 
 bot.callbackQuery('register_wallet', async (ctx) => {
   await ctx.answerCallbackQuery();
-  const userId = ctx.from.id;
 
   // Set pending wallet state
-  pendingWallets.set(userId, { timestamp: Date.now() });
+  await startFlow(ctx, 'wallet', {}, WALLET_TIMEOUT);
 
   const kb = new InlineKeyboard().text('Cancel', 'cancel_wallet').row().text('Main Menu', 'main_menu');
   await ctx.reply(
@@ -409,66 +415,28 @@ bot.callbackQuery('update_wallet', async (ctx) => {
   await ctx.answerCallbackQuery();
   const userId = ctx.from.id;
 
-  // Get current wallet
-  const { data: user } = await supabase.from('users').select('wallet_address').eq('telegram_id', userId).single();
+  const currentWallet = await deals.getWallet(userId);
 
   // Set pending wallet state
-  pendingWallets.set(userId, { timestamp: Date.now() });
+  await startFlow(ctx, 'wallet', {}, WALLET_TIMEOUT);
 
   const kb = new InlineKeyboard().text('Cancel', 'cancel_wallet').row().text('Main Menu', 'main_menu');
   await ctx.reply(
-    `*Update Your Wallet* 🔄\n\nCurrent: \`${user?.wallet_address || 'None'}\`\n\nSend your new wallet address below:`,
+    `*Update Your Wallet* 🔄\n\nCurrent: \`${currentWallet || 'None'}\`\n\nSend your new wallet address below:`,
     { reply_markup: kb, parse_mode: 'Markdown' }
   );
 });
 
 bot.callbackQuery('cancel_wallet', async (ctx) => {
   await ctx.answerCallbackQuery();
-  const userId = ctx.from.id;
 
   // Clear pending state
-  pendingWallets.delete(userId);
+  await endFlow(ctx, 'wallet');
 
   const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
   await ctx.reply('Wallet registration cancelled.', { reply_markup: kb });
 });
 
-bot.callbackQuery('guide_deals', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-
-  const { data } = await supabase
-    .from('deals')
-    .select('*')
-    .or(`seller_telegram_id.eq.${userId},buyer_username.ilike.${username}`)
-    .order('created_at', { ascending: false })
-    .limit(10);
-
-  if (!data?.length) {
-    const kb = new InlineKeyboard().text('Sell', 'guide_sell').text('Buy', 'guide_buy').row().text('Main Menu', 'main_menu');
-    return ctx.reply('No deals yet.\n\nTap below to get started.', { reply_markup: kb });
-  }
-
-  let msg = '*Your Deals:*\n\n';
-  const kb = new InlineKeyboard();
-  let btnCount = 0;
-
-  for (const d of data) {
-    const emoji = { pending_deposit: '⏳', funded: '💰', completed: '✅', disputed: '⚠️', cancelled: '❌', refunded: '↩️' }[d.status] || '❓';
-    const role = d.seller_telegram_id === userId ? 'Seller' : 'Buyer';
-    msg += `${emoji} \`${d.deal_id}\` | ${d.amount} USDC | ${role}\n`;
-
-    if (btnCount < 5 && (d.status === 'pending_deposit' || d.status === 'funded' || d.status === 'disputed')) {
-      kb.text(`${emoji} ${d.deal_id}`, `status_${d.deal_id}`).row();
-      btnCount++;
-    }
-  }
-
-  kb.text('Main Menu', 'main_menu');
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
 bot.callbackQuery('guide_help', async (ctx) => {
   await ctx.answerCallbackQuery();
   const kb = new InlineKeyboard()
@@ -485,17 +453,26 @@ bot.callbackQuery('guide_help', async (ctx) => {
 
 *Selling:*
 1. Create deal → \`/new @buyer amount description\`
+   (buyer has no username? mention them instead)
+   (other token? \`/new @buyer 50 DAI description\`)
 2. Wait for buyer to deposit
-3. Deliver your service/item
+3. Deliver, then → \`/delivered DP-XXXX\`
 4. Buyer releases funds ✅
 
+*Deadlines:* seller delivers within 7d of funding, buyer reviews within 3d (set with \`--delivery 5d --review 48h\`). After a missed window: \`/claim DP-XXXX\`
+
+*Changing terms:* before funding, \`/amend DP-XXXX 45 new description\`; the other party accepts, counters or rejects. History: \`/terms DP-XXXX\`
+
 *Buying:*
 1. Seller creates the deal for you
+   (or ask for one → \`/request @seller amount description\`)
 2. Fund it → \`/fund DP-XXXX\`
 3. Receive the service/item
 4. Release funds → \`/release DP-XXXX\`
 
-*Cancel:* \`/cancel DP-XXXX\` (before funded)
+*Milestones:* add \`--milestones 100:design,200:build\` to /new, then release stage by stage: \`/release DP-XXXX 1\`
+
+*Cancel:* \`/cancel DP-XXXX\` (funded deals need both parties)
 
 *Problem?* \`/dispute DP-XXXX reason\`
 
@@ -504,1156 +481,57 @@ bot.callbackQuery('guide_help', async (ctx) => {
 ⚠️ Admins will NEVER DM you first.`, { reply_markup: kb, parse_mode: 'Markdown' });
 });
 
-// Dynamic callback handlers for deal actions
-bot.callbackQuery(/^fund_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-  const username = ctx.from.username;
-
-  const { deal } = await getDeal(dealId);
-  if (!deal) return ctx.reply('❌ Deal not found.');
-  if (deal.buyer_username.toLowerCase() !== username?.toLowerCase()) return ctx.reply('🚫 Only the buyer can fund this deal.');
-  if (deal.status !== 'pending_deposit') return ctx.reply(`⚠️ Cannot fund. Status: ${deal.status}`);
-
-  const { data: sellerUser } = await supabase.from('users').select('wallet_address').eq('telegram_id', deal.seller_telegram_id).single();
-  const { data: buyerUser } = await supabase.from('users').select('wallet_address').ilike('username', username).single();
-
-  if (!sellerUser?.wallet_address) return ctx.reply('⚠️ Seller needs to register wallet first.');
-  if (!buyerUser?.wallet_address) return ctx.reply('⚠️ Register your wallet first: /wallet 0xYourAddress');
-
-  try {
-    const existingId = await escrowContract.externalIdToDealId(deal.deal_id);
-    if (existingId.toString() !== '0') {
-      await supabase.from('deals').update({ contract_deal_id: deal.deal_id }).ilike('deal_id', deal.deal_id);
-      const fundKb = new InlineKeyboard().url('💳 Deposit Now', `${FRONTEND_URL}?deal=${deal.deal_id}`);
-      return ctx.reply(`💰 *Ready to deposit!*\n\nAmount: *${deal.amount} USDC*\n\n👇 Tap below to pay securely:`, { reply_markup: fundKb, parse_mode: 'Markdown' });
-    }
-  } catch (e) {}
-
-  await ctx.reply('⏳ Creating on-chain deal...');
-
-  try {
-    const tx = await escrowContract.createDeal(deal.deal_id, sellerUser.wallet_address, buyerUser.wallet_address, BigInt(Math.floor(deal.amount * 1e6)));
-    await ctx.reply(`🔗 Tx: https://basescan.org/tx/${tx.hash}`);
-    await waitWithTimeout(tx);
-    await supabase.from('deals').update({ contract_deal_id: deal.deal_id, tx_hash: tx.hash }).ilike('deal_id', deal.deal_id);
-    const fundKb2 = new InlineKeyboard().url('💳 Deposit Now', `${FRONTEND_URL}?deal=${deal.deal_id}`);
-    await ctx.reply(`✅ *Ready to deposit!*\n\nAmount: *${deal.amount} USDC*\n\n👇 Tap below to pay securely:`, { reply_markup: fundKb2, parse_mode: 'Markdown' });
-  } catch (e) {
-    await ctx.reply('❌ Something went wrong. Please try again shortly.');
-  }
-});
-
-bot.callbackQuery(/^status_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-
-  const { deal } = await getDeal(dealId);
-  if (!deal) return ctx.reply('❌ Deal not found.');
-
-  const emoji = { pending_deposit: '⏳', funded: '💰', completed: '✅', disputed: '⚠️', cancelled: '❌', refunded: '↩️' }[deal.status] || '❓';
-  const statusText = { pending_deposit: 'Awaiting Deposit', funded: 'Funded & Active', completed: 'Completed', disputed: 'Disputed', cancelled: 'Cancelled', refunded: 'Refunded' }[deal.status] || deal.status;
-
-  let kb = new InlineKeyboard();
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-
-  if (deal.status === 'pending_deposit') {
-    if (isBuyer) kb.text('Fund Deal', `fund_${deal.deal_id}`);
-    if (isSeller) kb.text('Cancel Deal', `cancel_${deal.deal_id}`);
-  } else if (deal.status === 'funded') {
-    if (isBuyer) kb.text('Release Funds', `release_${deal.deal_id}`);
-    kb.row().text('Open Dispute', `dispute_${deal.deal_id}`);
-  } else if (deal.status === 'completed' || deal.status === 'refunded') {
-    kb.text('Leave Review', `review_${deal.deal_id}`);
-  }
-
-  let extra = '';
-  if (deal.status === 'disputed') {
-    extra = `\n\n⚠️ *DISPUTED*\nReason: ${deal.dispute_reason || 'N/A'}`;
-    extra += deal.assigned_to_username ? '\n🔍 Status: Being reviewed' : '\n⏳ Status: Awaiting review';
-  } else if (deal.status === 'funded' && deal.funded_at) {
-    const msLeft = new Date(deal.funded_at).getTime() + 24 * 60 * 60 * 1000 - Date.now();
-    if (msLeft > 0) {
-      const h = Math.floor(msLeft / 3600000);
-      const m = Math.floor((msLeft % 3600000) / 60000);
-      extra = `\n\n⏱️ Release window: *${h}h ${m}m* remaining`;
-    } else {
-      extra = `\n\n⏱️ Release window expired`;
-    }
-  }
-
-  await ctx.reply(`${emoji} *${deal.deal_id}* — ${statusText}\n\n👤 Seller: @${deal.seller_username}\n👤 Buyer: @${deal.buyer_username}\n💵 Amount: *${deal.amount} USDC*\n📝 ${deal.description}${extra}`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery(/^release_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-  const username = ctx.from.username;
-
-  const { deal } = await getDeal(dealId);
-  if (!deal) return ctx.reply('❌ Deal not found.');
-  if (deal.buyer_username.toLowerCase() !== username?.toLowerCase()) return ctx.reply('🚫 Only buyer can release.');
-  if (deal.status !== 'funded' && deal.status !== 'disputed') return ctx.reply(`⚠️ Cannot release. Status: ${deal.status}`);
-
-  const releaseKb = new InlineKeyboard().url('✅ Confirm Release', `${FRONTEND_URL}?deal=${deal.deal_id}&action=release`);
-  await ctx.reply(`📤 *Release Funds*\n\nDeal: *${deal.deal_id}*\nAmount: *${deal.amount} USDC*\nTo: @${deal.seller_username}\n\n👇 Tap to confirm in your wallet:`, { reply_markup: releaseKb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery(/^dispute_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-  await ctx.reply(`⚠️ *Open Dispute for ${dealId}*\n\nTo open a dispute, type:\n\`/dispute ${dealId} your reason here\`\n\nExample:\n\`/dispute ${dealId} Seller not responding\``, { parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery(/^cancel_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-  const userId = ctx.from.id;
-
-  const { deal } = await getDeal(dealId);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.seller_telegram_id !== userId) return ctx.reply('Only seller can cancel.');
-  if (deal.status !== 'pending_deposit') return ctx.reply(`Cannot cancel. Status: ${deal.status}`);
-
-  await supabase.from('deals').update({ status: 'cancelled' }).ilike('deal_id', deal.deal_id);
-  const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
-  await ctx.reply(`❌ Deal ${deal.deal_id} cancelled.`, { reply_markup: kb });
-});
-
-bot.callbackQuery(/^review_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-
-  const { deal } = await getDeal(dealId);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  if (!isSeller && !isBuyer) return ctx.reply('Not your deal.');
-
-  const targetUser = isSeller ? deal.buyer_username : deal.seller_username;
-  const targetRole = isSeller ? 'buyer' : 'seller';
-
-  const kb = new InlineKeyboard()
-    .text('1 ⭐', `rate_${dealId}_1`)
-    .text('2 ⭐', `rate_${dealId}_2`)
-    .text('3 ⭐', `rate_${dealId}_3`)
-    .text('4 ⭐', `rate_${dealId}_4`)
-    .text('5 ⭐', `rate_${dealId}_5`)
-    .row()
-    .text('Main Menu', 'main_menu');
-
-  await ctx.reply(`*Rate the ${targetRole} @${targetUser}*\n\nDeal: ${dealId}`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery(/^rate_(.+)_(\d)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const dealId = ctx.match[1];
-  const rating = parseInt(ctx.match[2]);
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-
-  const { deal } = await getDeal(dealId);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  if (!isSeller && !isBuyer) return ctx.reply('Not your deal.');
-
-  const field = isSeller ? 'seller_rating' : 'buyer_rating';
-  if (deal[field]) return ctx.reply('Already reviewed.');
-
-  // Store rating temporarily, wait for comment
-  await supabase.from('deals').update({ [field]: rating }).ilike('deal_id', deal.deal_id);
-
-  // Track that this user is awaiting a comment
-  pendingReviews.set(userId, {
-    dealId: deal.deal_id,
-    isSeller,
-    rating,
-    timestamp: Date.now()
-  });
-
-  const kb = new InlineKeyboard()
-    .text('Skip Comment', `skip_review_${dealId}`)
-    .row()
-    .text('Main Menu', 'main_menu');
-
-  await ctx.reply(`Rating: ${'⭐'.repeat(rating)}\n\nAdd a comment (just type it) or tap Skip:`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery(/^skip_review_(.+)$/, async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const userId = ctx.from.id;
-
-  // Clear pending review state
-  const pending = pendingReviews.get(userId);
-  if (pending) {
-    pendingReviews.delete(userId);
-  }
-
-  const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
-  await ctx.reply(`✅ Review submitted!`, { reply_markup: kb });
-});
-
 bot.command('wallet', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username || 'Anonymous';
   const match = ctx.message.text.match(/^\/wallet\s+(0x[a-fA-F0-9]{40})$/i);
 
   if (!match) {
-    const { data: user } = await supabase.from('users').select('wallet_address').eq('telegram_id', userId).single();
-    return ctx.reply(user?.wallet_address ? `Your wallet: ${user.wallet_address}` : 'Usage: /wallet 0xYourAddress');
-  }
-
-  const walletAddress = match[1].toLowerCase();
-
-  // Check if wallet is already registered to another user
-  const { data: existing } = await supabase.from('users').select('telegram_id').eq('wallet_address', walletAddress).single();
-  if (existing && existing.telegram_id !== userId) {
-    return ctx.reply('This wallet is already registered to another user.');
-  }
-
-  const { error } = await supabase.from('users').upsert({
-    telegram_id: userId,
-    username: username,
-    wallet_address: walletAddress
-  }, { onConflict: 'telegram_id' });
-
-  await ctx.reply(error ? 'Something went wrong. Please try again shortly.' : `✅ Wallet registered: ${match[1]}`);
-});
-
-bot.command('new', async (ctx) => {
-  const senderId = ctx.from.id;
-  const senderUsername = ctx.from.username || 'Anonymous';
-  const match = ctx.message.text.match(/^\/new\s+@(\w+)\s+(\d+(?:\.\d+)?)\s+(.+)$/i);
-
-  if (!match) return ctx.reply('Format: /new @buyer amount description');
-
-  const [, buyerUsername, amountStr, description] = match;
-  const amount = parseFloat(amountStr);
-
-  if (amount < 1 || amount > 500) return ctx.reply('Amount: 1-500 USDC');
-  if (buyerUsername.toLowerCase() === senderUsername.toLowerCase()) return ctx.reply("Can't deal with yourself");
-
-  const { data: seller } = await supabase.from('users').select('wallet_address').eq('telegram_id', senderId).single();
-  if (!seller?.wallet_address) return ctx.reply('Register wallet first: /wallet 0xYourAddress');
-
-  const dealId = generateDealId();
-  const { error } = await supabase.from('deals').insert({
-    deal_id: dealId,
-    seller_telegram_id: senderId,
-    seller_username: senderUsername,
-    buyer_telegram_id: 0,
-    buyer_username: buyerUsername,
-    amount, description,
-    status: 'pending_deposit'
-  });
-
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-
-  const sellerKb = new InlineKeyboard().text('Check Status', `status_${dealId}`).text('Main Menu', 'main_menu');
-
-  await ctx.reply(
-    `✅ *Deal Created!*\n\nDeal ID: \`${dealId}\`\nSeller: @${senderUsername}\nBuyer: @${buyerUsername}\nAmount: ${amount} USDC\nFor: ${description}\n\nShare this Deal ID with @${buyerUsername} to fund.`,
-    { reply_markup: sellerKb, parse_mode: 'Markdown' }
-  );
-
-  // Notify buyer if they have telegram_id
-  const { data: buyerUser } = await supabase.from('users').select('telegram_id').ilike('username', buyerUsername).single();
-  if (buyerUser?.telegram_id) {
-    const buyerKb = new InlineKeyboard().text('Fund Deal', `fund_${dealId}`).text('Check Status', `status_${dealId}`);
-    try {
-      await bot.api.sendMessage(buyerUser.telegram_id, `*New Deal for You*\n\nDeal ID: \`${dealId}\`\nSeller: @${senderUsername}\nAmount: ${amount} USDC\nFor: ${description}\n\nTap below to fund:`, { reply_markup: buyerKb, parse_mode: 'Markdown' });
-    } catch (e) {}
-  }
-});
-
-bot.command('status', async (ctx) => {
-  const match = ctx.message.text.match(/^\/status\s+(DP-\w+)$/i);
-  if (!match) return ctx.reply('❌ Usage: `/status DP-XXXX`', { parse_mode: 'Markdown' });
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('❌ Deal not found.');
-
-  const emoji = { pending_deposit: '⏳', funded: '💰', completed: '✅', disputed: '⚠️', cancelled: '❌', refunded: '↩️' }[deal.status] || '❓';
-  const statusText = { pending_deposit: 'Awaiting Deposit', funded: 'Funded & Active', completed: 'Completed', disputed: 'Disputed', cancelled: 'Cancelled', refunded: 'Refunded' }[deal.status] || deal.status;
-
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-
-  let kb = new InlineKeyboard();
-  if (deal.status === 'pending_deposit' && isBuyer) {
-    kb.text('💳 Fund This Deal', `fund_${deal.deal_id}`);
-  } else if (deal.status === 'funded') {
-    if (isBuyer) kb.text('✅ Release Funds', `release_${deal.deal_id}`);
-    if (isSeller || isBuyer) kb.row().text('⚠️ Open Dispute', `dispute_${deal.deal_id}`);
-  } else if ((deal.status === 'completed' || deal.status === 'refunded') && (isSeller || isBuyer)) {
-    kb.text('⭐ Leave Review', `review_${deal.deal_id}`);
-  }
-
-  let extra = '';
-  if (deal.status === 'disputed') {
-    extra = `\n\n⚠️ *DISPUTED*\nReason: ${deal.dispute_reason || 'N/A'}`;
-    extra += deal.assigned_to_username ? '\n🔍 Status: Being reviewed' : '\n⏳ Status: Awaiting review';
-  } else if (deal.status === 'funded' && deal.funded_at) {
-    const msLeft = new Date(deal.funded_at).getTime() + 24 * 60 * 60 * 1000 - Date.now();
-    if (msLeft > 0) {
-      const h = Math.floor(msLeft / 3600000);
-      const m = Math.floor((msLeft % 3600000) / 60000);
-      extra = `\n\n⏱️ Release window: *${h}h ${m}m* remaining`;
-    } else {
-      extra = `\n\n⏱️ Release window expired`;
-    }
+    const wallet = await deals.getWallet(ctx.from.id);
+    return ctx.reply(wallet ? `Your wallet: ${wallet}` : 'Usage: /wallet 0xYourAddress');
   }
 
-  await ctx.reply(`${emoji} *${deal.deal_id}* — ${statusText}\n\n👤 Seller: @${deal.seller_username}\n👤 Buyer: @${deal.buyer_username}\n💵 Amount: *${deal.amount} USDC*\n📝 ${deal.description}${extra}`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.command('deals', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-
-  const { data, error } = await supabase
-    .from('deals')
-    .select('*')
-    .or(`seller_telegram_id.eq.${userId},buyer_username.ilike.${username}`)
-    .order('created_at', { ascending: false })
-    .limit(10);
-
-  if (error) return ctx.reply('❌ Something went wrong. Please try again shortly.');
-  if (!data?.length) {
-    const kb = new InlineKeyboard().text('💰 Create a Deal', 'guide_sell');
-    return ctx.reply('📭 You have no deals yet.\n\nTap below to get started!', { reply_markup: kb });
-  }
-
-  let msg = '📋 *Your Deals:*\n\n';
-  const kb = new InlineKeyboard();
-  let btnCount = 0;
-
-  for (const d of data) {
-    const emoji = { pending_deposit: '⏳', funded: '💰', completed: '✅', disputed: '⚠️', cancelled: '❌', refunded: '↩️' }[d.status] || '❓';
-    const role = d.seller_telegram_id === userId ? '💰 Seller' : '🛒 Buyer';
-    msg += `${emoji} \`${d.deal_id}\` • *${d.amount}* USDC • ${role}\n`;
-
-    // Add buttons for active deals (max 5)
-    if (btnCount < 5 && (d.status === 'pending_deposit' || d.status === 'funded' || d.status === 'disputed')) {
-      kb.text(`${emoji} ${d.deal_id}`, `status_${d.deal_id}`).row();
-      btnCount++;
-    }
-  }
-
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.command('fund', async (ctx) => {
-  const username = ctx.from.username;
-  const match = ctx.message.text.match(/^\/fund\s+(DP-\w+)$/i);
-  if (!match) return ctx.reply('Usage: /fund DP-XXXX');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.buyer_username.toLowerCase() !== username?.toLowerCase()) return ctx.reply('Only buyer can fund.');
-  if (deal.status !== 'pending_deposit') return ctx.reply(`Cannot fund. Status: ${deal.status}`);
-
-  const { data: sellerUser } = await supabase.from('users').select('wallet_address').eq('telegram_id', deal.seller_telegram_id).single();
-  const { data: buyerUser } = await supabase.from('users').select('wallet_address').ilike('username', username).single();
-
-  if (!sellerUser?.wallet_address) return ctx.reply('Seller needs wallet first.');
-  if (!buyerUser?.wallet_address) return ctx.reply('Register wallet: /wallet 0xYourAddress');
-
-  try {
-    const existingId = await escrowContract.externalIdToDealId(deal.deal_id);
-    if (existingId.toString() !== '0') {
-      await supabase.from('deals').update({ contract_deal_id: deal.deal_id }).ilike('deal_id', deal.deal_id);
-      const fundKb = new InlineKeyboard().url('Deposit Now', `${FRONTEND_URL}?deal=${deal.deal_id}`);
-      return ctx.reply(`Ready to deposit!\n\nTap the button below to pay ${deal.amount} USDC.\nYou'll approve the transaction in your wallet.`, { reply_markup: fundKb });
-    }
-  } catch (e) {}
-
-  await ctx.reply('Creating on-chain deal...');
-
-  try {
-    const tx = await escrowContract.createDeal(deal.deal_id, sellerUser.wallet_address, buyerUser.wallet_address, BigInt(Math.floor(deal.amount * 1e6)));
-    await ctx.reply(`Tx: https://basescan.org/tx/${tx.hash}`);
-    await waitWithTimeout(tx);
-    await supabase.from('deals').update({ contract_deal_id: deal.deal_id, tx_hash: tx.hash }).ilike('deal_id', deal.deal_id);
-    const fundKb2 = new InlineKeyboard().url('Deposit Now', `${FRONTEND_URL}?deal=${deal.deal_id}`);
-    await ctx.reply(`✅ Ready to deposit!\n\nTap the button below to pay ${deal.amount} USDC.\nYou'll approve the transaction in your wallet.`, { reply_markup: fundKb2 });
-  } catch (e) {
-    await ctx.reply('Something went wrong. Please try again shortly.');
-  }
-});
-
-bot.command('release', async (ctx) => {
-  const username = ctx.from.username;
-  const match = ctx.message.text.match(/^\/release\s+(DP-\w+)(?:\s+(confirm))?$/i);
-  if (!match) return ctx.reply('Usage: /release DP-XXXX');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.buyer_username.toLowerCase() !== username?.toLowerCase()) return ctx.reply('Only buyer can release.');
-
-  if (deal.status === 'disputed' && !match[2]) {
-    return ctx.reply(`⚠️ Deal is disputed!\n\nTo release anyway: /release ${deal.deal_id} confirm`);
-  }
-
-  if (deal.status !== 'funded' && deal.status !== 'disputed') {
-    return ctx.reply(`Cannot release. Status: ${deal.status}`);
-  }
-
-  await ctx.reply(`📤 Release: ${deal.deal_id}\nAmount: ${deal.amount} USDC\n\n👇 TAP TO RELEASE:\n${FRONTEND_URL}?deal=${deal.deal_id}&action=release`);
-});
-
-bot.command('cancel', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const match = ctx.message.text.match(/^\/cancel\s+(DP-\w+)$/i);
-  if (!match) return ctx.reply('Usage: /cancel DP-XXXX');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  if (!isSeller && !isBuyer) return ctx.reply('Not your deal.');
-  if (deal.status !== 'pending_deposit') return ctx.reply(`Cannot cancel. Status: ${deal.status}`);
-  if (!isSeller) return ctx.reply('Only the seller can cancel a pending deal.');
-
-  await supabase.from('deals').update({ status: 'cancelled' }).ilike('deal_id', deal.deal_id);
-  await ctx.reply(`❌ ${deal.deal_id} cancelled.`);
-});
-
-// /dispute - Opens dispute and marks on-chain
-bot.command('dispute', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username || `user_${userId}`;
-  const match = ctx.message.text.match(/^\/dispute\s+(DP-\w+)(?:\s+(.+))?$/i);
-  if (!match) return ctx.reply('Usage: /dispute DP-XXXX reason');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  if (!isSeller && !isBuyer) return ctx.reply('Not your deal.');
-  if (deal.status !== 'funded') return ctx.reply(`Cannot dispute. Status: ${deal.status}`);
-
-  const reason = match[2] || 'No reason provided';
-
-  // Mark as disputed on-chain FIRST
-  try {
-    const chainId = await escrowContract.externalIdToDealId(deal.deal_id);
-    if (chainId.toString() !== '0') {
-      const onChain = await escrowContract.deals(chainId);
-      const onChainStatus = Number(onChain[4]);
-
-      // Only call dispute if not already disputed on-chain (status 4)
-      if (onChainStatus === 1) { // Funded
-        await ctx.reply('Marking dispute on-chain...');
-        const tx = await escrowContract.dispute(chainId);
-        await waitWithTimeout(tx);
-        await ctx.reply('✅ On-chain dispute recorded.');
-      }
-    }
-  } catch (e) {
-    console.error('On-chain dispute error:', e.message);
-    // Continue anyway - we can still track in DB
-  }
-
-  // Update database
-  const { error } = await supabase.from('deals').update({
-    status: 'disputed',
-    disputed_by: username,
-    disputed_by_telegram_id: userId,
-    dispute_reason: reason,
-    disputed_at: new Date().toISOString()
-  }).ilike('deal_id', deal.deal_id);
-
-  if (error) {
-    console.error('Dispute update error:', error);
-    return ctx.reply('Something went wrong. Please try again shortly.');
-  }
-
-  await ctx.reply(`⚠️ DISPUTE OPENED\n\nDeal: ${deal.deal_id}\nReason: ${reason}\n\nAdmin Team will review.\n\nSubmit evidence: /evidence ${deal.deal_id} [msg]`);
-
-  // Notify other party
-  const { data: buyerUser } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-  const otherPartyId = isSeller ? buyerUser?.telegram_id : deal.seller_telegram_id;
-  if (otherPartyId) {
-    try {
-      await bot.api.sendMessage(otherPartyId, `⚠️ DISPUTE on ${deal.deal_id}\n\nReason: ${reason}\n\nSubmit evidence: /evidence ${deal.deal_id} [msg]`);
-    } catch (e) {}
-  }
-
-  // Notify botmasters by ID (no DB lookup needed)
-  for (const adminId of BOTMASTER_IDS) {
-    try {
-      await bot.api.sendMessage(adminId, `🔔 DISPUTE: ${deal.deal_id}\n\n${deal.amount} USDC\n@${deal.seller_username} vs @${deal.buyer_username}\nBy: @${username}\nReason: ${reason}\n\n/disputes to view all`);
-    } catch (e) {}
-  }
-});
-
-bot.command('evidence', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const match = ctx.message.text.match(/^\/evidence\s+(DP-\w+)(?:\s+(.+))?$/i);
-
-  if (!match) return ctx.reply('Usage: /evidence DP-XXXX your message');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.status !== 'disputed') return ctx.reply(`Deal not disputed. Status: ${deal.status}`);
-
-  const evidence = match[2];
-  if (!evidence) return ctx.reply(`Usage: /evidence ${deal.deal_id} your message`);
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isSeller && !isBuyer && !isAdmin) return ctx.reply('Not your deal.');
-
-  const role = isSeller ? 'Seller' : (isBuyer ? 'Buyer' : 'Admin');
-
-  const { error } = await supabase.from('evidence').insert({
-    deal_id: deal.deal_id,
-    submitted_by: username,
-    role,
-    content: evidence,
-    telegram_id: userId
-  });
-
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  await ctx.reply(`✅ Evidence submitted for ${deal.deal_id}`);
-});
-
-bot.on('message:photo', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const caption = ctx.message.caption || '';
-
-  const match = caption.match(/^(DP-\w+)(?:\s+(.*))?$/i);
-  if (!match) return ctx.reply(`📸 Photo evidence: Send with caption DP-XXXX description`);
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.status !== 'disputed') return ctx.reply(`Deal not disputed. Status: ${deal.status}`);
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isSeller && !isBuyer && !isAdmin) return ctx.reply('Not your deal.');
-
-  const role = isSeller ? 'Seller' : (isBuyer ? 'Buyer' : 'Admin');
-  const photo = ctx.message.photo[ctx.message.photo.length - 1];
-
-  const { error } = await supabase.from('evidence').insert({
-    deal_id: deal.deal_id,
-    submitted_by: username,
-    role,
-    content: match[2]?.trim() || 'Photo',
-    file_id: photo.file_id,
-    file_type: 'photo',
-    telegram_id: userId
-  });
-
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  await ctx.reply(`✅ Photo evidence submitted for ${deal.deal_id}`);
-});
-
-bot.command('viewevidence', async (ctx) => {
-  const match = ctx.message.text.match(/^\/viewevidence\s+(DP-\w+)$/i);
-  if (!match) return ctx.reply('Usage: /viewevidence DP-XXXX');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  const { isAdmin, role } = await isAnyAdmin(ctx);
-  if (!isSeller && !isBuyer && !isAdmin) return ctx.reply('Not your deal.');
-  if (role === 'moderator' && deal.assigned_to_telegram_id !== userId) return ctx.reply('Only assigned disputes.');
-
-  const { data: evidence, error } = await supabase.from('evidence').select('*').ilike('deal_id', deal.deal_id).order('created_at', { ascending: true });
-
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  if (!evidence?.length) return ctx.reply(`No evidence for ${deal.deal_id}`);
-
-  let msg = `📋 Evidence: ${deal.deal_id}\nReason: ${deal.dispute_reason || 'N/A'}\n\n`;
-  for (const e of evidence) {
-    msg += `${e.file_type === 'photo' ? '📸' : '📝'} [${e.role}] @${e.submitted_by}: "${e.content}"\n\n`;
-  }
-  await ctx.reply(msg);
-
-  for (const e of evidence) {
-    if (e.file_id) {
-      try { await bot.api.sendPhoto(ctx.chat.id, e.file_id, { caption: `[${e.role}] @${e.submitted_by}` }); } catch (err) {}
-    }
-  }
-});
-
-bot.command('canceldispute', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const match = ctx.message.text.match(/^\/canceldispute\s+(DP-\w+)$/i);
-  if (!match) return ctx.reply('Usage: /canceldispute DP-XXXX');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.status !== 'disputed') return ctx.reply(`Not disputed. Status: ${deal.status}`);
-
-  const isDisputer = deal.disputed_by_telegram_id === userId || deal.disputed_by?.toLowerCase() === username?.toLowerCase();
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isDisputer && !isAdmin) return ctx.reply('Only disputer or admin can cancel.');
-
-  await supabase.from('deals').update({ status: 'funded' }).ilike('deal_id', deal.deal_id);
-  await ctx.reply(`✅ Dispute cancelled. ${deal.deal_id} back to funded.`);
-  await notifyParties(deal, `✅ Dispute on ${deal.deal_id} cancelled.`);
-});
-
-bot.command('review', async (ctx) => {
-  const userId = ctx.from.id;
-  const username = ctx.from.username;
-  const match = ctx.message.text.match(/^\/review\s+(DP-\w+)\s+([1-5])(?:\s+(.+))?$/i);
-  if (!match) return ctx.reply('Usage: /review DP-XXXX 5 comment');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  // Allow reviews for completed OR refunded deals (both are finished states)
-  if (deal.status !== 'completed' && deal.status !== 'refunded') {
-    return ctx.reply(`Can only review finished deals. Current status: ${deal.status}`);
-  }
-
-  const isSeller = deal.seller_telegram_id === userId;
-  const isBuyer = deal.buyer_username.toLowerCase() === username?.toLowerCase();
-  if (!isSeller && !isBuyer) return ctx.reply('Not your deal.');
-
-  const rating = parseInt(match[2]);
-  const field = isSeller ? 'seller_review' : 'buyer_review';
-  if (deal[field]) return ctx.reply('Already reviewed.');
-
-  await supabase.from('deals').update({
-    [field]: match[3] || 'No comment',
-    [`${isSeller ? 'seller' : 'buyer'}_rating`]: rating
-  }).ilike('deal_id', deal.deal_id);
-
-  await ctx.reply(`✅ Review: ${'⭐'.repeat(rating)}`);
-});
-
-bot.command('rep', async (ctx) => {
-  const match = ctx.message.text.match(/^\/rep(?:@\w+)?(?:\s+@(\w+))?$/i);
-  const targetUsername = match?.[1] || ctx.from.username;
-
-  const { data: deals } = await supabase
-    .from('deals')
-    .select('*')
-    .or(`seller_username.ilike.${targetUsername},buyer_username.ilike.${targetUsername}`)
-    .eq('status', 'completed');
-
-  const total = deals?.length || 0;
-  const volume = deals?.reduce((s, d) => s + parseFloat(d.amount), 0) || 0;
-
-  let badge = '🆕 New';
-  if (total >= 50) badge = '💎 Elite';
-  else if (total >= 25) badge = '🏆 Pro Trader';
-  else if (total >= 10) badge = '⭐ Proven Trader';
-  else if (total >= 4) badge = '📈 Established';
-  else if (total >= 2) badge = '👤 Active';
-
-  let reviews = '';
-  for (const d of deals || []) {
-    const isSeller = d.seller_username.toLowerCase() === targetUsername.toLowerCase();
-    const rating = isSeller ? d.buyer_rating : d.seller_rating;
-    const comment = isSeller ? d.buyer_review : d.seller_review;
-    const reviewer = isSeller ? d.buyer_username : d.seller_username;
-    if (rating) reviews += `${'⭐'.repeat(rating)} by @${reviewer}${comment ? ` - ${comment}` : ''}\n`;
-  }
-
-  let msg = `📊 @${targetUsername}\n\n${badge}\nDeals: ${total}\nVolume: ${volume.toFixed(0)} USDC`;
-  if (reviews) msg += `\n\nReviews:\n${reviews.trim()}`;
-  await ctx.reply(msg);
-});
-
-// ============ ADMIN COMMANDS ============
-
-bot.command('adminhelp', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const kb = new InlineKeyboard()
-    .text('Disputes', 'admin_disputes')
-    .text('Mods', 'admin_mods')
-    .row()
-    .text('Add Mod', 'admin_addmod')
-    .text('Logs', 'admin_logs');
-
-  await ctx.reply(`*Admin Panel* 👑\n\nSelect an action or use commands:\n\n/addmod @user • /removemod @user\n/assign DP-XXXX @mod • /unassign DP-XXXX\n/resolve DP-XXXX release|refund\n/msg DP-XXXX seller|buyer [msg]`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('admin_disputes', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  if (!isBotmaster(ctx.from.id)) return;
-
-  const { data } = await supabase.from('deals').select('*').eq('status', 'disputed').order('created_at', { ascending: false });
-  if (!data?.length) return ctx.reply('No open disputes.');
-
-  let msg = `*Open Disputes (${data.length}):*\n\n`;
-  for (const d of data) {
-    const assigned = d.assigned_to_username ? `@${d.assigned_to_username}` : 'Unassigned';
-    msg += `\`${d.deal_id}\` | ${d.amount} USDC | ${assigned}\n`;
-  }
-  const kb = new InlineKeyboard().text('Back', 'admin_back');
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('admin_mods', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  if (!isBotmaster(ctx.from.id)) return;
-
-  const { data } = await supabase.from('moderators').select('*').eq('is_active', true);
-  if (!data?.length) return ctx.reply('No moderators. Use /addmod @username');
-
-  let msg = '*Moderators:*\n\n';
-  for (const m of data) msg += `@${m.username}\n`;
-  const kb = new InlineKeyboard().text('Add Mod', 'admin_addmod').text('Back', 'admin_back');
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('admin_addmod', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  if (!isBotmaster(ctx.from.id)) return;
-  const kb = new InlineKeyboard().text('Back', 'admin_back');
-  await ctx.reply(`*Add Moderator*\n\nType: \`/addmod @username\``, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('admin_logs', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  if (!isBotmaster(ctx.from.id)) return;
-
-  const { data } = await supabase.from('admin_logs').select('*').order('created_at', { ascending: false }).limit(10);
-  if (!data?.length) return ctx.reply('No logs found.');
-
-  let msg = '*Recent Logs:*\n\n';
-  for (const l of data) {
-    msg += `@${l.admin_username}: ${l.action}${l.deal_id ? ` (${l.deal_id})` : ''}\n`;
-  }
-  const kb = new InlineKeyboard().text('Back', 'admin_back');
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('admin_back', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  if (!isBotmaster(ctx.from.id)) return;
-  const kb = new InlineKeyboard()
-    .text('Disputes', 'admin_disputes')
-    .text('Mods', 'admin_mods')
-    .row()
-    .text('Add Mod', 'admin_addmod')
-    .text('Logs', 'admin_logs');
-  await ctx.reply(`*Admin Panel* 👑`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.command('modhelp', async (ctx) => {
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isAdmin) return ctx.reply('Admin only.');
-
-  const kb = new InlineKeyboard()
-    .text('My Disputes', 'mod_mydisputes')
-    .text('Help', 'guide_help');
-
-  await ctx.reply(`*Mod Panel* 🛡️\n\nCommands:\n/mydisputes • /viewevidence DP-XXXX\n/msg DP-XXXX seller|buyer [msg]\n/resolve DP-XXXX release|refund`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('mod_mydisputes', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isAdmin) return;
-
-  const { data } = await supabase.from('deals').select('*').eq('status', 'disputed').eq('assigned_to_telegram_id', ctx.from.id);
-  if (!data?.length) return ctx.reply('No disputes assigned to you.');
-
-  let msg = `*Your Disputes (${data.length}):*\n\n`;
-  for (const d of data) {
-    msg += `\`${d.deal_id}\` | ${d.amount} USDC\n@${d.seller_username} vs @${d.buyer_username}\n\n`;
-  }
-  const kb = new InlineKeyboard().text('Back', 'mod_back');
-  await ctx.reply(msg, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.callbackQuery('mod_back', async (ctx) => {
-  await ctx.answerCallbackQuery();
-  const kb = new InlineKeyboard()
-    .text('My Disputes', 'mod_mydisputes')
-    .text('Help', 'guide_help');
-  await ctx.reply(`*Mod Panel* 🛡️`, { reply_markup: kb, parse_mode: 'Markdown' });
-});
-
-bot.command('addmod', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const match = ctx.message.text.match(/^\/addmod\s+@(\w+)$/i);
-  if (!match) return ctx.reply('Usage: /addmod @username');
-
-  const modUsername = match[1];
-  const { data: user } = await supabase.from('users').select('telegram_id').ilike('username', modUsername).single();
-  if (!user) return ctx.reply(`@${modUsername} not found. They need to /wallet first.`);
-
-  // Use insert with on conflict instead of upsert
-  const { error } = await supabase.from('moderators').insert({
-    telegram_id: user.telegram_id,
-    username: modUsername,
-    added_by: ctx.from.username,
-    is_active: true
-  });
-
-  // If duplicate, update instead
-  if (error?.code === '23505') {
-    const { error: updateError } = await supabase.from('moderators')
-      .update({ is_active: true, username: modUsername, added_by: ctx.from.username })
-      .eq('telegram_id', user.telegram_id);
-    if (updateError) return ctx.reply('Something went wrong. Please try again shortly.');
-  } else if (error) {
-    return ctx.reply('Something went wrong. Please try again shortly.');
-  }
-
-  await logAdminAction('add_mod', null, ctx.from.id, ctx.from.username, modUsername, 'Added moderator');
-  await ctx.reply(`✅ @${modUsername} is now a moderator.`);
-
-  try {
-    await bot.api.sendMessage(user.telegram_id, `🛡️ You are now a DealPact Moderator!\n\n/modhelp for commands.`);
-  } catch (e) {}
-});
-
-bot.command('removemod', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const match = ctx.message.text.match(/^\/removemod\s+@(\w+)$/i);
-  if (!match) return ctx.reply('Usage: /removemod @username');
-
-  const { error } = await supabase.from('moderators').update({ is_active: false }).ilike('username', match[1]);
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-
-  await logAdminAction('remove_mod', null, ctx.from.id, ctx.from.username, match[1], 'Removed moderator');
-  await ctx.reply(`✅ @${match[1]} removed from moderators.`);
-});
-
-bot.command('mods', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const { data, error } = await supabase.from('moderators').select('*').eq('is_active', true);
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  if (!data?.length) return ctx.reply('No moderators. /addmod @username');
-
-  let msg = '🛡️ Moderators:\n\n';
-  for (const m of data) msg += `@${m.username}\n`;
-  await ctx.reply(msg);
-});
-
-bot.command('disputes', async (ctx) => {
-  const { isAdmin, role } = await isAnyAdmin(ctx);
-  if (!isAdmin) return ctx.reply('Admin only.');
-
-  let query = supabase.from('deals').select('*').eq('status', 'disputed').order('created_at', { ascending: false });
-
-  if (role === 'moderator') {
-    query = query.eq('assigned_to_telegram_id', ctx.from.id);
-  }
-
-  const { data, error } = await query;
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  if (!data?.length) return ctx.reply('No open disputes.');
-
-  let msg = `⚠️ Open Disputes (${data.length}):\n\n`;
-  for (const d of data) {
-    const assigned = d.assigned_to_username ? `@${d.assigned_to_username}` : '❌ Unassigned';
-    msg += `${d.deal_id} | ${d.amount} USDC\n`;
-    msg += `  @${d.seller_username} vs @${d.buyer_username}\n`;
-    msg += `  Assigned: ${assigned}\n`;
-    msg += `  Reason: ${(d.dispute_reason || 'N/A').substring(0, 30)}\n\n`;
-  }
-  await ctx.reply(msg);
-});
-
-bot.command('mydisputes', async (ctx) => {
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isAdmin) return ctx.reply('Admin only.');
-
-  const { data, error } = await supabase.from('deals').select('*').eq('status', 'disputed').eq('assigned_to_telegram_id', ctx.from.id);
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  if (!data?.length) return ctx.reply('No disputes assigned to you.');
-
-  let msg = `🛡️ Your Disputes (${data.length}):\n\n`;
-  for (const d of data) {
-    msg += `${d.deal_id} | ${d.amount} USDC\n  @${d.seller_username} vs @${d.buyer_username}\n\n`;
-  }
-  await ctx.reply(msg);
-});
-
-bot.command('assign', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const match = ctx.message.text.match(/^\/assign\s+(DP-\w+)\s+@(\w+)$/i);
-  if (!match) return ctx.reply('Usage: /assign DP-XXXX @moderator');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.status !== 'disputed') return ctx.reply(`Not disputed. Status: ${deal.status}`);
-
-  const modUsername = match[2];
-  const { data: modUser } = await supabase.from('users').select('telegram_id').ilike('username', modUsername).single();
-  if (!modUser) return ctx.reply(`@${modUsername} not found.`);
-
-  const { error } = await supabase.from('deals').update({
-    assigned_to_telegram_id: modUser.telegram_id,
-    assigned_to_username: modUsername,
-    assigned_at: new Date().toISOString(),
-    assigned_by: ctx.from.username
-  }).ilike('deal_id', deal.deal_id);
-
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-
-  await logAdminAction('assign', deal.deal_id, ctx.from.id, ctx.from.username, modUsername, 'Assigned');
-  await ctx.reply(`✅ ${deal.deal_id} assigned to @${modUsername}`);
-
-  try {
-    await bot.api.sendMessage(modUser.telegram_id, `🛡️ Dispute assigned: ${deal.deal_id}\n\n${deal.amount} USDC\n@${deal.seller_username} vs @${deal.buyer_username}\n\n/viewevidence ${deal.deal_id}`);
-  } catch (e) {}
-
-  await notifyParties(deal, `📋 ${deal.deal_id}: Now being reviewed by Admin Team.`);
-});
-
-bot.command('unassign', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const match = ctx.message.text.match(/^\/unassign\s+(DP-\w+)$/i);
-  if (!match) return ctx.reply('Usage: /unassign DP-XXXX');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  await supabase.from('deals').update({
-    assigned_to_telegram_id: null,
-    assigned_to_username: null
-  }).ilike('deal_id', deal.deal_id);
-
-  await logAdminAction('unassign', deal.deal_id, ctx.from.id, ctx.from.username, deal.assigned_to_username, 'Unassigned');
-  await ctx.reply(`✅ ${deal.deal_id} unassigned.`);
-});
-
-bot.command('msg', async (ctx) => {
-  const { isAdmin, role } = await isAnyAdmin(ctx);
-  if (!isAdmin) return ctx.reply('Admin only.');
-
-  const match = ctx.message.text.match(/^\/msg\s+(DP-\w+)\s+(seller|buyer)\s+(.+)$/i);
-  if (!match) return ctx.reply('Usage: /msg DP-XXXX seller|buyer message');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  if (role === 'moderator' && deal.assigned_to_telegram_id !== ctx.from.id) {
-    return ctx.reply('Only assigned disputes.');
-  }
-
-  const target = match[2].toLowerCase();
-  let targetId = target === 'seller' ? deal.seller_telegram_id : null;
-  if (target === 'buyer') {
-    const { data } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-    targetId = data?.telegram_id;
-  }
-
-  if (!targetId) return ctx.reply(`Cannot find ${target}.`);
-
-  try {
-    await bot.api.sendMessage(targetId, `📨 Admin Team (${deal.deal_id}):\n\n${match[3]}`);
-    await logAdminAction('msg', deal.deal_id, ctx.from.id, ctx.from.username, target, match[3]);
-    await ctx.reply(`✅ Sent to ${target}.`);
-  } catch (e) {
-    await ctx.reply('Something went wrong. Please try again shortly.');
-  }
-});
-
-bot.command('broadcast', async (ctx) => {
-  const { isAdmin } = await isAnyAdmin(ctx);
-  if (!isAdmin) return ctx.reply('Admin only.');
-
-  const match = ctx.message.text.match(/^\/broadcast\s+(DP-\w+)\s+(.+)$/i);
-  if (!match) return ctx.reply('Usage: /broadcast DP-XXXX message');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-
-  await notifyParties(deal, `📢 Admin (${deal.deal_id}):\n\n${match[2]}`);
-  await logAdminAction('broadcast', deal.deal_id, ctx.from.id, ctx.from.username, 'both', match[2]);
-  await ctx.reply('✅ Sent to both parties.');
-});
-
-bot.command('resolve', async (ctx) => {
-  const { isAdmin, role } = await isAnyAdmin(ctx);
-  if (!isAdmin) return ctx.reply('Admin only.');
-
-  const match = ctx.message.text.match(/^\/resolve\s+(DP-\w+)\s+(release|refund)$/i);
-  if (!match) return ctx.reply('Usage: /resolve DP-XXXX release|refund');
-
-  const { deal } = await getDeal(match[1]);
-  if (!deal) return ctx.reply('Deal not found.');
-  if (deal.status !== 'disputed') return ctx.reply(`Not disputed. Status: ${deal.status}`);
-
-  if (role === 'moderator' && deal.assigned_to_telegram_id !== ctx.from.id) {
-    return ctx.reply('Only assigned disputes.');
-  }
-
-  const decision = match[2].toLowerCase();
-
-  // Get on-chain status first
-  const onChain = await getOnChainStatus(deal.deal_id);
-
-  if (onChain.exists) {
-    await ctx.reply(`On-chain status: ${onChain.status} (4=Disputed)\nResolving...`);
-
-    try {
-      let tx;
-      if (decision === 'release') {
-        tx = await escrowContract.resolveRelease(onChain.chainId);
-      } else {
-        tx = await escrowContract.refund(onChain.chainId);
-      }
-      await ctx.reply(`Tx: https://basescan.org/tx/${tx.hash}`);
-      await waitWithTimeout(tx);
-      await ctx.reply('✅ On-chain resolved.');
-    } catch (e) {
-      await ctx.reply('On-chain transaction failed. Updating database anyway...');
-    }
-  }
-
-  const newStatus = decision === 'release' ? 'completed' : 'refunded';
-  const { error: updateError } = await supabase.from('deals').update({
-    status: newStatus,
-    resolved_by: ctx.from.username,
-    completed_at: new Date().toISOString()
-  }).ilike('deal_id', deal.deal_id);
-
-  if (updateError) {
-    console.error('Resolve update error:', updateError);
-    return ctx.reply(`Failed to update database: ${updateError.message}`);
-  }
-
-  await logAdminAction('resolve', deal.deal_id, ctx.from.id, ctx.from.username, null, decision);
-  await ctx.reply(`⚖️ ${deal.deal_id}: ${decision === 'release' ? 'Released to seller' : 'Refunded to buyer'}\n\nStatus updated to: ${newStatus}`);
-
-  const resolveReviewKb = new InlineKeyboard().text('Review this deal', `review_${deal.deal_id}`);
-  const sellerMsg = decision === 'release' ? '✅ Funds released to you!' : '❌ Refunded to buyer.';
-  const buyerMsg = decision === 'refund' ? '✅ Funds refunded to you!' : '❌ Released to seller.';
-
-  try { await bot.api.sendMessage(deal.seller_telegram_id, `⚖️ ${deal.deal_id}\n\n${sellerMsg}`, { reply_markup: resolveReviewKb }); } catch (e) {}
-
-  const { data: buyerUser } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-  if (buyerUser?.telegram_id) {
-    try { await bot.api.sendMessage(buyerUser.telegram_id, `⚖️ ${deal.deal_id}\n\n${buyerMsg}`, { reply_markup: resolveReviewKb }); } catch (e) {}
-  }
-});
-
-bot.command('logs', async (ctx) => {
-  if (!isBotmaster(ctx.from.id)) return ctx.reply('Botmaster only.');
-
-  const match = ctx.message.text.match(/^\/logs(?:@\w+)?(?:\s+(DP-\w+))?$/i);
-  const dealId = match?.[1];
-
-  let query = supabase.from('admin_logs').select('*').order('created_at', { ascending: false }).limit(15);
-  if (dealId) query = query.ilike('deal_id', dealId);
-
-  const { data, error } = await query;
-  if (error) return ctx.reply('Something went wrong. Please try again shortly.');
-  if (!data?.length) return ctx.reply('No logs found.');
-
-  let msg = `📋 Logs${dealId ? ` for ${dealId.toUpperCase()}` : ''}:\n\n`;
-  for (const l of data) {
-    const date = new Date(l.created_at).toLocaleString();
-    msg += `${date} @${l.admin_username}: ${l.action}`;
-    if (l.deal_id) msg += ` (${l.deal_id})`;
-    if (l.target_user) msg += ` → ${l.target_user}`;
-    msg += '\n';
-  }
-  await ctx.reply(msg);
+  const { error } = await deals.registerWallet(ctx.from, match[1]);
+  await ctx.reply(error || `✅ Wallet registered: ${match[1]}`);
 });
 
 // Catch-all (rate limited to prevent spam/DoS)
 bot.on('message:text', async (ctx) => {
   const userId = ctx.from.id;
-  const username = ctx.from.username || 'Anonymous';
   const text = ctx.message.text;
 
   // Skip if it's a command
   if (text.startsWith('/')) return;
 
-  // Check if user has a pending wallet registration
-  const pendingWallet = pendingWallets.get(userId);
+  // Check if user has a pending wallet registration (expired flows come back as null)
+  const pendingWallet = await getFlow(ctx, 'wallet');
   if (pendingWallet) {
-    // Check if not expired
-    if (Date.now() - pendingWallet.timestamp > WALLET_TIMEOUT) {
-      pendingWallets.delete(userId);
-    } else {
-      // Validate wallet address format
-      const walletMatch = text.match(/^(0x[a-fA-F0-9]{40})$/i);
-      if (!walletMatch) {
-        return ctx.reply('❌ Invalid wallet address.\n\nPlease send a valid address starting with 0x (42 characters total).\n\nExample: `0x1234567890abcdef1234567890abcdef12345678`', { parse_mode: 'Markdown' });
-      }
-
-      const walletAddress = walletMatch[1].toLowerCase();
-
-      // Check if wallet is already registered to another user
-      const { data: existing } = await supabase.from('users').select('telegram_id').eq('wallet_address', walletAddress).single();
-      if (existing && existing.telegram_id !== userId) {
-        return ctx.reply('❌ This wallet is already registered to another user.');
-      }
-
-      // Register/update wallet
-      const { error } = await supabase.from('users').upsert({
-        telegram_id: userId,
-        username: username,
-        wallet_address: walletAddress
-      }, { onConflict: 'telegram_id' });
-
-      pendingWallets.delete(userId);
-
-      if (error) {
-        return ctx.reply('Something went wrong. Please try again shortly.');
-      }
-
-      const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
-      return ctx.reply(`✅ Wallet registered!\n\n\`${walletMatch[1]}\``, { reply_markup: kb, parse_mode: 'Markdown' });
+    // Validate wallet address format
+    const walletMatch = text.match(/^(0x[a-fA-F0-9]{40})$/i);
+    if (!walletMatch) {
+      return ctx.reply('❌ Invalid wallet address.\n\nPlease send a valid address starting with 0x (42 characters total).\n\nExample: `0x1234567890abcdef1234567890abcdef12345678`', { parse_mode: 'Markdown' });
     }
+
+    const { error } = await deals.registerWallet(ctx.from, walletMatch[1]);
+    if (error) return ctx.reply(`❌ ${error}`);
+    await endFlow(ctx, 'wallet');
+
+    const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
+    return ctx.reply(`✅ Wallet registered!\n\n\`${walletMatch[1]}\``, { reply_markup: kb, parse_mode: 'Markdown' });
   }
 
   // Check if user has a pending review comment
-  const pendingReview = pendingReviews.get(userId);
+  const pendingReview = await getFlow(ctx, 'review');
   if (pendingReview) {
-    // Check if not expired
-    if (Date.now() - pendingReview.timestamp > REVIEW_TIMEOUT) {
-      pendingReviews.delete(userId);
-    } else {
-      // Save the comment
-      const field = pendingReview.isSeller ? 'seller_review' : 'buyer_review';
-      const { error } = await supabase.from('deals').update({
-        [field]: text
-      }).ilike('deal_id', pendingReview.dealId);
-
-      pendingReviews.delete(userId);
-
-      if (error) {
-        return ctx.reply('Something went wrong saving your comment. Try /review command instead.');
-      }
-
-      const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
-      return ctx.reply(`✅ Review submitted: ${'⭐'.repeat(pendingReview.rating)} — "${text}"`, { reply_markup: kb });
+    // Save the comment
+    const { error } = await deals.addReviewComment(pendingReview.dealId, pendingReview.isSeller, text);
+
+    await endFlow(ctx, 'review');
+
+    if (error) {
+      return ctx.reply('Something went wrong saving your comment. Try /review command instead.');
     }
+
+    const kb = new InlineKeyboard().text('Main Menu', 'main_menu');
+    return ctx.reply(`✅ Review submitted: ${'⭐'.repeat(pendingReview.rating)} — "${text}"`, { reply_markup: kb });
   }
 
   // No pending action, show unknown command
@@ -1662,76 +540,45 @@ bot.on('message:text', async (ctx) => {
   }
 });
 
-// Poll for funded deals
-async function pollDeals() {
-  try {
-    const { data: pending } = await supabase
-      .from('deals')
-      .select('*')
-      .eq('status', 'pending_deposit')
-      .not('contract_deal_id', 'is', null);
-
-    for (const deal of pending || []) {
-      try {
-        const chainId = await escrowContract.externalIdToDealId(deal.deal_id);
-        if (chainId.toString() === '0') continue;
-
-        const onChain = await escrowContract.deals(chainId);
-        if (Number(onChain[4]) === 1) {
-          console.log(`Funded: ${deal.deal_id}`);
-          await supabase.from('deals').update({ status: 'funded', funded_at: new Date().toISOString() }).ilike('deal_id', deal.deal_id);
-
-          if (deal.seller_telegram_id) try { await bot.api.sendMessage(deal.seller_telegram_id, `💰 ${deal.deal_id} FUNDED!\n\n${deal.amount} USDC locked.`); } catch (e) {}
-
-          const { data: buyer } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-          if (buyer?.telegram_id) {
-            const fundedKb = new InlineKeyboard().text('Release Funds', `release_${deal.deal_id}`).text('Dispute', `dispute_${deal.deal_id}`);
-            try { await bot.api.sendMessage(buyer.telegram_id, `✅ *${deal.deal_id} Funded!*\n\nAmount: ${deal.amount} USDC\n\nOnce you receive the service/item, tap Release. If there's a problem, tap Dispute.`, { reply_markup: fundedKb, parse_mode: 'Markdown' }); } catch (e) {}
-          }
-        }
-      } catch (e) {}
-    }
-
-    const { data: funded } = await supabase
-      .from('deals')
-      .select('*')
-      .eq('status', 'funded')
-      .not('contract_deal_id', 'is', null);
-
-    for (const deal of funded || []) {
-      try {
-        const chainId = await escrowContract.externalIdToDealId(deal.deal_id);
-        if (chainId.toString() === '0') continue;
-
-        const onChain = await escrowContract.deals(chainId);
-        if (Number(onChain[4]) === 2) {
-          console.log(`Completed on-chain: ${deal.deal_id}`);
-          await supabase.from('deals').update({ status: 'completed', completed_at: new Date().toISOString() }).ilike('deal_id', deal.deal_id);
-
-          const reviewKb = new InlineKeyboard().text(`Review this deal`, `review_${deal.deal_id}`);
-          if (deal.seller_telegram_id) try { await bot.api.sendMessage(deal.seller_telegram_id, `✅ ${deal.deal_id} — Deal Complete!\n\nFunds released to you.\n\nLeave a review for the buyer:`, { reply_markup: reviewKb }); } catch (e) {}
-
-          const { data: buyer } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-          if (buyer?.telegram_id) try { await bot.api.sendMessage(buyer.telegram_id, `✅ ${deal.deal_id} — Deal Complete!\n\nFunds released to seller.\n\nLeave a review for the seller:`, { reply_markup: reviewKb }); } catch (e) {}
-        }
-      } catch (e) {}
-    }
-
-    for (const deal of funded || []) {
-      if (deal.release_reminder_sent || !deal.funded_at) continue;
-      const elapsed = Date.now() - new Date(deal.funded_at).getTime();
-      if (elapsed >= 24 * 60 * 60 * 1000) {
-        await supabase.from('deals').update({ release_reminder_sent: true }).ilike('deal_id', deal.deal_id);
-
-        const { data: buyer } = await supabase.from('users').select('telegram_id').ilike('username', deal.buyer_username).single();
-        if (buyer?.telegram_id) try { await bot.api.sendMessage(buyer.telegram_id, `⏱️ ${deal.deal_id} — 24hr release window has expired.\n\nPlease /release ${deal.deal_id} or /dispute ${deal.deal_id}.`); } catch (e) {}
-        if (deal.seller_telegram_id) try { await bot.api.sendMessage(deal.seller_telegram_id, `⏱️ ${deal.deal_id} — 24hr release window has expired. Buyer has been reminded.\n\nYou may /dispute ${deal.deal_id} if needed.`); } catch (e) {}
-      }
-    }
-  } catch (e) {
-    console.error('Poll:', e.message);
-  }
-}
+// ============ CHAIN INDEXER ============
+
+// Escrow events drive the deals table (bot/events.js)
+const { applyChainEvent } = createChainEventHandler({
+  supabase,
+  deals,
+  api: bot.api,
+  botmasterIds: BOTMASTER_IDS,
+  notifyParties,
+  notifyMutualCancel,
+  recordDelivery: async (deal, stage, at) => {
+    if (await deals.recordDelivery(deal, stage, at)) await notifyDelivery(bot.api, deals, deal, stage);
+  },
+  onDealChanged: (dealId) => groups.refreshCard(dealId)
+});
+
+const indexer = createIndexer({
+  provider,
+  contract: escrowContract,
+  cursorStore: createSupabaseCursorStore(supabase),
+  onEvent: applyChainEvent,
+  startBlock: NETWORK.deployBlock,
+  batchSize: Number(process.env.INDEXER_BATCH_SIZE || 2000),
+  confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 2),
+  intervalMs: Number(process.env.INDEXER_INTERVAL_MS || 10000)
+});
+
+// Gasless deposits/releases from the deposit page (bot/relayer.js). Off unless RELAYER_ENABLED=true.
+const relayer = process.env.RELAYER_ENABLED === 'true' ? createRelayer({
+  contract: escrowContract,
+  // Only deals the bot made, charged to their buyer's Telegram account
+  findBuyer: async (externalId) => {
+    const { deal } = await deals.getDeal(externalId);
+    return (deal?.contract_deal_id && Number(deal.buyer_telegram_id)) || null;
+  },
+  usageStore: createSupabaseUsageStore(supabase),
+  dailyCapWei: ethers.parseEther(process.env.RELAYER_DAILY_CAP_ETH || '0.0005'),
+  corsOrigin: process.env.RELAYER_CORS_ORIGIN || new URL(FRONTEND_URL).origin
+}) : null;
 
 // Error handler
 bot.catch(async (err) => {
@@ -1741,9 +588,70 @@ bot.catch(async (err) => {
   } catch (e) {}
 });
 
-// Start
-bot.start();
-console.log('DealPact v3.2 running!');
-console.log('Contract:', CONTRACT_ADDRESS);
-setInterval(pollDeals, 30000);
-pollDeals();
\ No newline at end of file
+// HTTP server (bot/server.js) on PORT: webhook updates, /relay and /health. Polling mode only
+// needs it for the relayer or a platform health check.
+const httpServer = (BOT_MODE === 'webhook' || relayer || process.env.PORT) ? createHttpServer({
+  webhook: BOT_MODE === 'webhook' ? {
+    path: WEBHOOK_PATH,
+    // 'return' answers Telegram after 10s while slow handlers (waiting on a tx) keep running,
+    // instead of failing the request and getting the same update redelivered
+    handler: webhookCallback(bot, 'http', { secretToken: process.env.WEBHOOK_SECRET, onTimeout: 'return' })
+  } : null,
+  relayer,
+  health: () => ({ mode: BOT_MODE, network: NETWORK.key, uptime: Math.round(process.uptime()) })
+}) : null;
+
+// Start (only once the database has every table and column the bot uses)
+checkSchema(supabase).then(async (problems) => {
+  if (problems.length) {
+    console.error('FATAL: Database schema is out of date. Run `npm run migrate` (bot/migrate.js).');
+    problems.forEach(p => console.error('  ' + p));
+    process.exit(1);
+  }
+
+  if (httpServer) {
+    const port = Number(process.env.PORT || 8080);
+    await httpServer.listen(port);
+    console.log(`HTTP server on port ${port}${relayer ? ' (relayer on /relay)' : ''}`);
+  }
+  await bot.init(); // bot.botInfo, for the private-chat links on group status cards
+  if (BOT_MODE === 'webhook') {
+    await bot.api.setWebhook(`${process.env.WEBHOOK_URL.replace(/\/$/, '')}${WEBHOOK_PATH}`, {
+      secret_token: process.env.WEBHOOK_SECRET
+    });
+  } else {
+    bot.start(); // also removes any webhook left from a webhook deployment
+  }
+
+  console.log(`DealPact v3.2 running! (${BOT_MODE})`);
+  console.log('Network:', `${NETWORK.name} (${NETWORK.chainId})`);
+  console.log('Contract:', CONTRACT_ADDRESS);
+  indexer.start();
+  setInterval(() => checkDeadlines(bot.api, { deals }), 60000);
+  checkDeadlines(bot.api, { deals });
+  setInterval(() => expireCancelRequests({ deals, notifyParties }), 60000);
+  setInterval(() => scheduledReconcile(bot.api, { deals, botmasterIds: BOTMASTER_IDS }), Number(process.env.RECONCILE_INTERVAL_MS || 60 * 60 * 1000));
+}).catch((e) => {
+  console.error('FATAL: Startup failed:', e.message);
+  process.exit(1);
+});
+
+// Graceful shutdown (Railway sends SIGTERM on redeploy): stop taking updates, let the ones in
+// flight finish, then exit. The webhook stays registered; Telegram holds updates for the next instance.
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received, shutting down...`);
+  setTimeout(() => process.exit(1), 25000).unref(); // hard stop if something hangs
+
+  indexer.stop();
+  await Promise.allSettled([
+    httpServer?.close(),
+    BOT_MODE === 'polling' && bot.isRunning() ? bot.stop() : null
+  ]);
+  console.log('Shutdown complete');
+  process.exit(0);
+}
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
@@ -0,0 +1,168 @@
+// DealPact chain indexer
+// Follows DealPactEscrow events with getLogs and hands them to the bot in block order.
+// The last processed block is persisted so a restart resumes where it left off.
+
+const INDEXED_EVENTS = [
+  'DealCreated', 'DealFunded', 'DealCompleted', 'DealRefunded', 'DealDisputed', 'DealCancelled',
+  'MilestoneFunded', 'MilestoneReleased', 'MilestoneRefunded', 'MilestoneDisputed', 'MilestoneDelivered'
+];
+
+// Cursor persisted in the indexer_state table (see sql/migrations/004_indexer_state.sql)
+function createSupabaseCursorStore(supabase, name = 'escrow') {
+  return {
+    async load() {
+      const { data, error } = await supabase.from('indexer_state').select('last_block').eq('name', name).maybeSingle();
+      if (error) throw new Error(`Cursor load failed: ${error.message}`);
+      return data ? Number(data.last_block) : null;
+    },
+    async save(blockNumber) {
+      const { error } = await supabase.from('indexer_state').upsert({
+        name,
+        last_block: blockNumber,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'name' });
+      if (error) throw new Error(`Cursor save failed: ${error.message}`);
+    }
+  };
+}
+
+// In-memory cursor, for local nodes and scripts
+function createMemoryCursorStore(initial = null) {
+  let block = initial;
+  return {
+    async load() { return block; },
+    async save(blockNumber) { block = blockNumber; }
+  };
+}
+
+// options:
+//   provider, contract   ethers provider + escrow contract (only the interface and address are used)
+//   cursorStore          { load(), save(block) }
+//   onEvent(event)       async handler, called once per log in chain order
+//   startBlock           first block to scan when no cursor is stored: the escrow's deploy block
+//                        (default: current head, which skips everything before it)
+//   batchSize            max blocks per getLogs call
+//   confirmations        blocks to stay behind head (reorg safety)
+//   intervalMs           delay between catch-up runs in start()
+function createIndexer({
+  provider,
+  contract,
+  cursorStore,
+  onEvent,
+  startBlock = null,
+  batchSize = 2000,
+  confirmations = 2,
+  intervalMs = 10000,
+  logger = console
+}) {
+  const iface = contract.interface;
+  const topics = INDEXED_EVENTS.map(name => iface.getEvent(name).topicHash);
+  const externalIds = new Map();
+  let timer = null;
+  let running = false;
+
+  // Deal events other than DealCreated only carry the numeric on-chain ID
+  async function getExternalId(chainDealId, createdArgs) {
+    const key = chainDealId.toString();
+    if (createdArgs) externalIds.set(key, createdArgs.externalId);
+    if (!externalIds.has(key)) {
+      const deal = await contract.deals(chainDealId);
+      externalIds.set(key, deal[0]);
+    }
+    return externalIds.get(key);
+  }
+
+  async function toEvent(log) {
+    const parsed = iface.parseLog(log);
+    if (!parsed) return null;
+    const chainDealId = parsed.args.dealId;
+    return {
+      name: parsed.name,
+      args: parsed.args,
+      chainDealId,
+      externalId: await getExternalId(chainDealId, parsed.name === 'DealCreated' ? parsed.args : null),
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.index
+    };
+  }
+
+  async function processRange(fromBlock, toBlock) {
+    const logs = await provider.getLogs({
+      address: await contract.getAddress(),
+      fromBlock,
+      toBlock,
+      topics: [topics]
+    });
+
+    logs.sort((a, b) => (a.blockNumber - b.blockNumber) || (a.index - b.index));
+
+    const blockTimes = new Map();
+    for (const log of logs) {
+      const event = await toEvent(log);
+      if (!event) continue;
+      if (!blockTimes.has(log.blockNumber)) {
+        const block = await provider.getBlock(log.blockNumber);
+        blockTimes.set(log.blockNumber, block ? new Date(block.timestamp * 1000) : new Date());
+      }
+      event.timestamp = blockTimes.get(log.blockNumber);
+      await onEvent(event);
+    }
+    return logs.length;
+  }
+
+  // Scan from the cursor up to (head - confirmations). Returns the number of logs handled.
+  async function catchUp() {
+    const head = await provider.getBlockNumber();
+    const safeHead = head - confirmations;
+
+    let last = await cursorStore.load();
+    if (last === null) {
+      if (startBlock === null) logger.error(`Indexer: no cursor and no start block, starting at block ${safeHead + 1}; earlier events are not indexed`);
+      last = (startBlock !== null ? startBlock : safeHead + 1) - 1;
+      await cursorStore.save(last);
+    }
+
+    let handled = 0;
+    while (last < safeHead) {
+      const from = last + 1;
+      const to = Math.min(from + batchSize - 1, safeHead);
+      handled += await processRange(from, to);
+      await cursorStore.save(to);
+      last = to;
+    }
+    return handled;
+  }
+
+  async function tick() {
+    if (running) return;
+    running = true;
+    try {
+      await catchUp();
+    } catch (e) {
+      logger.error('Indexer:', e.message);
+    } finally {
+      running = false;
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(tick, intervalMs);
+    tick();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { catchUp, start, stop };
+}
+
+module.exports = {
+  INDEXED_EVENTS,
+  createIndexer,
+  createSupabaseCursorStore,
+  createMemoryCursorStore
+};
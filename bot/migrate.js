@@ -0,0 +1,98 @@
+// DealPact database migrations
+// Applies sql/migrations/NNN_name.sql in order and records each in schema_migrations.
+// Every migration is idempotent, so a database set up by hand from the old sql/ files
+// can be brought under the runner by applying them all once.
+//
+//   DATABASE_URL=postgres://... npm run migrate            apply pending migrations
+//   DATABASE_URL=postgres://... npm run migrate -- status  list applied / pending
+//
+// DATABASE_URL is the direct Postgres connection string (Supabase: Project Settings > Database).
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'sql', 'migrations');
+
+// [{ version: '001', name: 'base_tables', file }] sorted by version
+function listMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .map(file => file.match(/^(\d+)_(\w+)\.sql$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version, name, file: path.join(dir, file) }))
+    .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS public.schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    );
+    ALTER TABLE public.schema_migrations ENABLE ROW LEVEL SECURITY;
+  `);
+}
+
+async function appliedVersions(client) {
+  const { rows } = await client.query('SELECT version FROM public.schema_migrations');
+  return new Set(rows.map(r => r.version));
+}
+
+// Each migration runs in its own transaction; stops at the first failure
+async function migrate(client, { dir, logger = console } = {}) {
+  await ensureMigrationsTable(client);
+  const applied = await appliedVersions(client);
+  const pending = listMigrations(dir).filter(m => !applied.has(m.version));
+
+  for (const m of pending) {
+    const sql = fs.readFileSync(m.file, 'utf8');
+    try {
+      await client.query('BEGIN');
+      await client.query(sql);
+      await client.query('INSERT INTO public.schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+      await client.query('COMMIT');
+      logger.log(`Applied ${m.version}_${m.name}`);
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw new Error(`Migration ${m.version}_${m.name} failed: ${e.message}`);
+    }
+  }
+  return pending;
+}
+
+async function main() {
+  if (!process.env.DATABASE_URL) {
+    console.error('FATAL: DATABASE_URL is required (direct Postgres connection string)');
+    process.exit(1);
+  }
+
+  const { Client } = require('pg');
+  const client = new Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    if (process.argv[2] === 'status') {
+      await ensureMigrationsTable(client);
+      const applied = await appliedVersions(client);
+      for (const m of listMigrations()) {
+        console.log(`${applied.has(m.version) ? 'applied' : 'pending'}  ${m.version}_${m.name}`);
+      }
+      return;
+    }
+
+    const done = await migrate(client);
+    console.log(done.length ? `${done.length} migration(s) applied` : 'Database is up to date');
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { MIGRATIONS_DIR, listMigrations, migrate };
@@ -0,0 +1,30 @@
+// DealPact network profiles
+// Reads config/networks.json, which the deposit page and the deploy script share.
+// NETWORK picks the profile (base, baseSepolia, localhost); RPC_URL and CONTRACT_ADDRESS override it.
+// deployBlock is where the profile's escrow was deployed, the indexer's first block on a fresh
+// database; another contract (CONTRACT_ADDRESS) needs INDEXER_START_BLOCK instead.
+
+const profiles = require('../config/networks.json');
+
+function loadNetwork(name, env = {}) {
+  const key = name || profiles.default;
+  const profile = profiles.networks[key];
+  if (!profile) {
+    throw new Error(`Unknown network "${key}" (expected ${Object.keys(profiles.networks).join(', ')})`);
+  }
+  const explorer = profile.explorer || null;
+
+  return {
+    key,
+    name: profile.name,
+    chainId: profile.chainId,
+    rpcUrl: env.RPC_URL || profile.rpcUrl,
+    contract: env.CONTRACT_ADDRESS || profile.contract || null,
+    deployBlock: env.INDEXER_START_BLOCK ? Number(env.INDEXER_START_BLOCK) : (env.CONTRACT_ADDRESS ? null : profile.deployBlock ?? null),
+    explorer,
+    // Local nodes have no explorer, so replies show the bare hash
+    txUrl: (hash) => explorer ? `${explorer}/tx/${hash}` : hash
+  };
+}
+
+module.exports = { loadNetwork };
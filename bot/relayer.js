@@ -0,0 +1,264 @@
+// DealPact gasless relayer
+// Buyers sign an EIP-712 Deposit or Release message on the deposit page. The relayer checks it
+// and submits relayedDeposit / relayedRelease with the bot's wallet, so the buyer needs no ETH.
+// Only deals the bot made are relayed, and gas paid is capped per buyer (Telegram user) per UTC day,
+// so fresh wallets or throwaway on-chain deals can't spend the bot wallet's ETH.
+
+const { ethers } = require('ethers');
+
+// Must match DEPOSIT_TYPEHASH / RELEASE_TYPEHASH in DealPactEscrow
+const RELAY_TYPES = {
+  deposit: {
+    Deposit: [
+      { name: 'dealId', type: 'uint256' },
+      { name: 'index', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  },
+  release: {
+    Release: [
+      { name: 'dealId', type: 'uint256' },
+      { name: 'index', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+};
+
+const NO_PERMIT = { deadline: 0, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+const MAX_BODY_BYTES = 16 * 1024;
+
+// Gas spent per buyer per day, in the relayer_usage table (see sql/migrations/010_relayer_usage.sql).
+// Charges go through its relayer_charge function: one atomic UPDATE each.
+function createSupabaseUsageStore(supabase) {
+  async function charge(telegramId, day, wei, capWei = null) {
+    const { data, error } = await supabase.rpc('relayer_charge', {
+      p_telegram_id: telegramId,
+      p_day: day,
+      p_wei: wei.toString(),
+      p_cap: capWei === null ? null : capWei.toString()
+    });
+    if (error) throw new Error(`Usage charge failed: ${error.message}`);
+    return data === true;
+  }
+  return {
+    reserve: (telegramId, day, wei, capWei) => charge(telegramId, day, wei, capWei),
+    async add(telegramId, day, wei) { await charge(telegramId, day, wei); }
+  };
+}
+
+// In-memory usage, for local nodes and scripts
+function createMemoryUsageStore() {
+  const used = new Map();
+  const key = (telegramId, day) => `${telegramId}:${day}`;
+  return {
+    async reserve(telegramId, day, wei, capWei) {
+      const total = (used.get(key(telegramId, day)) || 0n) + wei;
+      if (total > capWei) return false;
+      used.set(key(telegramId, day), total);
+      return true;
+    },
+    async add(telegramId, day, wei) {
+      const total = (used.get(key(telegramId, day)) || 0n) + wei;
+      used.set(key(telegramId, day), total > 0n ? total : 0n);
+    }
+  };
+}
+
+// options:
+//   contract        escrow contract connected to the wallet that pays gas
+//   findBuyer       async (externalId) => the buyer's Telegram ID for a deal in the bot's
+//                   database, or null (deals created on-chain by anyone else are not relayed)
+//   usageStore      { reserve(telegramId, day, wei, capWei) → false past the cap,
+//                   add(telegramId, day, wei) with wei possibly negative }
+//   dailyCapWei     max gas cost (wei) relayed per buyer per UTC day
+//   corsOrigin      Access-Control-Allow-Origin for the deposit page
+//   txTimeoutMs     how long to wait for a relayed transaction to be mined
+function createRelayer({
+  contract,
+  findBuyer,
+  usageStore,
+  dailyCapWei,
+  corsOrigin = '*',
+  txTimeoutMs = 60000,
+  logger = console
+}) {
+  const provider = contract.runner.provider;
+  let domain = null;
+  let queue = Promise.resolve();
+
+  async function getDomain() {
+    if (!domain) {
+      const d = await contract.eip712Domain();
+      domain = { name: d[1], version: d[2], chainId: d[3], verifyingContract: d[4] };
+    }
+    return domain;
+  }
+
+  function fail(status, error) {
+    return { status, error };
+  }
+
+  function toBigInt(value) {
+    try {
+      const n = BigInt(value);
+      return n >= 0n ? n : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // body: { action: 'deposit' | 'release', dealId: 'DP-XXXX', index, deadline, signature, permit? }
+  // Returns { txHash } or { status, error }
+  async function relay(body) {
+    const action = body?.action;
+    if (!RELAY_TYPES[action]) return fail(400, 'action must be deposit or release');
+
+    const externalId = String(body.dealId || '').toUpperCase();
+    const index = toBigInt(body.index ?? 0);
+    const deadline = toBigInt(body.deadline);
+    if (!/^DP-[A-Z0-9]+$/.test(externalId) || index === null || deadline === null || typeof body.signature !== 'string') {
+      return fail(400, 'dealId, index, deadline and signature are required');
+    }
+    if (deadline < BigInt(Math.floor(Date.now() / 1000))) return fail(400, 'Signature expired');
+
+    const buyerId = await findBuyer(externalId);
+    if (!buyerId) return fail(404, 'Deal not found');
+
+    const chainDealId = await contract.externalIdToDealId(externalId);
+    if (chainDealId === 0n) return fail(404, 'Deal not found on-chain');
+    const deal = await contract.getDealByExternalId(externalId);
+    const buyer = deal[2];
+    if (action === 'deposit' && deal[7] === ethers.ZeroAddress) return fail(400, 'ETH deposits cannot be relayed');
+
+    // Check the signature here so bad requests never cost gas
+    const nonce = await contract.nonces(buyer);
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(await getDomain(), RELAY_TYPES[action], { dealId: chainDealId, index, nonce, deadline }, body.signature);
+    } catch (e) {
+      return fail(400, 'Malformed signature');
+    }
+    if (signer.toLowerCase() !== buyer.toLowerCase()) return fail(401, 'Signature is not from the deal buyer');
+
+    const args = action === 'deposit'
+      ? [chainDealId, index, deadline, body.signature, body.permit ? { ...NO_PERMIT, ...body.permit } : NO_PERMIT]
+      : [chainDealId, index, deadline, body.signature];
+    const method = action === 'deposit' ? contract.relayedDeposit : contract.relayedRelease;
+
+    // One relayed transaction at a time: keeps the wallet nonce and the daily totals consistent
+    const run = queue.then(() => submit(buyerId, method, args, `${action} ${externalId}`));
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // Settles a sent transaction once its receipt is in, even if the caller stopped waiting: the
+  // reserved worst case becomes the gas actually paid (a mined revert still cost gas). Without a
+  // receipt the reservation stays, as the transaction may still be mined.
+  function settle(buyerId, day, tx, reserved) {
+    return tx.wait().then(
+      async (receipt) => {
+        await usageStore.add(buyerId, day, receipt.gasUsed * receipt.gasPrice - reserved);
+        return receipt;
+      },
+      async (e) => {
+        if (e.receipt) await usageStore.add(buyerId, day, e.receipt.gasUsed * e.receipt.gasPrice - reserved);
+        throw e;
+      }
+    );
+  }
+
+  async function submit(buyerId, method, args, label) {
+    const day = new Date().toISOString().slice(0, 10);
+
+    let gasLimit;
+    try {
+      gasLimit = await method.estimateGas(...args);
+    } catch (e) {
+      return fail(400, e.reason || 'Transaction would revert');
+    }
+
+    // Reserve the worst case before sending, so transactions not yet mined count against the cap
+    const fees = await provider.getFeeData();
+    const maxCost = gasLimit * (fees.maxFeePerGas ?? fees.gasPrice ?? 0n);
+    if (!(await usageStore.reserve(buyerId, day, maxCost, dailyCapWei))) {
+      return fail(429, 'Daily gasless limit reached. Send the transaction from your wallet instead.');
+    }
+
+    let tx;
+    try {
+      tx = await method(...args, { gasLimit });
+    } catch (e) {
+      logger.error(`Relay ${label} failed:`, e.message);
+      await usageStore.add(buyerId, day, -maxCost);
+      return fail(502, e.reason || 'Relayed transaction failed');
+    }
+    logger.log(`Relayed ${label} for user ${buyerId}: ${tx.hash}`);
+
+    const charged = settle(buyerId, day, tx, maxCost);
+    charged.catch((e) => logger.error(`Relay ${label} failed:`, e.message));
+    let timer;
+    const timeout = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), txTimeoutMs);
+    });
+    try {
+      const receipt = await Promise.race([charged, timeout]);
+      if (!receipt) return fail(504, `Transaction ${tx.hash} is not mined yet. Check the deal before trying again.`);
+      return { txHash: receipt.hash };
+    } catch (e) {
+      return fail(502, e.reason || 'Relayed transaction failed');
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  // POST /relay with a JSON body (see relay)
+  function handler(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', corsOrigin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      return res.end();
+    }
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'POST' || pathname !== '/relay') return send(res, 404, { error: 'Not found' });
+
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+      if (raw.length > MAX_BODY_BYTES) req.destroy();
+    });
+    req.on('end', async () => {
+      let body;
+      try {
+        body = JSON.parse(raw);
+      } catch (e) {
+        return send(res, 400, { error: 'Invalid JSON' });
+      }
+      try {
+        const result = await relay(body);
+        if (result.error) return send(res, result.status, { error: result.error });
+        send(res, 200, result);
+      } catch (e) {
+        logger.error('Relayer:', e.message);
+        send(res, 500, { error: 'Relayer error' });
+      }
+    });
+  }
+
+  return { relay, handler };
+}
+
+module.exports = {
+  RELAY_TYPES,
+  createRelayer,
+  createSupabaseUsageStore,
+  createMemoryUsageStore
+};
@@ -0,0 +1,40 @@
+// DealPact schema check
+// Run at startup so a database that is behind sql/migrations fails fast with a clear message,
+// instead of failing later inside a command. Fix: npm run migrate (see bot/migrate.js).
+
+// Columns the bot reads or writes, per table
+const EXPECTED_COLUMNS = {
+  users: ['telegram_id', 'username', 'wallet_address', 'created_at'],
+  deals: [
+    'deal_id', 'seller_telegram_id', 'seller_username', 'buyer_telegram_id', 'buyer_username', 'buyer_name',
+    'amount', 'description', 'status', 'token', 'milestone_count', 'contract_deal_id', 'tx_hash', 'created_at',
+    'funded_at', 'completed_at', 'delivered_at', 'delivery_hours', 'review_hours', 'timeout_notified',
+    'release_reminder_sent', 'seller_rating', 'buyer_rating', 'seller_review', 'buyer_review',
+    'disputed_by', 'disputed_by_telegram_id', 'dispute_reason', 'disputed_at', 'resolved_by',
+    'assigned_to_telegram_id', 'assigned_to_username', 'assigned_at', 'assigned_by',
+    'cancel_requested_by', 'cancel_requested_at', 'group_chat_id', 'group_message_id',
+    'inline_message_id', 'initiated_by', 'seller_confirmed_at', 'terms_version', 'funding_started_at'
+  ],
+  deal_milestones: ['deal_id', 'stage', 'amount', 'label', 'status', 'funded_at', 'released_at', 'delivered_at', 'timeout_notified', 'resolved_by', 'disputed_at'],
+  moderators: ['telegram_id', 'username', 'added_by', 'added_at', 'is_active'],
+  admin_logs: ['action', 'deal_id', 'admin_telegram_id', 'admin_username', 'target_user', 'details', 'created_at'],
+  evidence: ['deal_id', 'submitted_by', 'role', 'content', 'file_id', 'file_type', 'telegram_id', 'created_at'],
+  indexer_state: ['name', 'last_block', 'updated_at'],
+  relayer_usage: ['telegram_id', 'day', 'gas_wei', 'updated_at'],
+  bot_sessions: ['key', 'value', 'expires_at', 'updated_at'],
+  group_settings: ['chat_id', 'enabled', 'pin_cards', 'updated_by', 'updated_at'],
+  deal_terms: ['deal_id', 'version', 'amount', 'description', 'delivery_hours', 'review_hours', 'proposed_by', 'status', 'created_at', 'answered_at']
+};
+
+// Returns a list of problems ('deals: column deals.token does not exist'); empty when the schema is complete
+async function checkSchema(supabase, expected = EXPECTED_COLUMNS) {
+  const problems = [];
+  for (const [table, columns] of Object.entries(expected)) {
+    // A zero-row select still makes PostgREST resolve every column
+    const { error } = await supabase.from(table).select(columns.join(',')).limit(0);
+    if (error) problems.push(`${table}: ${error.message}`);
+  }
+  return problems;
+}
+
+module.exports = { EXPECTED_COLUMNS, checkSchema };
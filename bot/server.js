@@ -0,0 +1,61 @@
+// DealPact HTTP server
+// One server for everything the bot exposes over HTTP:
+//   POST <webhook path>  Telegram updates (webhook mode; secret token checked by grammY)
+//   POST /relay          gasless relayer (bot/relayer.js), when enabled
+//   GET  /health         health check for the hosting platform
+// close() stops taking requests and waits for the ones in flight, for graceful shutdown.
+
+const http = require('http');
+
+// options:
+//   webhook   { path, handler(req, res) } or null (polling mode)
+//   relayer   relayer from createRelayer, or null
+//   health    () => object merged into the /health response
+function createHttpServer({ webhook = null, relayer = null, health = () => ({}), logger = console }) {
+  let closing = false;
+
+  function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (pathname === '/health' && (req.method === 'GET' || req.method === 'HEAD')) {
+      // 503 while shutting down so the platform stops routing here
+      return send(res, closing ? 503 : 200, { ok: !closing, ...health() });
+    }
+    if (closing) return send(res, 503, { error: 'Shutting down' });
+
+    if (webhook && pathname === webhook.path) {
+      if (req.method !== 'POST') return send(res, 405, { error: 'Method not allowed' });
+      return Promise.resolve(webhook.handler(req, res)).catch((e) => {
+        logger.error('Webhook:', e.message);
+        if (!res.headersSent) send(res, 500, { error: 'Webhook error' });
+      });
+    }
+    if (relayer && pathname === '/relay') return relayer.handler(req, res);
+
+    send(res, 404, { error: 'Not found' });
+  });
+
+  function listen(port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, () => resolve(server));
+    });
+  }
+
+  function close() {
+    closing = true;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeIdleConnections();
+    });
+  }
+
+  return { server, listen, close };
+}
+
+module.exports = { createHttpServer };
@@ -0,0 +1,171 @@
+// DealPact conversation state
+// Multi-step flows (wallet entry, review comment) live in a grammY lazy session keyed by
+// Telegram user ID, so a half-finished flow survives a restart and any bot instance can
+// pick it up. Each flow has its own TTL.
+//
+// Session shape: { flows: { [name]: { data, expiresAt } } }
+// Backends (SESSION_STORE): supabase (bot_sessions table, default), file (one JSON file), memory.
+
+const fs = require('fs');
+const path = require('path');
+const { lazySession } = require('grammy');
+
+// Drops expired flows; returns null when nothing is left to keep
+function pruneSession(value, now = Date.now()) {
+  const flows = Object.fromEntries(Object.entries(value?.flows || {}).filter(([, f]) => f.expiresAt > now));
+  return Object.keys(flows).length ? { flows } : null;
+}
+
+function sessionExpiry(value) {
+  return Math.max(...Object.values(value.flows).map(f => f.expiresAt));
+}
+
+// Sessions in the bot_sessions table (see sql/migrations/012_bot_sessions.sql)
+function createSupabaseSessionStore(supabase) {
+  return {
+    async read(key) {
+      const { data, error } = await supabase.from('bot_sessions').select('value').eq('key', key).maybeSingle();
+      if (error) throw new Error(`Session load failed: ${error.message}`);
+      return data?.value;
+    },
+    async write(key, value, expiresAt) {
+      const { error } = await supabase.from('bot_sessions').upsert({
+        key,
+        value,
+        expires_at: new Date(expiresAt).toISOString(),
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'key' });
+      if (error) throw new Error(`Session save failed: ${error.message}`);
+    },
+    async delete(key) {
+      const { error } = await supabase.from('bot_sessions').delete().eq('key', key);
+      if (error) throw new Error(`Session delete failed: ${error.message}`);
+    },
+    async purgeExpired() {
+      await supabase.from('bot_sessions').delete().lt('expires_at', new Date().toISOString());
+    }
+  };
+}
+
+// Sessions in a JSON file, for a single instance without a database session table
+function createFileSessionStore(file) {
+  let sessions = {};
+  try {
+    sessions = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Session file ${file} unreadable, starting empty:`, e.message);
+  }
+
+  // Whole-file rewrites, one at a time, via a temp file so a crash never leaves half a file
+  let saving = Promise.resolve();
+  function save() {
+    const json = JSON.stringify(sessions);
+    saving = saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(`${file}.tmp`, json);
+      await fs.promises.rename(`${file}.tmp`, file);
+    });
+    return saving;
+  }
+
+  return {
+    async read(key) { return sessions[key]?.value; },
+    async write(key, value, expiresAt) {
+      sessions[key] = { value, expiresAt };
+      await save();
+    },
+    async delete(key) {
+      if (!(key in sessions)) return;
+      delete sessions[key];
+      await save();
+    },
+    async purgeExpired() {
+      const now = Date.now();
+      const expired = Object.keys(sessions).filter(k => sessions[k].expiresAt <= now);
+      expired.forEach(k => delete sessions[k]);
+      if (expired.length) await save();
+    }
+  };
+}
+
+// In-memory sessions, for tests and local runs (lost on restart)
+function createMemorySessionStore() {
+  const sessions = new Map();
+  return {
+    async read(key) { return sessions.get(key)?.value; },
+    async write(key, value, expiresAt) { sessions.set(key, { value, expiresAt }); },
+    async delete(key) { sessions.delete(key); },
+    async purgeExpired() {
+      const now = Date.now();
+      for (const [k, s] of sessions) if (s.expiresAt <= now) sessions.delete(k);
+    }
+  };
+}
+
+function createSessionStore(kind, { supabase, file } = {}) {
+  if (kind === 'supabase') return createSupabaseSessionStore(supabase);
+  if (kind === 'file') return createFileSessionStore(file);
+  if (kind === 'memory') return createMemorySessionStore();
+  throw new Error(`Unknown SESSION_STORE "${kind}" (expected supabase, file or memory)`);
+}
+
+// grammY middleware: ctx.session is a promise of the user's session, loaded on first use
+function sessionMiddleware(store) {
+  // Keys read with nothing stored, until the update writes the session back. getFlow loads the
+  // session on every private text message; one still empty then needs no delete.
+  const unstored = new Set();
+  return lazySession({
+    initial: () => ({ flows: {} }),
+    getSessionKey: (ctx) => ctx.from?.id?.toString(),
+    storage: {
+      async read(key) {
+        const stored = await store.read(key);
+        if (stored == null) unstored.add(key);
+        return pruneSession(stored) || undefined;
+      },
+      // Sessions with no live flows are removed instead of stored
+      async write(key, value) {
+        const wasUnstored = unstored.delete(key);
+        const live = pruneSession(value);
+        if (live) await store.write(key, live, sessionExpiry(live));
+        else if (!wasUnstored) await store.delete(key);
+      },
+      delete: (key) => store.delete(key)
+    }
+  });
+}
+
+// ============ FLOWS ============
+
+async function startFlow(ctx, name, data, ttlMs) {
+  const session = await ctx.session;
+  session.flows = { ...session.flows, [name]: { data, expiresAt: Date.now() + ttlMs } };
+}
+
+// The flow's data, or null if none is running (or it timed out)
+async function getFlow(ctx, name) {
+  const session = await ctx.session;
+  const flow = session.flows?.[name];
+  if (!flow) return null;
+  if (flow.expiresAt <= Date.now()) {
+    delete session.flows[name];
+    return null;
+  }
+  return flow.data;
+}
+
+async function endFlow(ctx, name) {
+  const session = await ctx.session;
+  if (session.flows) delete session.flows[name];
+}
+
+module.exports = {
+  createSessionStore,
+  createSupabaseSessionStore,
+  createFileSessionStore,
+  createMemorySessionStore,
+  sessionMiddleware,
+  startFlow,
+  getFlow,
+  endFlow
+};
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupFundedDeal, SELLER, BUYER, ADMIN } = require('./harness');
+
+// A funded single deal, disputed by the buyer when dispute is set
+async function setup({ dispute = false } = {}) {
+  const harness = await setupFundedDeal({ users: [{ telegram_id: 303, username: 'mod' }] });
+  if (dispute) await harness.message(BUYER, `/dispute ${harness.dealId} Never delivered`);
+  return harness;
+}
+
+test('evidence is taken while disputed and shown to the parties', async () => {
+  const { supabase, dealId, message, replies } = await setup({ dispute: true });
+
+  await message(SELLER, `/evidence ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), new RegExp(`Usage: /evidence ${dealId}`));
+  await message(SELLER, `/evidence ${dealId} Sent the files on Monday`);
+  assert.deepEqual(supabase.db.evidence.map(e => [e.role, e.content]), [['Seller', 'Sent the files on Monday']]);
+
+  await message(BUYER, `/viewevidence ${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /Reason: Never delivered[\s\S]*\[Seller\] @alice: "Sent the files on Monday"/);
+
+  await message(SELLER, `/canceldispute ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /Only disputer or admin/);
+  // The contract can't undo a dispute, so an admin settles it instead
+  await message(BUYER, `/canceldispute ${dealId}`);
+  assert.equal(supabase.db.deals[0].status, 'disputed');
+  assert.match(replies(BUYER.id).at(-1), new RegExp(`stays open on-chain[\\s\\S]*/resolve ${dealId} release\\|refund`));
+
+  await message(ADMIN, `/resolve ${dealId} refund`);
+  await message(BUYER, `/evidence ${dealId} Late`);
+  assert.match(replies(BUYER.id).at(-1), /Deal not disputed/);
+});
+
+test('botmasters assign disputes and every admin action is logged', async () => {
+  const { supabase, dealId, message, replies } = await setup({ dispute: true });
+
+  await message(SELLER, `/assign ${dealId} @mod`);
+  assert.match(replies(SELLER.id).at(-1), /Botmaster only/);
+
+  await message(ADMIN, '/addmod @mod');
+  assert.equal(supabase.db.moderators[0].telegram_id, 303);
+  assert.match(replies(303).at(-1), /now a DealPact Moderator/);
+
+  await message(ADMIN, `/assign ${dealId} @mod`);
+  assert.equal(supabase.db.deals[0].assigned_to_username, 'mod');
+  assert.match(replies(303).at(-1), new RegExp(`Dispute assigned: ${dealId}`));
+  assert.match(replies(BUYER.id).at(-1), /being reviewed by Admin Team/);
+
+  await message(ADMIN, '/disputes');
+  assert.match(replies(ADMIN.id).at(-1), /Open Disputes \(1\)[\s\S]*Assigned: @mod[\s\S]*Reason: Never delivered/);
+
+  await message(ADMIN, `/logs ${dealId}`);
+  assert.match(replies(ADMIN.id).at(-1), /@admin: assign .* → mod/);
+  assert.deepEqual(supabase.db.admin_logs.map(l => l.action), ['add_mod', 'assign']);
+});
+
+test('/reconcile reports a mismatch and syncs the database to the chain', async () => {
+  const { supabase, dealId, message, press, replies, sent } = await setup();
+  supabase.db.deals[0].status = 'completed';
+
+  await message(ADMIN, `/reconcile ${dealId}`);
+  assert.match(replies(ADMIN.id).at(-1), new RegExp(`Mismatch[\\s\\S]*${dealId} \\| DB completed vs chain Funded`));
+  assert.deepEqual(sent.at(-1).reply_markup.inline_keyboard[0].map(b => b.callback_data), [`rc_sync_${dealId}`]);
+
+  await press(ADMIN, `rc_sync_${dealId}`);
+  assert.equal(supabase.db.deals[0].status, 'funded');
+  assert.match(replies(ADMIN.id).at(-1), /DB completed → funded/);
+  assert.equal(supabase.db.admin_logs.at(-1).action, 'reconcile_sync');
+
+  await press(ADMIN, `rc_sync_${dealId}`);
+  assert.match(replies(ADMIN.id).at(-1), /already in sync/);
+});
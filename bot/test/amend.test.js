@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupBot, SELLER, BUYER } = require('./harness');
+
+async function setup(terms = '50 Logo design') {
+  const harness = setupBot();
+  const { supabase } = harness;
+  await harness.message(SELLER, `/new @bob ${terms}`);
+  const dealId = supabase.db.deals[0].deal_id;
+  const versions = () => supabase.db.deal_terms.map(t => [t.version, t.status]);
+  return { dealId, versions, ...harness };
+}
+
+test('accepted terms replace the deal and are what goes on-chain', async () => {
+  const { supabase, escrow, dealId, versions, message, press, sent, replies } = await setup();
+  assert.deepEqual(versions(), [[1, 'accepted']]);
+
+  await message(SELLER, `/amend ${dealId} 40 Logo and favicon --delivery 10d`);
+  assert.deepEqual(versions(), [[1, 'accepted'], [2, 'proposed']]);
+  const proposal = sent.filter(s => s.chat_id === BUYER.id).at(-1);
+  assert.match(proposal.text, /@alice proposes new terms[\s\S]*50 USDC → \*40 USDC\*[\s\S]*Delivery 7d → \*10d\*/);
+  assert.deepEqual(proposal.reply_markup.inline_keyboard[0].map(b => b.callback_data), [`am_ok_${dealId}_2`, `am_ct_${dealId}_2`, `am_no_${dealId}_2`]);
+
+  await message(BUYER, `/fund ${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /New terms \(v2\) are waiting/);
+
+  await press(SELLER, `am_ok_${dealId}_2`);
+  assert.equal(supabase.db.deals[0].amount, 50);
+
+  await press(BUYER, `am_ok_${dealId}_2`);
+  assert.deepEqual(versions(), [[1, 'accepted'], [2, 'accepted']]);
+  const deal = supabase.db.deals[0];
+  assert.equal(deal.amount, 40);
+  assert.equal(deal.description, 'Logo and favicon');
+  assert.equal(deal.delivery_hours, 240);
+  assert.equal(deal.terms_version, 2);
+  assert.match(replies(SELLER.id).at(-1), /v2 of .* accepted/);
+
+  await message(BUYER, `/fund ${dealId}`);
+  assert.equal(escrow.calls[0].args[4], 40_000_000n);
+
+  // On-chain now: the terms are final
+  await message(SELLER, `/amend ${dealId} 45`);
+  assert.match(replies(SELLER.id).at(-1), /Terms are locked/);
+});
+
+test('a counter-offer supersedes the proposal, and rejecting keeps the terms', async () => {
+  const { supabase, dealId, versions, message, press, sent, replies } = await setup();
+  await message(SELLER, `/amend ${dealId} 60 --delivery 10d`);
+
+  // The counter changes the amount and keeps the rest of the proposal it answers
+  await press(BUYER, `am_ct_${dealId}_2`);
+  await message(BUYER, '55 --express');
+  await message(BUYER, '55');
+  assert.deepEqual(versions(), [[1, 'accepted'], [2, 'superseded'], [3, 'proposed']]);
+  assert.equal(supabase.db.deal_terms[2].delivery_hours, 240);
+  assert.match(sent.filter(s => s.chat_id === SELLER.id).at(-1).text, /@bob proposes[\s\S]*50 USDC → \*55 USDC\*[\s\S]*Delivery 7d → \*10d\*/);
+
+  // A counter to a proposal that was answered meanwhile is refused
+  await press(SELLER, `am_ct_${dealId}_2`);
+  await message(SELLER, '58');
+  assert.match(replies(SELLER.id).at(-1), /v2 was already answered/);
+
+  await press(SELLER, `am_no_${dealId}_3`);
+  assert.deepEqual(versions(), [[1, 'accepted'], [2, 'superseded'], [3, 'rejected']]);
+  assert.equal(supabase.db.deals[0].amount, 50);
+  assert.match(replies(BUYER.id).at(-1), /v3 of .* rejected/);
+
+  await message(BUYER, `/terms ${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /✅ v1 \(current\): 50 USDC · Logo design[\s\S]*↪️ v2: 60 USDC[\s\S]*❌ v3: 55 USDC/);
+});
+
+test('terms lock while funding runs and unlock if the deal never reaches the chain', async () => {
+  const { supabase, escrow, dealId, message, press, replies } = await setup();
+  await message(SELLER, `/amend ${dealId} 60`);
+  supabase.db.deal_terms[1].status = 'rejected';
+
+  // While /fund creates the deal nothing changes the terms, not even a proposal made before
+  const createDeal = escrow.createDeal;
+  escrow.createDeal = async () => {
+    assert.ok(supabase.db.deals[0].funding_started_at);
+    await message(SELLER, `/amend ${dealId} 45`);
+    supabase.db.deal_terms[1].status = 'proposed';
+    await press(BUYER, `am_ok_${dealId}_2`);
+    throw new Error('network error');
+  };
+  await message(BUYER, `/fund ${dealId}`);
+  escrow.createDeal = createDeal;
+  assert.match(replies(SELLER.id).at(-1), /Terms are locked/);
+  assert.equal(supabase.db.deal_terms[1].status, 'proposed');
+
+  // The create failed and nothing is on-chain: the terms are open again
+  assert.equal(supabase.db.deals[0].funding_started_at, null);
+  await press(BUYER, `am_ok_${dealId}_2`);
+  assert.equal(supabase.db.deals[0].amount, 60);
+});
+
+test('/amend checks the change before proposing it', async () => {
+  const { supabase, dealId, message, replies } = await setup('0.1 ETH Website --milestones 0.04:design,0.06:build');
+  await message(SELLER, `/amend ${dealId} 0.2`);
+  assert.match(replies(SELLER.id).at(-1), /Milestone amounts are fixed/);
+  await message(SELLER, `/amend ${dealId} --express`);
+  assert.match(replies(SELLER.id).at(-1), /Unknown option --express/);
+  await message(BUYER, `/amend ${dealId} Website --review 3d`);
+  assert.match(replies(BUYER.id).at(-1), /already the terms/);
+  assert.equal(supabase.db.deal_terms.length, 1);
+});
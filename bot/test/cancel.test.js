@@ -0,0 +1,76 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupDeal, SELLER, BUYER } = require('./harness');
+
+test('only the seller cancels a pending deal', async () => {
+  const { supabase, dealId, message, press, replies } = await setupDeal();
+
+  await message(BUYER, `/cancel ${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /Only the seller can cancel a pending deal/);
+  assert.equal(supabase.db.deals[0].status, 'pending_deposit');
+
+  await press(SELLER, `cancel_${dealId}`);
+  assert.equal(supabase.db.deals[0].status, 'cancelled');
+  assert.match(replies(SELLER.id).at(-1), new RegExp(`${dealId} cancelled`));
+
+  // The wallet flow's Cancel button is not a deal
+  const before = replies(SELLER.id).length;
+  await press(SELLER, 'cancel_wallet');
+  assert.equal(replies(SELLER.id).length, before);
+});
+
+test('a pending deal already on-chain is cancelled there before the database', async () => {
+  const { supabase, escrow, dealId, message, replies } = await setupDeal();
+  await message(BUYER, `/fund ${dealId}`);
+
+  const cancel = escrow.cancel;
+  escrow.cancel = async () => { throw new Error('execution reverted'); };
+  await message(SELLER, `/cancel ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /On-chain cancel failed/);
+  assert.equal(supabase.db.deals[0].status, 'pending_deposit');
+
+  escrow.cancel = cancel;
+  await message(SELLER, `/cancel ${dealId}`);
+  assert.equal(escrow.calls.at(-1).name, 'cancel');
+  assert.equal(supabase.db.deals[0].status, 'cancelled');
+  assert.match(replies(SELLER.id).at(-1), new RegExp(`${dealId} cancelled`));
+});
+
+test('a funded deal is cancelled on-chain once both parties agree', async () => {
+  const { supabase, escrow, dealId, fund, message, press, sent, replies } = await setupDeal();
+  await fund();
+
+  await message(SELLER, `/cancel ${dealId}`);
+  assert.equal(supabase.db.deals[0].cancel_requested_by, SELLER.id);
+  const request = sent.filter(s => s.chat_id === BUYER.id).at(-1);
+  assert.match(request.text, /Cancel Request[\s\S]*25 USDC is refunded/);
+  assert.deepEqual(request.reply_markup.inline_keyboard[0].map(b => b.callback_data), [`cxl_accept_${dealId}`, `cxl_decline_${dealId}`]);
+
+  await message(SELLER, `/cancel ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /already asked to cancel/);
+  await press(SELLER, `cxl_accept_${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /Waiting for the other party/);
+  assert.ok(!escrow.calls.some(c => c.name === 'cancelFunded'));
+
+  await press(BUYER, `cxl_accept_${dealId}`);
+  assert.equal(escrow.calls.at(-1).name, 'cancelFunded');
+  assert.equal(supabase.db.deals[0].status, 'cancelled');
+  assert.equal(supabase.db.deals[0].cancel_requested_by, null);
+  assert.match(replies(SELLER.id).at(-1), /cancelled by both parties/);
+  assert.match(replies(BUYER.id).at(-1), /cancelled by both parties/);
+});
+
+test('a declined cancel request leaves the deal funded', async () => {
+  const { supabase, escrow, dealId, fund, message, press, replies } = await setupDeal();
+  await fund();
+
+  await message(BUYER, `/cancel ${dealId}`);
+  await press(BUYER, `cxl_decline_${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /can't decline your own request/);
+
+  await press(SELLER, `cxl_decline_${dealId}`);
+  assert.equal(supabase.db.deals[0].status, 'funded');
+  assert.equal(supabase.db.deals[0].cancel_requested_by, null);
+  assert.match(replies(BUYER.id).at(-1), /was declined/);
+  assert.ok(!escrow.calls.some(c => c.name === 'cancelFunded'));
+});
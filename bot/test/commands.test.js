@@ -0,0 +1,136 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getFlow } = require('../sessions');
+const { setupBot, SELLER, BUYER, ADMIN } = require('./harness');
+
+function setup() {
+  const { supabase, escrow, bot, sent, message, press, replies } = setupBot();
+
+  let flowState = null;
+  bot.on('message:text', async (ctx) => { flowState = await getFlow(ctx, 'review'); });
+
+  return { supabase, escrow, sent, message, press, replies, flow: () => flowState };
+}
+
+test('/new creates the deal and tells a known buyer', async () => {
+  const { supabase, message, replies, sent } = setup();
+  await message(SELLER, '/new @bob 25 Logo design --delivery 3d');
+
+  const dealId = supabase.db.deals[0].deal_id;
+  assert.match(replies(SELLER.id)[0], new RegExp(`Deal Created[\\s\\S]*${dealId}[\\s\\S]*Delivery within 3d`));
+  assert.match(replies(BUYER.id)[0], /New Deal for You/);
+  const buttons = sent.find(s => s.chat_id === BUYER.id).reply_markup.inline_keyboard[0];
+  assert.deepEqual(buttons.map(b => b.callback_data), [`fund_${dealId}`, `status_${dealId}`]);
+});
+
+test('/new explains the format and option errors', async () => {
+  const { supabase, message, replies } = setup();
+  await message(SELLER, '/new bob');
+  await message(SELLER, '/new @bob 25 Logo --express');
+  await message(SELLER, '/new @bob 25.1234567 Logo');
+  assert.match(replies(SELLER.id)[0], /^Format: \/new @buyer amount/);
+  assert.match(replies(SELLER.id)[1], /Unknown option --express/);
+  assert.match(replies(SELLER.id)[2], /at most 6 decimals/);
+  assert.equal(supabase.db.deals, undefined);
+});
+
+test('/fund and the Fund button share one flow', async () => {
+  const { supabase, escrow, message, press, replies, sent } = setup();
+  await message(SELLER, '/new @bob 25 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+
+  await press(SELLER, `fund_${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /Only the buyer can fund/);
+
+  await message(BUYER, `/fund ${dealId}`);
+  assert.equal(escrow.calls.length, 1);
+  assert.match(replies(BUYER.id).at(-1), /Ready to deposit![\s\S]*25 USDC/);
+  await press(BUYER, `fund_${dealId}`);
+  assert.equal(escrow.calls.length, 1); // already on-chain
+  const button = sent.at(-1).reply_markup.inline_keyboard[0][0];
+  assert.match(button.url, new RegExp(`^https://pay\\.example\\?deal=${dealId}&terms=`));
+});
+
+test('/status shows the actions open to each party', async () => {
+  const { supabase, message, sent } = setup();
+  await message(SELLER, '/new @bob 25 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+
+  await message(BUYER, `/status ${dealId}`);
+  assert.match(sent.at(-1).text, /Awaiting Deposit/);
+  assert.deepEqual(sent.at(-1).reply_markup.inline_keyboard.flat().map(b => b.callback_data), [`fund_${dealId}`]);
+
+  await message(SELLER, `/status ${dealId}`);
+  assert.deepEqual(sent.at(-1).reply_markup.inline_keyboard.flat().map(b => b.callback_data), [`cancel_${dealId}`]);
+  assert.doesNotMatch(sent.at(-1).text, /on-chain hash/);
+
+  // Once on-chain, the stored terms are checked against the committed hash
+  await message(BUYER, `/fund ${dealId}`);
+  await message(BUYER, `/status ${dealId}`);
+  assert.match(sent.at(-1).text, /🔏 Terms match the on-chain hash `0x[0-9a-f]{8}…`/);
+  supabase.db.deals[0].amount = 2.5;
+  await message(BUYER, `/status ${dealId}`);
+  assert.match(sent.at(-1).text, /do not match the on-chain hash/);
+});
+
+test('/deals and My Deals list the same deals with stage progress', async () => {
+  const { supabase, message, press, sent } = setup();
+  await message(SELLER, '/new @bob 25 Logo design');
+  await message(SELLER, '/new @bob 150 Website --milestones 100:design,50:build');
+  const [single, staged] = supabase.db.deals.map(d => d.deal_id);
+  supabase.db.deals[0].created_at = new Date(Date.now() - 60000).toISOString(); // both can land in the same millisecond
+  supabase.db.deal_milestones.find(m => m.stage === 1).status = 'released';
+
+  await message(BUYER, '/deals');
+  const list = sent.at(-1);
+  assert.match(list.text, new RegExp(`⏳ \`${staged}\` • \\*150 USDC\\* • 🛒 Buyer • 1/2 released`));
+  assert.match(list.text, new RegExp(`⏳ \`${single}\` • \\*25 USDC\\* • 🛒 Buyer\n`));
+
+  await press(BUYER, 'guide_deals');
+  assert.equal(sent.at(-1).text, list.text);
+  assert.deepEqual(sent.at(-1).reply_markup.inline_keyboard.flat().map(b => b.callback_data), [`status_${staged}`, `status_${single}`, 'main_menu']);
+
+  await message(ADMIN, '/deals');
+  assert.match(sent.at(-1).text, /no deals yet/);
+});
+
+test('/dispute notifies the other party and botmasters; /resolve settles it', async () => {
+  const { supabase, escrow, message, replies } = setup();
+  await message(SELLER, '/new @bob 25 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+  await message(BUYER, `/fund ${dealId}`);
+  escrow.deposit(dealId);
+  supabase.db.deals[0].status = 'funded';
+
+  await message(BUYER, `/dispute ${dealId} Nothing delivered`);
+  assert.match(replies(BUYER.id).at(-1), /DISPUTE OPENED/);
+  assert.match(replies(SELLER.id).at(-1), /DISPUTE on .*\n\nReason: Nothing delivered/);
+  assert.match(replies(ADMIN.id).at(-1), /DISPUTE: [\s\S]*@alice vs @bob[\s\S]*By: @bob/);
+
+  await message(BUYER, `/resolve ${dealId} refund`);
+  assert.equal(replies(BUYER.id).at(-1), 'Admin only.');
+
+  await message(ADMIN, `/resolve ${dealId} refund`);
+  assert.match(replies(ADMIN.id).at(-1), /Refunded to buyer[\s\S]*refunded/);
+  assert.match(replies(BUYER.id).at(-1), /Funds refunded to you/);
+  assert.equal(supabase.db.deals[0].status, 'refunded');
+});
+
+test('star buttons open a review comment flow', async () => {
+  const { supabase, message, press, replies, flow } = setup();
+  await message(SELLER, '/new @bob 25 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+  supabase.db.deals[0].status = 'completed';
+  supabase.db.deals[0].buyer_telegram_id = BUYER.id;
+
+  await press(BUYER, `review_${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /Rate the seller @alice/);
+  await press(BUYER, `rate_${dealId}_5`);
+  assert.equal(supabase.db.deals[0].buyer_rating, 5);
+
+  await message(BUYER, 'Great work');
+  assert.deepEqual(flow(), { dealId, isSeller: false, rating: 5 });
+  await press(BUYER, `skip_review_${dealId}`);
+  await message(BUYER, 'hello');
+  assert.equal(flow(), null);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkDeadlines } = require('../commands/deadlines');
+const { setupFundedDeal, SELLER, BUYER } = require('./harness');
+
+const daysAgo = (n) => new Date(Date.now() - n * 24 * 3600000).toISOString();
+
+test('/delivered is recorded on-chain once and starts the buyer review', async () => {
+  const { supabase, escrow, dealId, message, replies, sent } = await setupFundedDeal();
+
+  await message(BUYER, `/delivered ${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /Only the seller can mark delivery/);
+
+  escrow.blockTime = 1767225600;
+  await message(SELLER, `/delivered ${dealId}`);
+  assert.equal(escrow.calls.at(-1).name, 'markDelivered');
+  assert.equal(supabase.db.deals[0].delivered_at, '2026-01-01T00:00:00.000Z');
+  assert.match(replies(SELLER.id).at(-1), /marked delivered[\s\S]*3d to release or dispute/);
+  const notice = sent.filter(s => s.chat_id === BUYER.id).at(-1);
+  assert.match(notice.text, /Delivered[\s\S]*@alice marked/);
+  assert.equal(notice.reply_markup.inline_keyboard[0][0].callback_data, `release_${dealId}`);
+
+  await message(SELLER, `/delivered ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /Already marked delivered/);
+  assert.equal(escrow.calls.filter(c => c.name === 'markDelivered').length, 1);
+});
+
+test('claims wait for the window to close, then go on-chain', async () => {
+  const { supabase, escrow, dealId, message, press, replies } = await setupFundedDeal();
+
+  await message(BUYER, `/claim ${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /Nothing to refund yet/);
+  await press(BUYER, `claimrel_${dealId}`);
+  assert.match(replies(BUYER.id).at(-1), /Only the seller can claim the payment/);
+
+  supabase.db.deals[0].delivered_at = daysAgo(4);
+  await message(SELLER, `/claim ${dealId}`);
+  assert.equal(escrow.calls.at(-1).name, 'claimRelease');
+  assert.match(replies(SELLER.id).at(-1), /Claim confirmed\. 25 USDC is on its way to you/);
+
+  supabase.db.deals[0].status = 'disputed';
+  await message(SELLER, `/claim ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /paused while the deal is disputed/);
+});
+
+test('each expired window is reported once', async () => {
+  const { supabase, dealId, bot, deals, sent } = await setupFundedDeal();
+  supabase.db.deals[0].funded_at = daysAgo(8);
+
+  await checkDeadlines(bot.api, { deals });
+  await checkDeadlines(bot.api, { deals });
+  const buyerNotices = sent.filter(s => s.chat_id === BUYER.id && /delivery deadline passed/.test(s.text));
+  assert.equal(buyerNotices.length, 1);
+  assert.equal(buyerNotices[0].reply_markup.inline_keyboard[0][0].callback_data, `claimref_${dealId}`);
+  assert.equal(supabase.db.deals[0].timeout_notified, 'delivery');
+  const sellerNotice = sent.filter(s => s.chat_id === SELLER.id).at(-1);
+  assert.match(sellerNotice.text, /delivery can no longer be marked/);
+  assert.doesNotMatch(sellerNotice.text, /\/delivered/);
+});
+
+test('delivery cannot be marked once the deadline has passed', async () => {
+  const { supabase, escrow, dealId, message, replies, sent } = await setupFundedDeal();
+  supabase.db.deals[0].funded_at = daysAgo(8);
+
+  await message(SELLER, `/status ${dealId}`);
+  const buttons = sent.filter(s => s.chat_id === SELLER.id).at(-1).reply_markup.inline_keyboard.flat().map(b => b.callback_data);
+  assert.ok(!buttons.includes(`delivered_${dealId}`));
+
+  await message(SELLER, `/delivered ${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /delivery deadline has passed/);
+  assert.ok(!escrow.calls.some(c => c.name === 'markDelivered'));
+  assert.equal(supabase.db.deals[0].delivered_at, undefined);
+});
@@ -0,0 +1,460 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTokenRegistry } = require('../tokens');
+const { createFakeSupabase, createFakeEscrow } = require('./fakes');
+const {
+  createDealService, parseDuration, parseMilestones, pickStage, dealStatusFromMilestones, hashTerms
+} = require('../deals');
+
+const SELLER = { id: 101, username: 'alice' };
+const BUYER = { id: 202, username: 'bob' };
+const ADMIN = { id: 1, username: 'admin', role: 'botmaster' };
+
+function setup() {
+  const supabase = createFakeSupabase({
+    users: [
+      { telegram_id: SELLER.id, username: 'alice', wallet_address: '0x1111111111111111111111111111111111111111' },
+      { telegram_id: BUYER.id, username: 'bob', wallet_address: '0x2222222222222222222222222222222222222222' }
+    ]
+  });
+  const escrow = createFakeEscrow();
+  const service = createDealService({
+    supabase,
+    escrow,
+    tokens: createTokenRegistry(31337),
+    frontendUrl: 'https://pay.example',
+    txUrl: (hash) => `https://explorer.example/tx/${hash}`,
+    logger: { log() {}, error() {} }
+  });
+  return { supabase, escrow, deals: service };
+}
+
+// Deposit links end with the canonical terms (base64url) for the page to check
+const withoutTerms = (url) => url.replace(/&terms=[\w-]+$/, '');
+const termsOfLink = (url) => Buffer.from(new URL(url).searchParams.get('terms'), 'base64url').toString();
+
+function dbDeal(supabase, dealId) {
+  return supabase.db.deals.find(d => d.deal_id === dealId);
+}
+
+// What the indexer does when the deposit event arrives
+function markFunded(supabase, escrow, dealId, stage = null) {
+  escrow.deposit(dealId, stage ? stage - 1 : 0);
+  dbDeal(supabase, dealId).status = 'funded';
+  if (stage) supabase.db.deal_milestones.find(m => m.deal_id === dealId && m.stage === stage).status = 'funded';
+}
+
+// ============ TERMS ============
+
+test('parseDuration takes hours and days up to 90d', () => {
+  assert.equal(parseDuration('48h'), 48);
+  assert.equal(parseDuration('5d'), 120);
+  assert.equal(parseDuration('91d'), null);
+  assert.equal(parseDuration('0h'), null);
+  assert.equal(parseDuration('soon'), null);
+});
+
+test('parseMilestones needs 2-10 positive stages', () => {
+  assert.deepEqual(parseMilestones('100:design, 50').milestones, [{ amount: 100, label: 'design' }, { amount: 50, label: 'Stage 2' }]);
+  assert.ok(parseMilestones('100:design').error);
+  assert.ok(parseMilestones('100:design,0:build').error);
+  assert.ok(parseMilestones('abc,100').error);
+});
+
+test('pickStage picks the given stage or the only one in the wanted state', () => {
+  const stages = [{ stage: 1, status: 'released' }, { stage: 2, status: 'funded' }, { stage: 3, status: 'funded' }];
+  assert.equal(pickStage(stages, '2', 'funded').milestone.stage, 2);
+  assert.match(pickStage(stages, null, 'funded').error, /Several stages/);
+  assert.match(pickStage(stages, '1', 'funded').error, /released/);
+  assert.match(pickStage(stages, '9', 'funded').error, /No stage 9/);
+  assert.equal(pickStage(stages.slice(0, 2), null, 'funded').milestone.stage, 2);
+});
+
+test('dealStatusFromMilestones mirrors the contract', () => {
+  const of = (...statuses) => dealStatusFromMilestones(statuses.map(status => ({ status })));
+  assert.equal(of('pending', 'pending'), 'pending_deposit');
+  assert.equal(of('released', 'pending'), 'funded');
+  assert.equal(of('released', 'disputed'), 'disputed');
+  assert.equal(of('released', 'refunded'), 'completed');
+  assert.equal(of('refunded', 'refunded'), 'refunded');
+});
+
+// ============ CREATE ============
+
+test('createDeal stores a pending deal under an 8-character ID', async () => {
+  const { supabase, deals } = setup();
+  const created = await deals.createDeal({ seller: SELLER, buyer: { username: 'bob' }, amount: 25, token: 'usdc', description: 'Logo design' });
+
+  assert.match(created.dealId, /^DP-[A-Z2-9]{8}$/);
+  assert.equal(created.token.symbol, 'USDC');
+  assert.equal(created.buyerTelegramId, BUYER.id); // found through the users table
+  const row = dbDeal(supabase, created.dealId);
+  assert.equal(row.status, 'pending_deposit');
+  assert.equal(row.buyer_telegram_id, null);
+  assert.equal(row.delivery_hours, 168);
+});
+
+test('createDeal rejects bad terms before touching the database', async () => {
+  const { supabase, deals } = setup();
+  const base = { seller: SELLER, buyer: { username: 'bob' }, amount: 25, token: 'USDC', description: 'x' };
+
+  assert.match((await deals.createDeal({ ...base, amount: 1000 })).error, /Amount: 1-500 USDC/);
+  assert.match((await deals.createDeal({ ...base, token: 'DAI' })).error, /not available on this network/);
+  assert.match((await deals.createDeal({ ...base, buyer: { username: 'Alice' } })).error, /yourself/);
+  assert.match((await deals.createDeal({ ...base, buyer: { id: 303, name: 'Helper', isBot: true } })).error, /Bots/);
+  assert.match((await deals.createDeal({ ...base, milestones: [{ amount: 10, label: 'a' }, { amount: 10, label: 'b' }] })).error, /add up to 20/);
+  assert.match((await deals.createDeal({ ...base, seller: { id: 999, username: 'nowallet' } })).error, /Register wallet/);
+  assert.equal(supabase.db.deals, undefined);
+});
+
+test('insertDealWithUniqueId draws again when an ID is taken on-chain', async () => {
+  const { supabase, escrow, deals } = setup();
+  const tried = [];
+  const original = escrow.externalIdToDealId;
+  escrow.externalIdToDealId = async (id) => {
+    tried.push(id);
+    return tried.length < 3 ? 7n : original(id);
+  };
+
+  const { dealId } = await deals.insertDealWithUniqueId({ status: 'pending_deposit' });
+  assert.equal(tried.length, 3);
+  assert.equal(dealId, tried[2]);
+  assert.equal(supabase.db.deals.length, 1);
+});
+
+// ============ FULL FLOW ============
+
+test('a deal runs from creation through dispute, resolution and reviews', async () => {
+  const { supabase, escrow, deals } = setup();
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: { username: 'bob' }, amount: 25, token: 'USDC', description: 'Logo design' });
+
+  // Only the named buyer can fund; the first time binds their Telegram ID
+  assert.match((await deals.fund(dealId, { id: 999, username: 'mallory' })).error, /Only the buyer/);
+  const progress = [];
+  const funding = await deals.fund(dealId, BUYER, { progress: async (text) => progress.push(text) });
+  assert.equal(funding.created, true);
+  assert.equal(withoutTerms(funding.url), `https://pay.example?deal=${dealId}`);
+  assert.equal(funding.deposit.text, '25 USDC');
+  assert.match(progress[1], /explorer\.example\/tx\/0x/);
+  assert.equal(escrow.calls[0].name, 'createDeal');
+  assert.equal(escrow.calls[0].args[4], 25000000n);
+  assert.equal(dbDeal(supabase, dealId).buyer_telegram_id, BUYER.id);
+  assert.equal(dbDeal(supabase, dealId).contract_deal_id, dealId);
+
+  // Asking again reuses the on-chain deal
+  assert.equal((await deals.fund(dealId, BUYER)).created, false);
+  assert.equal(escrow.calls.length, 1);
+
+  assert.match((await deals.release(dealId, BUYER)).error, /Cannot release. Status: pending_deposit/);
+  markFunded(supabase, escrow, dealId);
+  const release = await deals.release(dealId, BUYER);
+  assert.equal(release.url, `https://pay.example?deal=${dealId}&action=release`);
+  assert.match((await deals.release(dealId, SELLER)).error, /Only the buyer/);
+
+  const disputed = await deals.dispute(dealId, SELLER, 'Buyer went quiet');
+  assert.equal(disputed.reason, 'Buyer went quiet');
+  assert.equal(disputed.otherPartyId, BUYER.id);
+  assert.equal(escrow.calls[1].name, 'dispute');
+  assert.equal(dbDeal(supabase, dealId).status, 'disputed');
+  assert.equal(dbDeal(supabase, dealId).disputed_by, 'alice');
+
+  // Releasing mid-dispute needs an explicit confirm
+  assert.equal((await deals.release(dealId, BUYER)).needsConfirm, true);
+  assert.ok((await deals.release(dealId, BUYER, { confirm: true })).url);
+
+  const moderator = { id: 55, username: 'mod', role: 'moderator' };
+  assert.match((await deals.resolve(dealId, moderator, { decision: 'release' })).error, /Only assigned/);
+
+  const resolved = await deals.resolve(dealId, ADMIN, { decision: 'release' });
+  assert.equal(resolved.newStatus, 'completed');
+  assert.equal(resolved.buyerId, BUYER.id);
+  assert.equal(escrow.calls[2].name, 'resolveRelease');
+  assert.equal(escrow.stored[0].status, 2);
+  assert.equal(dbDeal(supabase, dealId).resolved_by, 'admin');
+  const { rep } = await deals.getReputation(SELLER);
+  assert.deepEqual([rep.disputesWon, rep.completed, rep.volume], [1, 0, 0]);
+  assert.deepEqual(supabase.db.admin_logs.map(l => [l.action, l.deal_id, l.details]), [['resolve', dealId, 'release']]);
+
+  assert.equal((await deals.review(dealId, BUYER, 5, 'Great work')).rating, 5);
+  assert.match((await deals.review(dealId, BUYER, 4)).error, /Already reviewed/);
+  assert.match((await deals.review(dealId, { id: 999, username: 'mallory' }, 1)).error, /Not your deal/);
+
+  const rated = await deals.rate(dealId, SELLER, 4);
+  assert.equal(rated.isSeller, true);
+  await deals.addReviewComment(dealId, true, 'Paid on time');
+  const row = dbDeal(supabase, dealId);
+  assert.equal(row.buyer_review, 'Great work');
+  assert.equal(row.seller_rating, 4);
+  assert.equal(row.seller_review, 'Paid on time');
+});
+
+test('a failed dispute or resolve transaction leaves the database as it was', async () => {
+  const { supabase, escrow, deals } = setup();
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 25, token: 'USDC', description: 'Logo design' });
+  await deals.fund(dealId, BUYER);
+  markFunded(supabase, escrow, dealId);
+  const { dispute, resolveRelease } = escrow;
+
+  escrow.dispute = async () => { throw new Error('nonce too low'); };
+  assert.match((await deals.dispute(dealId, BUYER, 'Late')).error, /On-chain dispute failed/);
+  assert.equal(dbDeal(supabase, dealId).status, 'funded');
+  assert.equal(dbDeal(supabase, dealId).disputed_at, undefined);
+
+  escrow.dispute = dispute;
+  await deals.dispute(dealId, BUYER, 'Late');
+  escrow.resolveRelease = async () => { throw new Error('nonce too low'); };
+  assert.match((await deals.resolve(dealId, ADMIN, { decision: 'release' })).error, /On-chain resolve failed: nonce too low/);
+  assert.equal(dbDeal(supabase, dealId).status, 'disputed');
+  assert.equal((supabase.db.admin_logs || []).length, 0);
+
+  escrow.resolveRelease = resolveRelease;
+  assert.equal((await deals.resolve(dealId, ADMIN, { decision: 'release' })).newStatus, 'completed');
+});
+
+test('milestone deals are funded, disputed and resolved stage by stage', async () => {
+  const { supabase, escrow, deals } = setup();
+  const milestones = [{ amount: 100, label: 'design' }, { amount: 50, label: 'build' }];
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 150, token: 'USDC', description: 'Website', milestones });
+
+  const first = await deals.fund(dealId, BUYER);
+  assert.equal(escrow.calls[0].name, 'createMilestoneDeal');
+  assert.deepEqual(escrow.calls[0].args[4], [100000000n, 50000000n]);
+  assert.equal(withoutTerms(first.url), `https://pay.example?deal=${dealId}&stage=1`);
+  markFunded(supabase, escrow, dealId, 1);
+
+  const second = await deals.fund(dealId, BUYER);
+  assert.equal(withoutTerms(second.url), `https://pay.example?deal=${dealId}&stage=2`);
+  assert.match(second.deposit.text, /stage 2\/2: build/);
+  markFunded(supabase, escrow, dealId, 2);
+
+  // Two funded stages: the dispute must name one
+  assert.match((await deals.dispute(dealId, BUYER, 'Late')).error, /Several stages are funded/);
+  const disputed = await deals.dispute(dealId, BUYER, '2 Nothing delivered');
+  assert.equal(disputed.reason, '[Stage 2: build] Nothing delivered');
+  assert.equal(disputed.otherPartyId, SELLER.id);
+  assert.deepEqual(escrow.calls.at(-1), { name: 'disputeMilestone', args: [1n, 1] });
+
+  // Stage 1 stays releasable while stage 2 is disputed
+  const release = await deals.release(dealId, BUYER, { confirm: true });
+  assert.equal(release.target.milestone.stage, 1);
+
+  const resolved = await deals.resolve(dealId, ADMIN, { decision: 'refund' });
+  assert.equal(resolved.milestone.stage, 2);
+  assert.equal(resolved.newStatus, 'funded'); // stage 1 is still funded
+  assert.deepEqual(escrow.calls.at(-1), { name: 'refundMilestone', args: [1n, 1] });
+  assert.equal(supabase.db.deal_milestones.find(m => m.stage === 2).status, 'refunded');
+  assert.equal(dbDeal(supabase, dealId).status, 'funded');
+  assert.match((await deals.fund(dealId, BUYER)).error, /All stages are already funded/);
+});
+
+test('rep counts the stages the buyer released on a deal an admin resolved', async () => {
+  const { supabase, escrow, deals } = setup();
+  const milestones = [{ amount: 100, label: 'design' }, { amount: 50, label: 'build' }];
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 150, token: 'USDC', description: 'Website', milestones });
+  await deals.fund(dealId, BUYER);
+  markFunded(supabase, escrow, dealId, 1);
+  await deals.fund(dealId, BUYER);
+  markFunded(supabase, escrow, dealId, 2);
+
+  // The buyer releases stage 1; stage 2 is disputed and an admin releases it
+  supabase.db.deal_milestones.find(m => m.stage === 1).status = 'released';
+  await deals.dispute(dealId, BUYER, '2 Late');
+  assert.equal((await deals.resolve(dealId, ADMIN, { decision: 'release' })).newStatus, 'completed');
+  assert.equal(supabase.db.deal_milestones.find(m => m.stage === 2).resolved_by, 'admin');
+
+  const seller = (await deals.getReputation(SELLER)).rep;
+  const buyer = (await deals.getReputation(BUYER)).rep;
+  assert.deepEqual([seller.volume, seller.disputesWon, seller.disputesLost, seller.completed], [100, 1, 0, 0]);
+  assert.deepEqual([buyer.volume, buyer.disputesWon, buyer.disputesLost, buyer.completed], [100, 0, 1, 0]);
+});
+
+test('rep counts a dispute per disputed stage, whatever the deal ends as', async () => {
+  const { supabase, escrow, deals } = setup();
+  const milestones = [{ amount: 100, label: 'design' }, { amount: 50, label: 'build' }, { amount: 30, label: 'launch' }];
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 180, token: 'USDC', description: 'Website', milestones });
+  for (const stage of [1, 2, 3]) {
+    await deals.fund(dealId, BUYER);
+    markFunded(supabase, escrow, dealId, stage);
+  }
+  const row = (stage) => supabase.db.deal_milestones.find(m => m.deal_id === dealId && m.stage === stage);
+
+  // Stage 2 is refunded to the buyer, stage 3 released to the seller, stage 1 released by the buyer
+  await deals.dispute(dealId, BUYER, '2 Late');
+  await deals.dispute(dealId, SELLER, '3 Buyer went quiet');
+  await deals.resolve(dealId, ADMIN, { stage: '2', decision: 'refund' });
+  await deals.resolve(dealId, ADMIN, { stage: '3', decision: 'release' });
+  row(1).status = 'released';
+  dbDeal(supabase, dealId).status = 'completed';
+
+  // A second deal: stage 1 disputed and refunded, then the rest mutually cancelled
+  const other = (await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 150, token: 'USDC', description: 'Logo', milestones: milestones.slice(0, 2) })).dealId;
+  Object.assign(dbDeal(supabase, other), { status: 'cancelled', funded_at: new Date().toISOString(), disputed_at: new Date().toISOString() });
+  Object.assign(supabase.db.deal_milestones.find(m => m.deal_id === other && m.stage === 1), { status: 'refunded', disputed_at: new Date().toISOString() });
+
+  const seller = (await deals.getReputation(SELLER)).rep;
+  const buyer = (await deals.getReputation(BUYER)).rep;
+  assert.deepEqual([seller.disputesWon, seller.disputesLost, seller.completed, seller.cancelled, seller.volume], [1, 2, 0, 1, 100]);
+  assert.deepEqual([buyer.disputesWon, buyer.disputesLost, buyer.completed, buyer.cancelled, buyer.volume], [2, 1, 0, 1, 100]);
+});
+
+test('milestone cancels refund only unreleased stages, and chain repairs go stage by stage', async () => {
+  const { supabase, escrow, deals } = setup();
+  const milestones = [{ amount: 100, label: 'design' }, { amount: 50, label: 'build' }];
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 150, token: 'USDC', description: 'Website', milestones });
+  await deals.fund(dealId, BUYER);
+  markFunded(supabase, escrow, dealId, 1);
+  await deals.fund(dealId, BUYER);
+  markFunded(supabase, escrow, dealId, 2);
+  const rows = supabase.db.deal_milestones;
+  for (const m of rows) m.funded_at = new Date().toISOString();
+  rows[0].status = 'released';
+  escrow.stored[0].milestones[0].status = 2;
+  assert.equal(await deals.cancelRefund(dbDeal(supabase, dealId)), 50);
+
+  // No on-chain way back from a stage dispute
+  await deals.dispute(dealId, BUYER, '2 Late');
+  assert.match((await deals.cancelDispute(dealId, BUYER)).error, new RegExp(`stays open on-chain[\\s\\S]*/resolve ${dealId} \\[stage\\]`));
+  assert.equal(rows[1].status, 'disputed');
+
+  // The database refunded stage 2 but the chain missed it: the repair is the stage call
+  rows[1].status = 'refunded';
+  dbDeal(supabase, dealId).status = 'completed';
+  const r = await deals.reconcileDeal(dbDeal(supabase, dealId));
+  assert.deepEqual(r.repair, { label: 'refundMilestone(2)', calls: [{ fn: 'refundMilestone', index: 1 }] });
+  await deals.repairChain(dealId, ADMIN);
+  assert.deepEqual(escrow.calls.at(-1), { name: 'refundMilestone', args: [1n, 1] });
+});
+
+test('a stage row behind the chain is a mismatch even when the deal status agrees', async () => {
+  const { supabase, escrow, deals } = setup();
+  const milestones = [{ amount: 100, label: 'design' }, { amount: 50, label: 'build' }];
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 150, token: 'USDC', description: 'Website', milestones });
+  await deals.fund(dealId, BUYER);
+  markFunded(supabase, escrow, dealId, 1);
+  escrow.blockTime = 1767225600;
+  escrow.deposit(dealId, 1); // the indexer missed MilestoneFunded for stage 2
+
+  const r = await deals.reconcileDeal(dbDeal(supabase, dealId));
+  assert.equal(r.mismatch, true);
+  assert.equal(r.expected, 'funded');
+  assert.deepEqual(r.stages.map(s => [s.milestone.stage, s.milestone.status, s.expected]), [[2, 'pending', 'funded']]);
+  assert.deepEqual(r.repairs, ['sync']);
+
+  const synced = await deals.syncFromChain(dealId, ADMIN);
+  assert.equal(synced.error, undefined);
+  const stage2 = supabase.db.deal_milestones.find(m => m.stage === 2);
+  assert.equal(stage2.status, 'funded');
+  assert.equal(stage2.funded_at, '2026-01-01T00:00:00.000Z');
+  assert.match(supabase.db.admin_logs.at(-1).details, /DB funded → funded \(chain Funded\), stage 2 pending → funded/);
+  assert.equal((await deals.reconcileDeal(dbDeal(supabase, dealId))).mismatch, false);
+});
+
+test('reconcileAll pages through the whole history; the scheduled scope skips old settled deals', async () => {
+  const { supabase, deals } = setup();
+  const day = 24 * 60 * 60 * 1000;
+  const ago = (ms) => new Date(Date.now() - ms).toISOString();
+  const row = (dealId, fields) => ({ deal_id: dealId, amount: 25, created_at: ago(40 * day), ...fields });
+  supabase.db.deals = [
+    ...Array.from({ length: 1200 }, (_, i) => row(`DP-OLD${i}`, { status: 'completed', contract_deal_id: i + 1, completed_at: ago(30 * day) })),
+    row('DP-FUNDED', { status: 'funded', contract_deal_id: 2001 }),
+    row('DP-ONCHAIN', { status: 'pending_deposit', contract_deal_id: 2002 }),
+    row('DP-SETTLED', { status: 'refunded', contract_deal_id: 2003, completed_at: ago(day) }),
+    row('DP-DRAFT', { status: 'pending_deposit' })
+  ];
+
+  assert.equal((await deals.reconcileAll()).length, 1203);
+  const recent = await deals.reconcileAll({ recent: true });
+  assert.deepEqual(recent.map(r => r.deal.deal_id).sort(), ['DP-FUNDED', 'DP-ONCHAIN', 'DP-SETTLED']);
+});
+
+test('expiredWindows pages through funded deals and reads only windows not yet notified', async () => {
+  const { supabase, deals } = setup();
+  const ago = (days) => new Date(Date.now() - days * 24 * 3600000).toISOString();
+  const deal = (dealId, fields) => ({ deal_id: dealId, amount: 25, status: 'funded', milestone_count: 1, funded_at: ago(8), ...fields });
+  supabase.db.deals = [
+    ...Array.from({ length: 1100 }, (_, i) => deal(`DP-LATE${i}`)),
+    deal('DP-REVIEW', { delivered_at: ago(4), timeout_notified: 'delivery' }),
+    deal('DP-DONE', { delivered_at: ago(4), timeout_notified: 'review' }),
+    deal('DP-STAGES', { amount: 150, milestone_count: 2 }),
+    deal('DP-DISPUTED', { amount: 150, milestone_count: 2, status: 'disputed' })
+  ];
+  supabase.db.deal_milestones = [
+    { id: 1, deal_id: 'DP-STAGES', stage: 1, amount: 100, status: 'released', funded_at: ago(9) },
+    { id: 2, deal_id: 'DP-STAGES', stage: 2, amount: 50, status: 'funded', funded_at: ago(8) },
+    { id: 3, deal_id: 'DP-DISPUTED', stage: 1, amount: 100, status: 'funded', funded_at: ago(8) },
+    { id: 4, deal_id: 'DP-DISPUTED', stage: 2, amount: 50, status: 'disputed', funded_at: ago(8) }
+  ];
+
+  const expired = await deals.expiredWindows();
+  assert.equal(expired.length, 1102);
+  assert.deepEqual(expired.slice(-2).map(e => [e.deal.deal_id, e.unit.stage, e.kind]), [['DP-REVIEW', null, 'review'], ['DP-STAGES', 2, 'delivery']]);
+
+  // Notified windows are filtered out by the query, and nothing is read per deal: single
+  // deals, stage rows, then the deals of those stages (DP-DISPUTED's funded stage)
+  const tables = [];
+  const from = supabase.from;
+  supabase.from = (table) => { tables.push(table); return from(table); };
+  assert.deepEqual(await deals.expiredWindows(), []);
+  assert.deepEqual(tables, ['deals', 'deal_milestones', 'deals']);
+
+  // A notice that could not be recorded is not returned, and comes back on the next check
+  supabase.db.deals.push(deal('DP-NEW'));
+  supabase.from = (table) => {
+    const query = from(table);
+    query.update = () => ({ ilike: async () => ({ error: { message: 'connection reset' } }) });
+    return query;
+  };
+  assert.deepEqual(await deals.expiredWindows(), []);
+  supabase.from = from;
+  assert.deepEqual((await deals.expiredWindows()).map(e => e.deal.deal_id), ['DP-NEW']);
+});
+
+test('the terms hash committed on-chain catches edits to the stored terms', async () => {
+  const { supabase, escrow, deals } = setup();
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 25, token: 'USDC', description: 'Logo design' });
+  assert.deepEqual(await deals.verifyTerms(dealId), { deal: dbDeal(supabase, dealId), onChain: false });
+
+  const funding = await deals.fund(dealId, BUYER);
+  const document = termsOfLink(funding.url);
+  assert.equal(escrow.calls[0].args[5], hashTerms(document));
+  assert.deepEqual(JSON.parse(document), {
+    schema: 'dealpact-terms/1',
+    deal: dealId,
+    version: 1,
+    seller: '0x1111111111111111111111111111111111111111',
+    buyer: '0x2222222222222222222222222222222222222222',
+    token: escrow.calls[0].args[3],
+    symbol: 'USDC',
+    amount: '25000000',
+    milestones: [],
+    description: 'Logo design',
+    deliveryHours: 168,
+    reviewHours: 72
+  });
+  assert.equal((await deals.verifyTerms(dealId)).matches, true);
+
+  dbDeal(supabase, dealId).description = 'Logo design and a website';
+  const tampered = await deals.verifyTerms(dealId);
+  assert.equal(tampered.matches, false);
+  assert.equal(tampered.onChainHash, hashTerms(document));
+});
+
+test('fund reports wallets that are missing', async () => {
+  const { supabase, deals } = setup();
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 25, token: 'USDC', description: 'x' });
+
+  supabase.db.users = supabase.db.users.filter(u => u.telegram_id !== BUYER.id);
+  assert.match((await deals.fund(dealId, BUYER)).error, /Register your wallet/);
+  supabase.db.users = [];
+  assert.match((await deals.fund(dealId, BUYER)).error, /Seller needs/);
+  assert.match((await deals.fund('DP-NOPE1234', BUYER)).error, /not found/);
+});
+
+test('a failed on-chain create is reported and leaves the deal unlinked', async () => {
+  const { supabase, escrow, deals } = setup();
+  const { dealId } = await deals.createDeal({ seller: SELLER, buyer: BUYER, amount: 25, token: 'USDC', description: 'x' });
+  escrow.createDeal = async () => { throw new Error('nonce too low'); };
+
+  assert.match((await deals.fund(dealId, BUYER)).error, /Something went wrong/);
+  assert.equal(dbDeal(supabase, dealId).contract_deal_id, undefined);
+});
@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupBot, SELLER, BUYER, ADMIN } = require('./harness');
+
+async function setup() {
+  const harness = setupBot();
+  const { supabase } = harness;
+  await harness.message(SELLER, '/new @bob 25 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+  await harness.message(BUYER, `/fund ${dealId}`);
+  const event = (name, args = {}) => harness.applyChainEvent({ name, args, externalId: dealId, timestamp: new Date() });
+  return { dealId, event, ...harness };
+}
+
+test('replayed events are applied once', async () => {
+  const { supabase, replies, event } = await setup();
+  const before = replies(SELLER.id).length;
+
+  await event('DealFunded');
+  await event('DealFunded');
+  assert.equal(supabase.db.deals[0].status, 'funded');
+  assert.equal(replies(SELLER.id).length, before + 1);
+  assert.match(replies(SELLER.id).at(-1), /FUNDED!/);
+
+  await event('DealCompleted');
+  await event('DealCompleted');
+  assert.equal(supabase.db.deals[0].status, 'completed');
+  assert.equal(replies(BUYER.id).filter(t => /released|complete/i.test(t)).length, 1);
+});
+
+test('out-of-order events leave the deal alone', async () => {
+  const { supabase, event } = await setup();
+  await event('DealCompleted');
+  await event('DealDisputed');
+  assert.equal(supabase.db.deals[0].status, 'pending_deposit');
+});
+
+test('a dispute opened on the contract reaches the botmasters', async () => {
+  const { supabase, replies, event } = await setup();
+  await event('DealFunded');
+  await event('DealDisputed', { disputedBy: '0x2222222222222222222222222222222222222222' });
+  assert.equal(supabase.db.deals[0].status, 'disputed');
+  assert.equal(replies(ADMIN.id).length, 1);
+});
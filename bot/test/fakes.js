@@ -0,0 +1,285 @@
+// In-memory stand-ins for the Supabase client and the escrow contract, covering the parts
+// of their APIs the deal service uses.
+
+// ============ SUPABASE ============
+
+const UNIQUE = { deals: ['deal_id'], users: ['telegram_id'] };
+
+// Supabase's API returns at most this many rows per request; more need range()
+const MAX_ROWS = 1000;
+
+function matches(row, col, op, value) {
+  const actual = row[col];
+  if (op === 'eq') return actual !== undefined && actual !== null && String(actual) === String(value);
+  if (op === 'neq') return actual !== undefined && actual !== null && String(actual) !== String(value);
+  if (op === 'ilike') return actual != null && String(actual).toLowerCase() === String(value).toLowerCase();
+  if (op === 'in') return value.map(String).includes(String(actual));
+  if (op === 'is') return value === null || value === 'null' ? actual == null : actual === value;
+  if (op === 'lt') return actual != null && actual < value;
+  if (op === 'lte') return actual != null && actual <= value;
+  if (op === 'gte') return actual != null && actual >= value;
+  throw new Error(`Fake supabase: unsupported filter ${op}`);
+}
+
+// "a.eq.1,b.not.is.null,c.in.(x,y),d.gte.\"2026-01-01T00:00:00.000Z\"" → any of the conditions
+function parseOr(spec) {
+  return spec.split(/,(?![^(]*\))/).map((part) => {
+    const [, col, negate, op, raw] = part.match(/^(\w+)\.(not\.)?(\w+)\.(.*)$/);
+    const value = op === 'in' ? raw.slice(1, -1).split(',') : raw.replace(/^"(.*)"$/, '$1');
+    return { col, op, value, negate: !!negate };
+  });
+}
+
+class Query {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.filters = [];
+    this.returning = false;
+    this.mode = 'many';
+  }
+
+  rows() {
+    if (!this.db[this.table]) this.db[this.table] = [];
+    return this.db[this.table];
+  }
+
+  select() {
+    if (this.action === 'select') return this;
+    this.returning = true;
+    return this;
+  }
+
+  insert(values) { this.action = 'insert'; this.values = [].concat(values); return this; }
+  update(values) { this.action = 'update'; this.values = values; return this; }
+  upsert(values, { onConflict } = {}) { this.action = 'upsert'; this.values = [].concat(values); this.conflict = onConflict; return this; }
+  delete() { this.action = 'delete'; return this; }
+
+  eq(col, value) { this.filters.push(row => matches(row, col, 'eq', value)); return this; }
+  ilike(col, value) { this.filters.push(row => matches(row, col, 'ilike', value)); return this; }
+  in(col, values) { this.filters.push(row => matches(row, col, 'in', values)); return this; }
+  is(col, value) { this.filters.push(row => matches(row, col, 'is', value)); return this; }
+  lt(col, value) { this.filters.push(row => matches(row, col, 'lt', value)); return this; }
+  lte(col, value) { this.filters.push(row => matches(row, col, 'lte', value)); return this; }
+  not(col, op, value) { this.filters.push(row => !matches(row, col, op, value)); return this; }
+  or(spec) {
+    const conditions = parseOr(spec);
+    this.filters.push(row => conditions.some(c => matches(row, c.col, c.op, c.value) !== c.negate));
+    return this;
+  }
+  order(col, { ascending = true } = {}) { this.sort = { col, ascending }; return this; }
+  limit(n) { this.max = n; return this; }
+  range(from, to) { this.offset = from; this.max = to - from + 1; return this; }
+  single() { this.mode = 'single'; return this; }
+  maybeSingle() { this.mode = 'maybe'; return this; }
+
+  run() {
+    const rows = this.rows();
+    const hit = rows.filter(row => this.filters.every(f => f(row)));
+
+    if (this.action === 'insert' || this.action === 'upsert') {
+      const inserted = [];
+      for (const value of this.values) {
+        const existing = this.action === 'upsert' && rows.find(r => String(r[this.conflict]) === String(value[this.conflict]));
+        if (existing) {
+          Object.assign(existing, value);
+          inserted.push(existing);
+          continue;
+        }
+        for (const col of UNIQUE[this.table] || []) {
+          if (rows.some(r => r[col] != null && String(r[col]).toLowerCase() === String(value[col]).toLowerCase())) {
+            return { data: null, error: { code: '23505', message: `duplicate key value violates unique constraint on ${col}` } };
+          }
+        }
+        const row = { id: this.db.nextId++, created_at: new Date().toISOString(), ...value };
+        if (this.table === 'deal_milestones') row.status = row.status || 'pending';
+        rows.push(row);
+        inserted.push(row);
+      }
+      return { data: this.returning ? clone(inserted) : null, error: null };
+    }
+
+    if (this.action === 'update') {
+      hit.forEach(row => Object.assign(row, this.values));
+      return { data: this.returning ? clone(hit) : null, error: null };
+    }
+
+    if (this.action === 'delete') {
+      this.db[this.table] = rows.filter(row => !hit.includes(row));
+      return { data: null, error: null };
+    }
+
+    let data = hit;
+    if (this.sort) {
+      const { col, ascending } = this.sort;
+      data = [...data].sort((a, b) => (a[col] > b[col] ? 1 : a[col] < b[col] ? -1 : 0) * (ascending ? 1 : -1));
+    }
+    const offset = this.offset || 0;
+    data = data.slice(offset, offset + Math.min(this.max || MAX_ROWS, MAX_ROWS));
+
+    if (this.mode === 'single') {
+      if (data.length !== 1) return { data: null, error: { code: 'PGRST116', message: `${data.length} rows` } };
+      return { data: clone(data[0]), error: null };
+    }
+    if (this.mode === 'maybe') return { data: data[0] ? clone(data[0]) : null, error: null };
+    return { data: clone(data), error: null };
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.run()).then(resolve, reject);
+  }
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+// tables: initial rows, e.g. { users: [{ telegram_id: 1, wallet_address: '0x...' }] }
+function createFakeSupabase(tables = {}) {
+  const db = { nextId: 1, ...clone(tables) };
+  return {
+    db,
+    from: (table) => new Query(db, table)
+  };
+}
+
+// ============ ESCROW ============
+
+// Status numbers as in DealPactEscrow: 0=Pending, 1=Funded, 2=Completed, 3=Refunded, 4=Disputed, 5=Cancelled
+// Milestone statuses: 0=Pending, 1=Funded, 2=Released, 3=Refunded, 4=Disputed
+function createFakeEscrow() {
+  const stored = [];
+  const ids = new Map();
+  const calls = [];
+
+  // Receipts are mined at fake.blockTime (seconds) when a test sets it, otherwise now
+  function tx(name, ...args) {
+    calls.push({ name, args });
+    const block = { timestamp: fake.blockTime ?? Math.floor(Date.now() / 1000) };
+    return { hash: `0x${String(calls.length).padStart(64, '0')}`, wait: async () => ({ status: 1, getBlock: async () => block }) };
+  }
+
+  function byId(chainId) {
+    const deal = stored[Number(chainId) - 1];
+    if (!deal) throw new Error('Deal does not exist');
+    return deal;
+  }
+
+  function settle(deal) {
+    const statuses = deal.milestones.map(m => m.status);
+    if (statuses.includes(4)) deal.status = 4;
+    else if (statuses.includes(1)) deal.status = 1;
+    else if (statuses.every(s => s === 2)) deal.status = 2;
+    else if (statuses.every(s => s === 3)) deal.status = 3;
+  }
+
+  function create(externalId, seller, buyer, token, amounts, termsHash) {
+    if (ids.has(externalId)) throw new Error('External ID exists');
+    stored.push({ externalId, seller, buyer, token, termsHash, status: 0, milestones: amounts.map(amount => ({ amount, status: 0 })) });
+    ids.set(externalId, stored.length);
+  }
+
+  const fake = {
+    calls,
+    stored,
+    blockTime: null,
+
+    async externalIdToDealId(externalId) { return BigInt(ids.get(externalId) || 0); },
+    async deals(chainId) {
+      const d = byId(chainId);
+      const amount = d.milestones.reduce((sum, m) => sum + m.amount, 0n);
+      return [d.externalId, d.seller, d.buyer, amount, BigInt(d.status), 0n, 0n, d.token, d.termsHash];
+    },
+    async getMilestones(chainId) {
+      return byId(chainId).milestones.map(m => ({ amount: m.amount, status: BigInt(m.status), fundedAt: BigInt(m.fundedAt || 0), deliveredAt: 0n }));
+    },
+
+    async createDeal(externalId, seller, buyer, token, amount, deliveryPeriod, reviewPeriod, termsHash) {
+      create(externalId, seller, buyer, token, [amount], termsHash);
+      return tx('createDeal', externalId, seller, buyer, token, amount, termsHash);
+    },
+    async createMilestoneDeal(externalId, seller, buyer, token, amounts, deliveryPeriod, reviewPeriod, termsHash) {
+      create(externalId, seller, buyer, token, amounts, termsHash);
+      return tx('createMilestoneDeal', externalId, seller, buyer, token, amounts, termsHash);
+    },
+    async dispute(chainId) {
+      const d = byId(chainId);
+      d.milestones[0].status = 4;
+      settle(d);
+      return tx('dispute', chainId);
+    },
+    async disputeMilestone(chainId, index) {
+      const d = byId(chainId);
+      d.milestones[index].status = 4;
+      settle(d);
+      return tx('disputeMilestone', chainId, index);
+    },
+    async resolveRelease(chainId) {
+      const d = byId(chainId);
+      d.milestones[0].status = 2;
+      settle(d);
+      return tx('resolveRelease', chainId);
+    },
+    async refund(chainId) {
+      const d = byId(chainId);
+      d.milestones[0].status = 3;
+      settle(d);
+      return tx('refund', chainId);
+    },
+    async resolveReleaseMilestone(chainId, index) {
+      const d = byId(chainId);
+      d.milestones[index].status = 2;
+      settle(d);
+      return tx('resolveReleaseMilestone', chainId, index);
+    },
+    async refundMilestone(chainId, index) {
+      const d = byId(chainId);
+      d.milestones[index].status = 3;
+      settle(d);
+      return tx('refundMilestone', chainId, index);
+    },
+    async cancel(chainId) {
+      byId(chainId).status = 5;
+      return tx('cancel', chainId);
+    },
+    async cancelFunded(chainId) {
+      byId(chainId).status = 5;
+      return tx('cancelFunded', chainId);
+    },
+    async markDelivered(chainId) {
+      byId(chainId);
+      return tx('markDelivered', chainId);
+    },
+    async claimRefund(chainId) {
+      const d = byId(chainId);
+      d.milestones[0].status = 3;
+      settle(d);
+      return tx('claimRefund', chainId);
+    },
+    async claimRelease(chainId) {
+      const d = byId(chainId);
+      d.milestones[0].status = 2;
+      settle(d);
+      return tx('claimRelease', chainId);
+    },
+
+    // Counters per lowercased wallet, as getReputation returns them; tests set fake.reputation
+    reputation: new Map(),
+    async getReputation(wallet) {
+      const r = fake.reputation.get(wallet.toLowerCase()) || {};
+      return [r.completed || 0n, r.volume || 0n, r.disputesWon || 0n, r.disputesLost || 0n, r.refunded || 0n, r.cancelled || 0n, r.ethVolume || 0n];
+    },
+
+    // Test helper: the buyer's deposit for a stage (or the whole deal) lands on-chain
+    deposit(externalId, index = 0) {
+      const d = byId(ids.get(externalId));
+      d.milestones[index].status = 1;
+      d.milestones[index].fundedAt = fake.blockTime ?? Math.floor(Date.now() / 1000);
+      settle(d);
+    }
+  };
+  return fake;
+}
+
+module.exports = { createFakeSupabase, createFakeEscrow };
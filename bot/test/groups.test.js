@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupBot, SELLER, BUYER, GROUP } = require('./harness');
+
+function setup({ groupAdmins = [] } = {}) {
+  const harness = setupBot({ groupAdmins });
+  const inGroup = (from, text, options = {}) => harness.message(from, text, { chat: GROUP, ...options });
+  const calls = (method) => harness.sent.filter(s => s.method === method);
+  return { inGroup, calls, ...harness };
+}
+
+test('/new replying to a buyer in a group posts and pins a status card', async () => {
+  const { supabase, inGroup, calls, replies } = setup();
+  await inGroup(SELLER, '/new 50 Logo design', { replyTo: BUYER });
+
+  const deal = supabase.db.deals[0];
+  assert.equal(deal.buyer_telegram_id, BUYER.id);
+  const card = calls('sendMessage').find(s => s.chat_id === GROUP.id);
+  assert.match(card.text, new RegExp(`${deal.deal_id}\\* — Awaiting Deposit[\\s\\S]*Seller: @alice[\\s\\S]*Buyer: @bob`));
+  assert.equal(card.reply_markup.inline_keyboard[0][0].url, `https://t.me/DealPactBot?start=status_${deal.deal_id}`);
+  assert.equal(deal.group_chat_id, GROUP.id);
+  assert.deepEqual(calls('pinChatMessage').map(p => p.message_id), [deal.group_message_id]);
+  assert.match(replies(BUYER.id).at(-1), /New Deal for You/);
+});
+
+test('the card is edited as the deal moves and unpinned when it ends', async () => {
+  const { supabase, inGroup, message, calls, applyChainEvent } = setup();
+  await inGroup(SELLER, '/new@DealPactBot 50 Logo design', { replyTo: BUYER });
+  const deal = supabase.db.deals[0];
+  await message(BUYER, `/fund ${deal.deal_id}`);
+  const event = (name) => applyChainEvent({ name, args: {}, externalId: deal.deal_id, timestamp: new Date() });
+
+  await event('DealFunded');
+  assert.match(calls('editMessageText').at(-1).text, /— Funded/);
+  assert.equal(calls('editMessageText').at(-1).message_id, deal.group_message_id);
+
+  await message(BUYER, `/dispute ${deal.deal_id} Wrong colours`);
+  assert.match(calls('editMessageText').at(-1).text, /— Disputed/);
+  assert.equal(calls('unpinChatMessage').length, 0);
+
+  await event('DealRefunded');
+  assert.match(calls('editMessageText').at(-1).text, /— Refunded/);
+  assert.equal(calls('unpinChatMessage').length, 1);
+});
+
+test('sensitive commands and buttons in a group point to private chat', async () => {
+  const { inGroup, press, calls, replies } = setup();
+  await inGroup(BUYER, '/fund DP-ABCD1234');
+  const reply = calls('sendMessage').at(-1);
+  assert.match(reply.text, /\/fund works in a private chat/);
+  assert.equal(reply.reply_markup.inline_keyboard[0][0].url, 'https://t.me/DealPactBot?start=status_DP-ABCD1234');
+
+  await press(BUYER, 'fund_DP-ABCD1234', { chat: GROUP });
+  assert.match(calls('answerCallbackQuery').at(-1).text, /private chat/);
+
+  // Chatter and other bots' commands get no answer
+  const before = replies(GROUP.id).length;
+  await inGroup(BUYER, 'anyone selling logos?');
+  await inGroup(BUYER, '/fund@OtherBot 5');
+  assert.equal(replies(GROUP.id).length, before);
+});
+
+test('only group admins change settings, and a disabled group takes no deals', async () => {
+  const { supabase, inGroup, press, calls, replies } = setup({ groupAdmins: [SELLER.id] });
+  await inGroup(BUYER, '/groupsettings');
+  assert.match(replies(GROUP.id).at(-1), /Only group admins/);
+
+  await inGroup(SELLER, '/groupsettings');
+  assert.deepEqual(calls('sendMessage').at(-1).reply_markup.inline_keyboard.map(r => r[0].callback_data), ['gs_enabled', 'gs_pin_cards']);
+  await press(BUYER, 'gs_enabled', { chat: GROUP });
+  assert.equal(supabase.db.group_settings.length, 0);
+  await press(SELLER, 'gs_enabled', { chat: GROUP });
+  assert.equal(supabase.db.group_settings[0].enabled, false);
+
+  await inGroup(SELLER, '/new 50 Logo design', { replyTo: BUYER });
+  assert.match(replies(GROUP.id).at(-1), /turned off in this group/);
+  assert.equal(supabase.db.deals?.length ?? 0, 0);
+});
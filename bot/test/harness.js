@@ -0,0 +1,127 @@
+// A bot wired like index.js: deal commands, sessions and the chain event handler, with
+// Telegram API calls captured instead of sent. Shared by test/ and the Hardhat bot-flow test
+// (contracts/test/BotFlow.js), which passes the real escrow on a local chain.
+
+const { Bot } = require('grammy');
+const { createDealService } = require('../deals');
+const { registerDealCommands } = require('../commands');
+const { notifyDelivery } = require('../commands/deadlines');
+const { createChainEventHandler } = require('../events');
+const { createGroupService } = require('../groups');
+const { sessionMiddleware, createMemorySessionStore } = require('../sessions');
+const { createTokenRegistry } = require('../tokens');
+const { createFakeSupabase, createFakeEscrow } = require('./fakes');
+
+const SELLER = { id: 101, is_bot: false, first_name: 'Alice', username: 'alice' };
+const BUYER = { id: 202, is_bot: false, first_name: 'Bob', username: 'bob' };
+const ADMIN = { id: 1, is_bot: false, first_name: 'Admin', username: 'admin' };
+const GROUP = { id: -1001, type: 'supergroup', title: 'Market' };
+
+const quiet = { log() {}, error() {} };
+
+// supabase: fake from fakes.js; escrow: fake or contract connected to the bot wallet
+// groupAdmins: user IDs getChatMember reports as group administrators
+function createTestBot({ supabase, escrow, tokens, frontendUrl = 'https://pay.example', groupAdmins = [] }) {
+  const deals = createDealService({ supabase, escrow, tokens, frontendUrl, txTimeoutMs: 5000, onDealChanged: (id) => groups.refreshCard(id), logger: quiet });
+
+  const bot = new Bot('123:test', { botInfo: { id: 1, is_bot: true, first_name: 'DealPact', username: 'DealPactBot' } });
+  const sent = [];
+  bot.api.config.use(async (prev, method, payload) => {
+    sent.push({ method, ...payload });
+    const results = {
+      sendMessage: () => ({ message_id: sent.length, date: 0, chat: { id: payload.chat_id, type: 'private' }, text: payload.text }),
+      getChatMember: () => ({ status: groupAdmins.includes(payload.user_id) ? 'administrator' : 'member', user: { id: payload.user_id } })
+    };
+    return { ok: true, result: results[method] ? results[method]() : true };
+  });
+  const groups = createGroupService({ supabase, deals, api: bot.api, botUsername: () => bot.botInfo.username, logger: quiet });
+
+  async function notifyParties(deal, text) {
+    if (deal.seller_telegram_id) await bot.api.sendMessage(deal.seller_telegram_id, text);
+    const buyerId = await deals.getBuyerTelegramId(deal);
+    if (buyerId) await bot.api.sendMessage(buyerId, text);
+  }
+  const notifyMutualCancel = async (deal) => notifyParties(deal, `${deal.deal_id} cancelled by both parties. ${deals.formatAmount(await deals.cancelRefund(deal), deal)} refunded to the buyer.`);
+
+  bot.use(sessionMiddleware(createMemorySessionStore()));
+  registerDealCommands(bot, {
+    deals,
+    groups,
+    tokens,
+    botmasterIds: [ADMIN.id],
+    isAnyAdmin: async (ctx) => (ctx.from.id === ADMIN.id ? { isAdmin: true, role: 'botmaster' } : { isAdmin: false, role: null }),
+    reviewTimeout: 60000,
+    notifyParties,
+    notifyMutualCancel
+  });
+
+  const { applyChainEvent } = createChainEventHandler({
+    supabase,
+    deals,
+    api: bot.api,
+    botmasterIds: [ADMIN.id],
+    notifyParties,
+    notifyMutualCancel,
+    recordDelivery: async (deal, stage, at) => {
+      if (await deals.recordDelivery(deal, stage, at)) await notifyDelivery(bot.api, deals, deal, stage);
+    },
+    onDealChanged: (id) => groups.refreshCard(id),
+    logger: quiet
+  });
+
+  // Private chat unless { chat } is given; { replyTo: user } makes it a reply to that user
+  let updateId = 0;
+  const message = (from, text, { chat = { id: from.id, type: 'private' }, replyTo = null } = {}) => bot.handleUpdate({
+    update_id: ++updateId,
+    message: {
+      message_id: updateId, date: 0, chat, from, text,
+      entities: text.startsWith('/') ? [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }] : [],
+      ...(replyTo && { reply_to_message: { message_id: 0, date: 0, chat, from: replyTo, text: 'hi' } })
+    }
+  });
+  const press = (from, data, { chat = { id: from.id, type: 'private' } } = {}) => bot.handleUpdate({
+    update_id: ++updateId,
+    callback_query: { id: String(updateId), from, chat_instance: '1', data, message: { message_id: 1, date: 0, chat, text: 'menu' } }
+  });
+  const replies = (chatId) => sent.filter(s => s.method === 'sendMessage' && s.chat_id === chatId).map(s => s.text);
+
+  return { bot, deals, groups, sent, message, press, replies, applyChainEvent };
+}
+
+// users rows for SELLER and BUYER, both with a wallet registered
+const USERS = [
+  { telegram_id: SELLER.id, username: 'alice', wallet_address: '0x1111111111111111111111111111111111111111' },
+  { telegram_id: BUYER.id, username: 'bob', wallet_address: '0x2222222222222222222222222222222222222222' }
+];
+
+// A test bot on fresh fakes and the local token list. users: rows added to USERS; other
+// options go to createTestBot.
+function setupBot({ users = [], ...options } = {}) {
+  const supabase = createFakeSupabase({ users: [...USERS, ...users] });
+  const escrow = createFakeEscrow();
+  return { supabase, escrow, ...createTestBot({ supabase, escrow, tokens: createTokenRegistry(31337), ...options }) };
+}
+
+// setupBot plus a pending deal: @alice sells @bob a logo design for 25 USDC. fund() has the
+// buyer /fund it, the deposit land on-chain and the indexer record DealFunded.
+async function setupDeal(options) {
+  const harness = setupBot(options);
+  const { supabase, escrow } = harness;
+  await harness.message(SELLER, '/new @bob 25 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+  const fund = async () => {
+    await harness.message(BUYER, `/fund ${dealId}`);
+    escrow.deposit(dealId);
+    await harness.applyChainEvent({ name: 'DealFunded', args: {}, externalId: dealId, timestamp: new Date() });
+  };
+  return { dealId, fund, ...harness };
+}
+
+// setupDeal with the deal already funded: 7 days to deliver, then 3 to review
+async function setupFundedDeal(options) {
+  const harness = await setupDeal(options);
+  await harness.fund();
+  return harness;
+}
+
+module.exports = { createTestBot, setupBot, setupDeal, setupFundedDeal, SELLER, BUYER, ADMIN, GROUP };
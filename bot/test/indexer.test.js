@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { createIndexer, createSupabaseCursorStore } = require('../indexer');
+const { createFakeSupabase } = require('./fakes');
+
+const ESCROW = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const SELLER = '0x1111111111111111111111111111111111111111';
+const BUYER = '0x2222222222222222222222222222222222222222';
+
+const iface = new ethers.Interface([
+  'event DealCreated(uint256 indexed dealId, string externalId, address seller, address buyer, uint256 amount, address token, bytes32 termsHash)',
+  'event DealFunded(uint256 indexed dealId, address buyer, uint256 amount)',
+  'event DealCompleted(uint256 indexed dealId, address seller, uint256 amount, uint256 fee)',
+  'event DealRefunded(uint256 indexed dealId, address buyer, uint256 amount)',
+  'event DealDisputed(uint256 indexed dealId, address disputedBy)',
+  'event DealCancelled(uint256 indexed dealId)',
+  'event MilestoneFunded(uint256 indexed dealId, uint256 index, uint256 amount)',
+  'event MilestoneReleased(uint256 indexed dealId, uint256 index, uint256 amount, uint256 fee)',
+  'event MilestoneRefunded(uint256 indexed dealId, uint256 index, uint256 amount)',
+  'event MilestoneDisputed(uint256 indexed dealId, uint256 index, address disputedBy)',
+  'event MilestoneDelivered(uint256 indexed dealId, uint256 index, uint256 reviewDeadline)'
+]);
+
+// Escrow logs on a chain the test moves forward; getLogs counts the calls
+function createFakeChain() {
+  const logs = [];
+  const externalIds = new Map();
+  const chain = {
+    head: 0,
+    getLogsCalls: [],
+    emit(blockNumber, name, values) {
+      const { data, topics } = iface.encodeEventLog(name, values);
+      if (name === 'DealCreated') externalIds.set(values[0], values[1]);
+      const index = logs.filter(l => l.blockNumber === blockNumber).length;
+      logs.push({ address: ESCROW, blockNumber, index, transactionHash: ethers.id(`${blockNumber}:${index}`), data, topics });
+    },
+    provider: {
+      async getBlockNumber() { return chain.head; },
+      async getBlock(n) { return { timestamp: 1767225600 + n * 2 }; },
+      async getLogs({ address, fromBlock, toBlock }) {
+        chain.getLogsCalls.push([fromBlock, toBlock]);
+        // Returned out of order: the indexer sorts
+        return logs.filter(l => l.address === address && l.blockNumber >= fromBlock && l.blockNumber <= toBlock).reverse();
+      }
+    },
+    contract: {
+      interface: iface,
+      async getAddress() { return ESCROW; },
+      async deals(chainDealId) { return [externalIds.get(Number(chainDealId))]; }
+    }
+  };
+  return chain;
+}
+
+const created = (id, externalId) => [id, externalId, SELLER, BUYER, 25000000n, ethers.ZeroAddress, ethers.ZeroHash];
+
+function setup({ startBlock = 100, failOn = null } = {}) {
+  const chain = createFakeChain();
+  const supabase = createFakeSupabase();
+  const seen = [];
+  const errors = [];
+  const indexer = (options = {}) => createIndexer({
+    provider: chain.provider,
+    contract: chain.contract,
+    cursorStore: createSupabaseCursorStore(supabase),
+    onEvent: async (event) => {
+      if (failOn?.(event)) throw new Error('database down');
+      seen.push(`${event.blockNumber} ${event.name} ${event.externalId}`);
+    },
+    startBlock,
+    batchSize: 10,
+    confirmations: 2,
+    logger: { log() {}, error: (...args) => errors.push(args.join(' ')) },
+    ...options
+  });
+  const cursor = () => supabase.db.indexer_state?.[0]?.last_block ?? null;
+  return { chain, supabase, seen, errors, indexer, cursor };
+}
+
+test('a fresh database scans from the deploy block in batches and saves the cursor', async () => {
+  const { chain, seen, errors, indexer, cursor } = setup();
+  chain.emit(100, 'DealCreated', created(1, 'DP-AAAA1111'));
+  chain.emit(104, 'DealFunded', [1, BUYER, 25000000n]);
+  chain.emit(104, 'DealDisputed', [1, BUYER]);
+  chain.emit(117, 'DealRefunded', [1, BUYER, 25000000n]);
+  chain.emit(124, 'DealCreated', created(2, 'DP-BBBB2222')); // not confirmed yet
+  chain.head = 125;
+
+  assert.equal(await indexer().catchUp(), 4);
+  assert.deepEqual(seen, ['100 DealCreated DP-AAAA1111', '104 DealFunded DP-AAAA1111', '104 DealDisputed DP-AAAA1111', '117 DealRefunded DP-AAAA1111']);
+  assert.deepEqual(chain.getLogsCalls, [[100, 109], [110, 119], [120, 123]]);
+  assert.equal(cursor(), 123);
+  assert.deepEqual(errors, []);
+});
+
+test('a restart resumes after the stored cursor without replaying handled events', async () => {
+  const { chain, seen, indexer, cursor } = setup();
+  chain.emit(101, 'DealCreated', created(1, 'DP-AAAA1111'));
+  chain.head = 105;
+  await indexer().catchUp();
+  assert.equal(cursor(), 103);
+
+  // A new process: DealCreated is not seen again, so the ID comes from deals()
+  chain.emit(104, 'DealFunded', [1, BUYER, 25000000n]);
+  chain.emit(106, 'DealCompleted', [1, SELLER, 24625000n, 375000n]);
+  chain.head = 108;
+  chain.getLogsCalls.length = 0;
+  assert.equal(await indexer().catchUp(), 2);
+  assert.deepEqual(chain.getLogsCalls, [[104, 106]]);
+  assert.deepEqual(seen, ['101 DealCreated DP-AAAA1111', '104 DealFunded DP-AAAA1111', '106 DealCompleted DP-AAAA1111']);
+  assert.equal(await indexer().catchUp(), 0);
+});
+
+test('a failed batch is replayed whole on the next run', async () => {
+  let down = true;
+  const { chain, seen, indexer, cursor } = setup({ failOn: (e) => down && e.name === 'DealCompleted' });
+  chain.emit(100, 'DealCreated', created(1, 'DP-AAAA1111'));
+  chain.emit(112, 'DealFunded', [1, BUYER, 25000000n]);
+  chain.emit(115, 'DealCompleted', [1, SELLER, 24625000n, 375000n]);
+  chain.head = 131;
+
+  await assert.rejects(indexer().catchUp(), /database down/);
+  assert.equal(cursor(), 109); // the first batch only
+  assert.deepEqual(seen, ['100 DealCreated DP-AAAA1111', '112 DealFunded DP-AAAA1111']);
+
+  // The event handler ignores events it already applied (see events.test.js)
+  down = false;
+  assert.equal(await indexer().catchUp(), 2);
+  assert.deepEqual(seen.slice(2), ['112 DealFunded DP-AAAA1111', '115 DealCompleted DP-AAAA1111']);
+  assert.equal(cursor(), 129);
+});
+
+test('without a deploy block the indexer starts at the head and says so', async () => {
+  const { chain, seen, errors, indexer, cursor } = setup({ startBlock: null });
+  chain.emit(3, 'DealCreated', created(1, 'DP-AAAA1111'));
+  chain.head = 50;
+
+  assert.equal(await indexer().catchUp(), 0);
+  assert.deepEqual(seen, []);
+  assert.equal(cursor(), 48);
+  assert.match(errors[0], /no cursor and no start block, starting at block 49/);
+});
@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupBot, SELLER, BUYER } = require('./harness');
+
+const CAROL = { id: 303, is_bot: false, first_name: 'Carol' };
+
+function setup() {
+  const harness = setupBot();
+  const { bot, sent } = harness;
+
+  // The seller types "@DealPactBot <query>" and sends the card it offers
+  async function shareOffer(query) {
+    await bot.handleUpdate({ update_id: 9001, inline_query: { id: 'q1', from: SELLER, query, offset: '' } });
+    const [result] = sent.filter(s => s.method === 'answerInlineQuery').at(-1).results;
+    await bot.handleUpdate({ update_id: 9002, chosen_inline_result: { result_id: result.id, from: SELLER, query, inline_message_id: 'im-1' } });
+    return result;
+  }
+  return { shareOffer, ...harness };
+}
+
+test('an inline offer card links to the deal it saves once sent', async () => {
+  const { supabase, shareOffer, replies } = setup();
+  const result = await shareOffer('50 Logo design --delivery 3d');
+
+  assert.match(result.input_message_content.message_text, /Deal offer from @alice[\s\S]*50 USDC[\s\S]*Logo design[\s\S]*Delivery within 3d/);
+  assert.equal(result.reply_markup.inline_keyboard[0][0].url, `https://t.me/DealPactBot?start=deal_${result.id}`);
+
+  const deal = supabase.db.deals[0];
+  assert.equal(deal.deal_id, result.id);
+  assert.equal(deal.buyer_telegram_id, null);
+  assert.equal(deal.buyer_username, null);
+  assert.equal(deal.inline_message_id, 'im-1');
+  assert.match(replies(SELLER.id).at(-1), new RegExp(`Offer ${result.id} shared`));
+});
+
+test('the first account to accept an offer becomes its buyer', async () => {
+  const { supabase, shareOffer, message, sent, replies } = setup();
+  const { id: dealId } = await shareOffer('50 Logo design');
+
+  await message(SELLER, `/start deal_${dealId}`);
+  assert.match(replies(SELLER.id).at(-1), /your own offer/);
+
+  await message(BUYER, `/start deal_${dealId}`);
+  assert.equal(supabase.db.deals[0].buyer_telegram_id, BUYER.id);
+  assert.match(replies(BUYER.id).at(-1), new RegExp(`You're the buyer on ${dealId}`));
+  assert.deepEqual(sent.at(-1).reply_markup.inline_keyboard[0].map(b => b.callback_data), [`fund_${dealId}`, `status_${dealId}`]);
+  assert.match(replies(SELLER.id).at(-1), /@bob accepted your offer/);
+  assert.match(sent.find(s => s.method === 'editMessageText').text, /accepted by @bob/);
+
+  await message(CAROL, `/start deal_${dealId}`);
+  assert.match(replies(CAROL.id).at(-1), /already taken/);
+
+  // Accepting again just shows the deal
+  await message(BUYER, `/start deal_${dealId}`);
+  assert.equal(replies(SELLER.id).filter(t => /accepted your offer/.test(t)).length, 1);
+});
+
+test('inline queries without valid terms or a wallet offer no card', async () => {
+  const { bot, sent, supabase } = setup();
+  const ask = async (from, query) => {
+    await bot.handleUpdate({ update_id: 9100 + sent.length, inline_query: { id: 'q', from, query, offset: '' } });
+    return sent.filter(s => s.method === 'answerInlineQuery').at(-1);
+  };
+
+  assert.equal((await ask(SELLER, 'logo')).results.length, 0);
+  assert.equal((await ask(SELLER, 'logo')).button.text, 'Format: amount [token] description');
+  assert.equal((await ask(CAROL, '50 Logo')).button.text, 'Register your wallet first');
+  assert.equal(supabase.db.deals?.length ?? 0, 0);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupBot, SELLER, BUYER } = require('./harness');
+
+const ALICE_WALLET = '0x1111111111111111111111111111111111111111';
+const NOBODY_WALLET = '0x9999999999999999999999999999999999999999';
+
+// One clean 25 USDC completion by @alice, sold to @bob
+async function setup() {
+  const harness = setupBot();
+  await harness.message(SELLER, '/new @bob 25 Logo design');
+  Object.assign(harness.supabase.db.deals[0], { status: 'completed', buyer_telegram_id: BUYER.id, funded_at: new Date().toISOString(), buyer_rating: 5 });
+  return harness;
+}
+
+test('/rep 0x… shows the account that registered the wallet next to its chain counters', async () => {
+  const { escrow, message, replies } = await setup();
+  escrow.reputation.set(ALICE_WALLET, { completed: 1n, volume: 25_000000n });
+
+  await message(BUYER, `/rep ${ALICE_WALLET}`);
+  const reply = replies(BUYER.id).at(-1);
+  assert.match(reply, /^📊 @alice\n\n🆕 New\nDeals: 1 settled/);
+  assert.match(reply, /Volume: 25\n\n⛓️ On-chain \(0x1111\.\.\.1111\):\nCompleted: 1 • Volume: 25/);
+  assert.match(reply, /Reviews:\n⭐⭐⭐⭐⭐ by @bob/);
+  assert.doesNotMatch(reply, /differ/);
+});
+
+test('/rep 0x… for a wallet nobody registered shows only the chain counters', async () => {
+  const { escrow, message, replies } = await setup();
+  escrow.reputation.set(NOBODY_WALLET, { completed: 2n, volume: 40_000000n, refunded: 1n });
+
+  await message(BUYER, `/rep ${NOBODY_WALLET}`);
+  assert.equal(replies(BUYER.id).at(-1), [
+    '📊 0x9999...9999',
+    '',
+    'No Telegram account is registered with this wallet.',
+    '',
+    '⛓️ On-chain (0x9999...9999):',
+    'Completed: 2 • Volume: 40',
+    'Disputes: won 0, lost 0 • Refunded: 1 • Cancelled: 0'
+  ].join('\n'));
+});
+
+test('/rep warns when the bot and chain records differ', async () => {
+  const { escrow, message, replies } = await setup();
+  // The wallet also settled a deal outside the bot
+  escrow.reputation.set(ALICE_WALLET, { completed: 2n, volume: 75_000000n, refunded: 1n });
+
+  await message(BUYER, '/rep @alice');
+  assert.match(replies(BUYER.id).at(-1), /⚠️ Bot and chain records differ:\n• clean completions: bot 1, chain 2\n• refunds: bot 0, chain 1\n• volume: bot 25, chain 75\n\nReviews:/);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setupBot, SELLER, BUYER } = require('./harness');
+
+const CAROL = { id: 303, is_bot: false, first_name: 'Carol', username: 'carol' };
+
+function setup() {
+  return setupBot({ users: [{ telegram_id: CAROL.id, username: 'carol', wallet_address: '0x3333333333333333333333333333333333333333' }] });
+}
+
+test('/request waits for the seller before the deal can be funded', async () => {
+  const { supabase, escrow, message, press, sent, replies } = setup();
+  await message(BUYER, '/request @alice 40 Logo design --delivery 5d');
+
+  const deal = supabase.db.deals[0];
+  assert.equal(deal.seller_telegram_id, SELLER.id);
+  assert.equal(deal.buyer_telegram_id, BUYER.id);
+  assert.equal(deal.initiated_by, 'buyer');
+  assert.match(replies(BUYER.id).at(-1), /Request sent![\s\S]*once @alice confirms/);
+  const request = sent.filter(s => s.chat_id === SELLER.id).at(-1);
+  assert.match(request.text, /@bob wants to buy from you[\s\S]*40 USDC[\s\S]*Delivery within 5d/);
+  assert.deepEqual(request.reply_markup.inline_keyboard[0].map(b => b.callback_data), [`rq_ok_${deal.deal_id}`, `rq_no_${deal.deal_id}`]);
+
+  await message(BUYER, `/fund ${deal.deal_id}`);
+  assert.match(replies(BUYER.id).at(-1), /Waiting for @alice to confirm/);
+  assert.equal(escrow.calls.length, 0);
+
+  await press(BUYER, `rq_ok_${deal.deal_id}`);
+  assert.equal(supabase.db.deals[0].seller_confirmed_at, undefined);
+
+  await press(SELLER, `rq_ok_${deal.deal_id}`);
+  assert.ok(supabase.db.deals[0].seller_confirmed_at);
+  assert.match(replies(BUYER.id).at(-1), /@alice confirmed/);
+
+  await message(BUYER, `/fund ${deal.deal_id}`);
+  assert.equal(escrow.calls.length, 1);
+  assert.match(replies(BUYER.id).at(-1), /Ready to deposit![\s\S]*40 USDC/);
+});
+
+test('a declined request is cancelled and the buyer is told', async () => {
+  const { supabase, message, press, replies } = setup();
+  await message(BUYER, '/request @alice 40 Logo design');
+  const dealId = supabase.db.deals[0].deal_id;
+
+  await press(SELLER, `rq_no_${dealId}`);
+  assert.equal(supabase.db.deals[0].status, 'cancelled');
+  assert.match(replies(BUYER.id).at(-1), /@alice declined your request/);
+});
+
+test('/request needs a seller who uses DealPact', async () => {
+  const { supabase, message, replies } = setup();
+  await message(BUYER, '/request @nobody 40 Logo design');
+  assert.match(replies(BUYER.id).at(-1), /@nobody hasn't used DealPact yet/);
+  await message(BUYER, '/request @bob 40 Logo design');
+  assert.match(replies(BUYER.id).at(-1), /Can't deal with yourself/);
+  assert.equal(supabase.db.deals?.length ?? 0, 0);
+});
+
+test('/new without a buyer posts an open offer the first taker claims', async () => {
+  const { supabase, message, sent, replies } = setup();
+  await message(SELLER, '/new 30 Banner');
+
+  const deal = supabase.db.deals[0];
+  assert.equal(deal.buyer_username, null);
+  const card = sent.filter(s => s.chat_id === SELLER.id).at(-2);
+  assert.match(card.text, /Deal offer from @alice[\s\S]*30 USDC/);
+  assert.equal(card.reply_markup.inline_keyboard[0][0].url, `https://t.me/DealPactBot?start=deal_${deal.deal_id}`);
+
+  await message(CAROL, `/start deal_${deal.deal_id}`);
+  await message(BUYER, `/start deal_${deal.deal_id}`);
+  assert.equal(supabase.db.deals[0].buyer_telegram_id, CAROL.id);
+  assert.match(replies(BUYER.id).at(-1), /already taken/);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { webhookCallback } = require('grammy');
+const { createHttpServer } = require('../server');
+const { setupBot, SELLER } = require('./harness');
+
+const SECRET = 'test-secret-0123456789';
+const quiet = { log() {}, error() {} };
+
+// A test bot behind the webhook as index.js sets it up; webhook: replaces the handler
+async function setup({ webhook } = {}) {
+  const harness = setupBot();
+  const server = createHttpServer({
+    webhook: webhook || { path: '/telegram', handler: webhookCallback(harness.bot, 'http', { secretToken: SECRET, onTimeout: 'return' }) },
+    health: () => ({ mode: 'webhook' }),
+    logger: quiet
+  });
+  const { port } = (await server.listen(0)).address();
+  const request = (path, { method = 'POST', secret, body } = {}) => fetch(`http://127.0.0.1:${port}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(secret && { 'X-Telegram-Bot-Api-Secret-Token': secret }) },
+    body: body && JSON.stringify(body)
+  });
+  return { ...harness, server, port, request };
+}
+
+const update = (text) => ({
+  update_id: 1,
+  message: {
+    message_id: 1, date: 0, chat: { id: SELLER.id, type: 'private' }, from: SELLER, text,
+    entities: [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+  }
+});
+
+test('webhook updates need the secret token', async () => {
+  const { server, request, replies } = await setup();
+  try {
+    assert.equal((await request('/telegram', { body: update('/status DP-NONE') })).status, 401);
+    assert.equal((await request('/telegram', { secret: 'wrong-secret-0123456789', body: update('/status DP-NONE') })).status, 401);
+    assert.deepEqual(replies(SELLER.id), []);
+
+    assert.equal((await request('/telegram', { secret: SECRET, body: update('/status DP-NONE') })).status, 200);
+    assert.deepEqual(replies(SELLER.id), ['❌ Deal not found.']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('only POST reaches the webhook; other paths are 404', async () => {
+  const { server, request, replies } = await setup();
+  try {
+    const res = await request('/telegram', { method: 'GET', secret: SECRET });
+    assert.equal(res.status, 405);
+    assert.deepEqual(await res.json(), { error: 'Method not allowed' });
+    assert.equal((await request('/relay', { body: {} })).status, 404); // relayer disabled
+    assert.deepEqual(replies(SELLER.id), []);
+
+    const health = await request('/health', { method: 'GET' });
+    assert.equal(health.status, 200);
+    assert.deepEqual(await health.json(), { ok: true, mode: 'webhook' });
+  } finally {
+    await server.close();
+  }
+});
+
+test('close() answers /health with 503 and waits for updates in flight', async () => {
+  let started, finish;
+  const inFlight = new Promise((resolve) => { started = resolve; });
+  const slow = new Promise((resolve) => { finish = resolve; });
+  const { server, port } = await setup({
+    webhook: { path: '/telegram', handler: async (req, res) => { started(); await slow; res.end('ok'); } }
+  });
+
+  // One keep-alive connection: an update in flight, then /health pipelined behind it
+  const socket = net.connect(port, '127.0.0.1');
+  let received = '';
+  const answered = new Promise((resolve) => socket.on('data', (chunk) => {
+    received += chunk;
+    if (/503[\s\S]*\r\n0\r\n\r\n$/.test(received)) resolve(); // end of the chunked /health body
+  }));
+  socket.write('POST /telegram HTTP/1.1\r\nHost: localhost\r\nContent-Length: 0\r\n\r\n');
+  await inFlight;
+
+  let closed = false;
+  const closing = server.close().then(() => { closed = true; });
+  socket.write('GET /health HTTP/1.1\r\nHost: localhost\r\n\r\n');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal(closed, false);
+
+  finish();
+  await answered;
+  socket.end();
+  await closing;
+  const [first, second] = received.split(/(?=HTTP\/1\.1 )/);
+  assert.match(first, /^HTTP\/1\.1 200[\s\S]*ok$/);
+  assert.match(second, /^HTTP\/1\.1 503[\s\S]*"ok":false/);
+});
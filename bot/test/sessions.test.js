@@ -0,0 +1,138 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Bot } = require('grammy');
+const { createSessionStore, sessionMiddleware, startFlow, getFlow, endFlow } = require('../sessions');
+const { createFakeSupabase } = require('./fakes');
+const { SELLER } = require('./harness');
+
+const HOUR = 3600000;
+
+function tempFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'dealpact-sessions-')), 'sessions.json');
+}
+
+// A bot instance on the given store: "start <name> <ttl ms>" opens a flow, "end <name>" closes
+// it, any other text reports the open wallet flow. Stands in for one run of index.js.
+function flowBot(store) {
+  const bot = new Bot('123:test', { botInfo: { id: 1, is_bot: true, first_name: 'DealPact', username: 'DealPactBot' } });
+  bot.api.config.use(async () => ({ ok: true, result: true }));
+  bot.use(sessionMiddleware(store));
+  let seen;
+  bot.hears(/^start (\w+) (\d+)$/, (ctx) => startFlow(ctx, ctx.match[1], { step: 'address' }, Number(ctx.match[2])));
+  bot.hears(/^end (\w+)$/, (ctx) => endFlow(ctx, ctx.match[1]));
+  bot.on('message:text', async (ctx) => { seen = await getFlow(ctx, 'wallet'); });
+
+  let updateId = 0;
+  const message = async (text) => {
+    seen = undefined;
+    await bot.handleUpdate({ update_id: ++updateId, message: { message_id: updateId, date: 0, chat: { id: SELLER.id, type: 'private' }, from: SELLER, text } });
+    return seen;
+  };
+  return { message };
+}
+
+const backends = {
+  file: () => {
+    const file = tempFile();
+    return { open: () => createSessionStore('file', { file }) };
+  },
+  supabase: () => {
+    const supabase = createFakeSupabase();
+    return { open: () => createSessionStore('supabase', { supabase }), supabase };
+  }
+};
+
+for (const [kind, backend] of Object.entries(backends)) {
+  test(`${kind} store round-trips sessions and purges expired ones`, async () => {
+    const store = backend().open();
+    const value = { flows: { wallet: { data: { step: 'address' }, expiresAt: Date.now() + HOUR } } };
+
+    assert.equal(await store.read('101'), undefined);
+    await store.write('101', value, value.flows.wallet.expiresAt);
+    assert.deepEqual(await store.read('101'), value);
+    await store.write('202', value, Date.now() - 1000);
+
+    await store.purgeExpired();
+    assert.deepEqual(await store.read('101'), value);
+    assert.equal(await store.read('202'), undefined);
+
+    await store.delete('101');
+    await store.delete('101'); // already gone
+    assert.equal(await store.read('101'), undefined);
+  });
+
+  test(`a flow started before a restart resumes on a new ${kind} store`, async () => {
+    const { open } = backend();
+    await flowBot(open()).message(`start wallet ${HOUR}`);
+
+    const restarted = flowBot(open());
+    assert.deepEqual(await restarted.message('0xabc'), { step: 'address' });
+    await restarted.message('end wallet');
+    assert.equal(await flowBot(open()).message('0xabc'), null);
+  });
+}
+
+test('the file store survives a corrupt file', async () => {
+  const file = tempFile();
+  fs.writeFileSync(file, '{ not json');
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    const store = createSessionStore('file', { file });
+    assert.equal(await store.read('101'), undefined);
+    await store.write('101', { flows: {} }, Date.now() + HOUR);
+  } finally {
+    console.error = originalError;
+  }
+  assert.match(errors[0], /unreadable, starting empty/);
+  assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8'))['101'].value, { flows: {} });
+});
+
+test('flows expire on their own TTL and expired sessions are not stored', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const { open, supabase } = backends.supabase();
+  const store = open();
+  const bot = flowBot(store);
+
+  await bot.message('start wallet 60000');
+  await bot.message(`start review ${HOUR}`);
+  t.mock.timers.tick(59999);
+  assert.deepEqual(await bot.message('0xabc'), { step: 'address' });
+  t.mock.timers.tick(1);
+  assert.equal(await bot.message('0xabc'), null);
+
+  // Only the live review flow is kept, and the row expires with it
+  const [row] = supabase.db.bot_sessions;
+  assert.deepEqual(Object.keys(row.value.flows), ['review']);
+  assert.equal(row.expires_at, new Date(row.value.flows.review.expiresAt).toISOString());
+
+  // A stored session whose flows have all timed out reads as empty and is dropped on save
+  await store.write(String(SELLER.id), { flows: { wallet: { data: {}, expiresAt: Date.now() - 1 } } }, Date.now() - 1);
+  assert.equal(await bot.message('0xabc'), null);
+  await bot.message('end review');
+  assert.deepEqual(supabase.db.bot_sessions, []);
+});
+
+test('a message with no session stored reads once and deletes nothing', async () => {
+  const calls = [];
+  const memory = createSessionStore('memory');
+  const store = Object.fromEntries(Object.entries(memory).map(([name, fn]) => [name, (...args) => { calls.push(name); return fn(...args); }]));
+  const bot = flowBot(store);
+
+  assert.equal(await bot.message('0xabc'), null);
+  assert.equal(await bot.message('0xabc'), null);
+  assert.deepEqual(calls, ['read', 'read']);
+
+  // Ending a stored flow still removes the session
+  await bot.message(`start wallet ${HOUR}`);
+  await bot.message('end wallet');
+  assert.deepEqual(calls.slice(2), ['read', 'write', 'read', 'delete']);
+});
+
+test('an unknown SESSION_STORE is refused', () => {
+  assert.throws(() => createSessionStore('redis'), /Unknown SESSION_STORE "redis"/);
+});
@@ -0,0 +1,45 @@
+// DealPact token registry
+// Reads config/tokens.json, which the deposit page and the deploy script share.
+// The database stores human amounts (12.5); the escrow works in token base units.
+
+const { ethers } = require('ethers');
+const registry = require('../config/tokens.json');
+
+// Tokens with an address on this chain: symbol -> { symbol, name, decimals, min, max, native, address }
+function createTokenRegistry(chainId) {
+  const tokens = new Map();
+  for (const [symbol, t] of Object.entries(registry.tokens)) {
+    const address = t.addresses[String(chainId)];
+    if (!address) continue;
+    tokens.set(symbol, {
+      symbol,
+      name: t.name,
+      decimals: t.decimals,
+      min: Number(t.min),
+      max: Number(t.max),
+      native: Boolean(t.native), // ETH: address(0), paid as msg.value
+      address
+    });
+  }
+
+  function get(symbol) {
+    return symbol ? tokens.get(symbol.toUpperCase()) || null : null;
+  }
+
+  return {
+    defaultSymbol: registry.default,
+    list: () => [...tokens.values()],
+    get,
+    // Listed in the registry at all (maybe not on this chain)
+    isKnown: (symbol) => Object.hasOwn(registry.tokens, symbol.toUpperCase()),
+    byAddress: (address) => [...tokens.values()].find(t => t.address.toLowerCase() === address.toLowerCase()) || null,
+    // Deals created before multi-token support have no token column set
+    symbolOf: (deal) => deal.token || registry.default,
+    forDeal: (deal) => get(deal.token || registry.default),
+    // Amounts are validated to at most 6 decimals at /new
+    toUnits: (amount, token) => ethers.parseUnits(Number(amount).toFixed(Math.min(token.decimals, 6)), token.decimals),
+    fromUnits: (units, token) => Number(ethers.formatUnits(units, token.decimals))
+  };
+}
+
+module.exports = { createTokenRegistry };
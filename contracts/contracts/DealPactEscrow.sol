@@ -2,55 +2,128 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
 
-contract DealPactEscrow is ReentrancyGuard, Pausable {
-    // USDC on Base mainnet: 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913
-    // USDC on Base Sepolia (testnet): 0x036CbD53842c5426634e7929541eC2318f3dCF7e
-    IERC20 public immutable usdc;
+contract DealPactEscrow is ReentrancyGuard, Pausable, EIP712, Nonces {
+    // SafeERC20: some allow-listed stablecoins (USDT) don't return a bool from transfer
+    using SafeERC20 for IERC20;
 
     address public owner;
     uint256 public feePercent = 150; // 1.5% = 150 basis points
     uint256 public constant BASIS_POINTS = 10000;
-    uint256 public maxEscrowAmount = 500 * 10**6; // 500 USDC (6 decimals)
+
+    // Allow-listed deal tokens (config/tokens.json, applied by scripts/deploy.js).
+    // Limits are per deal, in the token's own units.
+    struct TokenConfig {
+        bool allowed;
+        uint8 decimals;
+        uint256 minAmount;
+        uint256 maxAmount;
+    }
+
+    mapping(address => TokenConfig) public tokens;
+
+    // ETH deals use token = address(0): deposits come in as msg.value
+    address public constant NATIVE = address(0);
 
     uint256 public dealCounter;
 
     enum DealStatus {
         Pending,    // Created, waiting for deposit
-        Funded,     // Buyer deposited USDC
+        Funded,     // Buyer deposited the deal token
         Completed,  // Funds released to seller
         Refunded,   // Funds returned to buyer
         Disputed,   // Under dispute
-        Cancelled   // Cancelled before funding
+        Cancelled   // Cancelled before funding, or mutually after (buyer refunded)
     }
 
     struct Deal {
         string externalId;      // DP-XXXX from bot
         address seller;
         address buyer;
-        uint256 amount;
+        uint256 amount;         // Total across all milestones
         DealStatus status;
         uint256 createdAt;
         uint256 completedAt;
+        address token;          // ERC-20 the deal is paid in, or NATIVE for ETH
+        bytes32 termsHash;      // keccak256 of the canonical terms JSON the bot serves for the deal
+    }
+
+    // Every deal is paid out in one or more milestones; single-amount deals have one.
+    // Milestone status reuses DealStatus (Completed = released to seller).
+    struct Milestone {
+        uint256 amount;
+        DealStatus status;
+        uint256 fundedAt;
+        uint256 deliveredAt;    // 0 until the seller marks the stage delivered
+    }
+
+    // Agreed at creation. Each stage must be delivered within deliveryPeriod of being funded,
+    // and the buyer has reviewPeriod after delivery to release or dispute.
+    struct Timeouts {
+        uint256 deliveryPeriod;
+        uint256 reviewPeriod;
+    }
+
+    // Gasless path: the buyer signs one of these off-chain and a relayer submits it.
+    // nonce is nonces(buyer), so each signature works once.
+    bytes32 public constant DEPOSIT_TYPEHASH =
+        keccak256("Deposit(uint256 dealId,uint256 index,uint256 nonce,uint256 deadline)");
+    bytes32 public constant RELEASE_TYPEHASH =
+        keccak256("Release(uint256 dealId,uint256 index,uint256 nonce,uint256 deadline)");
+
+    // Optional EIP-2612 permit carried by a relayed deposit (deadline 0 = none, allowance already set)
+    struct PermitSig {
+        uint256 deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
     }
 
+    uint256 public constant MAX_MILESTONES = 10;
+    uint256 public constant MIN_PERIOD = 1 hours;
+    uint256 public constant MAX_PERIOD = 90 days;
+
     mapping(uint256 => Deal) public deals;
     mapping(string => uint256) public externalIdToDealId;
-
-    // Reputation tracking
+    mapping(uint256 => Milestone[]) internal dealMilestones;
+    mapping(uint256 => Timeouts) public dealTimeouts;
+
+    // Reputation tracking. completedDeals only counts clean completions (never disputed);
+    // dispute outcomes, refunds and mutual cancellations are counted separately.
+    // totalVolume adds up every ERC-20 in 6-decimal units (nominal amounts, no price conversion);
+    // ETH is kept apart in ethVolume (wei). Only buyer and timeout releases add volume;
+    // stages the admin resolves count as dispute outcomes, not trade volume.
     mapping(address => uint256) public completedDeals;
     mapping(address => uint256) public totalVolume;
+    mapping(address => uint256) public ethVolume;
+    mapping(address => uint256) public disputesWon;
+    mapping(address => uint256) public disputesLost;
+    mapping(address => uint256) public refundedDeals;
+    mapping(address => uint256) public cancelledDeals;
+    mapping(uint256 => bool) public wasDisputed;
 
     // Events
-    event DealCreated(uint256 indexed dealId, string externalId, address seller, address buyer, uint256 amount);
+    event DealCreated(uint256 indexed dealId, string externalId, address seller, address buyer, uint256 amount, address token, bytes32 termsHash);
     event DealFunded(uint256 indexed dealId, address buyer, uint256 amount);
     event DealCompleted(uint256 indexed dealId, address seller, uint256 amount, uint256 fee);
     event DealRefunded(uint256 indexed dealId, address buyer, uint256 amount);
     event DealDisputed(uint256 indexed dealId, address disputedBy);
     event DealCancelled(uint256 indexed dealId);
+    event MilestoneFunded(uint256 indexed dealId, uint256 index, uint256 amount);
+    event MilestoneReleased(uint256 indexed dealId, uint256 index, uint256 amount, uint256 fee);
+    event MilestoneRefunded(uint256 indexed dealId, uint256 index, uint256 amount);
+    event MilestoneDisputed(uint256 indexed dealId, uint256 index, address disputedBy);
+    event MilestoneDelivered(uint256 indexed dealId, uint256 index, uint256 reviewDeadline);
     event FeePercentChanged(uint256 oldFee, uint256 newFee);
+    event TokenConfigured(address indexed token, bool allowed, uint256 minAmount, uint256 maxAmount);
     event OwnershipTransferred(address indexed oldOwner, address indexed newOwner);
 
     modifier onlyOwner() {
@@ -58,23 +131,69 @@ contract DealPactEscrow is ReentrancyGuard, Pausable {
         _;
     }
 
-    constructor(address _usdcAddress) {
-        usdc = IERC20(_usdcAddress);
+    // No token is accepted until the owner allow-lists it with setToken
+    constructor() EIP712("DealPactEscrow", "1") {
         owner = msg.sender;
     }
 
-    // Create a new escrow deal
+    // Create a new escrow deal. _termsHash commits to what was agreed off-chain (description,
+    // amounts, deadlines, parties), so a dispute can be checked against the bot's stored text.
     function createDeal(
         string calldata _externalId,
         address _seller,
         address _buyer,
-        uint256 _amount
+        address _token,
+        uint256 _amount,
+        uint256 _deliveryPeriod,
+        uint256 _reviewPeriod,
+        bytes32 _termsHash
+    ) external whenNotPaused returns (uint256) {
+        uint256[] memory amounts = new uint256[](1);
+        amounts[0] = _amount;
+        return _createDeal(_externalId, _seller, _buyer, _token, amounts, _deliveryPeriod, _reviewPeriod, _termsHash);
+    }
+
+    // Create a deal paid out in stages. Each stage is funded, released and disputed separately.
+    function createMilestoneDeal(
+        string calldata _externalId,
+        address _seller,
+        address _buyer,
+        address _token,
+        uint256[] calldata _amounts,
+        uint256 _deliveryPeriod,
+        uint256 _reviewPeriod,
+        bytes32 _termsHash
     ) external whenNotPaused returns (uint256) {
+        require(_amounts.length >= 2 && _amounts.length <= MAX_MILESTONES, "Invalid milestones");
+        return _createDeal(_externalId, _seller, _buyer, _token, _amounts, _deliveryPeriod, _reviewPeriod, _termsHash);
+    }
+
+    function _createDeal(
+        string calldata _externalId,
+        address _seller,
+        address _buyer,
+        address _token,
+        uint256[] memory _amounts,
+        uint256 _deliveryPeriod,
+        uint256 _reviewPeriod,
+        bytes32 _termsHash
+    ) internal returns (uint256) {
+        TokenConfig storage config = tokens[_token];
+        require(config.allowed, "Token not allowed");
         require(_seller != address(0), "Invalid seller");
         require(_buyer != address(0), "Invalid buyer");
         require(_seller != _buyer, "Seller cannot be buyer");
-        require(_amount > 0 && _amount <= maxEscrowAmount, "Invalid amount");
         require(externalIdToDealId[_externalId] == 0, "External ID exists");
+        require(_deliveryPeriod >= MIN_PERIOD && _deliveryPeriod <= MAX_PERIOD, "Invalid delivery period");
+        require(_reviewPeriod >= MIN_PERIOD && _reviewPeriod <= MAX_PERIOD, "Invalid review period");
+        require(_termsHash != bytes32(0), "Missing terms hash");
+
+        uint256 total;
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            require(_amounts[i] > 0, "Invalid amount");
+            total += _amounts[i];
+        }
+        require(total >= config.minAmount && total <= config.maxAmount, "Invalid amount");
 
         dealCounter++;
         uint256 dealId = dealCounter;
@@ -83,132 +202,498 @@ contract DealPactEscrow is ReentrancyGuard, Pausable {
             externalId: _externalId,
             seller: _seller,
             buyer: _buyer,
-            amount: _amount,
+            amount: total,
             status: DealStatus.Pending,
             createdAt: block.timestamp,
-            completedAt: 0
+            completedAt: 0,
+            token: _token,
+            termsHash: _termsHash
         });
 
+        for (uint256 i = 0; i < _amounts.length; i++) {
+            dealMilestones[dealId].push(Milestone({
+                amount: _amounts[i],
+                status: DealStatus.Pending,
+                fundedAt: 0,
+                deliveredAt: 0
+            }));
+        }
+        dealTimeouts[dealId] = Timeouts({ deliveryPeriod: _deliveryPeriod, reviewPeriod: _reviewPeriod });
+
         externalIdToDealId[_externalId] = dealId;
 
-        emit DealCreated(dealId, _externalId, _seller, _buyer, _amount);
+        emit DealCreated(dealId, _externalId, _seller, _buyer, total, _token, _termsHash);
         return dealId;
     }
 
-    // Buyer deposits USDC to fund the deal
-    function deposit(uint256 _dealId) external nonReentrant whenNotPaused {
+    // Buyer deposits the deal token to fund the deal
+    function deposit(uint256 _dealId) external payable nonReentrant whenNotPaused {
+        _deposit(_dealId, _singleMilestone(_dealId), msg.sender);
+    }
+
+    // Buyer deposits one stage of a milestone deal
+    function depositMilestone(uint256 _dealId, uint256 _index) external payable nonReentrant whenNotPaused {
+        _deposit(_dealId, _index, msg.sender);
+    }
+
+    // One-transaction deposit for EIP-2612 tokens: the buyer signs a permit for the
+    // stage amount off-chain instead of sending a separate approve.
+    function depositWithPermit(
+        uint256 _dealId,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant whenNotPaused {
+        uint256 index = _singleMilestone(_dealId);
+        _permit(_dealId, index, msg.sender, _deadline, _v, _r, _s);
+        _deposit(_dealId, index, msg.sender);
+    }
+
+    function depositMilestoneWithPermit(
+        uint256 _dealId,
+        uint256 _index,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external nonReentrant whenNotPaused {
+        _permit(_dealId, _index, msg.sender, _deadline, _v, _r, _s);
+        _deposit(_dealId, _index, msg.sender);
+    }
+
+    // Buyer releases funds to seller
+    function release(uint256 _dealId) external nonReentrant {
+        _release(_dealId, _singleMilestone(_dealId), msg.sender);
+    }
+
+    function releaseMilestone(uint256 _dealId, uint256 _index) external nonReentrant {
+        _release(_dealId, _index, msg.sender);
+    }
+
+    // Relayed (gasless) deposit of stage _index (0 for single deals), signed by the buyer.
+    // Token deals only: the relayer can't front the ETH for a native deal.
+    function relayedDeposit(
+        uint256 _dealId,
+        uint256 _index,
+        uint256 _deadline,
+        bytes calldata _signature,
+        PermitSig calldata _permitSig
+    ) external nonReentrant whenNotPaused {
         Deal storage deal = deals[_dealId];
-        require(deal.buyer != address(0), "Deal not found");
-        require(msg.sender == deal.buyer, "Only buyer can deposit");
-        require(deal.status == DealStatus.Pending, "Deal not pending");
+        require(deal.token != NATIVE, "Not a token deal");
+        _verifyRelayed(DEPOSIT_TYPEHASH, _dealId, _index, _deadline, _signature, deal.buyer);
+        if (_permitSig.deadline != 0) {
+            _permit(_dealId, _index, deal.buyer, _permitSig.deadline, _permitSig.v, _permitSig.r, _permitSig.s);
+        }
+        _deposit(_dealId, _index, deal.buyer);
+    }
 
-        deal.status = DealStatus.Funded;
+    // Relayed (gasless) release of stage _index, signed by the buyer
+    function relayedRelease(
+        uint256 _dealId,
+        uint256 _index,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external nonReentrant {
+        address buyer = deals[_dealId].buyer;
+        _verifyRelayed(RELEASE_TYPEHASH, _dealId, _index, _deadline, _signature, buyer);
+        _release(_dealId, _index, buyer);
+    }
+
+    // Owner refunds buyer (for disputes)
+    function refund(uint256 _dealId) external onlyOwner nonReentrant {
+        _refund(_dealId, _singleMilestone(_dealId));
+    }
+
+    function refundMilestone(uint256 _dealId, uint256 _index) external onlyOwner nonReentrant {
+        _refund(_dealId, _index);
+    }
+
+    // Either party can flag dispute (owner marks disputes opened through the bot)
+    function dispute(uint256 _dealId) external {
+        _dispute(_dealId, _singleMilestone(_dealId));
+    }
+
+    function disputeMilestone(uint256 _dealId, uint256 _index) external {
+        _dispute(_dealId, _index);
+    }
+
+    // Owner resolves dispute by releasing to seller
+    function resolveRelease(uint256 _dealId) external onlyOwner nonReentrant {
+        _resolveRelease(_dealId, _singleMilestone(_dealId));
+    }
+
+    function resolveReleaseMilestone(uint256 _dealId, uint256 _index) external onlyOwner nonReentrant {
+        _resolveRelease(_dealId, _index);
+    }
+
+    // Seller marks the work delivered, starting the buyer's review window.
+    // The owner may record it on the seller's behalf (bot /delivered).
+    function markDelivered(uint256 _dealId) external {
+        _markDelivered(_dealId, _singleMilestone(_dealId));
+    }
+
+    function markMilestoneDelivered(uint256 _dealId, uint256 _index) external {
+        _markDelivered(_dealId, _index);
+    }
+
+    // Seller collects once the buyer let the review window pass without releasing or disputing
+    function claimRelease(uint256 _dealId) external nonReentrant {
+        _claimRelease(_dealId, _singleMilestone(_dealId));
+    }
+
+    function claimReleaseMilestone(uint256 _dealId, uint256 _index) external nonReentrant {
+        _claimRelease(_dealId, _index);
+    }
+
+    // Buyer takes the stage back if nothing was delivered by the deadline
+    function claimRefund(uint256 _dealId) external nonReentrant {
+        _claimRefund(_dealId, _singleMilestone(_dealId));
+    }
+
+    function claimRefundMilestone(uint256 _dealId, uint256 _index) external nonReentrant {
+        _claimRefund(_dealId, _index);
+    }
 
+    // Cancel unfunded deal
+    function cancel(uint256 _dealId) external {
+        Deal storage deal = deals[_dealId];
         require(
-            usdc.transferFrom(msg.sender, address(this), deal.amount),
-            "Transfer failed"
+            msg.sender == deal.seller || msg.sender == owner,
+            "Not authorized"
         );
+        require(deal.status == DealStatus.Pending, "Cannot cancel");
+
+        deal.status = DealStatus.Cancelled;
 
-        emit DealFunded(_dealId, msg.sender, deal.amount);
+        Milestone[] storage ms = dealMilestones[_dealId];
+        for (uint256 i = 0; i < ms.length; i++) {
+            ms[i].status = DealStatus.Cancelled;
+        }
+
+        emit DealCancelled(_dealId);
     }
 
-    // Buyer releases funds to seller
-    function release(uint256 _dealId) external nonReentrant {
+    // Owner executes a mutual cancellation of a funded deal once both parties
+    // have confirmed through the bot. Buyer gets every funded stage back, no fee.
+    // Stages already released stay with the seller.
+    function cancelFunded(uint256 _dealId) external onlyOwner nonReentrant {
         Deal storage deal = deals[_dealId];
-        require(deal.buyer != address(0), "Deal not found");
-        require(msg.sender == deal.buyer, "Only buyer can release");
         require(deal.status == DealStatus.Funded, "Deal not funded");
 
-        deal.status = DealStatus.Completed;
+        deal.status = DealStatus.Cancelled;
         deal.completedAt = block.timestamp;
 
-        // Calculate fee
-        uint256 fee = (deal.amount * feePercent) / BASIS_POINTS;
-        uint256 sellerAmount = deal.amount - fee;
+        uint256 refundAmount;
+        Milestone[] storage ms = dealMilestones[_dealId];
+        for (uint256 i = 0; i < ms.length; i++) {
+            if (ms[i].status == DealStatus.Funded) {
+                refundAmount += ms[i].amount;
+                ms[i].status = DealStatus.Cancelled;
+            } else if (ms[i].status == DealStatus.Pending) {
+                ms[i].status = DealStatus.Cancelled;
+            }
+        }
 
-        // Update reputation
-        completedDeals[deal.seller]++;
-        completedDeals[deal.buyer]++;
-        totalVolume[deal.seller] += deal.amount;
-        totalVolume[deal.buyer] += deal.amount;
+        if (refundAmount > 0) {
+            _transferOut(deal.token, deal.buyer, refundAmount);
+        }
 
-        // Transfer to seller
-        require(usdc.transfer(deal.seller, sellerAmount), "Seller transfer failed");
+        cancelledDeals[deal.seller]++;
+        cancelledDeals[deal.buyer]++;
 
-        // Transfer fee to owner
-        if (fee > 0) {
-            require(usdc.transfer(owner, fee), "Fee transfer failed");
+        emit DealCancelled(_dealId);
+    }
+
+    // ============ Milestone internals ============
+
+    // Whole-deal functions only make sense when there is a single stage
+    function _singleMilestone(uint256 _dealId) internal view returns (uint256) {
+        require(dealMilestones[_dealId].length <= 1, "Use milestone functions");
+        return 0;
+    }
+
+    function _milestone(uint256 _dealId, uint256 _index) internal view returns (Milestone storage) {
+        require(_index < dealMilestones[_dealId].length, "Invalid milestone");
+        return dealMilestones[_dealId][_index];
+    }
+
+    // A permit seen in the mempool can be submitted by someone else first; that only
+    // sets the same allowance, so a failed permit is fine as long as the allowance is there.
+    function _permit(
+        uint256 _dealId,
+        uint256 _index,
+        address _owner,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) internal {
+        address token = deals[_dealId].token;
+        require(token != NATIVE, "Not a token deal");
+        uint256 amount = _milestone(_dealId, _index).amount;
+        try IERC20Permit(token).permit(_owner, address(this), amount, _deadline, _v, _r, _s) {
+        } catch {
+            require(IERC20(token).allowance(_owner, address(this)) >= amount, "Permit failed");
         }
+    }
 
-        emit DealCompleted(_dealId, deal.seller, sellerAmount, fee);
+    function _verifyRelayed(
+        bytes32 _typehash,
+        uint256 _dealId,
+        uint256 _index,
+        uint256 _deadline,
+        bytes calldata _signature,
+        address _buyer
+    ) internal {
+        require(block.timestamp <= _deadline, "Signature expired");
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(abi.encode(_typehash, _dealId, _index, _useNonce(_buyer), _deadline))
+        );
+        require(_buyer != address(0) && ECDSA.recover(digest, _signature) == _buyer, "Invalid signature");
     }
 
-    // Owner refunds buyer (for disputes)
-    function refund(uint256 _dealId) external onlyOwner nonReentrant {
+    // _buyer is msg.sender, or the signer of a relayed deposit
+    function _deposit(uint256 _dealId, uint256 _index, address _buyer) internal {
+        Deal storage deal = deals[_dealId];
+        require(deal.buyer != address(0), "Deal not found");
+        require(_buyer == deal.buyer, "Only buyer can deposit");
+        require(
+            deal.status == DealStatus.Pending || deal.status == DealStatus.Funded,
+            "Deal not pending"
+        );
+
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Pending, "Deal not pending");
+
+        m.status = DealStatus.Funded;
+        m.fundedAt = block.timestamp;
+        bool firstFunding = deal.status == DealStatus.Pending;
+        deal.status = DealStatus.Funded;
+
+        if (deal.token == NATIVE) {
+            require(msg.value == m.amount, "Wrong ETH amount");
+        } else {
+            require(msg.value == 0, "ETH not accepted");
+            IERC20(deal.token).safeTransferFrom(_buyer, address(this), m.amount);
+        }
+
+        emit MilestoneFunded(_dealId, _index, m.amount);
+        if (firstFunding) {
+            emit DealFunded(_dealId, _buyer, m.amount);
+        }
+    }
+
+    function _release(uint256 _dealId, uint256 _index, address _buyer) internal {
+        Deal storage deal = deals[_dealId];
+        require(deal.buyer != address(0), "Deal not found");
+        require(_buyer == deal.buyer, "Only buyer can release");
+
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Funded, "Deal not funded");
+
+        m.status = DealStatus.Completed;
+        (uint256 sellerAmount, uint256 fee) = _payout(deal, m.amount, true);
+
+        emit MilestoneReleased(_dealId, _index, sellerAmount, fee);
+        _updateStatus(_dealId, sellerAmount, fee);
+    }
+
+    function _refund(uint256 _dealId, uint256 _index) internal {
         Deal storage deal = deals[_dealId];
         require(
             deal.status == DealStatus.Funded || deal.status == DealStatus.Disputed,
             "Cannot refund"
         );
 
-        deal.status = DealStatus.Refunded;
-        deal.completedAt = block.timestamp;
+        Milestone storage m = _milestone(_dealId, _index);
+        require(
+            m.status == DealStatus.Funded || m.status == DealStatus.Disputed,
+            "Cannot refund"
+        );
 
-        require(usdc.transfer(deal.buyer, deal.amount), "Refund failed");
+        if (m.status == DealStatus.Disputed) {
+            disputesWon[deal.buyer]++;
+            disputesLost[deal.seller]++;
+        }
+        m.status = DealStatus.Refunded;
+
+        _transferOut(deal.token, deal.buyer, m.amount);
 
-        emit DealRefunded(_dealId, deal.buyer, deal.amount);
+        emit MilestoneRefunded(_dealId, _index, m.amount);
+        _updateStatus(_dealId, 0, 0);
     }
 
-    // Either party can flag dispute
-    function dispute(uint256 _dealId) external {
+    function _dispute(uint256 _dealId, uint256 _index) internal {
         Deal storage deal = deals[_dealId];
         require(
-            msg.sender == deal.buyer || msg.sender == deal.seller,
+            msg.sender == deal.buyer || msg.sender == deal.seller || msg.sender == owner,
             "Not a party"
         );
-        require(deal.status == DealStatus.Funded, "Deal not funded");
 
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Funded, "Deal not funded");
+
+        m.status = DealStatus.Disputed;
+        bool alreadyDisputed = deal.status == DealStatus.Disputed;
         deal.status = DealStatus.Disputed;
+        wasDisputed[_dealId] = true;
 
-        emit DealDisputed(_dealId, msg.sender);
+        emit MilestoneDisputed(_dealId, _index, msg.sender);
+        if (!alreadyDisputed) {
+            emit DealDisputed(_dealId, msg.sender);
+        }
     }
 
-    // Cancel unfunded deal
-    function cancel(uint256 _dealId) external {
+    function _resolveRelease(uint256 _dealId, uint256 _index) internal {
         Deal storage deal = deals[_dealId];
-        require(
-            msg.sender == deal.seller || msg.sender == owner,
-            "Not authorized"
-        );
-        require(deal.status == DealStatus.Pending, "Cannot cancel");
+        require(deal.status == DealStatus.Disputed, "Not disputed");
 
-        deal.status = DealStatus.Cancelled;
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Disputed, "Not disputed");
 
-        emit DealCancelled(_dealId);
+        m.status = DealStatus.Completed;
+        disputesWon[deal.seller]++;
+        disputesLost[deal.buyer]++;
+        (uint256 sellerAmount, uint256 fee) = _payout(deal, m.amount, false);
+
+        emit MilestoneReleased(_dealId, _index, sellerAmount, fee);
+        _updateStatus(_dealId, sellerAmount, fee);
     }
 
-    // Owner resolves dispute by releasing to seller
-    function resolveRelease(uint256 _dealId) external onlyOwner nonReentrant {
+    function _markDelivered(uint256 _dealId, uint256 _index) internal {
         Deal storage deal = deals[_dealId];
-        require(deal.status == DealStatus.Disputed, "Not disputed");
+        require(msg.sender == deal.seller || msg.sender == owner, "Not authorized");
 
-        deal.status = DealStatus.Completed;
-        deal.completedAt = block.timestamp;
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Funded, "Deal not funded");
+        require(m.deliveredAt == 0, "Already delivered");
+        // Past the deadline the buyer may claim a refund; a late mark would block that claim
+        require(block.timestamp <= m.fundedAt + dealTimeouts[_dealId].deliveryPeriod, "Delivery deadline passed");
+
+        m.deliveredAt = block.timestamp;
+        emit MilestoneDelivered(_dealId, _index, block.timestamp + dealTimeouts[_dealId].reviewPeriod);
+    }
+
+    function _claimRelease(uint256 _dealId, uint256 _index) internal {
+        Deal storage deal = deals[_dealId];
+        require(msg.sender == deal.seller || msg.sender == owner, "Not authorized");
+        require(deal.status != DealStatus.Disputed, "Deal disputed");
+
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Funded, "Deal not funded");
+        require(m.deliveredAt != 0, "Not delivered");
+        require(block.timestamp > m.deliveredAt + dealTimeouts[_dealId].reviewPeriod, "Review window open");
+
+        m.status = DealStatus.Completed;
+        (uint256 sellerAmount, uint256 fee) = _payout(deal, m.amount, true);
+
+        emit MilestoneReleased(_dealId, _index, sellerAmount, fee);
+        _updateStatus(_dealId, sellerAmount, fee);
+    }
+
+    function _claimRefund(uint256 _dealId, uint256 _index) internal {
+        Deal storage deal = deals[_dealId];
+        require(msg.sender == deal.buyer || msg.sender == owner, "Not authorized");
+        require(deal.status != DealStatus.Disputed, "Deal disputed");
 
-        uint256 fee = (deal.amount * feePercent) / BASIS_POINTS;
-        uint256 sellerAmount = deal.amount - fee;
+        Milestone storage m = _milestone(_dealId, _index);
+        require(m.status == DealStatus.Funded, "Deal not funded");
+        require(m.deliveredAt == 0, "Already delivered");
+        require(block.timestamp > m.fundedAt + dealTimeouts[_dealId].deliveryPeriod, "Deadline not reached");
 
-        completedDeals[deal.seller]++;
-        completedDeals[deal.buyer]++;
-        totalVolume[deal.seller] += deal.amount;
-        totalVolume[deal.buyer] += deal.amount;
+        m.status = DealStatus.Refunded;
 
-        require(usdc.transfer(deal.seller, sellerAmount), "Transfer failed");
+        _transferOut(deal.token, deal.buyer, m.amount);
+
+        emit MilestoneRefunded(_dealId, _index, m.amount);
+        _updateStatus(_dealId, 0, 0);
+    }
+
+    // Pay a released stage to the seller minus fee, and credit volume unless admin-resolved
+    function _payout(Deal storage deal, uint256 _amount, bool _creditVolume) internal returns (uint256 sellerAmount, uint256 fee) {
+        fee = (_amount * feePercent) / BASIS_POINTS;
+        sellerAmount = _amount - fee;
+
+        if (_creditVolume) {
+            if (deal.token == NATIVE) {
+                ethVolume[deal.seller] += _amount;
+                ethVolume[deal.buyer] += _amount;
+            } else {
+                uint256 volume = _toVolumeUnits(deal.token, _amount);
+                totalVolume[deal.seller] += volume;
+                totalVolume[deal.buyer] += volume;
+            }
+        }
+
+        _transferOut(deal.token, deal.seller, sellerAmount);
         if (fee > 0) {
-            require(usdc.transfer(owner, fee), "Fee transfer failed");
+            _transferOut(deal.token, owner, fee);
+        }
+    }
+
+    function _transferOut(address _token, address _to, uint256 _amount) internal {
+        if (_token == NATIVE) {
+            (bool ok, ) = _to.call{value: _amount}("");
+            require(ok, "ETH transfer failed");
+        } else {
+            IERC20(_token).safeTransfer(_to, _amount);
         }
+    }
 
-        emit DealCompleted(_dealId, deal.seller, sellerAmount, fee);
+    function _toVolumeUnits(address _token, uint256 _amount) internal view returns (uint256) {
+        uint8 decimals = tokens[_token].decimals;
+        if (decimals > 6) return _amount / 10**(decimals - 6);
+        return _amount * 10**(6 - decimals);
+    }
+
+    // Recompute the deal status after a stage settles. The deal stays Disputed while
+    // any stage is disputed and Funded while any stage is still open. Once every stage
+    // is settled it is Completed if anything was released to the seller, else Refunded.
+    // DealCompleted carries the amounts of the final release. Deals that went through a
+    // dispute are already counted in disputesWon/disputesLost, not as clean outcomes.
+    function _updateStatus(uint256 _dealId, uint256 _sellerAmount, uint256 _fee) internal {
+        Deal storage deal = deals[_dealId];
+        Milestone[] storage ms = dealMilestones[_dealId];
+
+        bool open;
+        bool disputed;
+        bool released;
+        uint256 refunded;
+        for (uint256 i = 0; i < ms.length; i++) {
+            DealStatus s = ms[i].status;
+            if (s == DealStatus.Disputed) disputed = true;
+            else if (s == DealStatus.Pending || s == DealStatus.Funded) open = true;
+            else if (s == DealStatus.Completed) released = true;
+            else if (s == DealStatus.Refunded) refunded += ms[i].amount;
+        }
+
+        if (disputed) {
+            deal.status = DealStatus.Disputed;
+            return;
+        }
+        if (open) {
+            deal.status = DealStatus.Funded;
+            return;
+        }
+
+        deal.completedAt = block.timestamp;
+        if (released) {
+            deal.status = DealStatus.Completed;
+            if (!wasDisputed[_dealId]) {
+                completedDeals[deal.seller]++;
+                completedDeals[deal.buyer]++;
+            }
+            emit DealCompleted(_dealId, deal.seller, _sellerAmount, _fee);
+        } else {
+            deal.status = DealStatus.Refunded;
+            if (!wasDisputed[_dealId]) {
+                refundedDeals[deal.seller]++;
+                refundedDeals[deal.buyer]++;
+            }
+            emit DealRefunded(_dealId, deal.buyer, refunded);
+        }
     }
 
     // View functions
@@ -222,8 +707,29 @@ contract DealPactEscrow is ReentrancyGuard, Pausable {
         return deals[dealId];
     }
 
-    function getReputation(address _user) external view returns (uint256 completed, uint256 volume) {
-        return (completedDeals[_user], totalVolume[_user]);
+    function getMilestones(uint256 _dealId) external view returns (Milestone[] memory) {
+        return dealMilestones[_dealId];
+    }
+
+    // First two values keep the original (completed, volume) layout
+    function getReputation(address _user) external view returns (
+        uint256 completed,
+        uint256 volume,
+        uint256 won,
+        uint256 lost,
+        uint256 refunded,
+        uint256 cancelled,
+        uint256 ethVol
+    ) {
+        return (
+            completedDeals[_user],
+            totalVolume[_user],
+            disputesWon[_user],
+            disputesLost[_user],
+            refundedDeals[_user],
+            cancelledDeals[_user],
+            ethVolume[_user]
+        );
     }
 
     // Owner functions
@@ -234,8 +740,17 @@ contract DealPactEscrow is ReentrancyGuard, Pausable {
         emit FeePercentChanged(oldFee, _newFee);
     }
 
-    function setMaxEscrowAmount(uint256 _newMax) external onlyOwner {
-        maxEscrowAmount = _newMax;
+    // Allow-list a token (or update its limits); NATIVE configures ETH deals. Disallowing only blocks new deals;
+    // deals already created in the token settle normally.
+    function setToken(address _token, bool _allowed, uint256 _minAmount, uint256 _maxAmount) external onlyOwner {
+        require(_minAmount > 0 && _minAmount <= _maxAmount, "Invalid limits");
+        tokens[_token] = TokenConfig({
+            allowed: _allowed,
+            decimals: _token == NATIVE ? 18 : IERC20Metadata(_token).decimals(),
+            minAmount: _minAmount,
+            maxAmount: _maxAmount
+        });
+        emit TokenConfigured(_token, _allowed, _minAmount, _maxAmount);
     }
 
     function transferOwnership(address _newOwner) external onlyOwner {
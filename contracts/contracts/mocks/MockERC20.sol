@@ -0,0 +1,58 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
+
+// Local/test stand-in for the registry stablecoins: EIP-2612 permits, any decimals,
+// and an open mint. Never deploy to a public network.
+// The permit domain version is a constructor argument (ERC20Permit fixes it to "1"),
+// so a mock signs like the token it replaces (USDC uses "2").
+contract MockERC20 is ERC20, IERC20Permit, EIP712, Nonces {
+    bytes32 private constant PERMIT_TYPEHASH =
+        keccak256("Permit(address owner,address spender,uint256 value,uint256 nonce,uint256 deadline)");
+
+    uint8 private immutable _decimals;
+
+    constructor(string memory _name, string memory _symbol, uint8 decimals_, string memory _permitVersion)
+        ERC20(_name, _symbol)
+        EIP712(_name, _permitVersion)
+    {
+        _decimals = decimals_;
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+
+    function mint(address _to, uint256 _amount) external {
+        _mint(_to, _amount);
+    }
+
+    function permit(
+        address _owner,
+        address _spender,
+        uint256 _value,
+        uint256 _deadline,
+        uint8 _v,
+        bytes32 _r,
+        bytes32 _s
+    ) external {
+        require(block.timestamp <= _deadline, "Permit expired");
+        bytes32 structHash = keccak256(abi.encode(PERMIT_TYPEHASH, _owner, _spender, _value, _useNonce(_owner), _deadline));
+        require(ECDSA.recover(_hashTypedDataV4(structHash), _v, _r, _s) == _owner, "Invalid permit");
+        _approve(_owner, _spender, _value);
+    }
+
+    function nonces(address _owner) public view override(IERC20Permit, Nonces) returns (uint256) {
+        return super.nonces(_owner);
+    }
+
+    // solhint-disable-next-line func-name-mixedcase
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+}
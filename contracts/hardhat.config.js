@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { networks: profiles } = require("../config/networks.json");
 
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const hasValidKey = PRIVATE_KEY && PRIVATE_KEY.length === 64;
@@ -17,15 +18,20 @@ module.exports = {
   },
   networks: {
     hardhat: {},
+    // RPC URLs and chain IDs come from config/networks.json (shared with the bot and the deposit page)
+    localhost: {
+      url: profiles.localhost.rpcUrl,
+      chainId: profiles.localhost.chainId
+    },
     baseSepolia: {
-      url: "https://sepolia.base.org",
+      url: profiles.baseSepolia.rpcUrl,
       accounts: hasValidKey ? [PRIVATE_KEY] : [],
-      chainId: 84532
+      chainId: profiles.baseSepolia.chainId
     },
     base: {
-      url: "https://mainnet.base.org",
+      url: profiles.base.rpcUrl,
       accounts: hasValidKey ? [PRIVATE_KEY] : [],
-      chainId: 8453
+      chainId: profiles.base.chainId
     }
   },
   etherscan: {
@@ -1,39 +1,67 @@
 const hre = require("hardhat");
+const registry = require("../../config/tokens.json");
+const { networks: profiles } = require("../../config/networks.json");
 
 async function main() {
-  // USDC addresses
-  // Base Sepolia (testnet): 0x036CbD53842c5426634e7929541eC2318f3dCF7e
-  // Base Mainnet: 0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913
-
-  const network = hre.network.name;
-  let usdcAddress;
-
-  if (network === "baseSepolia") {
-    usdcAddress = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
-    console.log("Deploying to Base Sepolia (testnet)...");
-  } else if (network === "base") {
-    usdcAddress = "0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913";
-    console.log("Deploying to Base Mainnet...");
-  } else {
-    // For local testing, deploy a mock USDC
-    console.log("Deploying to local network with mock USDC...");
-    usdcAddress = "0x036CbD53842c5426634e7929541eC2318f3dCF7e"; // placeholder
+  // Deal tokens come from config/tokens.json (shared with the bot and the deposit page).
+  // Each token with an address on this chain is allow-listed with its min/max limits.
+
+  // The in-process hardhat network uses the localhost profile
+  const network = hre.network.name === "hardhat" ? "localhost" : hre.network.name;
+  const profile = profiles[network];
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  if (!profile) {
+    throw new Error(`No profile for "${network}" in config/networks.json`);
+  }
+  if (BigInt(profile.chainId) !== chainId) {
+    throw new Error(`${profile.name} expects chain ${profile.chainId}, but the RPC reports ${chainId}`);
   }
+  console.log(`Deploying to ${profile.name} (chain ${chainId})...`);
 
-  console.log("USDC Address:", usdcAddress);
+  const tokens = Object.entries(registry.tokens)
+    .map(([symbol, t]) => ({ symbol, ...t, address: t.addresses[chainId.toString()] }))
+    .filter(t => t.address);
+
+  if (!tokens.length) {
+    console.log("No tokens in config/tokens.json for this chain. Add addresses, then call setToken.");
+  }
 
   const DealPactEscrow = await hre.ethers.getContractFactory("DealPactEscrow");
-  const escrow = await DealPactEscrow.deploy(usdcAddress);
+  const escrow = await DealPactEscrow.deploy();
 
   await escrow.waitForDeployment();
 
   const address = await escrow.getAddress();
-  console.log("DealPactEscrow deployed to:", address);
-  console.log("");
-  console.log("Save this address! You'll need it for the bot.");
+  const { blockNumber: deployBlock } = await escrow.deploymentTransaction().wait();
+  console.log("DealPactEscrow deployed to:", address, `(block ${deployBlock})`);
+
+  for (const t of tokens) {
+    // Local chains only have the tokens scripts/local-stack.js deployed
+    if (!t.native && (await hre.ethers.provider.getCode(t.address)) === "0x") {
+      console.log(`Skipped ${t.symbol}: no contract at ${t.address} (use scripts/local-stack.js on a local node)`);
+      continue;
+    }
+    const min = hre.ethers.parseUnits(t.min, t.decimals);
+    const max = hre.ethers.parseUnits(t.max, t.decimals);
+    const tx = await escrow.setToken(t.address, true, min, max);
+    await tx.wait();
+    console.log(`Allowed ${t.symbol} (${t.address}): ${t.min}-${t.max}`);
+  }
+
   console.log("");
-  console.log("To verify on Basescan:");
-  console.log(`npx hardhat verify --network ${network} ${address} ${usdcAddress}`);
+  if (address.toLowerCase() !== (profile.contract || "").toLowerCase()) {
+    console.log(`Set "contract": "${address}" and "deployBlock": ${deployBlock} for ${network} in config/networks.json`);
+    console.log(`(or CONTRACT_ADDRESS and INDEXER_START_BLOCK for the bot), then run the bot with NETWORK=${network}.`);
+  } else {
+    console.log(`Matches config/networks.json. Run the bot with NETWORK=${network}.`);
+  }
+
+  if (profile.explorer) {
+    console.log("");
+    console.log("To verify on the explorer:");
+    console.log(`npx hardhat verify --network ${network} ${address}`);
+  }
 }
 
 main()
@@ -0,0 +1,95 @@
+// Local development chain: escrow, mock tokens and funded test wallets.
+//   npx hardhat node                                              (terminal 1, fresh chain)
+//   npx hardhat run scripts/local-stack.js --network localhost    (terminal 2)
+// Contracts land at the addresses in config/networks.json and config/tokens.json (chain 31337)
+// because a fresh node gives them the same deployer nonces every time. The bot (NETWORK=localhost)
+// and the deposit page (VITE_NETWORK=localhost) pick them up from there.
+//
+// LOCAL_FUND_ADDRESSES=0xYourWallet,... also funds your own wallets with test ETH and tokens.
+
+const hre = require("hardhat");
+const registry = require("../../config/tokens.json");
+const { networks: profiles } = require("../../config/networks.json");
+
+const TOKENS_PER_WALLET = "1000";
+const ETH_PER_WALLET = "10";
+const TEST_WALLETS = 4; // Hardhat accounts #1-#4 (sellers and buyers)
+
+async function main() {
+  const { ethers } = hre;
+  const profile = profiles.localhost;
+  const { chainId } = await ethers.provider.getNetwork();
+  if (chainId !== BigInt(profile.chainId)) {
+    throw new Error(`Expected a local node (chain ${profile.chainId}), got chain ${chainId}`);
+  }
+
+  const [deployer, ...accounts] = await ethers.getSigners();
+  if (await ethers.provider.getTransactionCount(deployer.address) !== 0) {
+    throw new Error("Deployer has already sent transactions. Restart `npx hardhat node` for a fresh chain.");
+  }
+
+  // Deployment order fixes the addresses: escrow first, then one mock per registry token
+  const escrow = await (await ethers.getContractFactory("DealPactEscrow")).deploy();
+  await escrow.waitForDeployment();
+  const escrowAddress = await escrow.getAddress();
+  expectAddress("DealPactEscrow", escrowAddress, profile.contract, "config/networks.json");
+  console.log("DealPactEscrow:", escrowAddress);
+
+  const tokens = Object.entries(registry.tokens)
+    .map(([symbol, t]) => ({ symbol, ...t, address: t.addresses[chainId.toString()] }))
+    .filter(t => t.address);
+
+  const mocks = [];
+  for (const t of tokens.filter(t => !t.native)) {
+    const mock = await (await ethers.getContractFactory("MockERC20"))
+      .deploy(t.name, t.symbol, t.decimals, t.permitVersion || "1");
+    await mock.waitForDeployment();
+    expectAddress(`Mock ${t.symbol}`, await mock.getAddress(), t.address, "config/tokens.json");
+    mocks.push({ ...t, contract: mock });
+    console.log(`Mock ${t.symbol}:`, t.address);
+  }
+
+  for (const t of tokens) {
+    await (await escrow.setToken(t.address, true, ethers.parseUnits(t.min, t.decimals), ethers.parseUnits(t.max, t.decimals))).wait();
+    console.log(`Allowed ${t.symbol}: ${t.min}-${t.max}`);
+  }
+
+  const extra = (process.env.LOCAL_FUND_ADDRESSES || "").split(",").map(s => s.trim()).filter(Boolean);
+  for (const address of extra) {
+    if (!ethers.isAddress(address)) throw new Error(`Invalid address in LOCAL_FUND_ADDRESSES: ${address}`);
+  }
+  const wallets = [...accounts.slice(0, TEST_WALLETS).map(a => a.address), ...extra];
+
+  for (const address of wallets) {
+    for (const t of mocks) {
+      await (await t.contract.mint(address, ethers.parseUnits(TOKENS_PER_WALLET, t.decimals))).wait();
+    }
+    // Hardhat accounts start with 10000 ETH; your own wallets need some for gas and ETH deals
+    if (extra.includes(address)) {
+      await (await deployer.sendTransaction({ to: address, value: ethers.parseEther(ETH_PER_WALLET) })).wait();
+    }
+  }
+  console.log(`Funded ${wallets.length} wallets with ${TOKENS_PER_WALLET} of ${mocks.map(t => t.symbol).join(", ") || "no tokens"}`);
+
+  console.log("");
+  console.log("Test wallets (private keys are listed by `npx hardhat node`):");
+  accounts.slice(0, TEST_WALLETS).forEach((a, i) => console.log(`  #${i + 1} ${a.address}`));
+  extra.forEach(address => console.log(`  ${address} (+${ETH_PER_WALLET} ETH)`));
+  console.log("");
+  console.log("Bot: NETWORK=localhost, PRIVATE_KEY = account #0 (escrow owner)");
+  console.log("Deposit page: cd docs && VITE_NETWORK=localhost npm run dev");
+  console.log("Database: npx supabase start (schema and sample deals from supabase/config.toml)");
+}
+
+function expectAddress(label, actual, expected, file) {
+  if (actual.toLowerCase() !== (expected || "").toLowerCase()) {
+    throw new Error(`${label} deployed to ${actual}, but ${file} expects ${expected}. Use a fresh node, or update ${file}.`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,211 @@
+// The bot against a real DealPactEscrow: /new → /fund → deposit → indexer poll → /release,
+// and the dispute/resolve paths. Telegram and Supabase are faked (bot/test/harness.js and
+// fakes.js); the chain is the in-process Hardhat network, so this runs offline.
+//   npx hardhat test test/BotFlow.js
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { createTokenRegistry } = require("../../bot/tokens");
+const { createIndexer, createMemoryCursorStore } = require("../../bot/indexer");
+const { createFakeSupabase } = require("../../bot/test/fakes");
+const { createTestBot, SELLER, BUYER, ADMIN } = require("../../bot/test/harness");
+const { hashTerms } = require("../../bot/deals");
+
+const Status = { Pending: 0n, Funded: 1n, Completed: 2n, Refunded: 3n, Disputed: 4n };
+
+// Escrow owned by the bot wallet (signer 0) with ETH allow-listed as in config/tokens.json
+async function deployFixture() {
+  const [botWallet, seller, buyer] = await ethers.getSigners();
+  const escrow = await (await ethers.getContractFactory("DealPactEscrow")).deploy();
+  const eth = createTokenRegistry(31337).get("ETH");
+  await escrow.setToken(ethers.ZeroAddress, true, ethers.parseEther(String(eth.min)), ethers.parseEther(String(eth.max)));
+  return { escrow, botWallet, seller, buyer, startBlock: (await ethers.provider.getBlockNumber()) + 1 };
+}
+
+async function setup() {
+  const { escrow, seller, buyer, startBlock } = await loadFixture(deployFixture);
+  const supabase = createFakeSupabase({
+    users: [
+      { telegram_id: SELLER.id, username: SELLER.username, wallet_address: seller.address },
+      { telegram_id: BUYER.id, username: BUYER.username, wallet_address: buyer.address }
+    ]
+  });
+  const harness = createTestBot({ supabase, escrow, tokens: createTokenRegistry(31337) });
+
+  // What index.js polls every few seconds; tests call catchUp() directly
+  const indexer = createIndexer({
+    provider: ethers.provider,
+    contract: escrow,
+    cursorStore: createMemoryCursorStore(),
+    onEvent: harness.applyChainEvent,
+    startBlock,
+    confirmations: 0,
+    logger: { log() {}, error() {} }
+  });
+
+  // /new by the seller; returns the deal ID the bot made up
+  async function newDeal(terms) {
+    await harness.message(SELLER, `/new @${BUYER.username} ${terms}`);
+    return supabase.db.deals.at(-1).deal_id;
+  }
+
+  const dealRow = (dealId) => supabase.db.deals.find(d => d.deal_id === dealId);
+  const chainDeal = async (dealId) => escrow.getDeal(await escrow.externalIdToDealId(dealId));
+  const chainId = (dealId) => escrow.externalIdToDealId(dealId);
+
+  return { escrow, seller, buyer, supabase, indexer, newDeal, dealRow, chainDeal, chainId, ...harness };
+}
+
+describe("Bot flow", function () {
+  it("/new → /fund → deposit → poll → /release → poll", async function () {
+    const { escrow, seller, buyer, indexer, newDeal, dealRow, chainDeal, chainId, message, replies, sent } = await setup();
+    const value = ethers.parseEther("0.1");
+
+    const dealId = await newDeal("0.1 ETH Logo design --delivery 3d");
+    expect(dealRow(dealId).status).to.equal("pending_deposit");
+    expect(replies(BUYER.id).at(-1)).to.match(/New Deal for You/);
+
+    await message(BUYER, `/fund ${dealId}`);
+    expect(replies(BUYER.id).at(-1)).to.match(/Ready to deposit![\s\S]*0\.1 ETH/);
+    const onChain = await chainDeal(dealId);
+    expect(onChain.status).to.equal(Status.Pending);
+    expect(onChain.seller).to.equal(seller.address);
+    expect(onChain.buyer).to.equal(buyer.address);
+    expect(onChain.amount).to.equal(value);
+
+    // The terms in the deposit link are the ones the escrow committed to
+    const link = new URL(sent.at(-1).reply_markup.inline_keyboard[0][0].url);
+    const terms = Buffer.from(link.searchParams.get("terms"), "base64url").toString();
+    expect(onChain.termsHash).to.equal(hashTerms(terms));
+    expect(JSON.parse(terms)).to.include({ deal: dealId, seller: seller.address, buyer: buyer.address, amount: value.toString(), description: "Logo design", deliveryHours: 72 });
+    await message(BUYER, `/status ${dealId}`);
+    expect(replies(BUYER.id).at(-1)).to.match(/Terms match the on-chain hash/);
+
+    // The deposit page: the buyer's own transaction
+    await escrow.connect(buyer).deposit(await chainId(dealId), { value });
+    expect(dealRow(dealId).status).to.equal("pending_deposit"); // not until the indexer sees it
+
+    await indexer.catchUp();
+    expect(dealRow(dealId).status).to.equal("funded");
+    expect(dealRow(dealId).contract_deal_id).to.equal(dealId);
+    expect(replies(SELLER.id).at(-1)).to.match(/FUNDED![\s\S]*Deliver within 3d/);
+    const buttons = sent.filter(s => s.chat_id === BUYER.id).at(-1).reply_markup.inline_keyboard[0];
+    expect(buttons.map(b => b.callback_data)).to.deep.equal([`release_${dealId}`, `dispute_${dealId}`]);
+
+    await message(BUYER, `/release ${dealId}`);
+    expect(replies(BUYER.id).at(-1)).to.match(new RegExp(`TAP TO RELEASE:\\n\\S+\\?deal=${dealId}`));
+
+    await expect(escrow.connect(buyer).release(await chainId(dealId))).to.changeEtherBalance(seller, value - value * 150n / 10000n);
+    await indexer.catchUp();
+    expect(dealRow(dealId).status).to.equal("completed");
+    expect(replies(SELLER.id).at(-1)).to.match(/Deal Complete![\s\S]*Funds released to you/);
+    expect(replies(BUYER.id).at(-1)).to.match(/Deal Complete!/);
+
+    // A second poll finds nothing new
+    expect(await indexer.catchUp()).to.equal(0);
+  });
+
+  it("/dispute marks the deal on-chain and /resolve refund settles it", async function () {
+    const { escrow, buyer, indexer, newDeal, dealRow, chainDeal, chainId, message, replies } = await setup();
+    const value = ethers.parseEther("0.05");
+    const dealId = await newDeal("0.05 ETH Translation");
+    await message(BUYER, `/fund ${dealId}`);
+    await escrow.connect(buyer).deposit(await chainId(dealId), { value });
+    await indexer.catchUp();
+
+    await message(BUYER, `/dispute ${dealId} Nothing delivered`);
+    expect((await chainDeal(dealId)).status).to.equal(Status.Disputed);
+    expect(dealRow(dealId).status).to.equal("disputed");
+    expect(replies(SELLER.id).at(-1)).to.match(/DISPUTE on .*\n\nReason: Nothing delivered/);
+
+    // The indexer sees the bot's own dispute and does not announce it again
+    const adminMessages = replies(ADMIN.id).length;
+    await indexer.catchUp();
+    expect(replies(ADMIN.id)).to.have.length(adminMessages);
+
+    const balance = await ethers.provider.getBalance(buyer.address);
+    await message(ADMIN, `/resolve ${dealId} refund`);
+    expect((await chainDeal(dealId)).status).to.equal(Status.Refunded);
+    expect(await ethers.provider.getBalance(buyer.address)).to.equal(balance + value);
+    expect(dealRow(dealId).status).to.equal("refunded");
+    expect(replies(BUYER.id).at(-1)).to.match(/Funds refunded to you/);
+
+    await indexer.catchUp();
+    expect(dealRow(dealId).status).to.equal("refunded");
+  });
+
+  it("/resolve release pays the seller of a deal disputed on-chain", async function () {
+    const { escrow, seller, buyer, indexer, newDeal, dealRow, chainDeal, chainId, message, replies } = await setup();
+    const value = ethers.parseEther("0.05");
+    const dealId = await newDeal("0.05 ETH Translation");
+    await message(BUYER, `/fund ${dealId}`);
+    await escrow.connect(buyer).deposit(await chainId(dealId), { value });
+    await indexer.catchUp();
+
+    // Opened from the contract directly, not through the bot
+    await escrow.connect(seller).dispute(await chainId(dealId));
+    await indexer.catchUp();
+    expect(dealRow(dealId).status).to.equal("disputed");
+    expect(replies(ADMIN.id).at(-1)).to.match(/DISPUTE \(on-chain\)/);
+    expect(replies(BUYER.id).at(-1)).to.match(new RegExp(`Opened on-chain by ${seller.address}`));
+
+    await message(ADMIN, `/resolve ${dealId} release`);
+    expect((await chainDeal(dealId)).status).to.equal(Status.Completed);
+    expect(dealRow(dealId).status).to.equal("completed");
+    expect((await escrow.getReputation(seller.address)).won).to.equal(1n);
+  });
+
+  it("funds, disputes and resolves milestone deals stage by stage", async function () {
+    const { escrow, buyer, supabase, indexer, newDeal, dealRow, chainId, message, replies } = await setup();
+    const dealId = await newDeal("0.1 ETH Website --milestones 0.04:design,0.06:build");
+    const stages = () => supabase.db.deal_milestones.filter(m => m.deal_id === dealId).map(m => m.status);
+
+    await message(BUYER, `/fund ${dealId}`);
+    expect(replies(BUYER.id).at(-1)).to.match(/stage 1\/2: design/);
+    const id = await chainId(dealId);
+    expect(await escrow.getMilestones(id)).to.have.length(2);
+
+    await escrow.connect(buyer).depositMilestone(id, 0, { value: ethers.parseEther("0.04") });
+    await indexer.catchUp();
+    expect(dealRow(dealId).status).to.equal("funded");
+    expect(stages()).to.deep.equal(["funded", "pending"]);
+    expect(replies(SELLER.id).at(-1)).to.match(/stage 1\/2 \(design\) funded/);
+
+    // Second /fund reuses the on-chain deal and points at the next stage
+    await message(BUYER, `/fund ${dealId}`);
+    expect(replies(BUYER.id).at(-1)).to.match(/stage 2\/2: build/);
+    await escrow.connect(buyer).depositMilestone(id, 1, { value: ethers.parseEther("0.06") });
+    await indexer.catchUp();
+    expect(stages()).to.deep.equal(["funded", "funded"]);
+
+    await message(BUYER, `/dispute ${dealId} 2 Wrong stack`);
+    expect(stages()).to.deep.equal(["funded", "disputed"]);
+    expect(dealRow(dealId).status).to.equal("disputed");
+
+    await message(ADMIN, `/resolve ${dealId} 2 refund`);
+    await indexer.catchUp();
+    expect(stages()).to.deep.equal(["funded", "refunded"]);
+    expect(dealRow(dealId).status).to.equal("funded");
+
+    await escrow.connect(buyer).releaseMilestone(id, 0);
+    await indexer.catchUp();
+    expect(stages()).to.deep.equal(["released", "refunded"]);
+    expect(dealRow(dealId).status).to.equal("completed");
+  });
+
+  it("a stage disputed on the contract disputes the milestone deal", async function () {
+    const { escrow, seller, buyer, supabase, indexer, newDeal, dealRow, chainId, message, replies } = await setup();
+    const dealId = await newDeal("0.1 ETH Website --milestones 0.04:design,0.06:build");
+    await message(BUYER, `/fund ${dealId}`);
+    const id = await chainId(dealId);
+    await escrow.connect(buyer).depositMilestone(id, 0, { value: ethers.parseEther("0.04") });
+    await indexer.catchUp();
+
+    await escrow.connect(seller).disputeMilestone(id, 0);
+    await indexer.catchUp();
+    expect(supabase.db.deal_milestones.find(m => m.deal_id === dealId && m.stage === 1).status).to.equal("disputed");
+    expect(dealRow(dealId).status).to.equal("disputed");
+    expect(replies(ADMIN.id).at(-1)).to.match(/DISPUTE \(on-chain\)/);
+  });
+});
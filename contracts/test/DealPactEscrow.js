@@ -0,0 +1,643 @@
+// DealPactEscrow: every state transition and revert reason.
+//   npx hardhat test test/DealPactEscrow.js
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { RELAY_TYPES } = require("../../bot/relayer");
+
+const Status = { Pending: 0n, Funded: 1n, Completed: 2n, Refunded: 3n, Disputed: 4n, Cancelled: 5n };
+const HOUR = 3600n;
+const DAY = 24n * HOUR;
+const USDC = (n) => ethers.parseUnits(String(n), 6);
+const TERMS = ethers.id("DP-TEST terms"); // stands in for the bot's canonical terms hash
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+async function deployFixture() {
+  const [owner, seller, buyer, other, relayer] = await ethers.getSigners();
+
+  const token = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6, "2");
+  const escrow = await (await ethers.getContractFactory("DealPactEscrow")).deploy();
+  const tokenAddress = await token.getAddress();
+  const escrowAddress = await escrow.getAddress();
+
+  await escrow.setToken(tokenAddress, true, USDC(1), USDC(500));
+  await escrow.setToken(ethers.ZeroAddress, true, ethers.parseEther("0.0005"), ethers.parseEther("0.15"));
+  await token.mint(buyer.address, USDC(1000));
+  await token.connect(buyer).approve(escrowAddress, ethers.MaxUint256);
+
+  // Token deal DP-<name> for amount (USDC units); returns the on-chain deal ID
+  async function createDeal(externalId, amount = USDC(100), { tokenAddr = tokenAddress, delivery = DAY, review = DAY } = {}) {
+    await escrow.createDeal(externalId, seller.address, buyer.address, tokenAddr, amount, delivery, review, TERMS);
+    return escrow.externalIdToDealId(externalId);
+  }
+
+  async function createMilestoneDeal(externalId, amounts = [USDC(100), USDC(50)]) {
+    await escrow.createMilestoneDeal(externalId, seller.address, buyer.address, tokenAddress, amounts, DAY, DAY, TERMS);
+    return escrow.externalIdToDealId(externalId);
+  }
+
+  async function fundedDeal(externalId = "DP-FUND", amount = USDC(100)) {
+    const dealId = await createDeal(externalId, amount);
+    await escrow.connect(buyer).deposit(dealId);
+    return dealId;
+  }
+
+  const { chainId } = await ethers.provider.getNetwork();
+  const domain = { name: "DealPactEscrow", version: "1", chainId, verifyingContract: escrowAddress };
+
+  return { escrow, token, tokenAddress, escrowAddress, owner, seller, buyer, other, relayer, createDeal, createMilestoneDeal, fundedDeal, domain, chainId };
+}
+
+async function statusOf(escrow, dealId) {
+  return (await escrow.getDeal(dealId)).status;
+}
+
+async function stageStatuses(escrow, dealId) {
+  return (await escrow.getMilestones(dealId)).map(m => m.status);
+}
+
+describe("DealPactEscrow", function () {
+  // ============ Setup and owner functions ============
+
+  describe("owner functions", function () {
+    it("starts with the deployer as owner, a 1.5% fee and no tokens", async function () {
+      const [owner] = await ethers.getSigners();
+      const escrow = await (await ethers.getContractFactory("DealPactEscrow")).deploy();
+      expect(await escrow.owner()).to.equal(owner.address);
+      expect(await escrow.feePercent()).to.equal(150n);
+      expect((await escrow.tokens(ethers.ZeroAddress)).allowed).to.equal(false);
+    });
+
+    it("sets the fee up to 5%", async function () {
+      const { escrow, other } = await loadFixture(deployFixture);
+      await expect(escrow.setFeePercent(500)).to.emit(escrow, "FeePercentChanged").withArgs(150n, 500n);
+      await expect(escrow.setFeePercent(501)).to.be.revertedWith("Fee too high");
+      await expect(escrow.connect(other).setFeePercent(100)).to.be.revertedWith("Only owner");
+    });
+
+    it("configures tokens with their decimals and limits", async function () {
+      const { escrow, token, tokenAddress, other } = await loadFixture(deployFixture);
+      await expect(escrow.setToken(tokenAddress, true, USDC(2), USDC(10)))
+        .to.emit(escrow, "TokenConfigured").withArgs(tokenAddress, true, USDC(2), USDC(10));
+      const config = await escrow.tokens(tokenAddress);
+      expect(config.decimals).to.equal(await token.decimals());
+      expect((await escrow.tokens(ethers.ZeroAddress)).decimals).to.equal(18n);
+
+      await expect(escrow.setToken(tokenAddress, true, 0, USDC(10))).to.be.revertedWith("Invalid limits");
+      await expect(escrow.setToken(tokenAddress, true, USDC(11), USDC(10))).to.be.revertedWith("Invalid limits");
+      await expect(escrow.connect(other).setToken(tokenAddress, true, 1, 2)).to.be.revertedWith("Only owner");
+    });
+
+    it("disallowing a token blocks new deals but lets existing ones settle", async function () {
+      const { escrow, tokenAddress, buyer, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      await escrow.setToken(tokenAddress, false, USDC(1), USDC(500));
+      await expect(createDeal("DP-NEW")).to.be.revertedWith("Token not allowed");
+      await escrow.connect(buyer).release(dealId);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+    });
+
+    it("transfers ownership", async function () {
+      const { escrow, owner, other } = await loadFixture(deployFixture);
+      await expect(escrow.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith("Invalid address");
+      await expect(escrow.transferOwnership(other.address))
+        .to.emit(escrow, "OwnershipTransferred").withArgs(owner.address, other.address);
+      await expect(escrow.setFeePercent(100)).to.be.revertedWith("Only owner");
+      await escrow.connect(other).setFeePercent(100);
+    });
+
+    it("pausing stops new deals and deposits but not payouts", async function () {
+      const { escrow, buyer, other, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const pending = await createDeal("DP-PEND");
+      const funded = await fundedDeal();
+
+      await expect(escrow.connect(other).pause()).to.be.revertedWith("Only owner");
+      await escrow.pause();
+      await expect(createDeal("DP-NEW")).to.be.revertedWithCustomError(escrow, "EnforcedPause");
+      await expect(escrow.connect(buyer).deposit(pending)).to.be.revertedWithCustomError(escrow, "EnforcedPause");
+      await escrow.connect(buyer).release(funded);
+      expect(await statusOf(escrow, funded)).to.equal(Status.Completed);
+
+      await expect(escrow.connect(other).unpause()).to.be.revertedWith("Only owner");
+      await escrow.unpause();
+      await escrow.connect(buyer).deposit(pending);
+    });
+  });
+
+  // ============ Creation ============
+
+  describe("createDeal", function () {
+    it("creates a pending single-stage deal", async function () {
+      const { escrow, seller, buyer, tokenAddress } = await loadFixture(deployFixture);
+      await expect(escrow.createDeal("DP-AAAA", seller.address, buyer.address, tokenAddress, USDC(100), DAY, 2n * DAY, TERMS))
+        .to.emit(escrow, "DealCreated").withArgs(1n, "DP-AAAA", seller.address, buyer.address, USDC(100), tokenAddress, TERMS);
+
+      const deal = await escrow.getDealByExternalId("DP-AAAA");
+      expect(deal.status).to.equal(Status.Pending);
+      expect(deal.amount).to.equal(USDC(100));
+      expect(deal.termsHash).to.equal(TERMS);
+      expect(await stageStatuses(escrow, 1n)).to.deep.equal([Status.Pending]);
+      const timeouts = await escrow.dealTimeouts(1n);
+      expect(timeouts.deliveryPeriod).to.equal(DAY);
+      expect(timeouts.reviewPeriod).to.equal(2n * DAY);
+    });
+
+    it("rejects bad parties, tokens and IDs", async function () {
+      const { escrow, seller, buyer, tokenAddress, escrowAddress, createDeal } = await loadFixture(deployFixture);
+      await expect(escrow.createDeal("DP-X", seller.address, buyer.address, escrowAddress, USDC(100), DAY, DAY, TERMS)).to.be.revertedWith("Token not allowed");
+      await expect(escrow.createDeal("DP-X", ethers.ZeroAddress, buyer.address, tokenAddress, USDC(100), DAY, DAY, TERMS)).to.be.revertedWith("Invalid seller");
+      await expect(escrow.createDeal("DP-X", seller.address, ethers.ZeroAddress, tokenAddress, USDC(100), DAY, DAY, TERMS)).to.be.revertedWith("Invalid buyer");
+      await expect(escrow.createDeal("DP-X", seller.address, seller.address, tokenAddress, USDC(100), DAY, DAY, TERMS)).to.be.revertedWith("Seller cannot be buyer");
+      await expect(escrow.createDeal("DP-X", seller.address, buyer.address, tokenAddress, USDC(100), DAY, DAY, ethers.ZeroHash)).to.be.revertedWith("Missing terms hash");
+      await createDeal("DP-X");
+      await expect(createDeal("DP-X")).to.be.revertedWith("External ID exists");
+    });
+
+    it("keeps periods within 1 hour and 90 days", async function () {
+      const { createDeal } = await loadFixture(deployFixture);
+      await expect(createDeal("DP-X", USDC(100), { delivery: HOUR - 1n })).to.be.revertedWith("Invalid delivery period");
+      await expect(createDeal("DP-X", USDC(100), { delivery: 90n * DAY + 1n })).to.be.revertedWith("Invalid delivery period");
+      await expect(createDeal("DP-X", USDC(100), { review: HOUR - 1n })).to.be.revertedWith("Invalid review period");
+      await expect(createDeal("DP-X", USDC(100), { review: 90n * DAY + 1n })).to.be.revertedWith("Invalid review period");
+      await createDeal("DP-MIN", USDC(100), { delivery: HOUR, review: HOUR });
+      await createDeal("DP-MAX", USDC(100), { delivery: 90n * DAY, review: 90n * DAY });
+    });
+
+    it("keeps amounts within the token limits", async function () {
+      const { createDeal } = await loadFixture(deployFixture);
+      await expect(createDeal("DP-X", USDC(1) - 1n)).to.be.revertedWith("Invalid amount");
+      await expect(createDeal("DP-X", USDC(500) + 1n)).to.be.revertedWith("Invalid amount");
+      await createDeal("DP-LOW", USDC(1));
+      await createDeal("DP-HIGH", USDC(500));
+    });
+
+    it("creates milestone deals of 2 to 10 stages", async function () {
+      const { escrow, createMilestoneDeal } = await loadFixture(deployFixture);
+      await expect(createMilestoneDeal("DP-X", [USDC(100)])).to.be.revertedWith("Invalid milestones");
+      await expect(createMilestoneDeal("DP-X", Array(11).fill(USDC(10)))).to.be.revertedWith("Invalid milestones");
+      await expect(createMilestoneDeal("DP-X", [USDC(100), 0n])).to.be.revertedWith("Invalid amount");
+      await expect(createMilestoneDeal("DP-X", [USDC(400), USDC(101)])).to.be.revertedWith("Invalid amount");
+
+      const dealId = await createMilestoneDeal("DP-MS", Array(10).fill(USDC(10)));
+      expect((await escrow.getDeal(dealId)).amount).to.equal(USDC(100));
+      expect(await stageStatuses(escrow, dealId)).to.have.length(10);
+    });
+
+    it("looks deals up by external ID", async function () {
+      const { escrow } = await loadFixture(deployFixture);
+      await expect(escrow.getDealByExternalId("DP-NONE")).to.be.revertedWith("Deal not found");
+    });
+  });
+
+  // ============ Deposits ============
+
+  describe("deposit", function () {
+    it("funds a token deal: Pending → Funded", async function () {
+      const { escrow, token, buyer, escrowAddress, createDeal } = await loadFixture(deployFixture);
+      const dealId = await createDeal("DP-AAAA");
+      await expect(escrow.connect(buyer).deposit(dealId))
+        .to.emit(escrow, "DealFunded").withArgs(dealId, buyer.address, USDC(100))
+        .and.to.emit(escrow, "MilestoneFunded").withArgs(dealId, 0n, USDC(100));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Funded);
+      expect(await token.balanceOf(escrowAddress)).to.equal(USDC(100));
+    });
+
+    it("funds an ETH deal with the exact value", async function () {
+      const { escrow, buyer, createDeal } = await loadFixture(deployFixture);
+      const dealId = await createDeal("DP-ETH", ethers.parseEther("0.1"), { tokenAddr: ethers.ZeroAddress });
+      await expect(escrow.connect(buyer).deposit(dealId, { value: ethers.parseEther("0.09") })).to.be.revertedWith("Wrong ETH amount");
+      await expect(escrow.connect(buyer).deposit(dealId, { value: ethers.parseEther("0.1") }))
+        .to.changeEtherBalances([buyer, escrow], [-ethers.parseEther("0.1"), ethers.parseEther("0.1")]);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Funded);
+    });
+
+    it("rejects ETH for token deals", async function () {
+      const { escrow, buyer, createDeal } = await loadFixture(deployFixture);
+      const dealId = await createDeal("DP-AAAA");
+      await expect(escrow.connect(buyer).deposit(dealId, { value: 1n })).to.be.revertedWith("ETH not accepted");
+    });
+
+    it("only takes the buyer's deposit, once", async function () {
+      const { escrow, buyer, seller, createDeal } = await loadFixture(deployFixture);
+      const dealId = await createDeal("DP-AAAA");
+      await expect(escrow.connect(buyer).deposit(99n)).to.be.revertedWith("Deal not found");
+      await expect(escrow.connect(seller).deposit(dealId)).to.be.revertedWith("Only buyer can deposit");
+      await escrow.connect(buyer).deposit(dealId);
+      await expect(escrow.connect(buyer).deposit(dealId)).to.be.revertedWith("Deal not pending");
+    });
+
+    it("does not fund a cancelled deal", async function () {
+      const { escrow, buyer, seller, createDeal } = await loadFixture(deployFixture);
+      const dealId = await createDeal("DP-AAAA");
+      await escrow.connect(seller).cancel(dealId);
+      await expect(escrow.connect(buyer).deposit(dealId)).to.be.revertedWith("Deal not pending");
+    });
+
+    it("routes milestone deals to the milestone functions", async function () {
+      const { escrow, buyer, createMilestoneDeal } = await loadFixture(deployFixture);
+      const dealId = await createMilestoneDeal("DP-MS");
+      await expect(escrow.connect(buyer).deposit(dealId)).to.be.revertedWith("Use milestone functions");
+      await expect(escrow.connect(buyer).depositMilestone(dealId, 2)).to.be.revertedWith("Invalid milestone");
+    });
+
+    it("deposits with an EIP-2612 permit instead of an approve", async function () {
+      const { escrow, token, tokenAddress, escrowAddress, seller, other, createDeal, chainId } = await loadFixture(deployFixture);
+      // other has tokens but no allowance
+      await escrow.createDeal("DP-PRMT", seller.address, other.address, tokenAddress, USDC(100), DAY, DAY, TERMS);
+      const dealId = await escrow.externalIdToDealId("DP-PRMT");
+      await token.mint(other.address, USDC(100));
+
+      const deadline = BigInt(await time.latest()) + HOUR;
+      const tokenDomain = { name: "USD Coin", version: "2", chainId, verifyingContract: tokenAddress };
+      const wrong = ethers.Signature.from(await other.signTypedData(tokenDomain, PERMIT_TYPES, {
+        owner: other.address, spender: escrowAddress, value: USDC(1), nonce: 0n, deadline
+      }));
+      await expect(escrow.connect(other).depositWithPermit(dealId, deadline, wrong.v, wrong.r, wrong.s)).to.be.revertedWith("Permit failed");
+
+      const sig = ethers.Signature.from(await other.signTypedData(tokenDomain, PERMIT_TYPES, {
+        owner: other.address, spender: escrowAddress, value: USDC(100), nonce: 0n, deadline
+      }));
+      await escrow.connect(other).depositWithPermit(dealId, deadline, sig.v, sig.r, sig.s);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Funded);
+
+      const ethDeal = await createDeal("DP-ETH", ethers.parseEther("0.1"), { tokenAddr: ethers.ZeroAddress });
+      await expect(escrow.depositWithPermit(ethDeal, deadline, sig.v, sig.r, sig.s)).to.be.revertedWith("Not a token deal");
+    });
+  });
+
+  // ============ Release ============
+
+  describe("release", function () {
+    it("pays the seller minus the fee: Funded → Completed", async function () {
+      const { escrow, token, buyer, seller, owner, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      const tx = escrow.connect(buyer).release(dealId);
+      await expect(tx)
+        .to.emit(escrow, "DealCompleted").withArgs(dealId, seller.address, USDC(98.5), USDC(1.5))
+        .and.to.emit(escrow, "MilestoneReleased").withArgs(dealId, 0n, USDC(98.5), USDC(1.5));
+      await expect(tx).to.changeTokenBalances(token, [seller, owner], [USDC(98.5), USDC(1.5)]);
+
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+      const rep = await escrow.getReputation(seller.address);
+      expect(rep.completed).to.equal(1n);
+      expect(rep.volume).to.equal(USDC(100));
+    });
+
+    it("only lets the buyer release a funded deal", async function () {
+      const { escrow, buyer, seller, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const pending = await createDeal("DP-PEND");
+      const dealId = await fundedDeal();
+      await expect(escrow.connect(buyer).release(99n)).to.be.revertedWith("Deal not found");
+      await expect(escrow.connect(seller).release(dealId)).to.be.revertedWith("Only buyer can release");
+      await expect(escrow.connect(buyer).release(pending)).to.be.revertedWith("Deal not funded");
+      await escrow.connect(buyer).release(dealId);
+      await expect(escrow.connect(buyer).release(dealId)).to.be.revertedWith("Deal not funded");
+    });
+
+    it("counts ETH volume apart from token volume", async function () {
+      const { escrow, buyer, seller, createDeal } = await loadFixture(deployFixture);
+      const value = ethers.parseEther("0.1");
+      const dealId = await createDeal("DP-ETH", value, { tokenAddr: ethers.ZeroAddress });
+      await escrow.connect(buyer).deposit(dealId, { value });
+      await expect(escrow.connect(buyer).release(dealId)).to.changeEtherBalance(seller, value - value * 150n / 10000n);
+      const rep = await escrow.getReputation(seller.address);
+      expect(rep.ethVol).to.equal(value);
+      expect(rep.volume).to.equal(0n);
+    });
+
+    it("reverts when the seller cannot receive ETH", async function () {
+      const { escrow, buyer, tokenAddress } = await loadFixture(deployFixture);
+      const value = ethers.parseEther("0.1");
+      // The token contract has no receive function
+      await escrow.createDeal("DP-ETH", tokenAddress, buyer.address, ethers.ZeroAddress, value, DAY, DAY, TERMS);
+      const dealId = await escrow.externalIdToDealId("DP-ETH");
+      await escrow.connect(buyer).deposit(dealId, { value });
+      await expect(escrow.connect(buyer).release(dealId)).to.be.revertedWith("ETH transfer failed");
+    });
+  });
+
+  // ============ Relayed (gasless) deposit and release ============
+
+  describe("relayed", function () {
+    // action: "deposit" or "release"; the nonce is always the buyer's
+    async function sign(signer, domain, action, escrow, dealId, deadline, buyer) {
+      const nonce = await escrow.nonces(buyer);
+      return signer.signTypedData(domain, RELAY_TYPES[action], { dealId, index: 0n, nonce, deadline });
+    }
+
+    it("deposits and releases on the buyer's signature", async function () {
+      const { escrow, buyer, seller, relayer, createDeal, domain } = await loadFixture(deployFixture);
+      const dealId = await createDeal("DP-GAS");
+      const deadline = BigInt(await time.latest()) + HOUR;
+      const noPermit = { deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+
+      const depositSig = await sign(buyer, domain, "deposit", escrow, dealId, deadline, buyer.address);
+      await expect(escrow.connect(relayer).relayedDeposit(dealId, 0, deadline, depositSig, noPermit))
+        .to.emit(escrow, "DealFunded").withArgs(dealId, buyer.address, USDC(100));
+      // Nonce used: the same signature does not work twice
+      await expect(escrow.connect(relayer).relayedDeposit(dealId, 0, deadline, depositSig, noPermit)).to.be.revertedWith("Invalid signature");
+
+      const forged = await sign(seller, domain, "release", escrow, dealId, deadline, buyer.address);
+      await expect(escrow.connect(relayer).relayedRelease(dealId, 0, deadline, forged)).to.be.revertedWith("Invalid signature");
+
+      const releaseSig = await sign(buyer, domain, "release", escrow, dealId, deadline, buyer.address);
+      await escrow.connect(relayer).relayedRelease(dealId, 0, deadline, releaseSig);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+    });
+
+    it("rejects expired signatures and ETH deals", async function () {
+      const { escrow, buyer, relayer, createDeal, domain } = await loadFixture(deployFixture);
+      const noPermit = { deadline: 0n, v: 0, r: ethers.ZeroHash, s: ethers.ZeroHash };
+      const dealId = await createDeal("DP-GAS");
+      const expired = BigInt(await time.latest()) - 1n;
+      const sig = await sign(buyer, domain, "deposit", escrow, dealId, expired, buyer.address);
+      await expect(escrow.connect(relayer).relayedDeposit(dealId, 0, expired, sig, noPermit)).to.be.revertedWith("Signature expired");
+
+      const ethDeal = await createDeal("DP-ETH", ethers.parseEther("0.1"), { tokenAddr: ethers.ZeroAddress });
+      const deadline = BigInt(await time.latest()) + HOUR;
+      const ethSig = await sign(buyer, domain, "deposit", escrow, ethDeal, deadline, buyer.address);
+      await expect(escrow.connect(relayer).relayedDeposit(ethDeal, 0, deadline, ethSig, noPermit)).to.be.revertedWith("Not a token deal");
+    });
+  });
+
+  // ============ Disputes ============
+
+  describe("dispute and resolve", function () {
+    it("lets either party or the owner open a dispute: Funded → Disputed", async function () {
+      const { escrow, buyer, seller, owner, other, fundedDeal } = await loadFixture(deployFixture);
+      for (const [i, signer] of [buyer, seller, owner].entries()) {
+        const dealId = await fundedDeal(`DP-DIS${i}`);
+        await expect(escrow.connect(signer).dispute(dealId)).to.emit(escrow, "DealDisputed").withArgs(dealId, signer.address);
+        expect(await statusOf(escrow, dealId)).to.equal(Status.Disputed);
+        expect(await escrow.wasDisputed(dealId)).to.equal(true);
+      }
+      const dealId = await fundedDeal("DP-OTHER");
+      await expect(escrow.connect(other).dispute(dealId)).to.be.revertedWith("Not a party");
+    });
+
+    it("only disputes funded deals", async function () {
+      const { escrow, buyer, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const pending = await createDeal("DP-PEND");
+      await expect(escrow.connect(buyer).dispute(pending)).to.be.revertedWith("Deal not funded");
+      const dealId = await fundedDeal();
+      await escrow.connect(buyer).dispute(dealId);
+      await expect(escrow.connect(buyer).dispute(dealId)).to.be.revertedWith("Deal not funded");
+    });
+
+    it("resolves for the seller: Disputed → Completed", async function () {
+      const { escrow, token, buyer, seller, other, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      await expect(escrow.resolveRelease(dealId)).to.be.revertedWith("Not disputed");
+      await escrow.connect(buyer).dispute(dealId);
+      await expect(escrow.connect(other).resolveRelease(dealId)).to.be.revertedWith("Only owner");
+
+      const tx = escrow.resolveRelease(dealId);
+      await expect(tx).to.emit(escrow, "DealCompleted");
+      await expect(tx).to.changeTokenBalance(token, seller, USDC(98.5));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+
+      const sellerRep = await escrow.getReputation(seller.address);
+      const buyerRep = await escrow.getReputation(buyer.address);
+      expect(sellerRep.won).to.equal(1n);
+      expect(buyerRep.lost).to.equal(1n);
+      expect(sellerRep.completed).to.equal(0n); // disputed deals are not clean completions
+    });
+
+    it("credits volume for released deals but not admin-resolved ones", async function () {
+      const { escrow, buyer, seller, fundedDeal } = await loadFixture(deployFixture);
+      const resolved = await fundedDeal("DP-RES");
+      await escrow.connect(buyer).dispute(resolved);
+      await escrow.resolveRelease(resolved);
+      expect((await escrow.getReputation(seller.address)).volume).to.equal(0n);
+      expect((await escrow.getReputation(buyer.address)).volume).to.equal(0n);
+
+      const released = await fundedDeal("DP-REL");
+      await escrow.connect(buyer).release(released);
+      expect((await escrow.getReputation(seller.address)).volume).to.equal(USDC(100));
+      expect((await escrow.getReputation(buyer.address)).volume).to.equal(USDC(100));
+    });
+
+    it("refunds the buyer: Disputed → Refunded", async function () {
+      const { escrow, token, buyer, seller, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      await escrow.connect(seller).dispute(dealId);
+      const tx = escrow.refund(dealId);
+      await expect(tx).to.emit(escrow, "DealRefunded").withArgs(dealId, buyer.address, USDC(100));
+      await expect(tx).to.changeTokenBalance(token, buyer, USDC(100));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Refunded);
+      expect((await escrow.getReputation(buyer.address)).won).to.equal(1n);
+      expect((await escrow.getReputation(seller.address)).lost).to.equal(1n);
+    });
+  });
+
+  // ============ Refunds and cancellation ============
+
+  describe("refund and cancel", function () {
+    it("refunds a funded deal without a dispute: Funded → Refunded", async function () {
+      const { escrow, buyer, seller, other, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const pending = await createDeal("DP-PEND");
+      await expect(escrow.refund(pending)).to.be.revertedWith("Cannot refund");
+
+      const dealId = await fundedDeal();
+      await expect(escrow.connect(other).refund(dealId)).to.be.revertedWith("Only owner");
+      await escrow.refund(dealId);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Refunded);
+      expect((await escrow.getReputation(seller.address)).refunded).to.equal(1n);
+      expect((await escrow.getReputation(buyer.address)).refunded).to.equal(1n);
+      await expect(escrow.refund(dealId)).to.be.revertedWith("Cannot refund");
+    });
+
+    it("cancels an unfunded deal: Pending → Cancelled", async function () {
+      const { escrow, seller, buyer, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const bySeller = await createDeal("DP-SELL");
+      const byOwner = await createDeal("DP-OWN");
+      await expect(escrow.connect(buyer).cancel(bySeller)).to.be.revertedWith("Not authorized");
+      await expect(escrow.connect(seller).cancel(bySeller)).to.emit(escrow, "DealCancelled").withArgs(bySeller);
+      await escrow.cancel(byOwner);
+      expect(await statusOf(escrow, bySeller)).to.equal(Status.Cancelled);
+      expect(await stageStatuses(escrow, byOwner)).to.deep.equal([Status.Cancelled]);
+
+      await expect(escrow.connect(seller).cancel(bySeller)).to.be.revertedWith("Cannot cancel");
+      const funded = await fundedDeal();
+      await expect(escrow.connect(seller).cancel(funded)).to.be.revertedWith("Cannot cancel");
+    });
+
+    it("cancels a funded deal by agreement: Funded → Cancelled, buyer refunded", async function () {
+      const { escrow, token, buyer, seller, other, createDeal, createMilestoneDeal } = await loadFixture(deployFixture);
+      const pending = await createDeal("DP-PEND");
+      await expect(escrow.cancelFunded(pending)).to.be.revertedWith("Deal not funded");
+
+      // Stage 1 released, stage 2 funded, stage 3 never funded
+      const dealId = await createMilestoneDeal("DP-MS", [USDC(10), USDC(20), USDC(30)]);
+      await escrow.connect(buyer).depositMilestone(dealId, 0);
+      await escrow.connect(buyer).depositMilestone(dealId, 1);
+      await escrow.connect(buyer).releaseMilestone(dealId, 0);
+
+      await expect(escrow.connect(other).cancelFunded(dealId)).to.be.revertedWith("Only owner");
+      const tx = escrow.cancelFunded(dealId);
+      await expect(tx).to.emit(escrow, "DealCancelled").withArgs(dealId);
+      await expect(tx).to.changeTokenBalance(token, buyer, USDC(20));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Cancelled);
+      expect(await stageStatuses(escrow, dealId)).to.deep.equal([Status.Completed, Status.Cancelled, Status.Cancelled]);
+      expect((await escrow.getReputation(seller.address)).cancelled).to.equal(1n);
+      await expect(escrow.cancelFunded(dealId)).to.be.revertedWith("Deal not funded");
+    });
+  });
+
+  // ============ Delivery deadlines ============
+
+  describe("delivery and timeouts", function () {
+    it("records delivery once, by the seller or owner", async function () {
+      const { escrow, buyer, seller, createDeal, fundedDeal } = await loadFixture(deployFixture);
+      const pending = await createDeal("DP-PEND");
+      await expect(escrow.connect(seller).markDelivered(pending)).to.be.revertedWith("Deal not funded");
+
+      const dealId = await fundedDeal();
+      await expect(escrow.connect(buyer).markDelivered(dealId)).to.be.revertedWith("Not authorized");
+      const tx = escrow.connect(seller).markDelivered(dealId);
+      await expect(tx).to.emit(escrow, "MilestoneDelivered");
+      const deliveredAt = BigInt(await time.latest());
+      expect((await escrow.getMilestones(dealId))[0].deliveredAt).to.equal(deliveredAt);
+      await expect(escrow.markDelivered(dealId)).to.be.revertedWith("Already delivered");
+    });
+
+    it("refuses delivery marked after the deadline, so the buyer's refund stands", async function () {
+      const { escrow, token, buyer, seller, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      await time.increase(DAY + 1n);
+      await expect(escrow.connect(seller).markDelivered(dealId)).to.be.revertedWith("Delivery deadline passed");
+      await expect(escrow.markDelivered(dealId)).to.be.revertedWith("Delivery deadline passed");
+      await expect(escrow.connect(buyer).claimRefund(dealId)).to.changeTokenBalance(token, buyer, USDC(100));
+    });
+
+    it("lets the seller claim after the review window: Funded → Completed", async function () {
+      const { escrow, token, buyer, seller, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      await expect(escrow.connect(seller).claimRelease(dealId)).to.be.revertedWith("Not delivered");
+      await escrow.connect(seller).markDelivered(dealId);
+      await expect(escrow.connect(seller).claimRelease(dealId)).to.be.revertedWith("Review window open");
+      await expect(escrow.connect(buyer).claimRelease(dealId)).to.be.revertedWith("Not authorized");
+
+      await time.increase(DAY + 1n);
+      await expect(escrow.connect(seller).claimRelease(dealId)).to.changeTokenBalance(token, seller, USDC(98.5));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+      expect((await escrow.getReputation(seller.address)).volume).to.equal(USDC(100));
+    });
+
+    it("lets the buyer reclaim an undelivered deal after the deadline: Funded → Refunded", async function () {
+      const { escrow, token, buyer, seller, fundedDeal } = await loadFixture(deployFixture);
+      const dealId = await fundedDeal();
+      await expect(escrow.connect(buyer).claimRefund(dealId)).to.be.revertedWith("Deadline not reached");
+      await expect(escrow.connect(seller).claimRefund(dealId)).to.be.revertedWith("Not authorized");
+
+      await time.increase(DAY + 1n);
+      await expect(escrow.connect(buyer).claimRefund(dealId)).to.changeTokenBalance(token, buyer, USDC(100));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Refunded);
+      await expect(escrow.connect(buyer).claimRefund(dealId)).to.be.revertedWith("Deal not funded");
+    });
+
+    it("no claims once delivered, or while disputed", async function () {
+      const { escrow, buyer, seller, fundedDeal } = await loadFixture(deployFixture);
+      const delivered = await fundedDeal("DP-DLVR");
+      await escrow.connect(seller).markDelivered(delivered);
+      await time.increase(DAY + 1n);
+      await expect(escrow.connect(buyer).claimRefund(delivered)).to.be.revertedWith("Already delivered");
+
+      await escrow.connect(buyer).dispute(delivered);
+      await expect(escrow.connect(seller).claimRelease(delivered)).to.be.revertedWith("Deal disputed");
+      await expect(escrow.connect(buyer).claimRefund(delivered)).to.be.revertedWith("Deal disputed");
+    });
+  });
+
+  // ============ Milestones ============
+
+  describe("milestones", function () {
+    it("funds and releases stage by stage", async function () {
+      const { escrow, buyer, createMilestoneDeal } = await loadFixture(deployFixture);
+      const dealId = await createMilestoneDeal("DP-MS");
+
+      await expect(escrow.connect(buyer).depositMilestone(dealId, 0)).to.emit(escrow, "DealFunded");
+      await expect(escrow.connect(buyer).depositMilestone(dealId, 0)).to.be.revertedWith("Deal not pending");
+      await expect(escrow.connect(buyer).depositMilestone(dealId, 1))
+        .to.emit(escrow, "MilestoneFunded").withArgs(dealId, 1n, USDC(50))
+        .and.not.to.emit(escrow, "DealFunded");
+
+      await expect(escrow.connect(buyer).release(dealId)).to.be.revertedWith("Use milestone functions");
+      await expect(escrow.connect(buyer).releaseMilestone(dealId, 0)).not.to.emit(escrow, "DealCompleted");
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Funded);
+
+      await expect(escrow.connect(buyer).releaseMilestone(dealId, 1)).to.emit(escrow, "DealCompleted");
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+      expect(await stageStatuses(escrow, dealId)).to.deep.equal([Status.Completed, Status.Completed]);
+    });
+
+    it("disputes one stage and reopens the deal once it is resolved", async function () {
+      const { escrow, buyer, seller, createMilestoneDeal } = await loadFixture(deployFixture);
+      const dealId = await createMilestoneDeal("DP-MS", [USDC(10), USDC(20), USDC(30)]);
+      for (const i of [0, 1, 2]) await escrow.connect(buyer).depositMilestone(dealId, i);
+
+      await expect(escrow.connect(buyer).disputeMilestone(dealId, 0)).to.emit(escrow, "DealDisputed");
+      await expect(escrow.connect(seller).disputeMilestone(dealId, 1))
+        .to.emit(escrow, "MilestoneDisputed").withArgs(dealId, 1n, seller.address)
+        .and.not.to.emit(escrow, "DealDisputed");
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Disputed);
+
+      await expect(escrow.resolveReleaseMilestone(dealId, 2)).to.be.revertedWith("Not disputed");
+      await escrow.resolveReleaseMilestone(dealId, 0);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Disputed); // stage 2 still disputed
+      await escrow.refundMilestone(dealId, 1);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Funded); // stage 3 still open
+
+      await expect(escrow.connect(buyer).releaseMilestone(dealId, 2)).to.emit(escrow, "DealCompleted");
+      expect(await stageStatuses(escrow, dealId)).to.deep.equal([Status.Completed, Status.Refunded, Status.Completed]);
+    });
+
+    it("ends Refunded when every stage went back to the buyer", async function () {
+      const { escrow, buyer, createMilestoneDeal } = await loadFixture(deployFixture);
+      const dealId = await createMilestoneDeal("DP-MS");
+      await escrow.connect(buyer).depositMilestone(dealId, 0);
+      await expect(escrow.refundMilestone(dealId, 1)).to.be.revertedWith("Cannot refund"); // stage 2 not funded
+      await escrow.refundMilestone(dealId, 0);
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Funded);
+
+      await escrow.connect(buyer).depositMilestone(dealId, 1);
+      await expect(escrow.refundMilestone(dealId, 1)).to.emit(escrow, "DealRefunded").withArgs(dealId, buyer.address, USDC(150));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Refunded);
+    });
+
+    it("checks the stage index everywhere", async function () {
+      const { escrow, buyer, seller, createMilestoneDeal } = await loadFixture(deployFixture);
+      const dealId = await createMilestoneDeal("DP-MS");
+      await escrow.connect(buyer).depositMilestone(dealId, 0);
+      await expect(escrow.connect(buyer).releaseMilestone(dealId, 5)).to.be.revertedWith("Invalid milestone");
+      await expect(escrow.connect(buyer).disputeMilestone(dealId, 5)).to.be.revertedWith("Invalid milestone");
+      await expect(escrow.connect(seller).markMilestoneDelivered(dealId, 5)).to.be.revertedWith("Invalid milestone");
+      await expect(escrow.refundMilestone(dealId, 5)).to.be.revertedWith("Invalid milestone");
+      await expect(escrow.connect(seller).claimReleaseMilestone(dealId, 5)).to.be.revertedWith("Invalid milestone");
+      await expect(escrow.connect(buyer).claimRefundMilestone(dealId, 5)).to.be.revertedWith("Invalid milestone");
+    });
+
+    it("times out each stage on its own clock", async function () {
+      const { escrow, token, buyer, seller, createMilestoneDeal } = await loadFixture(deployFixture);
+      const dealId = await createMilestoneDeal("DP-MS");
+      await escrow.connect(buyer).depositMilestone(dealId, 0);
+      await escrow.connect(seller).markMilestoneDelivered(dealId, 0);
+      await escrow.connect(buyer).depositMilestone(dealId, 1);
+
+      await time.increase(DAY + 1n);
+      await expect(escrow.connect(seller).claimReleaseMilestone(dealId, 0)).to.changeTokenBalance(token, seller, USDC(98.5));
+      await expect(escrow.connect(buyer).claimRefundMilestone(dealId, 1)).to.changeTokenBalance(token, buyer, USDC(50));
+      expect(await statusOf(escrow, dealId)).to.equal(Status.Completed);
+    });
+  });
+});
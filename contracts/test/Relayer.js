@@ -0,0 +1,143 @@
+// The gasless relayer (bot/relayer.js) against a real DealPactEscrow, served the way the bot
+// serves it: POST /relay on createHttpServer (bot/server.js). The buyer signs but never sends a
+// transaction. The chain is the in-process Hardhat network, so this runs offline.
+//   npx hardhat test test/Relayer.js
+
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+const { RELAY_TYPES, createRelayer, createMemoryUsageStore } = require("../../bot/relayer");
+const { createHttpServer } = require("../../bot/server");
+
+const HOUR = 3600;
+const BUYER_TELEGRAM_ID = 202;
+const quiet = { log() {}, error() {} };
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+// Stands in for the bot's deals table: DP-ROGUE is on-chain but was not made through the bot
+const findBuyer = async (externalId) => (["DP-GAS1", "DP-GAS2"].includes(externalId) ? BUYER_TELEGRAM_ID : null);
+
+// Escrow owned by the bot wallet (signer 0) with a permit token allow-listed, and DP-GAS1 for
+// 10 tokens waiting for the buyer's deposit
+async function deployFixture() {
+  const [botWallet, seller, buyer] = await ethers.getSigners();
+  const token = await (await ethers.getContractFactory("MockERC20")).deploy("USD Coin", "USDC", 6, "2");
+  const escrow = await (await ethers.getContractFactory("DealPactEscrow")).deploy();
+  await escrow.setToken(await token.getAddress(), true, 1_000000n, 500_000000n);
+  await escrow.createDeal("DP-GAS1", seller.address, buyer.address, await token.getAddress(), 10_000000n, HOUR, HOUR, ethers.id("DP-GAS1 terms"));
+  await token.mint(buyer.address, 10_000000n);
+  return { escrow, token, botWallet, seller, buyer };
+}
+
+describe("Gasless relayer", function () {
+  const servers = [];
+  afterEach(async function () {
+    await Promise.all(servers.splice(0).map(s => s.close()));
+  });
+
+  async function setup({ dailyCapWei = ethers.parseEther("0.01") } = {}) {
+    const fixture = await loadFixture(deployFixture);
+    const { escrow, token, buyer } = fixture;
+    const escrowAddress = await escrow.getAddress();
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = { name: "DealPactEscrow", version: "1", chainId, verifyingContract: escrowAddress };
+    // The relayer checks deadlines against the clock, the escrow against the block
+    const now = Math.max(Math.floor(Date.now() / 1000), (await ethers.provider.getBlock("latest")).timestamp);
+    const deadline = BigInt(now + HOUR);
+
+    const relayer = createRelayer({ contract: escrow, findBuyer, usageStore: createMemoryUsageStore(), dailyCapWei, logger: quiet });
+    const http = createHttpServer({ relayer, logger: quiet });
+    servers.push(http);
+    const { port } = (await http.listen(0)).address();
+
+    async function post(body, path = "/relay") {
+      const res = await fetch(`http://127.0.0.1:${port}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body, (_, v) => (typeof v === "bigint" ? v.toString() : v))
+      });
+      return { status: res.status, body: await res.json() };
+    }
+
+    // Deposit or Release authorization for a deal, signed by signer (the buyer unless given)
+    async function signRelay(action, externalId, signer = buyer) {
+      const dealId = await escrow.externalIdToDealId(externalId);
+      return signer.signTypedData(domain, RELAY_TYPES[action], { dealId, index: 0n, nonce: await escrow.nonces(buyer.address), deadline });
+    }
+
+    async function signPermit(value) {
+      const sig = ethers.Signature.from(await buyer.signTypedData(
+        { name: "USD Coin", version: "2", chainId, verifyingContract: await token.getAddress() },
+        PERMIT_TYPES,
+        { owner: buyer.address, spender: escrowAddress, value, nonce: await token.nonces(buyer.address), deadline }
+      ));
+      return { deadline, v: sig.v, r: sig.r, s: sig.s };
+    }
+
+    const chainDeal = async (externalId) => escrow.getDeal(await escrow.externalIdToDealId(externalId));
+
+    return { ...fixture, port, deadline, post, signRelay, signPermit, chainDeal };
+  }
+
+  it("deposits with a permit and releases without the buyer paying gas", async function () {
+    const { token, seller, buyer, deadline, post, signRelay, signPermit, chainDeal } = await setup();
+    const buyerEthBefore = await ethers.provider.getBalance(buyer.address);
+
+    let res = await post({ action: "deposit", dealId: "DP-GAS1", index: 0, deadline, signature: await signRelay("deposit", "DP-GAS1"), permit: await signPermit(10_000000n) });
+    expect(res.status, JSON.stringify(res.body)).to.equal(200);
+    expect(res.body.txHash).to.match(/^0x[0-9a-f]{64}$/);
+    expect((await chainDeal("DP-GAS1")).status).to.equal(1n); // Funded
+
+    // A query string on the path is fine
+    res = await post({ action: "release", dealId: "DP-GAS1", index: 0, deadline, signature: await signRelay("release", "DP-GAS1") }, "/relay?from=page");
+    expect(res.status, JSON.stringify(res.body)).to.equal(200);
+    expect((await chainDeal("DP-GAS1")).status).to.equal(2n); // Completed
+    expect(await token.balanceOf(seller.address)).to.equal(9_850000n); // minus the 1.5% fee
+
+    expect(await ethers.provider.getBalance(buyer.address)).to.equal(buyerEthBefore);
+  });
+
+  it("refuses deals made outside the bot, replayed and forged signatures before spending gas", async function () {
+    const { escrow, token, seller, buyer, deadline, post, signRelay, signPermit } = await setup();
+
+    await escrow.createDeal("DP-ROGUE", seller.address, buyer.address, await token.getAddress(), 1_000000n, HOUR, HOUR, ethers.id("DP-ROGUE terms"));
+    let res = await post({ action: "deposit", dealId: "DP-ROGUE", index: 0, deadline, signature: await signRelay("deposit", "DP-ROGUE") });
+    expect(res.status).to.equal(404);
+
+    const depositSig = await signRelay("deposit", "DP-GAS1");
+    res = await post({ action: "deposit", dealId: "DP-GAS1", index: 0, deadline, signature: depositSig, permit: await signPermit(10_000000n) });
+    expect(res.status).to.equal(200);
+    res = await post({ action: "deposit", dealId: "DP-GAS1", index: 0, deadline, signature: depositSig });
+    expect(res.status).to.equal(401);
+
+    res = await post({ action: "release", dealId: "DP-GAS1", index: 0, deadline, signature: await signRelay("release", "DP-GAS1", seller) });
+    expect(res.status).to.equal(401);
+    expect(res.body.error).to.match(/not from the deal buyer/);
+  });
+
+  it("stops at the daily gas cap", async function () {
+    const { escrow, token, seller, buyer, deadline, post, signRelay, chainDeal } = await setup({ dailyCapWei: 1n });
+    await escrow.createDeal("DP-GAS2", seller.address, buyer.address, await token.getAddress(), 1_000000n, HOUR, HOUR, ethers.id("DP-GAS2 terms"));
+    await token.connect(buyer).approve(await escrow.getAddress(), 1_000000n);
+
+    const res = await post({ action: "deposit", dealId: "DP-GAS2", index: 0, deadline, signature: await signRelay("deposit", "DP-GAS2") });
+    expect(res.status).to.equal(429);
+    expect((await chainDeal("DP-GAS2")).status).to.equal(0n); // still Pending
+  });
+
+  it("answers the deposit page's CORS preflight", async function () {
+    const { port } = await setup();
+    const res = await fetch(`http://127.0.0.1:${port}/relay`, { method: "OPTIONS" });
+    expect(res.status).to.equal(204);
+    expect(res.headers.get("access-control-allow-methods")).to.equal("POST, OPTIONS");
+  });
+});
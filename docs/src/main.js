@@ -1,5 +1,7 @@
 import { createWeb3Modal, defaultConfig } from '@web3modal/ethers'
-import { BrowserProvider, Contract, formatUnits } from 'ethers'
+import { BrowserProvider, Contract, Signature, formatUnits, keccak256 } from 'ethers'
+import registry from '../../config/tokens.json'
+import profiles from '../../config/networks.json'
 
 // =============================================================================
 // CONFIGURATION
@@ -8,21 +10,41 @@ import { BrowserProvider, Contract, formatUnits } from 'ethers'
 // Get your project ID from https://cloud.walletconnect.com (free)
 const PROJECT_ID = '7572c506a9fd3bc7d1b5c9cf3422d4a2' // <-- REPLACE THIS
 
+// Network profile from config/networks.json, picked at build time:
+//   VITE_NETWORK=localhost npm run dev   (base, baseSepolia or localhost)
+const NETWORK_KEY = import.meta.env.VITE_NETWORK || profiles.default
+const NETWORK = profiles.networks[NETWORK_KEY]
+if (!NETWORK) throw new Error(`Unknown network "${NETWORK_KEY}" in config/networks.json`)
+
 const CONFIG = {
-  CONTRACT: '0x116511753bf00671bc321f2e3364159Fe502ed22',
-  USDC: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
-  RPC: 'https://mainnet.base.org',
-  CHAIN_ID: 8453,
-  EXPLORER: 'https://basescan.org'
+  CONTRACT: import.meta.env.VITE_CONTRACT_ADDRESS || NETWORK.contract,
+  RPC: import.meta.env.VITE_RPC_URL || NETWORK.rpcUrl,
+  CHAIN_ID: NETWORK.chainId,
+  RELAYER_URL: import.meta.env.VITE_RELAYER_URL || '', // bot relayer (RELAYER_ENABLED) for gasless deposit/release; empty = off
+  EXPLORER: NETWORK.explorer // null on a local node
 }
-
-// Base Mainnet chain config
-const baseMainnet = {
-  chainId: 8453,
-  name: 'Base',
+if (!CONFIG.CONTRACT) throw new Error(`No contract for ${NETWORK.name}. Set VITE_CONTRACT_ADDRESS or add it to config/networks.json.`)
+
+// Deal tokens on this chain, from the shared registry (config/tokens.json)
+const TOKENS = Object.entries(registry.tokens)
+  .filter(([, t]) => t.addresses[CONFIG.CHAIN_ID])
+  .map(([symbol, t]) => ({
+    symbol,
+    decimals: t.decimals,
+    native: Boolean(t.native),
+    permitVersion: t.permitVersion || null, // EIP-2612 domain version, if the token supports permits
+    address: t.addresses[CONFIG.CHAIN_ID]
+  }))
+
+const tokenByAddress = address => TOKENS.find(t => t.address.toLowerCase() === address.toLowerCase())
+
+// Chain config for the wallet modal
+const chain = {
+  chainId: CONFIG.CHAIN_ID,
+  name: NETWORK.name,
   currency: 'ETH',
-  explorerUrl: 'https://basescan.org',
-  rpcUrl: 'https://mainnet.base.org'
+  explorerUrl: CONFIG.EXPLORER || '',
+  rpcUrl: CONFIG.RPC
 }
 
 // App metadata for wallet display
@@ -35,18 +57,28 @@ const metadata = {
 
 // ABIs
 const ESCROW_ABI = [
-  'function deposit(uint256 _dealId) external',
-  'function getDealByExternalId(string) view returns (tuple(string,address,address,uint256,uint8,uint256,uint256))',
-  'function externalIdToDealId(string) view returns (uint256)'
+  'function deposit(uint256 _dealId) external payable',
+  'function depositMilestone(uint256 _dealId, uint256 _index) external payable',
+  'function depositWithPermit(uint256 _dealId, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external',
+  'function depositMilestoneWithPermit(uint256 _dealId, uint256 _index, uint256 _deadline, uint8 _v, bytes32 _r, bytes32 _s) external',
+  'function getDealByExternalId(string) view returns (tuple(string,address,address,uint256,uint8,uint256,uint256,address,bytes32))',
+  'function getMilestones(uint256 _dealId) view returns (tuple(uint256 amount, uint8 status, uint256 fundedAt, uint256 deliveredAt)[])',
+  'function externalIdToDealId(string) view returns (uint256)',
+  'function nonces(address) view returns (uint256)'
 ]
 const RELEASE_ABI = [
-  'function release(uint256 _dealId) external'
+  'function release(uint256 _dealId) external',
+  'function releaseMilestone(uint256 _dealId, uint256 _index) external'
 ]
 const ERC20_ABI = [
   'function approve(address,uint256) returns (bool)',
   'function allowance(address,address) view returns (uint256)',
   'function balanceOf(address) view returns (uint256)'
 ]
+const PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address) view returns (uint256)'
+]
 
 // =============================================================================
 // WEB3MODAL SETUP
@@ -63,7 +95,7 @@ const ethersConfig = defaultConfig({
 
 const modal = createWeb3Modal({
   ethersConfig,
-  chains: [baseMainnet],
+  chains: [chain],
   projectId: PROJECT_ID,
   enableAnalytics: false,
   themeMode: 'dark',
@@ -81,7 +113,8 @@ let state = {
   deal: null,
   signer: null,
   address: null,
-  action: 'deposit'
+  action: 'deposit',
+  usePermit: false
 }
 
 // =============================================================================
@@ -103,6 +136,12 @@ function clearAlert(id) {
   if (el) el.innerHTML = ''
 }
 
+// Local nodes have no explorer to link to
+function showTxLink(hash) {
+  if (!CONFIG.EXPLORER) return hide('tx-link')
+  $('tx-link').href = `${CONFIG.EXPLORER}/tx/${hash}`
+}
+
 function setLoading(btnId, loading) {
   const btn = $(btnId)
   if (!btn) return
@@ -120,6 +159,38 @@ function setStep(num) {
   }
 }
 
+// The bot puts the deal's canonical terms in the link (?terms=, base64url JSON). They must be
+// about this on-chain deal, and their keccak256 must equal the termsHash committed at creation.
+function checkTerms(encoded, dealId, deal) {
+  if (!encoded) return null
+  try {
+    const bytes = Uint8Array.from(atob(encoded.replace(/-/g, '+').replace(/_/g, '/')), c => c.charCodeAt(0))
+    const terms = JSON.parse(new TextDecoder().decode(bytes))
+    const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase()
+    const matches = terms.deal === dealId && same(terms.seller, deal[1]) && same(terms.buyer, deal[2]) &&
+      same(terms.token, deal[7]) && BigInt(terms.amount) === deal[3] && keccak256(bytes) === deal[8]
+    return { terms, matches }
+  } catch (e) {
+    return { terms: null, matches: false }
+  }
+}
+
+function showTerms(check) {
+  if (!check) return hide('terms-section')
+  show('terms-section')
+  const hours = h => h % 24 === 0 ? `${h / 24}d` : `${h}h`
+  if (check.matches) {
+    const { terms } = check
+    $('disp-terms').textContent = terms.description
+    $('disp-terms-check').textContent = `✓ Matches the terms recorded on-chain · delivery ${hours(terms.deliveryHours)}, review ${hours(terms.reviewHours)}`
+    $('disp-terms-check').className = 'deal-terms-check ok'
+  } else {
+    $('disp-terms').textContent = ''
+    $('disp-terms-check').textContent = '⚠ These terms do not match the ones recorded on-chain'
+    $('disp-terms-check').className = 'deal-terms-check bad'
+  }
+}
+
 // =============================================================================
 // READ-ONLY PROVIDER (for searching deals)
 // =============================================================================
@@ -136,7 +207,8 @@ async function getReadOnlyProvider() {
 async function searchDeal() {
   const input = $('deal-input').value.trim().toUpperCase()
 
-  if (!input.match(/^DP-[A-Z0-9]{4}$/)) {
+  // 8 characters since longer IDs were introduced; older deals have 4
+  if (!input.match(/^DP-[A-Z0-9]{4,12}$/)) {
     showAlert('search-alert', 'Enter a valid deal ID (DP-XXXX)', 'error')
     return
   }
@@ -157,7 +229,6 @@ async function searchDeal() {
     }
 
     const deal = await contract.getDealByExternalId(input)
-    const status = Number(deal[4])
     const statuses = ['Pending', 'Funded', 'Completed', 'Refunded', 'Disputed', 'Cancelled']
 
     // Check if this is a release action
@@ -165,10 +236,30 @@ async function searchDeal() {
     const actionParam = params.get('action')
     state.action = actionParam === 'release' ? 'release' : 'deposit'
 
+    // Milestone deals are paid stage by stage: ?stage=N, else the next pending (deposit) or funded (release) stage
+    const milestones = await contract.getMilestones(chainId)
+    const dealStatus = Number(deal[4])
+    let stage = null
+    if (milestones.length > 1 && (dealStatus <= 1 || (state.action === 'release' && dealStatus === 4))) {
+      const wanted = state.action === 'release' ? 1 : 0
+      const stageParam = parseInt(params.get('stage'))
+      stage = stageParam ? stageParam - 1 : milestones.findIndex(m => Number(m.status) === wanted)
+      if (stage < 0 || stage >= milestones.length) stage = null
+    }
+    const status = stage !== null ? Number(milestones[stage].status) : dealStatus
+    const amount = stage !== null ? milestones[stage].amount : deal[3]
+
+    const token = tokenByAddress(deal[7])
+    if (!token) {
+      showAlert('search-alert', 'This deal uses a token this page does not support.', 'error')
+      setLoading('search-btn', false)
+      return
+    }
+
     // Check if this is a bot-initiated release
     if (state.action === 'release') {
       if (status !== 1) {
-        showAlert('search-alert', `Cannot release. Deal status is "${statuses[status]}".`, 'warning')
+        showAlert('search-alert', `Cannot release. ${stage !== null ? 'Stage' : 'Deal'} status is "${statuses[status]}".`, 'warning')
         setLoading('search-btn', false)
         return
       }
@@ -180,15 +271,21 @@ async function searchDeal() {
       chainId: chainId.toString(),
       seller: deal[1],
       buyer: deal[2],
-      amount: deal[3],
-      status: status
+      amount: amount,
+      token: token,
+      status: status,
+      stage: stage
     }
 
     // Update UI
     $('disp-deal-id').textContent = input
-    $('disp-amount').textContent = formatUnits(deal[3], 6)
+    $('disp-amount').textContent = formatUnits(amount, token.decimals)
+    $('disp-stage').textContent = stage !== null ? `Stage ${stage + 1} of ${milestones.length} · ${formatUnits(deal[3], token.decimals)} ${token.symbol} total` : ''
+    document.querySelectorAll('.token-symbol').forEach(el => { el.textContent = token.symbol })
     $('disp-seller').textContent = short(deal[1])
     $('disp-buyer').textContent = short(deal[2])
+    const terms = checkTerms(params.get('terms'), input, deal)
+    showTerms(terms)
 
     // Update status badge
     const statusBadge = document.querySelector('.deal-status')
@@ -216,6 +313,9 @@ async function searchDeal() {
       setStep(1)
     } else if (status === 0) {
       setStep(1)
+      if (terms && !terms.matches) {
+        showAlert('action-alert', `The terms in this link do not match the on-chain record. Check <strong>/status ${input}</strong> in the bot before paying.`, 'error')
+      }
     } else {
       hide('connect-section')
       const statusMessages = {
@@ -253,11 +353,11 @@ modal.subscribeProvider(async ({ provider, address, chainId }) => {
     try {
       // Check if we're on the right chain
       if (chainId !== CONFIG.CHAIN_ID) {
-        showAlert('action-alert', 'Switching to Base...', 'info')
+        showAlert('action-alert', `Switching to ${NETWORK.name}...`, 'info')
         try {
           await modal.switchNetwork(CONFIG.CHAIN_ID)
         } catch (switchErr) {
-          showAlert('action-alert', 'Please switch to Base network in your wallet.', 'error')
+          showAlert('action-alert', `Please switch to ${NETWORK.name} in your wallet.`, 'error')
           return
         }
       }
@@ -290,21 +390,24 @@ modal.subscribeProvider(async ({ provider, address, chainId }) => {
         hide('deposit-btn')
         show('release-btn')
         document.querySelector('.balance-card').style.display = 'none'
+        if (CONFIG.RELAYER_URL) show('gasless-toggle')
         setStep(3)
         showAlert('action-alert', 'Ready to release funds to seller. Click the button below.', 'success')
       } else {
         // Deposit mode - check balance and allowance
-        const usdc = new Contract(CONFIG.USDC, ERC20_ABI, state.signer)
-        const balance = await usdc.balanceOf(state.address)
-        const balanceNum = parseFloat(formatUnits(balance, 6))
-        const requiredNum = parseFloat(formatUnits(state.deal.amount, 6))
+        // ETH deals are paid with the deposit itself: no approve step
+        const { token } = state.deal
+        const erc20 = token.native ? null : new Contract(token.address, ERC20_ABI, state.signer)
+        const balance = token.native ? await state.signer.provider.getBalance(state.address) : await erc20.balanceOf(state.address)
+        const balanceNum = parseFloat(formatUnits(balance, token.decimals))
+        const requiredNum = parseFloat(formatUnits(state.deal.amount, token.decimals))
 
-        $('balance-val').textContent = `${balanceNum.toFixed(2)} USDC`
+        $('balance-val').textContent = `${balanceNum.toFixed(token.native ? 4 : 2)} ${token.symbol}`
 
         if (balance < state.deal.amount) {
           $('balance-val').classList.add('balance-low')
           $('balance-val').classList.remove('balance-ok')
-          showAlert('action-alert', `Insufficient balance! You need ${requiredNum} USDC.`, 'error')
+          showAlert('action-alert', `Insufficient balance! You need ${requiredNum} ${token.symbol}.`, 'error')
           hide('connect-section')
           show('action-section')
           $('approve-btn').disabled = true
@@ -315,21 +418,36 @@ modal.subscribeProvider(async ({ provider, address, chainId }) => {
         $('balance-val').classList.remove('balance-low')
 
         // Check allowance
-        const allowance = await usdc.allowance(state.address, CONFIG.CONTRACT)
+        const allowance = token.native ? state.deal.amount : await erc20.allowance(state.address, CONFIG.CONTRACT)
 
         hide('connect-section')
         show('action-section')
 
-        if (allowance >= state.deal.amount) {
+        if (token.native) {
+          hide('approve-btn')
+          show('deposit-btn')
+          setStep(3)
+          showAlert('action-alert', 'Ready to deposit! Keep a little extra ETH for gas.', 'success')
+        } else if (allowance >= state.deal.amount) {
+          if (CONFIG.RELAYER_URL) show('gasless-toggle')
           hide('approve-btn')
           show('deposit-btn')
           setStep(3)
-          showAlert('action-alert', 'USDC already approved. Ready to deposit!', 'success')
+          showAlert('action-alert', `${token.symbol} already approved. Ready to deposit!`, 'success')
+        } else if (token.permitVersion) {
+          // Permit tokens: sign off-chain and deposit in one transaction
+          state.usePermit = true
+          if (CONFIG.RELAYER_URL) show('gasless-toggle')
+          $('step-2').querySelector('.step-text').textContent = 'Sign'
+          hide('approve-btn')
+          show('deposit-btn')
+          setStep(2)
+          showAlert('action-alert', `Wallet connected! Sign the ${token.symbol} permit and deposit in one step.`, 'success')
         } else {
           show('approve-btn')
           hide('deposit-btn')
           setStep(2)
-          showAlert('action-alert', 'Wallet connected! Now approve USDC.', 'success')
+          showAlert('action-alert', `Wallet connected! Now approve ${token.symbol}.`, 'success')
         }
       }
     } catch (e) {
@@ -349,21 +467,22 @@ modal.subscribeProvider(async ({ provider, address, chainId }) => {
 })
 
 // =============================================================================
-// APPROVE USDC
+// APPROVE TOKEN
 // =============================================================================
 
-async function approveUSDC() {
+async function approveToken() {
   if (!state.signer) {
     showAlert('action-alert', 'Please connect wallet first.', 'error')
     return
   }
+  if (state.deal.token.native) return
 
   setLoading('approve-btn', true)
   showAlert('action-alert', 'Confirm approval in your wallet...', 'info')
 
   try {
-    const usdc = new Contract(CONFIG.USDC, ERC20_ABI, state.signer)
-    const tx = await usdc.approve(CONFIG.CONTRACT, state.deal.amount)
+    const erc20 = new Contract(state.deal.token.address, ERC20_ABI, state.signer)
+    const tx = await erc20.approve(CONFIG.CONTRACT, state.deal.amount)
 
     showAlert('action-alert', 'Waiting for confirmation...', 'info')
     await tx.wait()
@@ -386,29 +505,157 @@ async function approveUSDC() {
 }
 
 // =============================================================================
-// DEPOSIT USDC
+// PERMIT (EIP-2612)
+// =============================================================================
+
+// Signature letting the escrow pull exactly this deposit, valid for 20 minutes
+async function signPermit() {
+  const { token, amount } = state.deal
+  const erc20 = new Contract(token.address, PERMIT_ABI, state.signer)
+  const [name, nonce] = await Promise.all([erc20.name(), erc20.nonces(state.address)])
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + 20 * 60)
+
+  const domain = { name, version: token.permitVersion, chainId: CONFIG.CHAIN_ID, verifyingContract: token.address }
+  const types = {
+    Permit: [
+      { name: 'owner', type: 'address' },
+      { name: 'spender', type: 'address' },
+      { name: 'value', type: 'uint256' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' }
+    ]
+  }
+  const sig = Signature.from(await state.signer.signTypedData(domain, types, {
+    owner: state.address,
+    spender: CONFIG.CONTRACT,
+    value: amount,
+    nonce,
+    deadline
+  }))
+  return { deadline, v: sig.v, r: sig.r, s: sig.s }
+}
+
+// Wallet can't sign typed data (or the token rejected it): go back to approve + deposit
+function fallBackToApprove() {
+  state.usePermit = false
+  hide('gasless-toggle') // approving costs gas anyway
+  $('step-2').querySelector('.step-text').textContent = 'Approve'
+  show('approve-btn')
+  hide('deposit-btn')
+  setStep(2)
+  showAlert('action-alert', `Your wallet can't sign a permit here. Approve ${state.deal.token.symbol} first, then deposit.`, 'warning')
+}
+
+// =============================================================================
+// GASLESS (bot relayer)
+// =============================================================================
+
+// Must match DEPOSIT_TYPEHASH / RELEASE_TYPEHASH in DealPactEscrow
+const RELAY_FIELDS = [
+  { name: 'dealId', type: 'uint256' },
+  { name: 'index', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'deadline', type: 'uint256' }
+]
+
+const gasless = () => Boolean(CONFIG.RELAYER_URL) && !$('gasless-toggle').classList.contains('hidden') && $('gasless-check').checked
+
+// Buyer signs a Deposit/Release message; the relayer submits it and pays the gas
+async function relayTransaction(action, permit) {
+  const escrow = new Contract(CONFIG.CONTRACT, ESCROW_ABI, state.signer)
+  const index = state.deal.stage ?? 0
+  const deadline = BigInt(Math.floor(Date.now() / 1000) + 20 * 60)
+  const nonce = await escrow.nonces(state.address)
+  const domain = { name: 'DealPactEscrow', version: '1', chainId: CONFIG.CHAIN_ID, verifyingContract: CONFIG.CONTRACT }
+  const type = action === 'deposit' ? 'Deposit' : 'Release'
+  const signature = await state.signer.signTypedData(domain, { [type]: RELAY_FIELDS }, {
+    dealId: state.deal.chainId,
+    index,
+    nonce,
+    deadline
+  })
+
+  const res = await fetch(`${CONFIG.RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      action,
+      dealId: state.deal.id,
+      index,
+      deadline: deadline.toString(),
+      signature,
+      permit: permit ? { deadline: permit.deadline.toString(), v: permit.v, r: permit.r, s: permit.s } : undefined
+    })
+  })
+  const body = await res.json().catch(() => ({}))
+  if (!res.ok) {
+    const err = new Error(body.error || 'Relayer unavailable')
+    err.relayer = true
+    throw err
+  }
+  return body.txHash
+}
+
+// =============================================================================
+// DEPOSIT
 // =============================================================================
 
-async function depositUSDC() {
+async function depositFunds() {
   if (!state.signer) {
     showAlert('action-alert', 'Please connect wallet first.', 'error')
     return
   }
 
   setLoading('deposit-btn', true)
-  showAlert('action-alert', 'Confirm deposit in your wallet...', 'info')
+
+  let permit = null
+  if (state.usePermit) {
+    showAlert('action-alert', 'Sign the permit in your wallet...', 'info')
+    try {
+      permit = await signPermit()
+    } catch (e) {
+      console.error(e)
+      setLoading('deposit-btn', false)
+      if (e.code === 'ACTION_REJECTED' || e.code === 4001) {
+        showAlert('action-alert', 'Signature cancelled', 'warning')
+      } else {
+        fallBackToApprove()
+      }
+      return
+    }
+    setStep(3)
+  }
 
   try {
-    const escrow = new Contract(CONFIG.CONTRACT, ESCROW_ABI, state.signer)
-    const tx = await escrow.deposit(state.deal.chainId)
+    let hash
+    if (gasless()) {
+      showAlert('action-alert', 'Sign the deposit in your wallet. DealPact pays the gas.', 'info')
+      hash = await relayTransaction('deposit', permit)
+    } else {
+      showAlert('action-alert', 'Confirm deposit in your wallet...', 'info')
+      const escrow = new Contract(CONFIG.CONTRACT, ESCROW_ABI, state.signer)
+      const { chainId, stage } = state.deal
+      const overrides = state.deal.token.native ? { value: state.deal.amount } : {}
+      let tx
+      if (permit) {
+        tx = stage !== null
+          ? await escrow.depositMilestoneWithPermit(chainId, stage, permit.deadline, permit.v, permit.r, permit.s)
+          : await escrow.depositWithPermit(chainId, permit.deadline, permit.v, permit.r, permit.s)
+      } else {
+        tx = stage !== null
+          ? await escrow.depositMilestone(chainId, stage, overrides)
+          : await escrow.deposit(chainId, overrides)
+      }
 
-    showAlert('action-alert', 'Processing payment...', 'info')
-    await tx.wait()
+      showAlert('action-alert', 'Processing payment...', 'info')
+      await tx.wait()
+      hash = tx.hash
+    }
 
     // Success!
     $('success-deal').textContent = state.deal.id
-    $('success-amount').textContent = formatUnits(state.deal.amount, 6) + ' USDC'
-    $('tx-link').href = `${CONFIG.EXPLORER}/tx/${tx.hash}`
+    $('success-amount').textContent = formatUnits(state.deal.amount, state.deal.token.decimals) + ' ' + state.deal.token.symbol
+    showTxLink(hash)
 
     hide('deal-section')
     show('success-section')
@@ -417,6 +664,10 @@ async function depositUSDC() {
     console.error(e)
     if (e.code === 'ACTION_REJECTED' || e.code === 4001) {
       showAlert('action-alert', 'Transaction cancelled', 'warning')
+    } else if (e.relayer) {
+      showAlert('action-alert', `Gasless deposit failed: ${e.message} Untick "DealPact pays gas" to send it yourself.`, 'error')
+    } else if (permit && e.reason === 'Permit failed') {
+      fallBackToApprove()
     } else {
       showAlert('action-alert', 'Deposit failed: ' + (e.reason || e.message), 'error')
     }
@@ -436,22 +687,32 @@ async function releaseFunds() {
   }
 
   setLoading('release-btn', true)
-  showAlert('action-alert', 'Confirm release in your wallet...', 'info')
 
   try {
-    const escrow = new Contract(CONFIG.CONTRACT, RELEASE_ABI, state.signer)
-    const tx = await escrow.release(state.deal.chainId)
-
-    showAlert('action-alert', 'Processing release...', 'info')
-    await tx.wait()
+    let hash
+    if (gasless()) {
+      showAlert('action-alert', 'Sign the release in your wallet. DealPact pays the gas.', 'info')
+      hash = await relayTransaction('release')
+    } else {
+      showAlert('action-alert', 'Confirm release in your wallet...', 'info')
+      const escrow = new Contract(CONFIG.CONTRACT, RELEASE_ABI, state.signer)
+      const tx = state.deal.stage !== null
+        ? await escrow.releaseMilestone(state.deal.chainId, state.deal.stage)
+        : await escrow.release(state.deal.chainId)
+
+      showAlert('action-alert', 'Processing release...', 'info')
+      await tx.wait()
+      hash = tx.hash
+    }
 
     // Success!
     $('success-deal').textContent = state.deal.id
-    const amount = formatUnits(state.deal.amount, 6)
-    const fee = (parseFloat(amount) * 0.015).toFixed(2)
-    const sellerReceives = (parseFloat(amount) - parseFloat(fee)).toFixed(2)
-    $('success-amount').textContent = `${sellerReceives} USDC (after 1.5% fee)`
-    $('tx-link').href = `${CONFIG.EXPLORER}/tx/${tx.hash}`
+    const amount = formatUnits(state.deal.amount, state.deal.token.decimals)
+    const digits = state.deal.token.native ? 6 : 2
+    const fee = (parseFloat(amount) * 0.015).toFixed(digits)
+    const sellerReceives = (parseFloat(amount) - parseFloat(fee)).toFixed(digits)
+    $('success-amount').textContent = `${sellerReceives} ${state.deal.token.symbol} (after 1.5% fee)`
+    showTxLink(hash)
 
     // Update success section text
     document.querySelector('.success-icon').textContent = '💸'
@@ -465,6 +726,8 @@ async function releaseFunds() {
     console.error(e)
     if (e.code === 'ACTION_REJECTED' || e.code === 4001) {
       showAlert('action-alert', 'Transaction cancelled', 'warning')
+    } else if (e.relayer) {
+      showAlert('action-alert', `Gasless release failed: ${e.message} Untick "DealPact pays gas" to send it yourself.`, 'error')
     } else {
       showAlert('action-alert', 'Release failed: ' + (e.reason || e.message), 'error')
     }
@@ -559,8 +822,8 @@ if (document.readyState === 'loading') {
 
 window.searchDeal = searchDeal
 window.openConnectModal = openConnectModal
-window.approveUSDC = approveUSDC
-window.depositUSDC = depositUSDC
+window.approveToken = approveToken
+window.depositFunds = depositFunds
 window.releaseFunds = releaseFunds
 window.goBack = goBack
 window.disconnectWallet = disconnectWallet
@@ -4,5 +4,11 @@ export default defineConfig({
   base: '/DealPact/',
   build: {
     outDir: 'dist'
+  },
+  server: {
+    // config/ (tokens.json, networks.json) lives at the repo root, shared with the bot and contracts
+    fs: {
+      allow: ['..']
+    }
   }
 })
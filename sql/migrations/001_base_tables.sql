@@ -0,0 +1,44 @@
+-- Core tables the bot was built on (users, deals), as first created in Supabase
+
+CREATE TABLE IF NOT EXISTS public.users (
+  id BIGSERIAL PRIMARY KEY,
+  telegram_id BIGINT UNIQUE NOT NULL,
+  username TEXT,
+  wallet_address TEXT UNIQUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.deals (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id TEXT UNIQUE NOT NULL,
+  seller_telegram_id BIGINT NOT NULL,
+  seller_username TEXT,
+  buyer_telegram_id BIGINT NOT NULL DEFAULT 0,
+  buyer_username TEXT NOT NULL,
+  amount DECIMAL NOT NULL,
+  description TEXT,
+  status TEXT NOT NULL DEFAULT 'pending_deposit',
+  -- Set once the deal exists on-chain (same value as deal_id)
+  contract_deal_id TEXT,
+  tx_hash TEXT,
+  seller_rating INT,
+  buyer_rating INT,
+  seller_review TEXT,
+  buyer_review TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_username ON public.users(lower(username));
+
+-- Enable RLS
+ALTER TABLE public.users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.deals ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or write users and deals
+DROP POLICY IF EXISTS "users_service_only" ON public.users;
+CREATE POLICY "users_service_only" ON public.users
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+DROP POLICY IF EXISTS "deals_service_only" ON public.deals;
+CREATE POLICY "deals_service_only" ON public.deals
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
@@ -1,5 +1,4 @@
 -- DealPact Admin Panel Database Schema
--- Run this in Supabase SQL Editor
 
 -- 1. Moderators table
 CREATE TABLE IF NOT EXISTS public.moderators (
@@ -38,44 +37,27 @@ ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS resolved_by TEXT;
 ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS funded_at TIMESTAMP WITH TIME ZONE;
 ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE;
 
--- 5. Evidence table (if not exists)
-CREATE TABLE IF NOT EXISTS public.evidence (
-  id SERIAL PRIMARY KEY,
-  deal_id TEXT NOT NULL,
-  submitted_by TEXT,
-  role TEXT,
-  content TEXT,
-  file_id TEXT,
-  file_type TEXT,
-  telegram_id BIGINT,
-  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
-
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_moderators_telegram_id ON public.moderators(telegram_id);
 CREATE INDEX IF NOT EXISTS idx_admin_logs_deal_id ON public.admin_logs(deal_id);
 CREATE INDEX IF NOT EXISTS idx_admin_logs_created_at ON public.admin_logs(created_at);
 CREATE INDEX IF NOT EXISTS idx_deals_status ON public.deals(status);
 CREATE INDEX IF NOT EXISTS idx_deals_assigned_to ON public.deals(assigned_to_telegram_id);
-CREATE INDEX IF NOT EXISTS idx_evidence_deal_id ON public.evidence(deal_id);
 
 -- Enable RLS
 ALTER TABLE public.moderators ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.admin_logs ENABLE ROW LEVEL SECURITY;
-ALTER TABLE public.evidence ENABLE ROW LEVEL SECURITY;
 
 -- Drop old permissive policies
 DROP POLICY IF EXISTS "moderators_all" ON public.moderators;
 DROP POLICY IF EXISTS "admin_logs_all" ON public.admin_logs;
-DROP POLICY IF EXISTS "evidence_all" ON public.evidence;
+DROP POLICY IF EXISTS "moderators_service_only" ON public.moderators;
+DROP POLICY IF EXISTS "admin_logs_service_only" ON public.admin_logs;
 
 -- Restrictive policies: only service_role (used by the bot) can access these tables.
--- The anon/authenticated keys CANNOT read or write admin tables.
+-- The anon/authenticated keys CANNOT read or write admin tables. (Evidence: 003_evidence.sql)
 CREATE POLICY "moderators_service_only" ON public.moderators
   FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
 
 CREATE POLICY "admin_logs_service_only" ON public.admin_logs
   FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
-
-CREATE POLICY "evidence_service_only" ON public.evidence
-  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
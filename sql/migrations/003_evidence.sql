@@ -19,5 +19,7 @@ ALTER TABLE public.evidence ENABLE ROW LEVEL SECURITY;
 
 -- Only service_role (bot backend) can access evidence
 DROP POLICY IF EXISTS "Allow all for service role" ON public.evidence;
+DROP POLICY IF EXISTS "evidence_all" ON public.evidence;
+DROP POLICY IF EXISTS "evidence_service_only" ON public.evidence;
 CREATE POLICY "evidence_service_only" ON public.evidence
   FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
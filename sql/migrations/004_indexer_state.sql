@@ -0,0 +1,17 @@
+-- Chain indexer cursor (last processed block per indexer)
+CREATE TABLE IF NOT EXISTS public.indexer_state (
+  name TEXT PRIMARY KEY,
+  last_block BIGINT NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Column used by the 24h release reminder job
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS release_reminder_sent BOOLEAN DEFAULT false;
+
+-- Enable RLS
+ALTER TABLE public.indexer_state ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or move the cursor
+DROP POLICY IF EXISTS "indexer_state_service_only" ON public.indexer_state;
+CREATE POLICY "indexer_state_service_only" ON public.indexer_state
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
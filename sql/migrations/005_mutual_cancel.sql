@@ -0,0 +1,7 @@
+-- Mutual cancellation of funded deals (PRD Story 7)
+
+-- Who asked to cancel, and when (request expires after 24h)
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS cancel_requested_by BIGINT;
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS cancel_requested_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_deals_cancel_requested_at ON public.deals(cancel_requested_at) WHERE cancel_requested_at IS NOT NULL;
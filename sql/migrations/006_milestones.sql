@@ -0,0 +1,28 @@
+-- Milestone (multi-stage) deals
+
+-- Number of stages; 1 = regular single-payment deal
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS milestone_count INT DEFAULT 1;
+
+-- One row per stage (stage is 1-based; on-chain index = stage - 1)
+CREATE TABLE IF NOT EXISTS public.deal_milestones (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id TEXT NOT NULL,
+  stage INT NOT NULL,
+  amount DECIMAL NOT NULL,
+  label TEXT,
+  status TEXT DEFAULT 'pending',
+  funded_at TIMESTAMP WITH TIME ZONE,
+  released_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (deal_id, stage)
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_milestones_deal_id ON public.deal_milestones(deal_id);
+
+-- Enable RLS
+ALTER TABLE public.deal_milestones ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or write stages
+DROP POLICY IF EXISTS "deal_milestones_service_only" ON public.deal_milestones;
+CREATE POLICY "deal_milestones_service_only" ON public.deal_milestones
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
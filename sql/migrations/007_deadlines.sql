@@ -0,0 +1,13 @@
+-- Delivery deadlines, review windows and timeout claims
+
+-- Agreed at /new; passed to the escrow as deliveryPeriod / reviewPeriod (hours * 3600)
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS delivery_hours INT DEFAULT 168;
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS review_hours INT DEFAULT 72;
+
+-- Set when the seller marks delivery; starts the buyer review window
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.deal_milestones ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+
+-- Last expired window the parties were told about ('delivery' or 'review')
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS timeout_notified TEXT;
+ALTER TABLE public.deal_milestones ADD COLUMN IF NOT EXISTS timeout_notified TEXT;
@@ -0,0 +1,21 @@
+-- Bind deal buyers by Telegram ID instead of username
+
+-- Buyers picked by mention may have no username; show their name instead
+ALTER TABLE public.deals ALTER COLUMN buyer_username DROP NOT NULL;
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS buyer_name TEXT;
+
+-- NULL = not bound yet (the bot binds it the first time the buyer acts on the deal)
+ALTER TABLE public.deals ALTER COLUMN buyer_telegram_id DROP NOT NULL;
+UPDATE public.deals SET buyer_telegram_id = NULL WHERE buyer_telegram_id = 0;
+
+-- Backfill existing deals from registered users, only where the username is unambiguous
+UPDATE public.deals d
+SET buyer_telegram_id = u.telegram_id
+FROM public.users u
+WHERE d.buyer_telegram_id IS NULL
+  AND lower(u.username) = lower(d.buyer_username)
+  AND (SELECT COUNT(*) FROM public.users u2 WHERE lower(u2.username) = lower(d.buyer_username)) = 1
+  AND u.telegram_id <> d.seller_telegram_id;
+
+CREATE INDEX IF NOT EXISTS idx_deals_buyer_telegram_id ON public.deals(buyer_telegram_id);
+CREATE INDEX IF NOT EXISTS idx_deals_seller_telegram_id ON public.deals(seller_telegram_id);
@@ -0,0 +1,5 @@
+-- Multi-token deals
+
+-- Registry symbol from config/tokens.json; existing deals were all USDC
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS token TEXT DEFAULT 'USDC';
+UPDATE public.deals SET token = 'USDC' WHERE token IS NULL;
@@ -0,0 +1,46 @@
+-- Gas spent by the gasless relayer, per buyer (Telegram user) per UTC day. The daily cap counts
+-- users, not wallets: anyone can make fresh wallets.
+
+CREATE TABLE IF NOT EXISTS public.relayer_usage (
+  telegram_id BIGINT NOT NULL,
+  day DATE NOT NULL,
+  gas_wei NUMERIC NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (telegram_id, day)
+);
+
+-- Enable RLS
+ALTER TABLE public.relayer_usage ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or write usage
+DROP POLICY IF EXISTS "relayer_usage_service_only" ON public.relayer_usage;
+CREATE POLICY "relayer_usage_service_only" ON public.relayer_usage
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
+
+-- Atomic charges for the daily cap (bot/relayer.js). The relayer reserves a transaction's
+-- worst-case gas cost before sending it (p_cap set: refused past the cap) and settles the
+-- difference once it is mined (p_cap NULL, p_wei may be negative). One UPDATE per call, so
+-- concurrent relays can't both pass the cap or lose a charge.
+CREATE OR REPLACE FUNCTION public.relayer_charge(p_telegram_id BIGINT, p_day DATE, p_wei NUMERIC, p_cap NUMERIC DEFAULT NULL)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  charged BOOLEAN;
+BEGIN
+  INSERT INTO public.relayer_usage (telegram_id, day, gas_wei)
+  VALUES (p_telegram_id, p_day, 0)
+  ON CONFLICT (telegram_id, day) DO NOTHING;
+
+  UPDATE public.relayer_usage
+  SET gas_wei = GREATEST(gas_wei + p_wei, 0), updated_at = NOW()
+  WHERE telegram_id = p_telegram_id AND day = p_day
+    AND (p_cap IS NULL OR gas_wei + p_wei <= p_cap)
+  RETURNING TRUE INTO charged;
+
+  RETURN COALESCE(charged, FALSE);
+END $$;
+
+-- Only service_role (bot backend) can charge usage
+REVOKE EXECUTE ON FUNCTION public.relayer_charge(BIGINT, DATE, NUMERIC, NUMERIC) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.relayer_charge(BIGINT, DATE, NUMERIC, NUMERIC) TO service_role;
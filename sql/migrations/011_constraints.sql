@@ -0,0 +1,29 @@
+-- Constraints on the core tables
+-- Existing rows are checked too: if this fails, fix the rows it reports and run it again
+
+-- One row per deal ID. The bot matches IDs case-insensitively, so enforce that too.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'deals_deal_id_key') THEN
+    ALTER TABLE public.deals ADD CONSTRAINT deals_deal_id_key UNIQUE (deal_id);
+  END IF;
+END $$;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deals_deal_id_upper ON public.deals(upper(deal_id));
+
+-- Deal and stage lifecycles (bot/events.js: applyChainEvent; bot/deals.js: dealStatusFromMilestones)
+ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_status_check;
+ALTER TABLE public.deals ADD CONSTRAINT deals_status_check
+  CHECK (status IN ('pending_deposit', 'funded', 'disputed', 'completed', 'refunded', 'cancelled'));
+
+ALTER TABLE public.deal_milestones DROP CONSTRAINT IF EXISTS deal_milestones_status_check;
+ALTER TABLE public.deal_milestones ADD CONSTRAINT deal_milestones_status_check
+  CHECK (status IN ('pending', 'funded', 'disputed', 'released', 'refunded', 'cancelled'));
+
+-- Star ratings left after a completed deal
+ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_seller_rating_check;
+ALTER TABLE public.deals ADD CONSTRAINT deals_seller_rating_check CHECK (seller_rating BETWEEN 1 AND 5);
+ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_buyer_rating_check;
+ALTER TABLE public.deals ADD CONSTRAINT deals_buyer_rating_check CHECK (buyer_rating BETWEEN 1 AND 5);
+
+ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_amount_check;
+ALTER TABLE public.deals ADD CONSTRAINT deals_amount_check CHECK (amount > 0);
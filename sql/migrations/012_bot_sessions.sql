@@ -0,0 +1,18 @@
+-- Conversation state for multi-step flows (bot/sessions.js), keyed by Telegram user ID
+CREATE TABLE IF NOT EXISTS public.bot_sessions (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  -- When the last flow in the session times out; expired rows are purged by the bot
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bot_sessions_expires_at ON public.bot_sessions(expires_at);
+
+-- Enable RLS
+ALTER TABLE public.bot_sessions ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or write sessions
+DROP POLICY IF EXISTS "bot_sessions_service_only" ON public.bot_sessions;
+CREATE POLICY "bot_sessions_service_only" ON public.bot_sessions
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
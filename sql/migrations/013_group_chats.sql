@@ -0,0 +1,22 @@
+-- Group-chat deals (bot/groups.js): where a deal's status card was posted, so it can be edited in place
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS group_chat_id BIGINT;
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS group_message_id BIGINT;
+
+-- Per-group settings, changed by group admins with /groupsettings. No row = defaults.
+CREATE TABLE IF NOT EXISTS public.group_settings (
+  chat_id BIGINT PRIMARY KEY,
+  -- The bot takes deal commands in this group
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  -- New status cards are pinned (the bot needs the "Pin messages" admin right)
+  pin_cards BOOLEAN NOT NULL DEFAULT TRUE,
+  updated_by BIGINT,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Enable RLS
+ALTER TABLE public.group_settings ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or write group settings
+DROP POLICY IF EXISTS "group_settings_service_only" ON public.group_settings;
+CREATE POLICY "group_settings_service_only" ON public.group_settings
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
@@ -0,0 +1,3 @@
+-- Inline offers (bot/commands/offer.js): the shared card, edited once someone accepts the offer.
+-- Open offers have no buyer until then (buyer_telegram_id and buyer_username both NULL).
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS inline_message_id TEXT;
@@ -0,0 +1,7 @@
+-- Buyer-initiated deals (/request, bot/commands/request.js): the seller confirms before the
+-- buyer can fund, and so before the on-chain deal is created
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS initiated_by TEXT NOT NULL DEFAULT 'seller';
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS seller_confirmed_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE public.deals DROP CONSTRAINT IF EXISTS deals_initiated_by_check;
+ALTER TABLE public.deals ADD CONSTRAINT deals_initiated_by_check CHECK (initiated_by IN ('seller', 'buyer'));
@@ -0,0 +1,31 @@
+-- Versioned deal terms (/amend, /terms: bot/commands/amend.js). Version 1 is what the deal was
+-- made with; later versions are proposals the other party accepts, rejects or counters (which
+-- supersedes them). deals holds the accepted version's terms, the ones put on-chain.
+CREATE TABLE IF NOT EXISTS public.deal_terms (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id TEXT NOT NULL,
+  version INT NOT NULL,
+  amount DECIMAL NOT NULL CHECK (amount > 0),
+  description TEXT NOT NULL,
+  delivery_hours INT NOT NULL,
+  review_hours INT NOT NULL,
+  -- Telegram ID of the party who proposed (or created) this version
+  proposed_by BIGINT,
+  status TEXT NOT NULL DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'rejected', 'superseded')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  answered_at TIMESTAMP WITH TIME ZONE,
+  UNIQUE (deal_id, version)
+);
+
+-- At most one open proposal per deal
+CREATE UNIQUE INDEX IF NOT EXISTS idx_deal_terms_open ON public.deal_terms(deal_id) WHERE status = 'proposed';
+
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS terms_version INT NOT NULL DEFAULT 1;
+
+-- Enable RLS
+ALTER TABLE public.deal_terms ENABLE ROW LEVEL SECURITY;
+
+-- Only service_role (bot backend) can read or write terms
+DROP POLICY IF EXISTS "deal_terms_service_only" ON public.deal_terms;
+CREATE POLICY "deal_terms_service_only" ON public.deal_terms
+  FOR ALL USING (auth.role() = 'service_role') WITH CHECK (auth.role() = 'service_role');
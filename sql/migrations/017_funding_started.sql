@@ -0,0 +1,3 @@
+-- Set when the buyer first runs /fund, before the deal goes on-chain. Terms can't be amended or
+-- accepted after that (bot/deals.js applyTerms), so what is funded is what was agreed.
+ALTER TABLE public.deals ADD COLUMN IF NOT EXISTS funding_started_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,3 @@
+-- Admin who resolved a disputed stage (bot/deals.js resolve). The escrow credits volume for
+-- stages the buyer released but not for admin-resolved ones, and /rep does the same per stage.
+ALTER TABLE public.deal_milestones ADD COLUMN IF NOT EXISTS resolved_by TEXT;
@@ -0,0 +1,12 @@
+-- When a stage was disputed (bot/deals.js dispute, bot/events.js MilestoneDisputed). Stays set
+-- once the stage is settled, however that happened: the escrow counts a dispute won or lost
+-- per disputed stage, and /rep does the same.
+ALTER TABLE public.deal_milestones ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMP WITH TIME ZONE;
+
+-- Stages disputed before this column: open disputes and admin-resolved stages
+UPDATE public.deal_milestones m
+SET disputed_at = COALESCE(d.disputed_at, NOW())
+FROM public.deals d
+WHERE d.deal_id = m.deal_id
+  AND m.disputed_at IS NULL
+  AND (m.status = 'disputed' OR m.resolved_by IS NOT NULL);
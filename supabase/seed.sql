@@ -0,0 +1,28 @@
+-- Sample data for the local stack (contracts/scripts/local-stack.js)
+-- Wallets are Hardhat accounts #1-#3, funded with mock USDC by that script.
+-- Replace the Telegram IDs and usernames with your own accounts to act as these users in the bot.
+
+INSERT INTO public.users (telegram_id, username, wallet_address) VALUES
+  (100000001, 'local_seller', '0x70997970C51812dc3A010C7d01b50e0d17dc79C8'),
+  (100000002, 'local_buyer', '0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC'),
+  (100000003, 'local_mod', '0x90F79bf6EB2c4f870365E785982E1f101E93b906')
+ON CONFLICT (telegram_id) DO NOTHING;
+
+INSERT INTO public.moderators (telegram_id, username, added_by) VALUES
+  (100000003, 'local_mod', 'seed')
+ON CONFLICT (telegram_id) DO NOTHING;
+
+-- Not on-chain yet: /fund creates them on the local escrow
+INSERT INTO public.deals (deal_id, seller_telegram_id, seller_username, buyer_telegram_id, buyer_username, amount, description, token, milestone_count, status) VALUES
+  ('DP-LOC1', 100000001, 'local_seller', 100000002, 'local_buyer', 25, 'Logo design', 'USDC', 1, 'pending_deposit'),
+  ('DP-LOC2', 100000001, 'local_seller', 100000002, 'local_buyer', 0.01, 'Domain transfer', 'ETH', 1, 'pending_deposit'),
+  ('DP-LOC3', 100000001, 'local_seller', 100000002, 'local_buyer', 60, 'Landing page', 'USDC', 2, 'pending_deposit')
+ON CONFLICT (deal_id) DO NOTHING;
+
+INSERT INTO public.deal_milestones (deal_id, stage, amount, label) VALUES
+  ('DP-LOC3', 1, 20, 'wireframes'),
+  ('DP-LOC3', 2, 40, 'build')
+ON CONFLICT (deal_id, stage) DO NOTHING;
+
+INSERT INTO public.admin_logs (action, deal_id, admin_telegram_id, admin_username, details) VALUES
+  ('seed', NULL, 100000003, 'local_mod', 'Local stack seeded');